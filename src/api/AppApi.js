@@ -2,8 +2,10 @@
  * @flow
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import FQN from '../models/FQN';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { APP_API } from '../constants/ApiNames';
 import {
   BULK_PATH,
@@ -21,7 +23,7 @@ import type {
   OrganizationObject,
   PrincipalObject,
 } from '../models';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('AppApi');
 
@@ -43,15 +45,16 @@ type AppConfig = {|
  *
  * @static
  * @memberof lattice.AppApi
+ * @param {RequestOptions} options
  * @returns {Promise<App[]>} - a Promise that resolves with all App definitions
  *
  * @example
  * AppApi.getApps();
  */
-function getAllApps() :Promise<App[]> {
+function getAllApps(options ?:RequestOptions) :Promise<App[]> {
 
   return getApiAxiosInstance(APP_API)
-    .get('/')
+    .get('/', getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -68,6 +71,7 @@ function getAllApps() :Promise<App[]> {
  * @static
  * @memberof lattice.AppApi
  * @param {(UUID|string)} idOrName
+ * @param {RequestOptions} options
  * @returns {Promise<App>} - a Promise that resolves with the App definition
  *
  * @example
@@ -76,11 +80,11 @@ function getAllApps() :Promise<App[]> {
  * @example
  * AppApi.getApp("AppName");
  */
-function getApp(idOrName :UUID | string) :Promise<App> {
+function getApp(idOrName :UUID | string, options ?:RequestOptions) :Promise<App> {
 
   if (isValidUUID(idOrName)) {
     return getApiAxiosInstance(APP_API)
-      .get(`/${idOrName}`)
+      .get(`/${idOrName}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -90,7 +94,7 @@ function getApp(idOrName :UUID | string) :Promise<App> {
 
   if (isNonEmptyString(idOrName)) {
     return getApiAxiosInstance(APP_API)
-      .get(`/${LOOKUP_PATH}/${idOrName}`)
+      .get(`/${LOOKUP_PATH}/${idOrName}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -100,7 +104,7 @@ function getApp(idOrName :UUID | string) :Promise<App> {
 
   const errorMsg = 'invalid parameter: "idOrName" must be a valid UUID or a non-empty string';
   LOG.error(errorMsg, idOrName);
-  return Promise.reject(errorMsg);
+  return Promise.reject(new LatticeValidationError(errorMsg, 'idOrName', idOrName));
 }
 
 /**
@@ -111,23 +115,24 @@ function getApp(idOrName :UUID | string) :Promise<App> {
  * @static
  * @memberof lattice.AppApi
  * @param {UUID} id
+ * @param {RequestOptions} options
  * @returns {Promise<AppConfig[]>} - a Promise that resolves with the AppConfig definitions
  *
  * @example
  * AppApi.getAppConfigs("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getAppConfigs(appId :UUID) :Promise<AppConfig[]> {
+function getAppConfigs(appId :UUID, options ?:RequestOptions) :Promise<AppConfig[]> {
 
   let errorMsg = '';
 
   if (!isValidUUID(appId)) {
     errorMsg = 'invalid parameter: "appId" must be a valid UUID';
     LOG.error(errorMsg, appId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'appId', appId));
   }
 
   return getApiAxiosInstance(APP_API)
-    .get(`/${CONFIG_PATH}/${appId}`)
+    .get(`/${CONFIG_PATH}/${appId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -144,6 +149,7 @@ function getAppConfigs(appId :UUID) :Promise<AppConfig[]> {
  * @static
  * @memberof lattice.AppApi
  * @param {(UUID|FQN)} idOrFQN
+ * @param {RequestOptions} options
  * @returns {Promise<AppType>} - a Promise that resolves with the AppType definition
  *
  * @example
@@ -155,11 +161,11 @@ function getAppConfigs(appId :UUID) :Promise<AppConfig[]> {
  * @example
  * AppApi.getAppType({ "namespace": "ol", "name": "apptype" });
  */
-function getAppType(idOrFQN :UUID | FQN) :Promise<AppType> {
+function getAppType(idOrFQN :UUID | FQN, options ?:RequestOptions) :Promise<AppType> {
 
   if (isValidUUID(idOrFQN)) {
     return getApiAxiosInstance(APP_API)
-      .get(`/${TYPE_PATH}/${idOrFQN}`)
+      .get(`/${TYPE_PATH}/${idOrFQN}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -170,7 +176,7 @@ function getAppType(idOrFQN :UUID | FQN) :Promise<AppType> {
   if (FQN.isValid(idOrFQN)) {
     const fqn = FQN.of(idOrFQN);
     return getApiAxiosInstance(APP_API)
-      .get(`/${TYPE_PATH}/${LOOKUP_PATH}/${fqn.getNamespace()}/${fqn.getName()}`)
+      .get(`/${TYPE_PATH}/${LOOKUP_PATH}/${fqn.getNamespace()}/${fqn.getName()}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -180,7 +186,7 @@ function getAppType(idOrFQN :UUID | FQN) :Promise<AppType> {
 
   const errorMsg = 'invalid parameter: "idOrFQN" must be a valid UUID or FQN';
   LOG.error(errorMsg, idOrFQN);
-  return Promise.reject(errorMsg);
+  return Promise.reject(new LatticeValidationError(errorMsg, 'idOrFQN', idOrFQN));
 }
 
 /**
@@ -191,6 +197,7 @@ function getAppType(idOrFQN :UUID | FQN) :Promise<AppType> {
  * @static
  * @memberof lattice.AppApi
  * @param {UUID[]} appTypeIds
+ * @param {RequestOptions} options
  * @returns {Promise<Map<UUID, AppType>>} - a Promise that resolves with a map of AppType id to AppTypes
  *
  * @example
@@ -199,18 +206,18 @@ function getAppType(idOrFQN :UUID | FQN) :Promise<AppType> {
  *   "0c8be4b7-0bd5-4dd1-a623-da78871c9d0e"
  * ]);
  */
-function getAppTypes(appTypeIds :UUID[]) :Promise<Map<UUID, AppType>> {
+function getAppTypes(appTypeIds :UUID[], options ?:RequestOptions) :Promise<Map<UUID, AppType>> {
 
   let errorMsg = '';
 
   if (!isValidUUIDArray(appTypeIds)) {
     errorMsg = 'invalid parameter: "appTypeIds" must be a valid UUID array';
     LOG.error(errorMsg, appTypeIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'appTypeIds', appTypeIds));
   }
 
   return getApiAxiosInstance(APP_API)
-    .post(`/${TYPE_PATH}/${BULK_PATH}`, appTypeIds)
+    .post(`/${TYPE_PATH}/${BULK_PATH}`, appTypeIds, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -228,6 +235,7 @@ function getAppTypes(appTypeIds :UUID[]) :Promise<Map<UUID, AppType>> {
  * @param {UUID} appId
  * @param {UUID} organizationId
  * @param {string} prefix
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -237,30 +245,30 @@ function getAppTypes(appTypeIds :UUID[]) :Promise<Map<UUID, AppType>> {
  *   "app_prefix"
  * );
  */
-function installApp(appId :UUID, organizationId :UUID, prefix :string) :Promise<void> {
+function installApp(appId :UUID, organizationId :UUID, prefix :string, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(appId)) {
     errorMsg = 'invalid parameter: "appId" must be a valid UUID';
     LOG.error(errorMsg, appId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'appId', appId));
   }
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(prefix)) {
     errorMsg = 'invalid parameter: "prefix" must be a non-empty string';
     LOG.error(errorMsg, prefix);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'prefix', prefix));
   }
 
   return getApiAxiosInstance(APP_API)
-    .get(`/${INSTALL_PATH}/${appId}/${organizationId}/${prefix}`)
+    .get(`/${INSTALL_PATH}/${appId}/${organizationId}/${prefix}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
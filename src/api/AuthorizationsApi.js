@@ -17,11 +17,14 @@
  * // AuthorizationsApi.check...
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { AUTHORIZATIONS_API } from '../constants/ApiNames';
 import { AccessCheck, isValidAccessCheck } from '../models/AccessCheck';
 import { isNonEmptyArray } from '../utils/LangUtils';
 import { getApiAxiosInstance } from '../utils/axios';
+import type { RequestOptions } from '../types';
 
 const LOG = new Logger('AuthorizationsApi');
 
@@ -33,6 +36,7 @@ const LOG = new Logger('AuthorizationsApi');
  * @static
  * @memberof lattice.AuthorizationsApi
  * @param {AccessCheck[]} queries
+ * @param {RequestOptions} options
  * @returns {Promise<Authorization[]>} - a Promise that resolves with the Authorizations
  *
  * @example
@@ -45,24 +49,24 @@ const LOG = new Logger('AuthorizationsApi');
  *   ]
  * );
  */
-function getAuthorizations(checks :AccessCheck[]) :Promise<*> {
+function getAuthorizations(checks :AccessCheck[], options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(checks)) {
     errorMsg = 'invalid parameter: "checks" must be a non-empty array';
     LOG.error(errorMsg, checks);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'checks', checks));
   }
 
   if (!checks.every(isValidAccessCheck)) {
     errorMsg = 'invalid parameter: "checks" must be an array of valid AccessCheck objects';
     LOG.error(errorMsg, checks);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'checks', checks));
   }
 
   return getApiAxiosInstance(AUTHORIZATIONS_API)
-    .post('/', checks)
+    .post('/', checks, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -17,10 +17,13 @@
  * // CodexApi.create...
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { CODEX_API } from '../constants/ApiNames';
 import { isNonEmptyObject } from '../utils/LangUtils';
 import { getApiAxiosInstance } from '../utils/axios';
+import type { RequestOptions } from '../types';
 
 const LOG = new Logger('CodexApi');
 
@@ -32,6 +35,7 @@ const LOG = new Logger('CodexApi');
  * @static
  * @memberof lattice.CodexApi
  * @param {Object} messageRequest
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -43,7 +47,7 @@ const LOG = new Logger('CodexApi');
  *   }
  * );
  */
-function sendOutgoingText(messageRequest :Object) :Promise<void> {
+function sendOutgoingText(messageRequest :Object, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
@@ -51,11 +55,11 @@ function sendOutgoingText(messageRequest :Object) :Promise<void> {
   if (!isNonEmptyObject(messageRequest)) {
     errorMsg = 'invalid parameter: "messageRequest" must be a non-empty object';
     LOG.error(errorMsg, messageRequest);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'messageRequest', messageRequest));
   }
 
   return getApiAxiosInstance(CODEX_API)
-    .post('/', messageRequest)
+    .post('/', messageRequest, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1,6 +1,8 @@
 // @flow
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { COLLABORATIONS_API } from '../constants/ApiNames';
 import {
   DATABASE_PATH,
@@ -11,7 +13,7 @@ import {
 import { isNonEmptyObject, isNonEmptyString } from '../utils/LangUtils';
 import { isValidUUID, isValidUUIDArray } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('CollaborationsApi');
 
@@ -30,15 +32,16 @@ type Collaboration = {|
  *
  * @static
  * @memberof lattice.CollaborationsApi
+ * @param {RequestOptions} options
  * @returns {Promise<Collaboration[]>} - a Promise that resolves with an array of collaboration objects
  *
  * @example
  * CollaborationsApi.getCollaborations();
  */
-function getCollaborations() :Promise<Collaboration[]> {
+function getCollaborations(options ?:RequestOptions) :Promise<Collaboration[]> {
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .get('/')
+    .get('/', getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -55,22 +58,23 @@ function getCollaborations() :Promise<Collaboration[]> {
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
+ * @param {RequestOptions} options
  * @returns {Promise<Collaboration>} - a Promise that resolves with a collaboration object
  *
  * @example
  * CollaborationsApi.getCollaboration("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getCollaboration(collaborationId :UUID) :Promise<Collaboration> {
+function getCollaboration(collaborationId :UUID, options ?:RequestOptions) :Promise<Collaboration> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .get(`/${collaborationId}`)
+    .get(`/${collaborationId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -87,22 +91,23 @@ function getCollaboration(collaborationId :UUID) :Promise<Collaboration> {
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Collaboration[]>} - a Promise that resolves with a list of collaboration objects
  *
  * @example
  * CollaborationsApi.getCollaborationsWithOrganization("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getCollaborationsWithOrganization(organizationId :UUID) :Promise<Collaboration[]> {
+function getCollaborationsWithOrganization(organizationId :UUID, options ?:RequestOptions) :Promise<Collaboration[]> {
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .get(`/${ORGANIZATIONS_PATH}/${organizationId}`)
+    .get(`/${ORGANIZATIONS_PATH}/${organizationId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -118,6 +123,7 @@ function getCollaborationsWithOrganization(organizationId :UUID) :Promise<Collab
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {Collaboration} collaboration
+ * @param {RequestOptions} options
  * @returns {Promise<Collaboration>} - a Promise that resolves with the new collaboration id
  *
  * @example
@@ -127,16 +133,16 @@ function getCollaborationsWithOrganization(organizationId :UUID) :Promise<Collab
  *   title: "Test Collaboration",
  * });
  */
-function createCollaboration(collaboration :Collaboration) :Promise<UUID> {
+function createCollaboration(collaboration :Collaboration, options ?:RequestOptions) :Promise<UUID> {
   let errorMsg = '';
   if (!isNonEmptyObject(collaboration)) {
     errorMsg = 'invalid parameter: "collaboration" must be a non-empty object';
     LOG.error(errorMsg, collaboration);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaboration', collaboration));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .post('/', collaboration)
+    .post('/', collaboration, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -153,22 +159,23 @@ function createCollaboration(collaboration :Collaboration) :Promise<UUID> {
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
+ * @param {RequestOptions} options
  * @returns {Promise<Number>} - a Promise that resolves with the count of collaborations that were deleted
  *
  * @example
  * CollaborationsApi.deleteCollaboration("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function deleteCollaboration(collaborationId :UUID) :Promise<Collaboration[]> {
+function deleteCollaboration(collaborationId :UUID, options ?:RequestOptions) :Promise<Collaboration[]> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .delete(`/${collaborationId}`)
+    .delete(`/${collaborationId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -186,6 +193,7 @@ function deleteCollaboration(collaborationId :UUID) :Promise<Collaboration[]> {
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
  * @param {UUID || UUID[]} organizationIds
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -196,19 +204,23 @@ function deleteCollaboration(collaborationId :UUID) :Promise<Collaboration[]> {
  * @example
  * CollaborationsApi.addOrganizationsToCollaboration(ec6865e6-e60e-424b-a071-6a9c1603d735);
  */
-function addOrganizationsToCollaboration(collaborationId :UUID, organizationIds :UUID | UUID[]) :Promise<void> {
+function addOrganizationsToCollaboration(
+  collaborationId :UUID,
+  organizationIds :UUID | UUID[],
+  options ?:RequestOptions,
+) :Promise<void> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: collaborationId must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   if (!isValidUUID(organizationIds) && !isValidUUIDArray(organizationIds)) {
     errorMsg = 'invalid parameter: organizationIds must be a valid UUID or array of UUIDs';
     LOG.error(errorMsg, organizationIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationIds', organizationIds));
   }
 
   let organizations = organizationIds;
@@ -217,7 +229,7 @@ function addOrganizationsToCollaboration(collaborationId :UUID, organizationIds
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .patch(`/${collaborationId}/organizations`, organizations)
+    .patch(`/${collaborationId}/organizations`, organizations, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -235,6 +247,7 @@ function addOrganizationsToCollaboration(collaborationId :UUID, organizationIds
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
  * @param {UUID || UUID[]} organizationIds
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -245,19 +258,23 @@ function addOrganizationsToCollaboration(collaborationId :UUID, organizationIds
  * @example
  * CollaborationsApi.removeOrganizationsFromCollaboration(ec6865e6-e60e-424b-a071-6a9c1603d735);
  */
-function removeOrganizationsFromCollaboration(collaborationId :UUID, organizationIds :UUID | UUID[]) :Promise<void> {
+function removeOrganizationsFromCollaboration(
+  collaborationId :UUID,
+  organizationIds :UUID | UUID[],
+  options ?:RequestOptions,
+) :Promise<void> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: collaborationId must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   if (!isValidUUID(organizationIds) && !isValidUUIDArray(organizationIds)) {
     errorMsg = 'invalid parameter: organizationIds must be a valid UUID or array of UUIDs';
     LOG.error(errorMsg, organizationIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationIds', organizationIds));
   }
 
   let data = organizationIds;
@@ -266,7 +283,7 @@ function removeOrganizationsFromCollaboration(collaborationId :UUID, organizatio
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .delete(`/${collaborationId}/organizations`, { data })
+    .delete(`/${collaborationId}/organizations`, { ...getRequestConfig(options), data })
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -283,22 +300,23 @@ function removeOrganizationsFromCollaboration(collaborationId :UUID, organizatio
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with an OrganizationDatabase object
  *
  * @example
  * CollaborationsApi.getCollaborationDatabaseInfo("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getCollaborationDatabaseInfo(collaborationId :UUID) :Promise<Collaboration[]> {
+function getCollaborationDatabaseInfo(collaborationId :UUID, options ?:RequestOptions) :Promise<Collaboration[]> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .get(`/${collaborationId}/${DATABASE_PATH}`)
+    .get(`/${collaborationId}/${DATABASE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -316,28 +334,29 @@ function getCollaborationDatabaseInfo(collaborationId :UUID) :Promise<Collaborat
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
  * @param {string} name
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
  * CollaborationsApi.renameCollaborationDatabase("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function renameCollaborationDatabase(collaborationId :UUID, name :string) :Promise<void> {
+function renameCollaborationDatabase(collaborationId :UUID, name :string, options ?:RequestOptions) :Promise<void> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   if (!isNonEmptyString(name)) {
     errorMsg = 'invalid parameter: "name" must be a non-empty string';
     LOG.error(errorMsg, name);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'name', name));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .patch(`/${collaborationId}/${DATABASE_PATH}`, name)
+    .patch(`/${collaborationId}/${DATABASE_PATH}`, name, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -359,6 +378,7 @@ function renameCollaborationDatabase(collaborationId :UUID, name :string) :Promi
  * @param {UUID} collaborationId
  * @param {UUID} organizationId
  * @param {UUID} dataSetId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -368,29 +388,34 @@ function renameCollaborationDatabase(collaborationId :UUID, name :string) :Promi
  *   "00230000-0000-0000-8000-000000000004",
  * );
  */
-function addDataSetToCollaboration(collaborationId :UUID, organizationId :UUID, dataSetId :UUID) :Promise<void> {
+function addDataSetToCollaboration(
+  collaborationId :UUID,
+  organizationId :UUID,
+  dataSetId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .patch(`/${collaborationId}/${PROJECT_PATH}/${organizationId}/${dataSetId}`)
+    .patch(`/${collaborationId}/${PROJECT_PATH}/${organizationId}/${dataSetId}`, undefined, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -412,6 +437,7 @@ function addDataSetToCollaboration(collaborationId :UUID, organizationId :UUID,
  * @param {UUID} collaborationId
  * @param {UUID} organizationId
  * @param {UUID} dataSetId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -425,29 +451,30 @@ function removeDataSetFromCollaboration(
   collaborationId :UUID,
   organizationId :UUID,
   dataSetId :UUID,
+  options ?:RequestOptions,
 ) :Promise<void> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .delete(`/${collaborationId}/${PROJECT_PATH}/${organizationId}/${dataSetId}`)
+    .delete(`/${collaborationId}/${PROJECT_PATH}/${organizationId}/${dataSetId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -465,23 +492,24 @@ function removeDataSetFromCollaboration(
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with a map from collaborationId
  * to all data set ids projected in that collaboration.
  *
  * @example
  * CollaborationsApi.getOrganizationCollaborationDataSets("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationCollaborationDataSets(organizationId :UUID) :Promise<Object> {
+function getOrganizationCollaborationDataSets(organizationId :UUID, options ?:RequestOptions) :Promise<Object> {
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .get(`/${ORGANIZATIONS_PATH}/${organizationId}/${DATA_SETS_PATH}`)
+    .get(`/${ORGANIZATIONS_PATH}/${organizationId}/${DATA_SETS_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -499,23 +527,24 @@ function getOrganizationCollaborationDataSets(organizationId :UUID) :Promise<Obj
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID} collaborationId
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with a map from
  * organizationId to all data set ids projected to the requested collaboration from that organization.
  *
  * @example
  * CollaborationsApi.getCollaborationDataSets("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getCollaborationDataSets(collaborationId :UUID) :Promise<Object> {
+function getCollaborationDataSets(collaborationId :UUID, options ?:RequestOptions) :Promise<Object> {
   let errorMsg = '';
 
   if (!isValidUUID(collaborationId)) {
     errorMsg = 'invalid parameter: "collaborationId" must be a valid UUID';
     LOG.error(errorMsg, collaborationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'collaborationId', collaborationId));
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .get(`/${collaborationId}/${DATA_SETS_PATH}`)
+    .get(`/${collaborationId}/${DATA_SETS_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -532,6 +561,7 @@ function getCollaborationDataSets(collaborationId :UUID) :Promise<Object> {
  * @static
  * @memberof lattice.CollaborationsApi
  * @param {UUID || UUID[]} dataSetIds
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with a map from
  * organizationId to all data set ids projected to the requested collaboration from that organization.
  *
@@ -544,13 +574,13 @@ function getCollaborationDataSets(collaborationId :UUID) :Promise<Object> {
  *   "01af0000-0000-0000-8000-000000000004",
  * ]);
  */
-function getCollaborationsWithDataSets(dataSetIds :UUID | UUID[]) :Promise<Object> {
+function getCollaborationsWithDataSets(dataSetIds :UUID | UUID[], options ?:RequestOptions) :Promise<Object> {
   let errorMsg = '';
 
   if (!isValidUUID(dataSetIds) && !isValidUUIDArray(dataSetIds)) {
     errorMsg = 'invalid parameter: dataSetIds must be a valid UUID or array of UUIDs';
     LOG.error(errorMsg, dataSetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetIds', dataSetIds));
   }
 
   let datasets = dataSetIds;
@@ -559,7 +589,7 @@ function getCollaborationsWithDataSets(dataSetIds :UUID | UUID[]) :Promise<Objec
   }
 
   return getApiAxiosInstance(COLLABORATIONS_API)
-    .post(`/${DATA_SETS_PATH}`, datasets)
+    .post(`/${DATA_SETS_PATH}`, datasets, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -21,15 +21,16 @@ import isBoolean from 'lodash/isBoolean';
 import isUndefined from 'lodash/isUndefined';
 import { Set } from 'immutable';
 
+import * as EntityDataModelApi from './EntityDataModelApi';
+import * as EntitySetsApi from './EntitySetsApi';
+
+import LatticeSchemaValidationError from '../errors/LatticeSchemaValidationError';
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
+import { bindToClientContext } from '../client/ClientContext';
 import { DATA_API } from '../constants/ApiNames';
-import {
-  DESTINATION,
-  DESTINATION_ES_IDS,
-  ENTITY_KEY_IDS,
-  SOURCE,
-  SOURCE_ES_IDS,
-} from '../constants/SerializationConstants';
+import { EDGE } from '../constants/SerializationConstants';
 import {
   ALL_PATH,
   ASSOCIATION_PATH,
@@ -43,12 +44,16 @@ import {
   TYPE_PATH,
 } from '../constants/UrlConstants';
 import { DeleteTypes, UpdateTypes } from '../constants/types';
+import { isValidDataEdge } from '../models/DataEdge';
 import { DataGraph, isValidDataGraph } from '../models/DataGraph';
+import { EntityNeighborsFilterBuilder, isValidEntityNeighborsFilter } from '../models/EntityNeighborsFilter';
+import { runInChunks } from '../utils/BulkUtils';
+import { getSchemaValidationReport } from '../utils/SchemaValidationUtils';
 import {
-  isDefined,
   isEmptyArray,
   isNonEmptyObject,
   isNonEmptyString,
+  isPositiveInteger,
 } from '../utils/LangUtils';
 import {
   isValidMultimap,
@@ -57,11 +62,65 @@ import {
   isValidUUIDArray,
 } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
+import type { BulkProgress, ChunkResult } from '../utils/BulkUtils';
 import type { DeleteType, UpdateType } from '../constants/types';
-import type { UUID } from '../types';
+import type { EntityNeighborsFilter, EntityNeighborsFilterObject } from '../models/EntityNeighborsFilter';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('DataApi');
 
+const DEFAULT_BULK_CHUNK_SIZE = 1000;
+
+// "validate" checks the entity data against the schema of the entity set before it is sent
+type DataWriteOptions = {
+  ...RequestOptions;
+  validate ?:boolean;
+};
+
+type BulkWriteOptions = {
+  ...RequestOptions;
+  chunkSize ?:number;
+  concurrency ?:number;
+  onProgress ?:(progress :BulkProgress) => void;
+};
+
+// "start" and "end" are the (inclusive, exclusive) indices of the items in the failed chunk
+type BulkWriteFailure = {|
+  end :number;
+  error :any;
+  start :number;
+|};
+
+/*
+ * loads the EntityType and PropertyTypes of the entity set, and rejects with a LatticeSchemaValidationError if the
+ * entity data does not match them. the EDM reads are cached if caching has been enabled.
+ */
+function validateAgainstSchema(
+  entitySetId :UUID,
+  entityData :Object[] | Object,
+  parameter :string,
+  options ?:RequestOptions,
+) :Promise<void> {
+
+  const getAllPropertyTypes = bindToClientContext(EntityDataModelApi.getAllPropertyTypes);
+  const getEntityType = bindToClientContext(EntityDataModelApi.getEntityType);
+
+  return EntitySetsApi.getEntitySet(entitySetId, options)
+    .then((entitySet :Object) => Promise.all([
+      getEntityType(entitySet.entityTypeId, options),
+      getAllPropertyTypes(options),
+    ]))
+    .then(([entityType, propertyTypes]) => {
+      const report = getSchemaValidationReport(entityData, entityType, propertyTypes);
+      if (report) {
+        const errorMsg = `invalid parameter: "${parameter}" does not match the schema of the entity set`;
+        LOG.error(errorMsg, report);
+        return Promise.reject(new LatticeSchemaValidationError(errorMsg, parameter, entityData, report));
+      }
+      return undefined;
+    });
+}
+
 /**
  * `POST /data/association`
  *
@@ -70,6 +129,7 @@ const LOG = new Logger('DataApi');
  * @static
  * @memberof lattice.DataApi
  * @param {Object} associations
+ * @param {RequestOptions} options
  * @returns {Promise<number>} - a Promise that resolves with the count of associations (edges) that were created
  *
  * @example
@@ -89,20 +149,24 @@ const LOG = new Logger('DataApi');
  *   }]
  * });
  */
-function createAssociations(associations :Object) :Promise<number> {
+function createAssociations(associations :Object, options ?:RequestOptions) :Promise<number> {
 
   let errorMsg = '';
 
-  // TODO: DataEdge model, ListMultiMap validation
+  if (!isValidMultimap(associations, isValidUUID)) {
+    errorMsg = 'invalid parameter: "associations" must be a non-empty object mapping entity set ids to arrays';
+    LOG.error(errorMsg, associations);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associations', associations));
+  }
 
-  if (!isNonEmptyObject(associations)) {
-    errorMsg = 'invalid parameter: "associations" must be a non-empty object';
+  if (!Object.keys(associations).every((entitySetId :UUID) => associations[entitySetId].every(isValidDataEdge))) {
+    errorMsg = 'invalid parameter: "associations" must map entity set ids to arrays of valid DataEdges';
     LOG.error(errorMsg, associations);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associations', associations));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .post(`/${ASSOCIATION_PATH}`, associations)
+    .post(`/${ASSOCIATION_PATH}`, associations, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -118,6 +182,7 @@ function createAssociations(associations :Object) :Promise<number> {
  * @static
  * @memberof lattice.DataApi
  * @param {DataGraph} data
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with the ids of the entities and associations that were created
  *
  * @example
@@ -139,18 +204,18 @@ function createAssociations(associations :Object) :Promise<number> {
  *   },
  * });
  */
-function createEntityAndAssociationData(data :DataGraph) :Promise<Object> {
+function createEntityAndAssociationData(data :DataGraph, options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isValidDataGraph(data)) {
     errorMsg = 'invalid parameter: "data" must be a valid DataGraph';
     LOG.error(errorMsg, data);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'data', data));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .post('/', data)
+    .post('/', data, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -167,6 +232,9 @@ function createEntityAndAssociationData(data :DataGraph) :Promise<Object> {
  * @memberof lattice.DataApi
  * @param {UUID} entitySetId
  * @param {Object} entities
+ * @param {Object} options - any of the request options, in addition to the options below (optional)
+ * @param {boolean} options.validate - checks the entities against the schema of the entity set before they are sent,
+ *   see validateEntityData() (default false)
  * @returns {Promise<UUID[]>} - a Promise that resolves with a list of ids
  *
  * @example
@@ -178,42 +246,54 @@ function createEntityAndAssociationData(data :DataGraph) :Promise<Object> {
  *   }]
  * );
  */
-function createOrMergeEntityData(entitySetId :UUID, entities :Object[]) :Promise<UUID[]> {
+function createOrMergeEntityData(
+  entitySetId :UUID,
+  entities :Object[],
+  options ?:DataWriteOptions,
+) :Promise<UUID[]> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   // TODO: validate SetMultimap
   if (!isValidMultimapArray(entities, isValidUUID)) {
     errorMsg = 'invalid parameter: entities must be a non-empty multimap array';
     LOG.error(errorMsg, entities);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entities', entities));
   }
 
-  return getApiAxiosInstance(DATA_API)
-    .post(`/${SET_PATH}/?${SET_ID}=${entitySetId}`, entities)
+  const sendRequest = bindToClientContext(() => getApiAxiosInstance(DATA_API)
+    .post(`/${SET_PATH}/?${SET_ID}=${entitySetId}`, entities, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
-    });
+    }));
+
+  if (options && options.validate) {
+    return validateAgainstSchema(entitySetId, entities, 'entities', options).then(sendRequest);
+  }
+
+  return sendRequest();
 }
 
 /**
  * `POST /data/set/{entitySetId}/neighbors?type=Hard`
  *
- * Deletes the entity data for the given entityKeyIds, and all neighbor entity data matching the given filter.
+ * Deletes the entity data for the given entityKeyIds, and all neighbor entity data matching the given filter. Only the
+ * source and destination entity sets of the filter are applied, its edge entity sets are ignored.
  *
  * @static
  * @memberof lattice.DataApi
  * @param {UUID} entitySetId
- * @param {Object} filter
+ * @param {EntityNeighborsFilter} filter
  * @param {DeleteType} deleteType
+ * @param {RequestOptions} options
  * @returns {Promise<number>} - a Promise that resolves with the count of entities that were deleted
  *
  * @example
@@ -229,72 +309,41 @@ function createOrMergeEntityData(entitySetId :UUID, entities :Object[]) :Promise
  */
 function deleteEntityAndNeighborData(
   entitySetId :UUID,
-  filter :Object,
+  filter :EntityNeighborsFilter | EntityNeighborsFilterObject,
   deleteType ?:DeleteType = DeleteTypes.SOFT,
+  options ?:RequestOptions,
 ) :Promise<number> {
 
-  // TODO: EntityFilter model
-
   let errorMsg = '';
-  const data :Object = {};
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
-  if (!isNonEmptyObject(filter)) {
-    errorMsg = 'invalid parameter: filter must be a non-empty object';
-    LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
-  }
-
-  if (!isValidUUIDArray(filter[ENTITY_KEY_IDS])) {
-    errorMsg = `invalid parameter: filter.${ENTITY_KEY_IDS} must be a non-empty set of valid UUIDs`;
-    LOG.error(errorMsg, filter[ENTITY_KEY_IDS]);
-    return Promise.reject(errorMsg);
-  }
-
-  const entityKeyIds :UUID[] = Set().withMutations((set :Set<UUID>) => (
-    filter[ENTITY_KEY_IDS].forEach((id :UUID) => set.add(id))
-  )).toJS();
-  data[ENTITY_KEY_IDS] = entityKeyIds;
-
-  let destinationEntitySetIds :?UUID[];
-  if (isEmptyArray(filter[DESTINATION_ES_IDS]) || isValidUUIDArray(filter[DESTINATION_ES_IDS])) {
-    destinationEntitySetIds = Set().withMutations((set :Set<UUID>) => (
-      filter[DESTINATION_ES_IDS].forEach((id :UUID) => set.add(id))
-    )).toJS();
-    data[DESTINATION] = destinationEntitySetIds;
-  }
-  else if (isDefined(filter[DESTINATION_ES_IDS])) {
-    errorMsg = `invalid parameter: filter.${DESTINATION_ES_IDS} must be a set of valid UUIDs`;
-    LOG.error(errorMsg, filter[DESTINATION_ES_IDS]);
-    return Promise.reject(errorMsg);
-  }
-
-  let sourceEntitySetIds :?UUID[];
-  if (isEmptyArray(filter[SOURCE_ES_IDS]) || isValidUUIDArray(filter[SOURCE_ES_IDS])) {
-    sourceEntitySetIds = Set().withMutations((set :Set<UUID>) => (
-      filter[SOURCE_ES_IDS].forEach((id :UUID) => set.add(id))
-    )).toJS();
-    data[SOURCE] = sourceEntitySetIds;
-  }
-  else if (isDefined(filter[SOURCE_ES_IDS])) {
-    errorMsg = `invalid parameter: filter.${SOURCE_ES_IDS} must be a set of valid UUIDs`;
-    LOG.error(errorMsg, filter[SOURCE_ES_IDS]);
-    return Promise.reject(errorMsg);
+  if (!isValidEntityNeighborsFilter(filter)) {
+    errorMsg = 'invalid parameter: filter must be a valid EntityNeighborsFilter';
+    LOG.error(errorMsg, filter);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'filter', filter));
   }
 
   if (!isNonEmptyString(deleteType) || !DeleteTypes[deleteType]) {
     errorMsg = 'invalid parameter: deleteType must be a valid DeleteType';
     LOG.error(errorMsg, deleteType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'deleteType', deleteType));
   }
 
+  // this endpoint has only ever been sent the source and destination entity sets, the edge entity sets are left out
+  const requestData = (new EntityNeighborsFilterBuilder(filter)).build().toRequestObject();
+  delete requestData[EDGE];
+
   return getApiAxiosInstance(DATA_API)
-    .post(`/${SET_PATH}/${entitySetId}/${NEIGHBORS_PATH}?${TYPE_PATH}=${deleteType}`, data)
+    .post(
+      `/${SET_PATH}/${entitySetId}/${NEIGHBORS_PATH}?${TYPE_PATH}=${deleteType}`,
+      requestData,
+      getRequestConfig(options),
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -312,6 +361,7 @@ function deleteEntityAndNeighborData(
  * @param {UUID} entitySetId
  * @param {UUID || UUID[]} entityKeyIds
  * @param {DeleteType} deleteType
+ * @param {RequestOptions} options
  * @returns {Promise<number>} - a Promise that resolves with the count of entities that were deleted
  *
  * @example
@@ -333,6 +383,7 @@ function deleteEntityData(
   entityKeyIds :UUID | UUID[],
   deleteType ?:DeleteType = DeleteTypes.SOFT,
   block ?:boolean = true,
+  options ?:RequestOptions,
 ) :Promise<number> {
 
   let errorMsg = '';
@@ -340,26 +391,26 @@ function deleteEntityData(
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   // $FlowFixMe
   if (!isValidUUID(entityKeyIds) && !isValidUUIDArray(entityKeyIds)) {
     errorMsg = 'invalid parameter: entityKeyIds must be a valid UUID or array of UUIDs';
     LOG.error(errorMsg, entityKeyIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityKeyIds', entityKeyIds));
   }
 
   if (!DeleteTypes[deleteType]) {
     errorMsg = 'invalid parameter: deleteType must be a valid DeleteType';
     LOG.error(errorMsg, deleteType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'deleteType', deleteType));
   }
 
   if (!isBoolean(block)) {
     errorMsg = 'invalid parameter: block must be a boolean';
     LOG.error(errorMsg, block);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'block', block));
   }
 
   let data = entityKeyIds;
@@ -368,7 +419,10 @@ function deleteEntityData(
   }
 
   return getApiAxiosInstance(DATA_API)
-    .delete(`/${SET_PATH}/${entitySetId}?${TYPE_PATH}=${deleteType}&${BLOCK_PATH}=${block}`, { data })
+    .delete(
+      `/${SET_PATH}/${entitySetId}?${TYPE_PATH}=${deleteType}&${BLOCK_PATH}=${block}`,
+      { ...getRequestConfig(options), data },
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -385,29 +439,34 @@ function deleteEntityData(
  * @memberof lattice.DataApi
  * @param {UUID} entitySetId
  * @param {DeleteType} deleteType
+ * @param {RequestOptions} options
  * @returns {Promise<number>} - a Promise that resolves with the count of entities that were deleted
  *
  * @example
  * DataApi.deleteEntitySetData("0c8be4b7-0bd5-4dd1-a623-da78871c9d0e", "Soft");
  */
-function deleteEntitySetData(entitySetId :UUID, deleteType ?:DeleteType = DeleteTypes.SOFT) :Promise<number> {
+function deleteEntitySetData(
+  entitySetId :UUID,
+  deleteType ?:DeleteType = DeleteTypes.SOFT,
+  options ?:RequestOptions,
+) :Promise<number> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   if (!DeleteTypes[deleteType]) {
     errorMsg = 'invalid parameter: "deleteType" must be a valid DeleteType';
     LOG.error(errorMsg, deleteType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'deleteType', deleteType));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .delete(`/${SET_PATH}/${entitySetId}/${ALL_PATH}?${TYPE_PATH}=${deleteType}`)
+    .delete(`/${SET_PATH}/${entitySetId}/${ALL_PATH}?${TYPE_PATH}=${deleteType}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -424,29 +483,30 @@ function deleteEntitySetData(entitySetId :UUID, deleteType ?:DeleteType = Delete
  * @memberof lattice.DataApi
  * @param {UUID} entitySetId
  * @param {UUID} entityKeyId
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with the requested entity data
  *
  * @example
  * DataApi.getEntityData("0c8be4b7-0bd5-4dd1-a623-da78871c9d0e", "ec6865e6-e60e-424b-a071-6a9c1603d735")
  */
-function getEntityData(entitySetId :UUID, entityKeyId :UUID) :Promise<Object> {
+function getEntityData(entitySetId :UUID, entityKeyId :UUID, options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   if (!isValidUUID(entityKeyId)) {
     errorMsg = 'invalid parameter: "entityKeyId" must be a valid UUID';
     LOG.error(errorMsg, entityKeyId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityKeyId', entityKeyId));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .get(`/${entitySetId}/${entityKeyId}`)
+    .get(`/${entitySetId}/${entityKeyId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -464,6 +524,7 @@ function getEntityData(entitySetId :UUID, entityKeyId :UUID) :Promise<Object> {
  * @param {UUID} entitySetId
  * @param {UUID[]} propertyTypeIds
  * @param {UUID[]} entityKeyIds
+ * @param {RequestOptions} options
  * @returns {Promise<Object[]>} - a Promise that resolves with the EntitySet data as its fulfillment value
  *
  * @example
@@ -473,14 +534,19 @@ function getEntityData(entitySetId :UUID, entityKeyId :UUID) :Promise<Object> {
  *   ["8b470000-0000-0000-8000-000000000007"]
  * );
  */
-function getEntitySetData(entitySetId :UUID, propertyTypeIds ?:UUID[], entityKeyIds ?:UUID[]) :Promise<Object[]> {
+function getEntitySetData(
+  entitySetId :UUID,
+  propertyTypeIds ?:UUID[],
+  entityKeyIds ?:UUID[],
+  options ?:RequestOptions,
+) :Promise<Object[]> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   const entitySetSelection = {};
@@ -495,7 +561,7 @@ function getEntitySetData(entitySetId :UUID, propertyTypeIds ?:UUID[], entityKey
   else if (!isUndefined(propertyTypeIds) && !isEmptyArray(propertyTypeIds)) {
     errorMsg = 'invalid parameter: propertyTypeIds must be a non-empty array of valid UUIDs';
     LOG.error(errorMsg, propertyTypeIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeIds', propertyTypeIds));
   }
 
   if (isValidUUIDArray(entityKeyIds)) {
@@ -508,11 +574,11 @@ function getEntitySetData(entitySetId :UUID, propertyTypeIds ?:UUID[], entityKey
   else if (!isUndefined(entityKeyIds) && !isEmptyArray(entityKeyIds)) {
     errorMsg = 'invalid parameter: entityKeyIds must be a non-empty array of valid UUIDs';
     LOG.error(errorMsg, entityKeyIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityKeyIds', entityKeyIds));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .post(`/${SET_PATH}/${entitySetId}`, entitySetSelection)
+    .post(`/${SET_PATH}/${entitySetId}`, entitySetSelection, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -528,23 +594,24 @@ function getEntitySetData(entitySetId :UUID, propertyTypeIds ?:UUID[], entityKey
  * @static
  * @memberof lattice.DataApi
  * @param {UUID} entitySetId
+ * @param {RequestOptions} options
  * @returns {Promise<number>} - a Promise that resolves with the entity count
  *
  * @example
  * DataApi.getEntitySetSize("0c8be4b7-0bd5-4dd1-a623-da78871c9d0e")
  */
-function getEntitySetSize(entitySetId :UUID) :Promise<number> {
+function getEntitySetSize(entitySetId :UUID, options ?:RequestOptions) :Promise<number> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .get(`/${entitySetId}/${COUNT_PATH}`)
+    .get(`/${entitySetId}/${COUNT_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -560,6 +627,7 @@ function getEntitySetSize(entitySetId :UUID) :Promise<number> {
  * @param {UUID} entitySetId
  * @param {UUID[]} propertyTypeIds
  * @param {UUID[]} entityKeyIds
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
@@ -569,14 +637,19 @@ function getEntitySetSize(entitySetId :UUID) :Promise<number> {
  *   ["8b470000-0000-0000-8000-000000000007"]
  * );
  */
-function getLinkedEntitySetBreakdown(entitySetId :UUID, propertyTypeIds ?:UUID[], entityKeyIds ?:UUID[]) :Promise<*> {
+function getLinkedEntitySetBreakdown(
+  entitySetId :UUID,
+  propertyTypeIds ?:UUID[],
+  entityKeyIds ?:UUID[],
+  options ?:RequestOptions,
+) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   const entitySetSelection = {};
@@ -591,7 +664,7 @@ function getLinkedEntitySetBreakdown(entitySetId :UUID, propertyTypeIds ?:UUID[]
   else if (!isUndefined(propertyTypeIds) && !isEmptyArray(propertyTypeIds)) {
     errorMsg = 'invalid parameter: propertyTypeIds must be a non-empty array of valid UUIDs';
     LOG.error(errorMsg, propertyTypeIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeIds', propertyTypeIds));
   }
 
   if (isValidUUIDArray(entityKeyIds)) {
@@ -604,11 +677,11 @@ function getLinkedEntitySetBreakdown(entitySetId :UUID, propertyTypeIds ?:UUID[]
   else if (!isUndefined(entityKeyIds) && !isEmptyArray(entityKeyIds)) {
     errorMsg = 'invalid parameter: entityKeyIds must be a non-empty array of valid UUIDs';
     LOG.error(errorMsg, entityKeyIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityKeyIds', entityKeyIds));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .post(`/${SET_PATH}/${entitySetId}/${DETAILED_PATH}`, entitySetSelection)
+    .post(`/${SET_PATH}/${entitySetId}/${DETAILED_PATH}`, entitySetSelection, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -626,6 +699,9 @@ function getLinkedEntitySetBreakdown(entitySetId :UUID, propertyTypeIds ?:UUID[]
  * @param {UUID} entitySetId
  * @param {Object} entityData
  * @param {UpdateType} updateType
+ * @param {Object} options - any of the request options, in addition to the options below (optional)
+ * @param {boolean} options.validate - checks the entity data against the schema of the entity set before it is sent,
+ *   see validateEntityData() (default false)
  * @returns {Promise<number>} - a Promise that resolves with the count of entities that were updated
  *
  * @example
@@ -644,6 +720,7 @@ function updateEntityData(
   entitySetId :UUID,
   entityData :Object,
   updateType ?:UpdateType = UpdateTypes.PARTIAL_REPLACE,
+  options ?:DataWriteOptions,
 ) :Promise<number> {
 
   let errorMsg = '';
@@ -651,13 +728,13 @@ function updateEntityData(
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   if (!isNonEmptyObject(entityData)) {
     errorMsg = 'invalid parameter: "entityData" must be a non-empty object';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityData', entitySetId));
   }
 
   const ids :any[] = Object.keys(entityData);
@@ -668,7 +745,7 @@ function updateEntityData(
     if (!isValidUUID(id)) {
       errorMsg = 'invalid parameter: "entityData" must be a non-empty object where all keys are UUIDs';
       LOG.error(errorMsg, id);
-      return Promise.reject(errorMsg);
+      return Promise.reject(new LatticeValidationError(errorMsg, 'entityData', id));
     }
   }
 
@@ -679,23 +756,29 @@ function updateEntityData(
     if (!isValidMultimap(value, isValidUUID)) {
       errorMsg = 'invalid parameter: "entityData" must be a non-empty object where all values are multimaps';
       LOG.error(errorMsg, value);
-      return Promise.reject(errorMsg);
+      return Promise.reject(new LatticeValidationError(errorMsg, 'entityData', value));
     }
   }
 
   if (!UpdateTypes[updateType]) {
     errorMsg = 'invalid parameter: "updateType" must be a valid UpdateType';
     LOG.error(errorMsg, updateType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'updateType', updateType));
   }
 
-  return getApiAxiosInstance(DATA_API)
-    .put(`/${SET_PATH}/${entitySetId}?${TYPE_PATH}=${updateType}`, entityData)
+  const sendRequest = bindToClientContext(() => getApiAxiosInstance(DATA_API)
+    .put(`/${SET_PATH}/${entitySetId}?${TYPE_PATH}=${updateType}`, entityData, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
-    });
+    }));
+
+  if (options && options.validate) {
+    return validateAgainstSchema(entitySetId, entityData, 'entityData', options).then(sendRequest);
+  }
+
+  return sendRequest();
 }
 
 /**
@@ -706,6 +789,7 @@ function updateEntityData(
  * @static
  * @memberof lattice.DATA_API
  * @param {Object} binaryObjectRequest
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves the same request structure, with the
  * content disposition field replaced by a presigned URL for the requested binary object, with the
  * specified content disposition
@@ -728,18 +812,19 @@ function updateEntityData(
  */
 
 function getBinaryProperties(
-  binaryObjectRequest :Object
+  binaryObjectRequest :Object,
+  options ?:RequestOptions,
 ) :Promise<Object> {
 
   let errorMsg = '';
   if (!isNonEmptyObject(binaryObjectRequest)) {
     errorMsg = 'invalid parameter: "binaryObjectRequest" must be a non-empty object';
     LOG.error(errorMsg, binaryObjectRequest);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'binaryObjectRequest', binaryObjectRequest));
   }
 
   return getApiAxiosInstance(DATA_API)
-    .post(`/${BINARY_PATH}`, binaryObjectRequest)
+    .post(`/${BINARY_PATH}`, binaryObjectRequest, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -747,7 +832,227 @@ function getBinaryProperties(
     });
 }
 
+/**
+ * Checks the given entity data against the EntityType and PropertyTypes of the entity set, without sending it. Every
+ * value is checked against the "datatype" and "enumValues" of its PropertyType, and a PropertyType that is not
+ * "multiValued" must have at most one value. The EntityType and PropertyTypes are loaded via EntitySetsApi and
+ * EntityDataModelApi, and are cached if caching has been enabled via the "cache" configuration option.
+ *
+ * @static
+ * @memberof lattice.DataApi
+ * @param {UUID} entitySetId
+ * @param {Object[] | Object} entityData - a list of entities, or entities keyed by entity key id
+ * @param {RequestOptions} options
+ * @returns {Promise<void>} - a Promise that resolves if the entity data matches the schema, or rejects with a
+ *   LatticeSchemaValidationError, whose "report" lists every problem, keyed by entity index or entity key id, and then
+ *   by property type id
+ *
+ * @example
+ * DataApi.validateEntityData(
+ *   "ec6865e6-e60e-424b-a071-6a9c1603d735",
+ *   [{ "0c8be4b7-0bd5-4dd1-a623-da78871c9d0e": ["value_1"] }]
+ * );
+ */
+function validateEntityData(
+  entitySetId :UUID,
+  entityData :Object[] | Object,
+  options ?:RequestOptions,
+) :Promise<void> {
+
+  let errorMsg = '';
+
+  if (!isValidUUID(entitySetId)) {
+    errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
+    LOG.error(errorMsg, entitySetId);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
+  }
+
+  const isEntityList = Array.isArray(entityData);
+  const entities = isEntityList ? entityData : Object.values(entityData || {});
+  if ((!isEntityList && !isNonEmptyObject(entityData)) || !isValidMultimapArray(entities, isValidUUID)) {
+    errorMsg = 'invalid parameter: "entityData" must be a non-empty multimap array, or an object of multimaps';
+    LOG.error(errorMsg, entityData);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityData', entityData));
+  }
+
+  return validateAgainstSchema(entitySetId, entityData, 'entityData', options);
+}
+
+function getBulkWriteFailures(chunkResults :ChunkResult<any>[]) :BulkWriteFailure[] {
+
+  return chunkResults
+    .filter((chunkResult) => chunkResult.error !== undefined)
+    .map(({ end, error, start }) => ({ end, error, start }));
+}
+
+/*
+ * validates the bulk write options, and splits them into the options for runInChunks() and the request options that
+ * are passed on to each request. returns an error message instead if the options are invalid.
+ */
+function getBulkOptions(bulkWriteOptions :?BulkWriteOptions) :Object {
+
+  const {
+    chunkSize = DEFAULT_BULK_CHUNK_SIZE,
+    concurrency = 1,
+    onProgress,
+    ...requestOptions
+  } = bulkWriteOptions || {};
+
+  if (!isPositiveInteger(chunkSize)) {
+    return { errorMsg: 'invalid parameter: "chunkSize" must be a positive integer', parameter: 'chunkSize' };
+  }
+
+  if (!isPositiveInteger(concurrency)) {
+    return { errorMsg: 'invalid parameter: "concurrency" must be a positive integer', parameter: 'concurrency' };
+  }
+
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    return { errorMsg: 'invalid parameter: "onProgress" must be a function', parameter: 'onProgress' };
+  }
+
+  return {
+    bulkOptions: { chunkSize, concurrency, onProgress },
+    requestOptions,
+  };
+}
+
+/**
+ * Creates associations (edges) from the given data by splitting them into chunks, each of which is sent as a separate
+ * `POST /data/association` request. A failed chunk does not stop the remaining chunks.
+ *
+ * @static
+ * @memberof lattice.DataApi
+ * @param {Object} associations
+ * @param {Object} bulkWriteOptions - any of the request options, in addition to the options below (optional)
+ * @param {number} bulkWriteOptions.chunkSize - the maximum number of associations per request (default 1000)
+ * @param {number} bulkWriteOptions.concurrency - the maximum number of requests to send in parallel (default 1)
+ * @param {Function} bulkWriteOptions.onProgress - called with the number of completed, failed, and total associations
+ *   after each chunk (optional)
+ * @returns {Promise<Object>} - a Promise that resolves with the count of associations that were created, and the
+ *   failed chunks. the indices of a failed chunk count the associations of each entity set in the order of the keys of
+ *   the given object.
+ *
+ * @example
+ * DataApi.bulkCreateAssociations(
+ *   {
+ *     "a680a1d8-73fb-423c-abd2-fd71965693d2": [{ "data": {...}, "dst": {...}, "src": {...} }, ...]
+ *   },
+ *   { chunkSize: 500, concurrency: 2, onProgress: ({ completed, total }) => {} }
+ * );
+ */
+function bulkCreateAssociations(
+  associations :Object,
+  bulkWriteOptions ?:BulkWriteOptions,
+) :Promise<{| count :number; failures :BulkWriteFailure[] |}> {
+
+  let errorMsg = '';
+
+  if (!isNonEmptyObject(associations)) {
+    errorMsg = 'invalid parameter: "associations" must be a non-empty object';
+    LOG.error(errorMsg, associations);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associations', associations));
+  }
+
+  const flattened :Array<[UUID, Object]> = [];
+  const entitySetIds = Object.keys(associations);
+  for (let i = 0; i < entitySetIds.length; i += 1) {
+    const entitySetId = entitySetIds[i];
+    const edges = associations[entitySetId];
+    if (!isValidUUID(entitySetId) || !Array.isArray(edges) || !edges.every(isValidDataEdge)) {
+      errorMsg = 'invalid parameter: "associations" must map entity set ids to arrays of valid DataEdges';
+      LOG.error(errorMsg, associations);
+      return Promise.reject(new LatticeValidationError(errorMsg, 'associations', associations));
+    }
+    edges.forEach((edge) => flattened.push([entitySetId, edge]));
+  }
+
+  const { bulkOptions, requestOptions, ...invalid } = getBulkOptions(bulkWriteOptions);
+  if (invalid.errorMsg) {
+    LOG.error(invalid.errorMsg, bulkWriteOptions);
+    return Promise.reject(new LatticeValidationError(invalid.errorMsg, invalid.parameter, bulkWriteOptions));
+  }
+
+  const create = bindToClientContext(createAssociations);
+  const createChunk = (chunk :Array<[UUID, Object]>) => {
+    const chunkAssociations = {};
+    chunk.forEach(([entitySetId, edge]) => {
+      chunkAssociations[entitySetId] = chunkAssociations[entitySetId] || [];
+      chunkAssociations[entitySetId].push(edge);
+    });
+    return create(chunkAssociations, requestOptions);
+  };
+
+  return runInChunks(flattened, createChunk, bulkOptions)
+    .then((chunkResults) => ({
+      count: chunkResults.reduce((count, { result }) => count + (Number.isFinite(result) ? (result :any) : 0), 0),
+      failures: getBulkWriteFailures(chunkResults),
+    }));
+}
+
+/**
+ * Creates or updates entities for the given entity data by splitting them into chunks, each of which is sent as a
+ * separate `POST /data/set/?setId={entitySetId}` request. A failed chunk does not stop the remaining chunks.
+ *
+ * @static
+ * @memberof lattice.DataApi
+ * @param {UUID} entitySetId
+ * @param {Object[]} entities
+ * @param {Object} bulkWriteOptions - any of the request options, in addition to the options below (optional)
+ * @param {number} bulkWriteOptions.chunkSize - the maximum number of entities per request (default 1000)
+ * @param {number} bulkWriteOptions.concurrency - the maximum number of requests to send in parallel (default 1)
+ * @param {Function} bulkWriteOptions.onProgress - called with the number of completed, failed, and total entities
+ *   after each chunk (optional)
+ * @returns {Promise<Object>} - a Promise that resolves with the entity key ids, in the same order as the given
+ *   entities, and the failed chunks. the entity key ids of the entities in a failed chunk are null.
+ *
+ * @example
+ * DataApi.bulkCreateOrMergeEntityData(
+ *   "ec6865e6-e60e-424b-a071-6a9c1603d735",
+ *   [{ "0c8be4b7-0bd5-4dd1-a623-da78871c9d0e": ["value_1"] }, ...],
+ *   { chunkSize: 500, concurrency: 2, onProgress: ({ completed, total }) => {} }
+ * );
+ */
+function bulkCreateOrMergeEntityData(
+  entitySetId :UUID,
+  entities :Object[],
+  bulkWriteOptions ?:BulkWriteOptions,
+) :Promise<{| entityKeyIds :Array<?UUID>; failures :BulkWriteFailure[] |}> {
+
+  let errorMsg = '';
+
+  if (!isValidUUID(entitySetId)) {
+    errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
+    LOG.error(errorMsg, entitySetId);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
+  }
+
+  if (!isValidMultimapArray(entities, isValidUUID)) {
+    errorMsg = 'invalid parameter: entities must be a non-empty multimap array';
+    LOG.error(errorMsg, entities);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entities', entities));
+  }
+
+  const { bulkOptions, requestOptions, ...invalid } = getBulkOptions(bulkWriteOptions);
+  if (invalid.errorMsg) {
+    LOG.error(invalid.errorMsg, bulkWriteOptions);
+    return Promise.reject(new LatticeValidationError(invalid.errorMsg, invalid.parameter, bulkWriteOptions));
+  }
+
+  const createOrMerge = bindToClientContext(createOrMergeEntityData);
+  const createOrMergeChunk = (chunk :Object[]) => createOrMerge(entitySetId, chunk, requestOptions);
+
+  return runInChunks(entities, createOrMergeChunk, bulkOptions)
+    .then((chunkResults) => ({
+      entityKeyIds: chunkResults.reduce((entityKeyIds, { end, result, start }) => entityKeyIds.concat(
+        Array.isArray(result) ? result : new Array(end - start).fill(null)
+      ), []),
+      failures: getBulkWriteFailures(chunkResults),
+    }));
+}
+
 export {
+  bulkCreateAssociations,
+  bulkCreateOrMergeEntityData,
   createAssociations,
   createEntityAndAssociationData,
   createOrMergeEntityData,
@@ -760,4 +1065,5 @@ export {
   getEntitySetSize,
   getLinkedEntitySetBreakdown,
   updateEntityData,
+  validateEntityData,
 };
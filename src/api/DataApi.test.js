@@ -1,7 +1,8 @@
 import * as DataApi from './DataApi';
 
 import * as AxiosUtils from '../utils/axios';
-import { DATA_API } from '../constants/ApiNames';
+import { LatticeSchemaValidationError, LatticeValidationError } from '../errors';
+import { DATA_API, EDM_API, ENTITY_SETS_API } from '../constants/ApiNames';
 import {
   ALL_PATH,
   ASSOCIATION_PATH,
@@ -16,7 +17,7 @@ import {
 } from '../constants/UrlConstants';
 import { DeleteTypes, UpdateTypes } from '../constants/types';
 import { runTestSuite } from '../utils/testing/APITestSuite';
-import { DATA_GRAPH_MOCK } from '../utils/testing/MockData';
+import { DATA_GRAPH_MOCK, ENTITY_NEIGHBORS_FILTER_MOCK } from '../utils/testing/MockData';
 import { genRandomUUID, getMockAxiosInstance } from '../utils/testing/MockUtils';
 
 const MOCK_ESID = '308ad50c-ccc7-4971-ae1b-d20f74175cad';
@@ -106,6 +107,21 @@ describe(DATA_API, () => {
             valid: [MOCK_ESID, { entityKeyIds: [MOCK_EKID_1] }, DeleteTypes.SOFT],
           },
         },
+        '(entitySetId, EntityNeighborsFilter, DeleteType=HARD)': {
+          method: 'post',
+          params: {
+            axios: [
+              `/${SET_PATH}/${MOCK_ESID}/${NEIGHBORS_PATH}?${TYPE_PATH}=${DeleteTypes.HARD}`,
+              // the edge entity sets of the filter are not sent
+              {
+                dst: ENTITY_NEIGHBORS_FILTER_MOCK.destinationEntitySetIds,
+                entityKeyIds: ENTITY_NEIGHBORS_FILTER_MOCK.entityKeyIds,
+                src: ENTITY_NEIGHBORS_FILTER_MOCK.sourceEntitySetIds,
+              },
+            ],
+            valid: [MOCK_ESID, ENTITY_NEIGHBORS_FILTER_MOCK, DeleteTypes.HARD],
+          },
+        },
         '(entitySetId, filter, DeleteType=HARD)': {
           method: 'post',
           params: {
@@ -335,4 +351,421 @@ describe(DATA_API, () => {
     },
   );
 
+  describe('bulkCreateOrMergeEntityData()', () => {
+
+    const MOCK_ENTITIES = Array.from({ length: 7 }, () => ({ [MOCK_PTID_1]: [genRandomUUID()] }));
+
+    // responds to each chunk with one entity key id per entity, derived from the entity
+    const mockCreateOrMergeResponses = () => {
+      const mockAxiosInstance = getMockAxiosInstance();
+      mockAxiosInstance.post.mockImplementation((url, entities) => Promise.resolve({
+        data: entities.map((entity) => entity[MOCK_PTID_1][0]),
+      }));
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => mockAxiosInstance);
+      return mockAxiosInstance.post;
+    };
+
+    const toEntityKeyIds = (entities) => entities.map((entity) => entity[MOCK_PTID_1][0]);
+
+    afterEach(() => {
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+    test('should split the entities into chunks, and resolve with the entity key ids in order', async () => {
+
+      const post = mockCreateOrMergeResponses();
+      const result = await DataApi.bulkCreateOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES, { chunkSize: 3 });
+
+      expect(result).toEqual({ entityKeyIds: toEntityKeyIds(MOCK_ENTITIES), failures: [] });
+      expect(post).toHaveBeenCalledTimes(3);
+      expect(post.mock.calls.map(([url, entities]) => [url, entities])).toEqual([
+        [`/${SET_PATH}/?${SET_ID}=${MOCK_ESID}`, MOCK_ENTITIES.slice(0, 3)],
+        [`/${SET_PATH}/?${SET_ID}=${MOCK_ESID}`, MOCK_ENTITIES.slice(3, 6)],
+        [`/${SET_PATH}/?${SET_ID}=${MOCK_ESID}`, MOCK_ENTITIES.slice(6, 7)],
+      ]);
+    });
+
+    test('should keep the entity key ids in order when the chunks resolve out of order', async () => {
+
+      const post = mockCreateOrMergeResponses();
+      post.mockImplementationOnce((url, entities) => new Promise((resolve) => {
+        setTimeout(() => resolve({ data: toEntityKeyIds(entities) }), 10);
+      }));
+
+      const result = await DataApi.bulkCreateOrMergeEntityData(
+        MOCK_ESID,
+        MOCK_ENTITIES,
+        { chunkSize: 2, concurrency: 3 },
+      );
+
+      expect(result.entityKeyIds).toEqual(toEntityKeyIds(MOCK_ENTITIES));
+    });
+
+    test('should not send more requests in parallel than the given concurrency', async () => {
+
+      let pending = 0;
+      let maxPending = 0;
+      const post = mockCreateOrMergeResponses();
+      post.mockImplementation((url, entities) => {
+        pending += 1;
+        maxPending = Math.max(maxPending, pending);
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            pending -= 1;
+            resolve({ data: toEntityKeyIds(entities) });
+          }, 1);
+        });
+      });
+
+      await DataApi.bulkCreateOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES, { chunkSize: 1, concurrency: 2 });
+
+      expect(post).toHaveBeenCalledTimes(7);
+      expect(maxPending).toEqual(2);
+    });
+
+    test('should report progress after each chunk', async () => {
+
+      const onProgress = jest.fn();
+      const post = mockCreateOrMergeResponses();
+      post.mockImplementationOnce(() => Promise.reject(new Error('failure')));
+
+      await DataApi.bulkCreateOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES, { chunkSize: 3, onProgress });
+
+      expect(onProgress.mock.calls).toEqual([
+        [{ completed: 0, failed: 3, total: 7 }],
+        [{ completed: 3, failed: 3, total: 7 }],
+        [{ completed: 4, failed: 3, total: 7 }],
+      ]);
+    });
+
+    test('should collect failed chunks, and continue with the remaining chunks', async () => {
+
+      const error = new Error('failure');
+      const post = mockCreateOrMergeResponses();
+      post
+        .mockImplementationOnce((url, entities) => Promise.resolve({ data: toEntityKeyIds(entities) }))
+        .mockImplementationOnce(() => Promise.reject(error));
+
+      const result = await DataApi.bulkCreateOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES, { chunkSize: 3 });
+
+      expect(post).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({
+        entityKeyIds: [
+          ...toEntityKeyIds(MOCK_ENTITIES.slice(0, 3)),
+          null,
+          null,
+          null,
+          ...toEntityKeyIds(MOCK_ENTITIES.slice(6, 7)),
+        ],
+        failures: [{ end: 6, error, start: 3 }],
+      });
+    });
+
+    test('should pass the request options on to every request', async () => {
+
+      const post = mockCreateOrMergeResponses();
+      await DataApi.bulkCreateOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES, { chunkSize: 5, timeout: 1000 });
+
+      expect(post).toHaveBeenCalledTimes(2);
+      post.mock.calls.forEach(([, , requestConfig]) => {
+        expect(requestConfig).toEqual({ timeout: 1000 });
+      });
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const post = mockCreateOrMergeResponses();
+      const invalid = [
+        [undefined, MOCK_ENTITIES],
+        ['invalid_uuid', MOCK_ENTITIES],
+        [MOCK_ESID, undefined],
+        [MOCK_ESID, []],
+        [MOCK_ESID, [{ invalid_uuid: ['value'] }]],
+        [MOCK_ESID, MOCK_ENTITIES, { chunkSize: 0 }],
+        [MOCK_ESID, MOCK_ENTITIES, { concurrency: 1.5 }],
+        [MOCK_ESID, MOCK_ENTITIES, { onProgress: 'invalid' }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(DataApi.bulkCreateOrMergeEntityData(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(post).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('deleteEntityAndNeighborData()', () => {
+
+    afterEach(() => {
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+    test('should send only the entity key ids and the source and destination entity sets', async () => {
+
+      const mockAxiosInstance = getMockAxiosInstance();
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => mockAxiosInstance);
+
+      const filter = {
+        destinationEntitySetIds: [genRandomUUID()],
+        edgeEntitySetIds: [genRandomUUID()],
+        entityKeyIds: [MOCK_EKID_1, MOCK_EKID_2],
+        sourceEntitySetIds: [genRandomUUID()],
+      };
+      await DataApi.deleteEntityAndNeighborData(MOCK_ESID, filter, DeleteTypes.HARD);
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith(
+        `/${SET_PATH}/${MOCK_ESID}/${NEIGHBORS_PATH}?${TYPE_PATH}=${DeleteTypes.HARD}`,
+        {
+          dst: filter.destinationEntitySetIds,
+          entityKeyIds: [MOCK_EKID_1, MOCK_EKID_2],
+          src: filter.sourceEntitySetIds,
+        },
+        {},
+      );
+    });
+
+  });
+
+  describe('createAssociations()', () => {
+
+    test('should reject with a LatticeValidationError when given an invalid DataEdge', async () => {
+
+      const [entitySetId] = Object.keys(MOCK_DATA_EDGE);
+      const [edge] = MOCK_DATA_EDGE[entitySetId];
+      const invalid = [
+        { [entitySetId]: [{ ...edge, src: undefined }] },
+        { [entitySetId]: [{ ...edge, dst: { entitySetId: edge.dst.entitySetId } }] },
+        { [entitySetId]: [{ ...edge, data: { invalid_uuid: ['value'] } }] },
+        { [entitySetId]: [edge, 'invalid'] },
+        { [entitySetId]: edge },
+      ];
+
+      await Promise.all(invalid.map(async (associations) => {
+        await expect(DataApi.createAssociations(associations)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+    });
+
+  });
+
+  describe('bulkCreateAssociations()', () => {
+
+    const MOCK_ESID_1 = genRandomUUID();
+    const MOCK_ESID_2 = genRandomUUID();
+    const genMockEdge = () => ({
+      data: { [MOCK_PTID_1]: [genRandomUUID()] },
+      dst: { entitySetId: genRandomUUID(), entityKeyId: genRandomUUID() },
+      src: { entitySetId: genRandomUUID(), entityKeyId: genRandomUUID() },
+    });
+    const MOCK_EDGES_1 = [genMockEdge(), genMockEdge(), genMockEdge()];
+    const MOCK_EDGES_2 = [genMockEdge(), genMockEdge()];
+    const MOCK_ASSOCIATIONS = { [MOCK_ESID_1]: MOCK_EDGES_1, [MOCK_ESID_2]: MOCK_EDGES_2 };
+
+    // responds to each chunk with the count of associations in the chunk
+    const mockCreateAssociationsResponses = () => {
+      const mockAxiosInstance = getMockAxiosInstance();
+      mockAxiosInstance.post.mockImplementation((url, associations) => Promise.resolve({
+        data: Object.values(associations).reduce((count, edges) => count + edges.length, 0),
+      }));
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => mockAxiosInstance);
+      return mockAxiosInstance.post;
+    };
+
+    afterEach(() => {
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+    test('should split the associations into chunks, and resolve with the total count', async () => {
+
+      const post = mockCreateAssociationsResponses();
+      const result = await DataApi.bulkCreateAssociations(MOCK_ASSOCIATIONS, { chunkSize: 2 });
+
+      expect(result).toEqual({ count: 5, failures: [] });
+      expect(post.mock.calls.map(([url, associations]) => [url, associations])).toEqual([
+        [`/${ASSOCIATION_PATH}`, { [MOCK_ESID_1]: MOCK_EDGES_1.slice(0, 2) }],
+        [`/${ASSOCIATION_PATH}`, { [MOCK_ESID_1]: MOCK_EDGES_1.slice(2, 3), [MOCK_ESID_2]: MOCK_EDGES_2.slice(0, 1) }],
+        [`/${ASSOCIATION_PATH}`, { [MOCK_ESID_2]: MOCK_EDGES_2.slice(1, 2) }],
+      ]);
+    });
+
+    test('should collect failed chunks, and report progress', async () => {
+
+      const error = new Error('failure');
+      const onProgress = jest.fn();
+      const post = mockCreateAssociationsResponses();
+      post.mockImplementationOnce(() => Promise.reject(error));
+
+      const result = await DataApi.bulkCreateAssociations(MOCK_ASSOCIATIONS, { chunkSize: 3, onProgress });
+
+      expect(result).toEqual({ count: 2, failures: [{ end: 3, error, start: 0 }] });
+      expect(onProgress.mock.calls).toEqual([
+        [{ completed: 0, failed: 3, total: 5 }],
+        [{ completed: 2, failed: 3, total: 5 }],
+      ]);
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const post = mockCreateAssociationsResponses();
+      const invalid = [
+        [undefined],
+        [{}],
+        [{ invalid_uuid: MOCK_EDGES_1 }],
+        [{ [MOCK_ESID_1]: MOCK_EDGES_1[0] }],
+        [{ [MOCK_ESID_1]: [{ ...MOCK_EDGES_1[0], dst: { entitySetId: MOCK_ESID_2 } }] }],
+        [MOCK_ASSOCIATIONS, { chunkSize: -1 }],
+        [MOCK_ASSOCIATIONS, { concurrency: 0 }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(DataApi.bulkCreateAssociations(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(post).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('validateEntityData()', () => {
+
+    const MOCK_ETID = genRandomUUID();
+    const MOCK_PTID_INT = genRandomUUID();
+    const MOCK_PTID_ENUM = genRandomUUID();
+    const MOCK_PTID_OTHER = genRandomUUID();
+
+    const MOCK_PROPERTY_TYPES = [
+      { datatype: 'Edm.Int32', id: MOCK_PTID_INT, multiValued: false },
+      { datatype: 'String', enumValues: ['A', 'B'], id: MOCK_PTID_ENUM },
+      { datatype: 'String', id: MOCK_PTID_OTHER },
+    ];
+
+    // responds with an entity set whose entity type has every property type, except MOCK_PTID_OTHER
+    const mockSchemaResponses = () => {
+      const mockAxiosInstances = {
+        [DATA_API]: getMockAxiosInstance(),
+        [EDM_API]: getMockAxiosInstance(),
+        [ENTITY_SETS_API]: getMockAxiosInstance(),
+      };
+      mockAxiosInstances[ENTITY_SETS_API].get.mockImplementation(() => Promise.resolve({
+        data: { entityTypeId: MOCK_ETID, id: MOCK_ESID },
+      }));
+      mockAxiosInstances[EDM_API].get.mockImplementation((url) => Promise.resolve({
+        data: url.includes(MOCK_ETID)
+          ? { id: MOCK_ETID, properties: [MOCK_PTID_INT, MOCK_PTID_ENUM] }
+          : MOCK_PROPERTY_TYPES,
+      }));
+      AxiosUtils.getApiAxiosInstance.mockImplementation((apiName) => mockAxiosInstances[apiName]);
+      return mockAxiosInstances;
+    };
+
+    afterEach(() => {
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+    test('should resolve if the entity data matches the schema', async () => {
+
+      mockSchemaResponses();
+      await expect(DataApi.validateEntityData(MOCK_ESID, [
+        { [MOCK_PTID_INT]: [42], [MOCK_PTID_ENUM]: ['A', 'B'] },
+      ])).resolves.toBeUndefined();
+      await expect(DataApi.validateEntityData(MOCK_ESID, {
+        [MOCK_EKID_1]: { [MOCK_PTID_INT]: [] },
+      })).resolves.toBeUndefined();
+    });
+
+    test('should reject with a report of every problem, by entity and property', async () => {
+
+      mockSchemaResponses();
+      const entities = [
+        { [MOCK_PTID_INT]: [1] },
+        { [MOCK_PTID_INT]: ['42', 1], [MOCK_PTID_ENUM]: ['C'], [MOCK_PTID_OTHER]: ['value'] },
+      ];
+
+      const error = await DataApi.validateEntityData(MOCK_ESID, entities).catch((e) => e);
+      expect(error).toBeInstanceOf(LatticeSchemaValidationError);
+      expect(error.parameter).toEqual('entityData');
+      expect(error.report).toEqual({
+        1: {
+          [MOCK_PTID_ENUM]: ['expected one of A, B, got "C"'],
+          [MOCK_PTID_INT]: ['expected at most one value, got 2', 'expected a value of type Int32, got "42"'],
+          [MOCK_PTID_OTHER]: ['the property type is not a property of the entity type'],
+        },
+      });
+    });
+
+    test('should key the report by entity key id', async () => {
+
+      mockSchemaResponses();
+      const error = await DataApi.validateEntityData(MOCK_ESID, {
+        [MOCK_EKID_1]: { [MOCK_PTID_INT]: [1] },
+        [MOCK_EKID_2]: { [MOCK_PTID_INT]: [1.5] },
+      }).catch((e) => e);
+      expect(error.report).toEqual({ [MOCK_EKID_2]: { [MOCK_PTID_INT]: ['expected a value of type Int32, got 1.5'] } });
+    });
+
+    test('should pass the request options on to the EDM requests', async () => {
+
+      const mockAxiosInstances = mockSchemaResponses();
+      await DataApi.validateEntityData(MOCK_ESID, [{ [MOCK_PTID_INT]: [1] }], { timeout: 1000 });
+      expect(mockAxiosInstances[ENTITY_SETS_API].get).toHaveBeenCalledWith(expect.any(String), { timeout: 1000 });
+      expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(2);
+      mockAxiosInstances[EDM_API].get.mock.calls.forEach(([, requestConfig]) => {
+        expect(requestConfig).toEqual({ timeout: 1000 });
+      });
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const { [ENTITY_SETS_API]: { get } } = mockSchemaResponses();
+      const invalid = [
+        [undefined, [{ [MOCK_PTID_INT]: [1] }]],
+        [MOCK_ESID, undefined],
+        [MOCK_ESID, []],
+        [MOCK_ESID, {}],
+        [MOCK_ESID, [{ invalid_uuid: [1] }]],
+        [MOCK_ESID, { [MOCK_EKID_1]: 'invalid' }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(DataApi.validateEntityData(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    describe('"validate" option', () => {
+
+      test('should not send the write if the entity data does not match the schema', async () => {
+
+        const { [DATA_API]: { post, put } } = mockSchemaResponses();
+        const entities = [{ [MOCK_PTID_INT]: ['42'] }];
+
+        await expect(DataApi.createOrMergeEntityData(MOCK_ESID, entities, { validate: true }))
+          .rejects.toBeInstanceOf(LatticeSchemaValidationError);
+        await expect(DataApi.updateEntityData(MOCK_ESID, { [MOCK_EKID_1]: entities[0] }, undefined, { validate: true }))
+          .rejects.toHaveProperty('parameter', 'entityData');
+        expect(post).not.toHaveBeenCalled();
+        expect(put).not.toHaveBeenCalled();
+      });
+
+      test('should send the write if the entity data matches the schema', async () => {
+
+        const mockAxiosInstances = mockSchemaResponses();
+        const { post, put } = mockAxiosInstances[DATA_API];
+        const entities = [{ [MOCK_PTID_INT]: [42] }];
+
+        await DataApi.createOrMergeEntityData(MOCK_ESID, entities, { validate: true });
+        await DataApi.updateEntityData(MOCK_ESID, { [MOCK_EKID_1]: entities[0] }, undefined, { validate: true });
+        expect(post).toHaveBeenCalledWith(`/${SET_PATH}/?${SET_ID}=${MOCK_ESID}`, entities, {});
+        expect(put).toHaveBeenCalledTimes(1);
+      });
+
+      test('should not load the schema unless asked to', async () => {
+
+        const mockAxiosInstances = mockSchemaResponses();
+        await DataApi.createOrMergeEntityData(MOCK_ESID, [{ [MOCK_PTID_INT]: ['42'] }]);
+        expect(mockAxiosInstances[ENTITY_SETS_API].get).not.toHaveBeenCalled();
+        expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledTimes(1);
+      });
+
+    });
+
+  });
+
 });
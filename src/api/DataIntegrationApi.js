@@ -18,7 +18,9 @@
  * // DataIntegrationApi.get...
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { DATA_INTEGRATION_API } from '../constants/ApiNames';
 import { ENTITY_KEY_IDS_PATH } from '../constants/UrlConstants';
 import {
@@ -29,7 +31,7 @@ import {
 } from '../utils/LangUtils';
 import { isValidUUID } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { EntityKey, UUID } from '../types';
+import type { EntityKey, RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('DataIntegrationApi');
 
@@ -39,6 +41,7 @@ const LOG = new Logger('DataIntegrationApi');
  * @static
  * @memberof lattice.DataIntegrationApi
  * @param {Object} entityKeys
+ * @param {RequestOptions} options
  * @returns {Promise<UUID[]>} - a Promise that resolves with a set of the entity key ids
  *
  * @example
@@ -48,7 +51,7 @@ const LOG = new Logger('DataIntegrationApi');
  *
  * DataIntegrationApi.getEntityKeyIds([entityKey_1, entityKey_2, ...]);
  */
-function getEntityKeyIds(entityKeys :EntityKey[]) :Promise<UUID[]> {
+function getEntityKeyIds(entityKeys :EntityKey[], options ?:RequestOptions) :Promise<UUID[]> {
 
   let errorMsg = '';
 
@@ -74,11 +77,11 @@ function getEntityKeyIds(entityKeys :EntityKey[]) :Promise<UUID[]> {
 
   if (errorMsg) {
     LOG.error(errorMsg);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityKeys', entityKeys));
   }
 
   return getApiAxiosInstance(DATA_INTEGRATION_API)
-    .post(`/${ENTITY_KEY_IDS_PATH}`, entityKeys)
+    .post(`/${ENTITY_KEY_IDS_PATH}`, entityKeys, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
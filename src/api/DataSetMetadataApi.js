@@ -17,7 +17,9 @@
  * // DataSetMetadataApi.get...
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { DATA_SET_METADATA_API } from '../constants/ApiNames';
 import {
   COLUMNS_PATH,
@@ -28,7 +30,7 @@ import {
 import { isNonEmptyArray, isNonEmptyObject } from '../utils/LangUtils';
 import { isValidUUID } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('DataSetMetadataApi');
 
@@ -66,23 +68,24 @@ type DataSetColumnMetadata = {
  * @static
  * @memberof lattice.DataSetMetadataApi
  * @param {UUID} dataSetId
+ * @param {RequestOptions} options
  * @returns {Promise<DataSetMetadata>}
  *
  * @example
  * DataSetMetadataApi.getDataSetMetadata("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getDataSetMetadata(dataSetId :UUID) :Promise<DataSetMetadata> {
+function getDataSetMetadata(dataSetId :UUID, options ?:RequestOptions) :Promise<DataSetMetadata> {
 
   let errorMsg = '';
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .get(`/${DATA_SETS_PATH}/${dataSetId}`)
+    .get(`/${DATA_SETS_PATH}/${dataSetId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -98,29 +101,30 @@ function getDataSetMetadata(dataSetId :UUID) :Promise<DataSetMetadata> {
  * @static
  * @memberof lattice.DataSetMetadataApi
  * @param {UUID[]} dataSetIds
+ * @param {RequestOptions} options
  * @returns {Promise<Map<UUID, DataSetMetadata>>}
  *
  * @example
  * DataSetMetadataApi.getDataSetsMetadata(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  */
-function getDataSetsMetadata(dataSetIds :UUID[]) :Promise<Map<UUID, DataSetMetadata>> {
+function getDataSetsMetadata(dataSetIds :UUID[], options ?:RequestOptions) :Promise<Map<UUID, DataSetMetadata>> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(dataSetIds)) {
     errorMsg = 'invalid parameter: "dataSetIds" must be a non-empty array';
     LOG.error(errorMsg, dataSetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetIds', dataSetIds));
   }
 
   if (!dataSetIds.every(isValidUUID)) {
     errorMsg = 'invalid parameter: "dataSetIds" must be an array of valid UUIDs';
     LOG.error(errorMsg, dataSetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetIds', dataSetIds));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .post(`/${DATA_SETS_PATH}`, dataSetIds)
+    .post(`/${DATA_SETS_PATH}`, dataSetIds, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -137,6 +141,7 @@ function getDataSetsMetadata(dataSetIds :UUID[]) :Promise<Map<UUID, DataSetMetad
  * @memberof lattice.DataSetMetadataApi
  * @param {UUID} dataSetId
  * @param {UUID} columnId
+ * @param {RequestOptions} options
  * @returns {Promise<DataSetColumnMetadata>}
  *
  * @example
@@ -145,24 +150,28 @@ function getDataSetsMetadata(dataSetIds :UUID[]) :Promise<Map<UUID, DataSetMetad
  *   "fae6af98-2675-45bd-9a5b-1619a87235a8"
  * );
  */
-function getDataSetColumnMetadata(dataSetId :UUID, columnId :UUID) :Promise<DataSetColumnMetadata> {
+function getDataSetColumnMetadata(
+  dataSetId :UUID,
+  columnId :UUID,
+  options ?:RequestOptions,
+) :Promise<DataSetColumnMetadata> {
 
   let errorMsg = '';
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   if (!isValidUUID(columnId)) {
     errorMsg = 'invalid parameter: "columnId" must be a valid UUID';
     LOG.error(errorMsg, columnId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'columnId', columnId));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .get(`/${COLUMNS_PATH}/${dataSetId}/${columnId}`)
+    .get(`/${COLUMNS_PATH}/${dataSetId}/${columnId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -178,29 +187,33 @@ function getDataSetColumnMetadata(dataSetId :UUID, columnId :UUID) :Promise<Data
  * @static
  * @memberof lattice.DataSetMetadataApi
  * @param {UUID[]} dataSetIds
+ * @param {RequestOptions} options
  * @returns {Promise<Map<UUID, DataSetColumnMetadata[]>>}
  *
  * @example
  * DataSetMetadataApi.getDataSetColumnsMetadata(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  */
-function getDataSetColumnsMetadata(dataSetIds :UUID[]) :Promise<Map<UUID, DataSetColumnMetadata[]>> {
+function getDataSetColumnsMetadata(
+  dataSetIds :UUID[],
+  options ?:RequestOptions,
+) :Promise<Map<UUID, DataSetColumnMetadata[]>> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(dataSetIds)) {
     errorMsg = 'invalid parameter: "dataSetIds" must be a non-empty array';
     LOG.error(errorMsg, dataSetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetIds', dataSetIds));
   }
 
   if (!dataSetIds.every(isValidUUID)) {
     errorMsg = 'invalid parameter: "dataSetIds" must be an array of valid UUIDs';
     LOG.error(errorMsg, dataSetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetIds', dataSetIds));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .post(`/${COLUMNS_PATH}`, dataSetIds)
+    .post(`/${COLUMNS_PATH}`, dataSetIds, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -216,23 +229,27 @@ function getDataSetColumnsMetadata(dataSetIds :UUID[]) :Promise<Map<UUID, DataSe
  * @static
  * @memberof lattice.DataSetMetadataApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Map<UUID, DataSetMetadata>>}
  *
  * @example
  * DataSetMetadataApi.getOrganizationDataSetsMetadata(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  */
-function getOrganizationDataSetsMetadata(organizationId :UUID) :Promise<Map<UUID, DataSetMetadata>> {
+function getOrganizationDataSetsMetadata(
+  organizationId :UUID,
+  options ?:RequestOptions,
+) :Promise<Map<UUID, DataSetMetadata>> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .get(`/${DATA_SETS_PATH}/${ORGANIZATIONS_PATH}/${organizationId}`)
+    .get(`/${DATA_SETS_PATH}/${ORGANIZATIONS_PATH}/${organizationId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -249,6 +266,7 @@ function getOrganizationDataSetsMetadata(organizationId :UUID) :Promise<Map<UUID
  * @memberof lattice.DataSetMetadataApi
  * @param {UUID} dataSetId
  * @param {Object} metadata
+ * @param {RequestOptions} options
  * @returns {Promise<void>}
  *
  * @example
@@ -260,24 +278,24 @@ function getOrganizationDataSetsMetadata(organizationId :UUID) :Promise<Map<UUID
  *   }
  * );
  */
-function updateDataSetMetadata(dataSetId :UUID, metadata :Object) :Promise<void> {
+function updateDataSetMetadata(dataSetId :UUID, metadata :Object, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   if (!isNonEmptyObject(metadata)) {
     errorMsg = 'invalid parameter: "metadata" must be a non-empty object';
     LOG.error(errorMsg, metadata);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'metadata', metadata));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .patch(`/${UPDATE_PATH}/${dataSetId}`, metadata)
+    .patch(`/${UPDATE_PATH}/${dataSetId}`, metadata, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -295,6 +313,7 @@ function updateDataSetMetadata(dataSetId :UUID, metadata :Object) :Promise<void>
  * @param {UUID} dataSetId
  * @param {UUID} columnId
  * @param {Object} metadata
+ * @param {RequestOptions} options
  * @returns {Promise<void>}
  *
  * @example
@@ -307,30 +326,35 @@ function updateDataSetMetadata(dataSetId :UUID, metadata :Object) :Promise<void>
  *   }
  * );
  */
-function updateDataSetColumnMetadata(dataSetId :UUID, columnId :UUID, metadata :Object) :Promise<void> {
+function updateDataSetColumnMetadata(
+  dataSetId :UUID,
+  columnId :UUID,
+  metadata :Object,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   if (!isValidUUID(columnId)) {
     errorMsg = 'invalid parameter: "columnId" must be a valid UUID';
     LOG.error(errorMsg, columnId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'columnId', columnId));
   }
 
   if (!isNonEmptyObject(metadata)) {
     errorMsg = 'invalid parameter: "metadata" must be a non-empty object';
     LOG.error(errorMsg, metadata);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'metadata', metadata));
   }
 
   return getApiAxiosInstance(DATA_SET_METADATA_API)
-    .patch(`/${UPDATE_PATH}/${dataSetId}/${columnId}`, metadata)
+    .patch(`/${UPDATE_PATH}/${dataSetId}/${columnId}`, metadata, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -19,7 +19,9 @@
 
 import _isInteger from 'lodash/isInteger';
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { DATA_SETS_API } from '../constants/ApiNames';
 import {
   DATA_PATH,
@@ -29,7 +31,7 @@ import {
 } from '../constants/UrlConstants';
 import { isValidUUID } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('DataSetsApi');
 
@@ -42,27 +44,36 @@ const LOG = new Logger('DataSetsApi');
  * @param {UUID} organizationId
  * @param {UUID} dataSetId
  * @param {boolean} columns
+ * @param {RequestOptions} options
  * @returns {Promise<Object>}
  */
-function getOrganizationDataSet(organizationId :UUID, dataSetId :UUID, columns :?boolean = true) :Promise<Object> {
+function getOrganizationDataSet(
+  organizationId :UUID,
+  dataSetId :UUID,
+  columns :?boolean = true,
+  options ?:RequestOptions,
+) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   if (columns === true) {
     return getApiAxiosInstance(DATA_SETS_API)
-      .get(`/${organizationId}/${dataSetId}/${EXTERNAL_DB_TABLE_PATH}/${EXTERNAL_DB_COLUMN_PATH}`)
+      .get(
+        `/${organizationId}/${dataSetId}/${EXTERNAL_DB_TABLE_PATH}/${EXTERNAL_DB_COLUMN_PATH}`,
+        getRequestConfig(options),
+      )
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -72,7 +83,7 @@ function getOrganizationDataSet(organizationId :UUID, dataSetId :UUID, columns :
 
   if (columns === false) {
     return getApiAxiosInstance(DATA_SETS_API)
-      .get(`/${organizationId}/${dataSetId}/${EXTERNAL_DB_TABLE_PATH}`)
+      .get(`/${organizationId}/${dataSetId}/${EXTERNAL_DB_TABLE_PATH}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -82,7 +93,7 @@ function getOrganizationDataSet(organizationId :UUID, dataSetId :UUID, columns :
 
   errorMsg = 'invalid parameter: "columns" must be a boolean';
   LOG.error(errorMsg, columns);
-  return Promise.reject(errorMsg);
+  return Promise.reject(new LatticeValidationError(errorMsg, 'columns', columns));
 }
 
 /**
@@ -93,21 +104,26 @@ function getOrganizationDataSet(organizationId :UUID, dataSetId :UUID, columns :
  * @memberof lattice.DataSetsApi
  * @param {UUID} organizationId
  * @param {boolean} columns
+ * @param {RequestOptions} options
  * @returns {Promise<Object>}
  */
-function getOrganizationDataSets(organizationId :UUID, columns :?boolean = true) :Promise<Object> {
+function getOrganizationDataSets(
+  organizationId :UUID,
+  columns :?boolean = true,
+  options ?:RequestOptions,
+) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (columns === true) {
     return getApiAxiosInstance(DATA_SETS_API)
-      .get(`/${organizationId}/${EXTERNAL_DB_TABLE_PATH}/${EXTERNAL_DB_COLUMN_PATH}`)
+      .get(`/${organizationId}/${EXTERNAL_DB_TABLE_PATH}/${EXTERNAL_DB_COLUMN_PATH}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -117,7 +133,7 @@ function getOrganizationDataSets(organizationId :UUID, columns :?boolean = true)
 
   if (columns === false) {
     return getApiAxiosInstance(DATA_SETS_API)
-      .get(`/${organizationId}/${EXTERNAL_DB_TABLE_PATH}`)
+      .get(`/${organizationId}/${EXTERNAL_DB_TABLE_PATH}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -127,7 +143,7 @@ function getOrganizationDataSets(organizationId :UUID, columns :?boolean = true)
 
   errorMsg = 'invalid parameter: "columns" must be a boolean';
   LOG.error(errorMsg, columns);
-  return Promise.reject(errorMsg);
+  return Promise.reject(new LatticeValidationError(errorMsg, 'columns', columns));
 }
 
 /**
@@ -138,32 +154,38 @@ function getOrganizationDataSets(organizationId :UUID, columns :?boolean = true)
  * @param {UUID} organizationId
  * @param {UUID} dataSetId
  * @param {number} count
+ * @param {RequestOptions} options
  * @returns {Promise<Object>}
  */
-function getOrganizationDataSetData(organizationId :UUID, dataSetId :UUID, count :?number = 10) :Promise<Object> {
+function getOrganizationDataSetData(
+  organizationId :UUID,
+  dataSetId :UUID,
+  count :?number = 10,
+  options ?:RequestOptions,
+) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   if (!_isInteger(count) || count <= 0) {
     errorMsg = 'invalid parameter: "count" must be a positive integer';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'count', dataSetId));
   }
 
   return getApiAxiosInstance(DATA_SETS_API)
-    .get(`/${organizationId}/${dataSetId}/${count}/${DATA_PATH}`)
+    .get(`/${organizationId}/${dataSetId}/${count}/${DATA_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -178,26 +200,31 @@ function getOrganizationDataSetData(organizationId :UUID, dataSetId :UUID, count
  * @memberof lattice.DataSetsApi
  * @param {UUID} organizationId
  * @param {UUID} dataSetId
+ * @param {RequestOptions} options
  * @returns {Promise<string>}
  */
-function getOrganizationDataSetSchema(organizationId :UUID, dataSetId :UUID) :Promise<string> {
+function getOrganizationDataSetSchema(
+  organizationId :UUID,
+  dataSetId :UUID,
+  options ?:RequestOptions,
+) :Promise<string> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(dataSetId)) {
     errorMsg = 'invalid parameter: "dataSetId" must be a valid UUID';
     LOG.error(errorMsg, dataSetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSetId', dataSetId));
   }
 
   return getApiAxiosInstance(DATA_SETS_API)
-    .get(`/${organizationId}/${dataSetId}/${SCHEMA_PATH}`)
+    .get(`/${organizationId}/${dataSetId}/${SCHEMA_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -19,8 +19,11 @@
 
 import has from 'lodash/has';
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import FQN from '../models/FQN';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
+import { cacheResponse, getCacheKey, invalidateResponses } from '../cache/ResponseCacheUtils';
 import { EDM_API } from '../constants/ApiNames';
 import {
   ASSOCIATION_TYPE_PATH,
@@ -38,10 +41,14 @@ import { Schema, isValidSchema } from '../models/Schema';
 import { isNonEmptyObject, isNonEmptyString, isNonEmptyStringArray } from '../utils/LangUtils';
 import { isValidUUID, validateNonEmptyArray } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('EntityDataModelApi');
 
+// the cached EntityType definitions are nested under ENTITY_TYPES_CACHE_KEY, so invalidating it invalidates them all
+const ENTITY_TYPES_CACHE_KEY = getCacheKey(EDM_API, ENTITY_TYPE_PATH);
+const PROPERTY_TYPES_CACHE_KEY = getCacheKey(EDM_API, PROPERTY_TYPE_PATH);
+
 /**
  * `PUT /edm/association/type/{associationTypeId}/dst/{entityTypeId}`
  *
@@ -51,6 +58,7 @@ const LOG = new Logger('EntityDataModelApi');
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} associationTypeId
  * @param {UUID} entityTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -59,24 +67,32 @@ const LOG = new Logger('EntityDataModelApi');
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function addDestinationEntityTypeToAssociationType(associationTypeId :UUID, entityTypeId :UUID) :Promise<void> {
+function addDestinationEntityTypeToAssociationType(
+  associationTypeId :UUID,
+  entityTypeId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(associationTypeId)) {
     errorMsg = 'invalid parameter: associationTypeId must be a valid UUID';
     LOG.error(errorMsg, associationTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationTypeId', associationTypeId));
   }
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: entityTypeId must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .put(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${DST_PATH}/${entityTypeId}`)
+    .put(
+      `/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${DST_PATH}/${entityTypeId}`,
+      undefined,
+      getRequestConfig(options),
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -93,6 +109,7 @@ function addDestinationEntityTypeToAssociationType(associationTypeId :UUID, enti
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} entityTypeId
  * @param {UUID} propertyTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -101,29 +118,35 @@ function addDestinationEntityTypeToAssociationType(associationTypeId :UUID, enti
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function addPropertyTypeToEntityType(entityTypeId :UUID, propertyTypeId :UUID) :Promise<void> {
+function addPropertyTypeToEntityType(
+  entityTypeId :UUID,
+  propertyTypeId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: "entityTypeId" must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   if (!isValidUUID(propertyTypeId)) {
     errorMsg = 'invalid parameter: "propertyTypeId" must be a valid UUID';
     LOG.error(errorMsg, propertyTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeId', propertyTypeId));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .put(`/${ENTITY_TYPE_PATH}/${entityTypeId}/${propertyTypeId}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .put(`/${ENTITY_TYPE_PATH}/${entityTypeId}/${propertyTypeId}`, undefined, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -135,6 +158,7 @@ function addPropertyTypeToEntityType(entityTypeId :UUID, propertyTypeId :UUID) :
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} associationTypeId
  * @param {UUID} entityTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -143,24 +167,32 @@ function addPropertyTypeToEntityType(entityTypeId :UUID, propertyTypeId :UUID) :
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function addSourceEntityTypeToAssociationType(associationTypeId :UUID, entityTypeId :UUID) :Promise<void> {
+function addSourceEntityTypeToAssociationType(
+  associationTypeId :UUID,
+  entityTypeId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(associationTypeId)) {
     errorMsg = 'invalid parameter: associationTypeId must be a valid UUID';
     LOG.error(errorMsg, associationTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationTypeId', associationTypeId));
   }
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: entityTypeId must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .put(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${SRC_PATH}/${entityTypeId}`)
+    .put(
+      `/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${SRC_PATH}/${entityTypeId}`,
+      undefined,
+      getRequestConfig(options),
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -176,6 +208,7 @@ function addSourceEntityTypeToAssociationType(associationTypeId :UUID, entityTyp
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {AssociationType} associationType
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>} - a Promise that resolves with the newly-created AssociationType id
  *
  * @example
@@ -188,23 +221,25 @@ function addSourceEntityTypeToAssociationType(associationTypeId :UUID, entityTyp
  *   }
  * );
  */
-function createAssociationType(associationType :AssociationType) :Promise<UUID> {
+function createAssociationType(associationType :AssociationType, options ?:RequestOptions) :Promise<UUID> {
 
   let errorMsg = '';
 
   if (!isValidAssociationType(associationType)) {
     errorMsg = 'invalid parameter: "associationType" must be a valid AssociationType';
     LOG.error(errorMsg, associationType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationType', associationType));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .post(`/${ASSOCIATION_TYPE_PATH}`, associationType)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .post(`/${ASSOCIATION_TYPE_PATH}`, associationType, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -215,6 +250,7 @@ function createAssociationType(associationType :AssociationType) :Promise<UUID>
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {EntityType} entityType
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>} - a Promise that resolves with the newly-created EntityType id
  *
  * @example
@@ -241,23 +277,25 @@ function createAssociationType(associationType :AssociationType) :Promise<UUID>
  *   }
  * );
  */
-function createEntityType(entityType :EntityType) :Promise<UUID> {
+function createEntityType(entityType :EntityType, options ?:RequestOptions) :Promise<UUID> {
 
   let errorMsg = '';
 
   if (!isValidEntityType(entityType)) {
     errorMsg = 'invalid parameter: "entityType" must be a valid EntityType';
     LOG.error(errorMsg, entityType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityType', entityType));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .post(`/${ENTITY_TYPE_PATH}`, entityType)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .post(`/${ENTITY_TYPE_PATH}`, entityType, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -268,6 +306,7 @@ function createEntityType(entityType :EntityType) :Promise<UUID> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {PropertyType} propertyType
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>} - a Promise that resolves with the newly-created PropertyType id
  *
  * @example
@@ -286,23 +325,25 @@ function createEntityType(entityType :EntityType) :Promise<UUID> {
  *   }
  * );
  */
-function createPropertyType(propertyType :PropertyType) :Promise<UUID> {
+function createPropertyType(propertyType :PropertyType, options ?:RequestOptions) :Promise<UUID> {
 
   let errorMsg = '';
 
   if (!isValidPropertyType(propertyType)) {
     errorMsg = 'invalid parameter: "propertyType" must be a valid PropertyType';
     LOG.error(errorMsg, propertyType);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyType', propertyType));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .post(`/${PROPERTY_TYPE_PATH}`, propertyType)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .post(`/${PROPERTY_TYPE_PATH}`, propertyType, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([PROPERTY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -313,6 +354,7 @@ function createPropertyType(propertyType :PropertyType) :Promise<UUID> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {Schema} schema
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -324,23 +366,25 @@ function createPropertyType(propertyType :PropertyType) :Promise<UUID> {
  *   }
  * );
  */
-function createSchema(schema :Schema) :Promise<void> {
+function createSchema(schema :Schema, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidSchema(schema)) {
     errorMsg = 'invalid parameter: "schema" must be a valid Schema';
     LOG.error(errorMsg, schema);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'schema', schema));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .post(`/${SCHEMA_PATH}`, schema)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .post(`/${SCHEMA_PATH}`, schema, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY, PROPERTY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -351,12 +395,13 @@ function createSchema(schema :Schema) :Promise<void> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} associationTypeId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
  * EntityDataModelApi.deleteAssociationType("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function deleteAssociationType(associationTypeId :UUID) :Promise<*> {
+function deleteAssociationType(associationTypeId :UUID, options ?:RequestOptions) :Promise<*> {
 
   // TODO: everything
 
@@ -365,16 +410,18 @@ function deleteAssociationType(associationTypeId :UUID) :Promise<*> {
   if (!isValidUUID(associationTypeId)) {
     errorMsg = 'invalid parameter: "associationTypeId" must be a valid UUID';
     LOG.error(errorMsg, associationTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationTypeId', associationTypeId));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .delete(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .delete(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -385,28 +432,31 @@ function deleteAssociationType(associationTypeId :UUID) :Promise<*> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} entityTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
  * EntityDataModelApi.deleteEntityType("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function deleteEntityType(entityTypeId :UUID) :Promise<void> {
+function deleteEntityType(entityTypeId :UUID, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: "entityTypeId" must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .delete(`/${ENTITY_TYPE_PATH}/${entityTypeId}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .delete(`/${ENTITY_TYPE_PATH}/${entityTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -417,28 +467,31 @@ function deleteEntityType(entityTypeId :UUID) :Promise<void> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} propertyTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
  * EntityDataModelApi.deletePropertyType("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function deletePropertyType(propertyTypeId :UUID) :Promise<void> {
+function deletePropertyType(propertyTypeId :UUID, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(propertyTypeId)) {
     errorMsg = 'invalid parameter: "propertyTypeId" must be a valid UUID';
     LOG.error(errorMsg, propertyTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeId', propertyTypeId));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .delete(`/${PROPERTY_TYPE_PATH}/${propertyTypeId}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .delete(`/${PROPERTY_TYPE_PATH}/${propertyTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY, PROPERTY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -448,16 +501,17 @@ function deletePropertyType(propertyTypeId :UUID) :Promise<void> {
  *
  * @static
  * @memberof lattice.EntityDataModelApi
+ * @param {RequestOptions} options
  * @returns {Promise<EntityType[]>} - a Promise that resolves with the EntityType definitions
  * as its fulfillment value
  *
  * @example
  * EntityDataModelApi.getAllAssociationEntityTypes();
  */
-function getAllAssociationEntityTypes() :Promise<EntityType[]> {
+function getAllAssociationEntityTypes(options ?:RequestOptions) :Promise<EntityType[]> {
 
   return getApiAxiosInstance(EDM_API)
-    .get(`/${ASSOCIATION_TYPE_PATH}/${ENTITY_TYPE_PATH}`)
+    .get(`/${ASSOCIATION_TYPE_PATH}/${ENTITY_TYPE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -472,15 +526,16 @@ function getAllAssociationEntityTypes() :Promise<EntityType[]> {
  *
  * @static
  * @memberof lattice.EntityDataModelApi
+ * @param {RequestOptions} options
  * @returns {Promise<AssociationType[]>} - a Promise that resolves with the AssociationType definitions
  *
  * @example
  * EntityDataModelApi.getAllAssociationTypes();
  */
-function getAllAssociationTypes() :Promise<AssociationType[]> {
+function getAllAssociationTypes(options ?:RequestOptions) :Promise<AssociationType[]> {
 
   return getApiAxiosInstance(EDM_API)
-    .get(`/${ASSOCIATION_TYPE_PATH}`)
+    .get(`/${ASSOCIATION_TYPE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -492,46 +547,54 @@ function getAllAssociationTypes() :Promise<AssociationType[]> {
  * `GET /edm/entity/type`
  *
  * Gets all EntityType definitions.
+ * The response is cached if caching has been enabled via the "cache" configuration option.
  *
  * @static
  * @memberof lattice.EntityDataModelApi
+ * @param {RequestOptions} options
  * @returns {Promise<EntityType[]>} - a Promise that resolves with the EntityType definitions
  *
  * @example
  * EntityDataModelApi.getAllEntityTypes();
  */
-function getAllEntityTypes() :Promise<EntityType[]> {
+function getAllEntityTypes(options ?:RequestOptions) :Promise<EntityType[]> {
 
-  return getApiAxiosInstance(EDM_API)
-    .get(`/${ENTITY_TYPE_PATH}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .get(`/${ENTITY_TYPE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return cacheResponse(ENTITY_TYPES_CACHE_KEY, sendRequest);
 }
 
 /**
  * `GET /edm/property/type`
  *
  * Gets all PropertyType definitions.
+ * The response is cached if caching has been enabled via the "cache" configuration option.
  *
  * @static
  * @memberof lattice.EntityDataModelApi
+ * @param {RequestOptions} options
  * @returns {Promise<PropertyType[]>} - a Promise that resolves with the PropertyType definitions
  *
  * @example
  * EntityDataModelApi.getAllPropertyTypes();
  */
-function getAllPropertyTypes() :Promise<PropertyType[]> {
+function getAllPropertyTypes(options ?:RequestOptions) :Promise<PropertyType[]> {
 
-  return getApiAxiosInstance(EDM_API)
-    .get(`/${PROPERTY_TYPE_PATH}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .get(`/${PROPERTY_TYPE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return cacheResponse(PROPERTY_TYPES_CACHE_KEY, sendRequest);
 }
 
 /**
@@ -541,15 +604,16 @@ function getAllPropertyTypes() :Promise<PropertyType[]> {
  *
  * @static
  * @memberof lattice.EntityDataModelApi
+ * @param {RequestOptions} options
  * @returns {Promise<Schema[]>} - a Promise that resolves with the Schema definitions
  *
  * @example
  * EntityDataModelApi.getAllSchemas();
  */
-function getAllSchemas() :Promise<Schema[]> {
+function getAllSchemas(options ?:RequestOptions) :Promise<Schema[]> {
 
   return getApiAxiosInstance(EDM_API)
-    .get(`/${SCHEMA_PATH}`)
+    .get(`/${SCHEMA_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -565,23 +629,24 @@ function getAllSchemas() :Promise<Schema[]> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} associationTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<AssociationType>} - a Promise that resolves with the AssociationType definition
  *
  * @example
  * EntityDataModelApi.getAssociationType("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getAssociationType(associationTypeId :UUID) :Promise<AssociationType> {
+function getAssociationType(associationTypeId :UUID, options ?:RequestOptions) :Promise<AssociationType> {
 
   let errorMsg = '';
 
   if (!isValidUUID(associationTypeId)) {
     errorMsg = 'invalid parameter: "associationTypeId" must be a valid UUID';
     LOG.error(errorMsg, associationTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationTypeId', associationTypeId));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .get(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}`)
+    .get(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -596,15 +661,16 @@ function getAssociationType(associationTypeId :UUID) :Promise<AssociationType> {
  *
  * @static
  * @memberof lattice.EntityDataModelApi
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with the Entity Data Model
  *
  * @example
  * EntityDataModelApi.getEntityDataModel();
  */
-function getEntityDataModel() :Promise<Object> {
+function getEntityDataModel(options ?:RequestOptions) :Promise<Object> {
 
   return getApiAxiosInstance(EDM_API)
-    .get('/')
+    .get('/', getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -620,6 +686,7 @@ function getEntityDataModel() :Promise<Object> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {Object[]} projection - a set of objects containing an id, a SecurableType, and a set of SecurableTypes
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with the filtered Entity Data Model
  *
  * @example
@@ -637,7 +704,7 @@ function getEntityDataModel() :Promise<Object> {
  *   ]
  * );
  */
-function getEntityDataModelProjection(projection :Object[]) :Promise<*> {
+function getEntityDataModelProjection(projection :Object[], options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
@@ -645,11 +712,11 @@ function getEntityDataModelProjection(projection :Object[]) :Promise<*> {
   if (!validateNonEmptyArray(projection, isNonEmptyObject)) {
     errorMsg = 'invalid parameter: "projection" must be an array of objects';
     LOG.error(errorMsg, projection);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'projection', projection));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .post('/', projection)
+    .post('/', projection, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -661,32 +728,36 @@ function getEntityDataModelProjection(projection :Object[]) :Promise<*> {
  * `GET /edm/entity/type/{uuid}`
  *
  * Gets the EntityType definition for the given EntityType id.
+ * The response is cached if caching has been enabled via the "cache" configuration option.
  *
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} entityTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<EntityType>} - a Promise that resolves with the EntityType definition
  *
  * @example
  * EntityDataModelApi.getEntityType("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getEntityType(entityTypeId :UUID) :Promise<EntityType> {
+function getEntityType(entityTypeId :UUID, options ?:RequestOptions) :Promise<EntityType> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: "entityTypeId" must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .get(`/${ENTITY_TYPE_PATH}/${entityTypeId}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .get(`/${ENTITY_TYPE_PATH}/${entityTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return cacheResponse(getCacheKey(ENTITY_TYPES_CACHE_KEY, entityTypeId), sendRequest);
 }
 
 /**
@@ -697,23 +768,24 @@ function getEntityType(entityTypeId :UUID) :Promise<EntityType> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} propertyTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<PropertyType>} - a Promise that resolves with the PropertyType definition
  *
  * @example
  * EntityDataModelApi.getPropertyType("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getPropertyType(propertyTypeId :UUID) :Promise<PropertyType> {
+function getPropertyType(propertyTypeId :UUID, options ?:RequestOptions) :Promise<PropertyType> {
 
   let errorMsg = '';
 
   if (!isValidUUID(propertyTypeId)) {
     errorMsg = 'invalid parameter: "propertyTypeId" must be a valid UUID';
     LOG.error(errorMsg, propertyTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeId', propertyTypeId));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .get(`/${PROPERTY_TYPE_PATH}/${propertyTypeId}`)
+    .get(`/${PROPERTY_TYPE_PATH}/${propertyTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -729,6 +801,7 @@ function getPropertyType(propertyTypeId :UUID) :Promise<PropertyType> {
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {FQN} schema
+ * @param {RequestOptions} options
  * @returns {Promise<Schema>} - a Promise that resolves with the Schema definition
  *
  * @example
@@ -736,20 +809,20 @@ function getPropertyType(propertyTypeId :UUID) :Promise<PropertyType> {
  *   { "namespace": "LATTICE", "name": "MySchema" }
  * );
  */
-function getSchema(schemaFQN :FQN) :Promise<*> {
+function getSchema(schemaFQN :FQN, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!FQN.isValid(schemaFQN)) {
     errorMsg = 'invalid parameter: "schemaFQN" must be a valid FQN';
     LOG.error(errorMsg, schemaFQN);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'schemaFQN', schemaFQN));
   }
 
   const { namespace, name } = schemaFQN;
 
   return getApiAxiosInstance(EDM_API)
-    .get(`/${SCHEMA_PATH}/${namespace}/${name}`)
+    .get(`/${SCHEMA_PATH}/${namespace}/${name}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -767,6 +840,7 @@ function getSchema(schemaFQN :FQN) :Promise<*> {
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} associationTypeId
  * @param {UUID} entityTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -775,24 +849,28 @@ function getSchema(schemaFQN :FQN) :Promise<*> {
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function removeDestinationEntityTypeFromAssociationType(associationTypeId :UUID, entityTypeId :UUID) :Promise<void> {
+function removeDestinationEntityTypeFromAssociationType(
+  associationTypeId :UUID,
+  entityTypeId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(associationTypeId)) {
     errorMsg = 'invalid parameter: associationTypeId must be a valid UUID';
     LOG.error(errorMsg, associationTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationTypeId', associationTypeId));
   }
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: entityTypeId must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .delete(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${DST_PATH}/${entityTypeId}`)
+    .delete(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${DST_PATH}/${entityTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -809,6 +887,7 @@ function removeDestinationEntityTypeFromAssociationType(associationTypeId :UUID,
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} entityTypeId
  * @param {UUID} propertyTypeId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -817,29 +896,35 @@ function removeDestinationEntityTypeFromAssociationType(associationTypeId :UUID,
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function removePropertyTypeFromEntityType(entityTypeId :UUID, propertyTypeId :UUID) :Promise<*> {
+function removePropertyTypeFromEntityType(
+  entityTypeId :UUID,
+  propertyTypeId :UUID,
+  options ?:RequestOptions,
+) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: entityTypeId must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   if (!isValidUUID(propertyTypeId)) {
     errorMsg = 'invalid parameter: propertyTypeId must be a valid UUID';
     LOG.error(errorMsg, propertyTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeId', propertyTypeId));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .delete(`/${ENTITY_TYPE_PATH}/${entityTypeId}/${propertyTypeId}`)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .delete(`/${ENTITY_TYPE_PATH}/${entityTypeId}/${propertyTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -851,6 +936,7 @@ function removePropertyTypeFromEntityType(entityTypeId :UUID, propertyTypeId :UU
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} associationTypeId
  * @param {UUID} entityTypeId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -859,24 +945,28 @@ function removePropertyTypeFromEntityType(entityTypeId :UUID, propertyTypeId :UU
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function removeSourceEntityTypeFromAssociationType(associationTypeId :UUID, entityTypeId :UUID) :Promise<void> {
+function removeSourceEntityTypeFromAssociationType(
+  associationTypeId :UUID,
+  entityTypeId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(associationTypeId)) {
     errorMsg = 'invalid parameter: associationTypeId must be a valid UUID';
     LOG.error(errorMsg, associationTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'associationTypeId', associationTypeId));
   }
 
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: entityTypeId must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   return getApiAxiosInstance(EDM_API)
-    .delete(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${SRC_PATH}/${entityTypeId}`)
+    .delete(`/${ASSOCIATION_TYPE_PATH}/${associationTypeId}/${SRC_PATH}/${entityTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -893,6 +983,7 @@ function removeSourceEntityTypeFromAssociationType(associationTypeId :UUID, enti
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} entityTypeId
  * @param {Object} metadata
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -907,7 +998,7 @@ function removeSourceEntityTypeFromAssociationType(associationTypeId :UUID, enti
  *   }
  * );
  */
-function updateEntityTypeMetaData(entityTypeId :UUID, metadata :Object) :Promise<void> {
+function updateEntityTypeMetaData(entityTypeId :UUID, metadata :Object, options ?:RequestOptions) :Promise<void> {
 
   // TODO: create data model: MetaUpdate
 
@@ -916,52 +1007,54 @@ function updateEntityTypeMetaData(entityTypeId :UUID, metadata :Object) :Promise
   if (!isValidUUID(entityTypeId)) {
     errorMsg = 'invalid parameter: entityTypeId must be a valid UUID';
     LOG.error(errorMsg, entityTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityTypeId', entityTypeId));
   }
 
   if (!isNonEmptyObject(metadata)) {
     errorMsg = 'invalid parameter: metadata must be a non-empty object';
     LOG.error(errorMsg, metadata);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'metadata', metadata));
   }
 
   if (has(metadata, 'type') && !FQN.isValid(metadata.type)) {
     errorMsg = 'invalid parameter: type must be a valid FQN';
     LOG.error(errorMsg, metadata.type);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'type', metadata.type));
   }
 
   if (has(metadata, 'name') && !isNonEmptyString(metadata.name)) {
     errorMsg = 'invalid parameter: name must be a non-empty string';
     LOG.error(errorMsg, metadata.name);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'name', metadata.name));
   }
 
   if (has(metadata, 'title') && !isNonEmptyString(metadata.title)) {
     errorMsg = 'invalid parameter: title must be a non-empty string';
     LOG.error(errorMsg, metadata.title);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'title', metadata.title));
   }
 
   if (has(metadata, 'description') && !isNonEmptyString(metadata.description)) {
     errorMsg = 'invalid parameter: description must be a non-empty string';
     LOG.error(errorMsg, metadata.description);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'description', metadata.description));
   }
 
   if (has(metadata, 'contacts') && !isNonEmptyStringArray(metadata.contacts)) {
     errorMsg = 'invalid parameter: contacts must be a non-empty string';
     LOG.error(errorMsg, metadata.contacts);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'contacts', metadata.contacts));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .patch(`/${ENTITY_TYPE_PATH}/${entityTypeId}`, metadata)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .patch(`/${ENTITY_TYPE_PATH}/${entityTypeId}`, metadata, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -973,6 +1066,7 @@ function updateEntityTypeMetaData(entityTypeId :UUID, metadata :Object) :Promise
  * @memberof lattice.EntityDataModelApi
  * @param {UUID} propertyTypeId
  * @param {Object} metadata
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -987,7 +1081,7 @@ function updateEntityTypeMetaData(entityTypeId :UUID, metadata :Object) :Promise
  *   }
  * );
  */
-function updatePropertyTypeMetaData(propertyTypeId :UUID, metadata :Object) :Promise<void> {
+function updatePropertyTypeMetaData(propertyTypeId :UUID, metadata :Object, options ?:RequestOptions) :Promise<void> {
 
   // TODO: create data model: MetaDataUpdate
 
@@ -996,52 +1090,54 @@ function updatePropertyTypeMetaData(propertyTypeId :UUID, metadata :Object) :Pro
   if (!isValidUUID(propertyTypeId)) {
     errorMsg = 'invalid parameter: propertyTypeId must be a valid UUID';
     LOG.error(errorMsg, propertyTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeId', propertyTypeId));
   }
 
   if (!isNonEmptyObject(metadata)) {
     errorMsg = 'invalid parameter: metadata must be a non-empty object';
     LOG.error(errorMsg, metadata);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'metadata', metadata));
   }
 
   if (has(metadata, 'type') && !FQN.isValid(metadata.type)) {
     errorMsg = 'invalid parameter: type must be a valid FQN';
     LOG.error(errorMsg, metadata.type);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'type', metadata.type));
   }
 
   if (has(metadata, 'name') && !isNonEmptyString(metadata.name)) {
     errorMsg = 'invalid parameter: name must be a non-empty string';
     LOG.error(errorMsg, metadata.name);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'name', metadata.name));
   }
 
   if (has(metadata, 'title') && !isNonEmptyString(metadata.title)) {
     errorMsg = 'invalid parameter: title must be a non-empty string';
     LOG.error(errorMsg, metadata.title);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'title', metadata.title));
   }
 
   if (has(metadata, 'description') && !isNonEmptyString(metadata.description)) {
     errorMsg = 'invalid parameter: description must be a non-empty string';
     LOG.error(errorMsg, metadata.description);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'description', metadata.description));
   }
 
   if (has(metadata, 'contacts') && !isNonEmptyStringArray(metadata.contacts)) {
     errorMsg = 'invalid parameter: contacts must be a non-empty string';
     LOG.error(errorMsg, metadata.contacts);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'contacts', metadata.contacts));
   }
 
-  return getApiAxiosInstance(EDM_API)
-    .patch(`/${PROPERTY_TYPE_PATH}/${propertyTypeId}`, metadata)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .patch(`/${PROPERTY_TYPE_PATH}/${propertyTypeId}`, metadata, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([PROPERTY_TYPES_CACHE_KEY], sendRequest);
 }
 
 /**
@@ -1052,6 +1148,7 @@ function updatePropertyTypeMetaData(propertyTypeId :UUID, metadata :Object) :Pro
  * @static
  * @memberof lattice.EntityDataModelApi
  * @param {Schema} schema
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1063,14 +1160,14 @@ function updatePropertyTypeMetaData(propertyTypeId :UUID, metadata :Object) :Pro
  *   }
  * )
  */
-function updateSchema(schema :Schema) :Promise<void> {
+function updateSchema(schema :Schema, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidSchema(schema)) {
     errorMsg = 'invalid parameter: "schema" must be a valid Schema';
     LOG.error(errorMsg, schema);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'schema', schema));
   }
 
   const data = {
@@ -1079,13 +1176,15 @@ function updateSchema(schema :Schema) :Promise<void> {
     propertyTypes: schema.propertyTypes.map((propertyType) => propertyType.id),
   };
 
-  return getApiAxiosInstance(EDM_API)
-    .patch(`/${SCHEMA_PATH}/${schema.fqn.namespace}/${schema.fqn.name}`, data)
+  const sendRequest = () => getApiAxiosInstance(EDM_API)
+    .patch(`/${SCHEMA_PATH}/${schema.fqn.namespace}/${schema.fqn.name}`, data, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([ENTITY_TYPES_CACHE_KEY, PROPERTY_TYPES_CACHE_KEY], sendRequest);
 }
 
 export {
@@ -19,7 +19,10 @@
 
 import { Set } from 'immutable';
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
+import { cacheResponse, getCacheKey, invalidateResponses } from '../cache/ResponseCacheUtils';
 import { ENTITY_SETS_API } from '../constants/ApiNames';
 import {
   ALL_PATH,
@@ -38,7 +41,7 @@ import {
 } from '../utils/LangUtils';
 import { isValidUUID, isValidUUIDArray } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('EntitySetsApi');
 
@@ -50,6 +53,7 @@ const LOG = new Logger('EntitySetsApi');
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {EntitySet[]} entitySets
+ * @param {RequestOptions} options
  * @returns {Promise<Map<string, UUID>>} - a Promise that resolves with a mapping where the key is the EntitySet name
  * and the value is the newly-created EntitySet id
  *
@@ -66,26 +70,26 @@ const LOG = new Logger('EntitySetsApi');
  *   ]
  * );
  */
-function createEntitySets(entitySets :EntitySet[]) :Promise<*> {
+function createEntitySets(entitySets :EntitySet[], options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(entitySets)) {
     errorMsg = 'invalid parameter: entitySets must be a non-empty array';
     LOG.error(errorMsg, entitySets);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySets', entitySets));
   }
 
   if (!entitySets.every(isValidEntitySet)) {
     errorMsg = 'invalid parameter: entitySets must be a non-empty array of valid EntitySets';
     LOG.error(errorMsg, entitySets);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySets', entitySets));
   }
 
   // TODO: Immutable.Set() - entitySets needs to be Set<EntitySet>
 
   return getApiAxiosInstance(ENTITY_SETS_API)
-    .post('/', entitySets)
+    .post('/', entitySets, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -101,28 +105,31 @@ function createEntitySets(entitySets :EntitySet[]) :Promise<*> {
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {UUID} entitySetId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
  * EntitySetsApi.deleteEntitySet("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function deleteEntitySet(entitySetId :UUID) :Promise<void> {
+function deleteEntitySet(entitySetId :UUID, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
-  return getApiAxiosInstance(ENTITY_SETS_API)
-    .delete(`/${ALL_PATH}/${entitySetId}`)
+  const sendRequest = () => getApiAxiosInstance(ENTITY_SETS_API)
+    .delete(`/${ALL_PATH}/${entitySetId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([getCacheKey(ENTITY_SETS_API, ALL_PATH, entitySetId)], sendRequest);
 }
 
 /**
@@ -132,15 +139,16 @@ function deleteEntitySet(entitySetId :UUID) :Promise<void> {
  *
  * @static
  * @memberof lattice.EntitySetsApi
+ * @param {RequestOptions} options
  * @returns {Promise<EntitySet[]>} - a Promise that resolves with all EntitySet definitions
  *
  * @example
  * EntitySetsApi.getAllEntitySets();
  */
-function getAllEntitySets() :Promise<EntitySet[]> {
+function getAllEntitySets(options ?:RequestOptions) :Promise<EntitySet[]> {
 
   return getApiAxiosInstance(ENTITY_SETS_API)
-    .get('/')
+    .get('/', getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -152,32 +160,36 @@ function getAllEntitySets() :Promise<EntitySet[]> {
  * `GET /entity-sets/all/{entitySetId}`
  *
  * Gets the EntitySet definition for the given EntitySet id.
+ * The response is cached if caching has been enabled via the "cache" configuration option.
  *
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {UUID} entitySetId
+ * @param {RequestOptions} options
  * @returns {Promise<EntitySet>} - a Promise that resolves with the EntitySet definition
  *
  * @example
  * EntitySetsApi.getEntitySet("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getEntitySet(entitySetId :UUID) :Promise<EntitySet> {
+function getEntitySet(entitySetId :UUID, options ?:RequestOptions) :Promise<EntitySet> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
-  return getApiAxiosInstance(ENTITY_SETS_API)
-    .get(`/${ALL_PATH}/${entitySetId}`)
+  const sendRequest = () => getApiAxiosInstance(ENTITY_SETS_API)
+    .get(`/${ALL_PATH}/${entitySetId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return cacheResponse(getCacheKey(ENTITY_SETS_API, ALL_PATH, entitySetId), sendRequest);
 }
 
 /**
@@ -188,23 +200,24 @@ function getEntitySet(entitySetId :UUID) :Promise<EntitySet> {
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {string} entitySetName
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>} - a Promise that resolves with the EntitySet id
  *
  * @example
  * EntitySetsApi.getEntitySetId("MyEntitySet");
  */
-function getEntitySetId(entitySetName :string) :Promise<UUID> {
+function getEntitySetId(entitySetName :string, options ?:RequestOptions) :Promise<UUID> {
 
   let errorMsg = '';
 
   if (!isNonEmptyString(entitySetName)) {
     errorMsg = 'invalid parameter: entitySetName must be a non-empty string';
     LOG.error(errorMsg, entitySetName);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetName', entitySetName));
   }
 
   return getApiAxiosInstance(ENTITY_SETS_API)
-    .get(`/${IDS_PATH}/${entitySetName}`)
+    .get(`/${IDS_PATH}/${entitySetName}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -220,30 +233,31 @@ function getEntitySetId(entitySetName :string) :Promise<UUID> {
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {string[]} entitySetName
+ * @param {RequestOptions} options
  * @returns {Promise<Map<string, UUID>>} - a Promise that resolves with a mapping where the key is the EntitySet name
  * and the value is the EntitySet id
  *
  * @example
  * EntitySetsApi.getEntitySetIds(["EntitySet1", "EntitySet2"]);
  */
-function getEntitySetIds(entitySetNames :string[]) :Promise<*> {
+function getEntitySetIds(entitySetNames :string[], options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(entitySetNames)) {
     errorMsg = 'invalid parameter: "entitySetNames" must be a non-empty array';
     LOG.error(errorMsg, entitySetNames);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetNames', entitySetNames));
   }
 
   if (!entitySetNames.every(isNonEmptyString)) {
     errorMsg = 'invalid parameter: "entitySetNames" must be an array of strings';
     LOG.error(errorMsg, entitySetNames);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetNames', entitySetNames));
   }
 
   return getApiAxiosInstance(ENTITY_SETS_API)
-    .post(`/${IDS_PATH}`, entitySetNames)
+    .post(`/${IDS_PATH}`, entitySetNames, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -260,20 +274,21 @@ function getEntitySetIds(entitySetNames :string[]) :Promise<*> {
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {UUID[] | string[]} idsOrNames
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves with the EntitySet definitions
  *
  * @example
  * EntitySetsApi.getEntitySets(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  * EntitySetsApi.getEntitySets(["EntitySet1", "EntitySet2"]);
  */
-function getEntitySets(idsOrNames :UUID[] | string[]) :Promise<EntitySet[]> {
+function getEntitySets(idsOrNames :UUID[] | string[], options ?:RequestOptions) :Promise<EntitySet[]> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(idsOrNames)) {
     errorMsg = 'invalid parameter: "idsOrNames" must be a non-empty array';
     LOG.error(errorMsg, idsOrNames);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'idsOrNames', idsOrNames));
   }
 
   const idsOrNamesSet = Set(idsOrNames);
@@ -281,7 +296,7 @@ function getEntitySets(idsOrNames :UUID[] | string[]) :Promise<EntitySet[]> {
   // isValidUUID check must be first since UUIDs are strings
   if (idsOrNamesSet.every(isValidUUID)) {
     return getApiAxiosInstance(ENTITY_SETS_API)
-      .post(`/${BY_ID_PATH}`, idsOrNamesSet.toJS())
+      .post(`/${BY_ID_PATH}`, idsOrNamesSet.toJS(), getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -291,7 +306,7 @@ function getEntitySets(idsOrNames :UUID[] | string[]) :Promise<EntitySet[]> {
 
   if (idsOrNamesSet.every(isNonEmptyString)) {
     return getApiAxiosInstance(ENTITY_SETS_API)
-      .post(`/${BY_NAME_PATH}`, idsOrNamesSet.toJS())
+      .post(`/${BY_NAME_PATH}`, idsOrNamesSet.toJS(), getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -301,7 +316,7 @@ function getEntitySets(idsOrNames :UUID[] | string[]) :Promise<EntitySet[]> {
 
   errorMsg = 'invalid parameter: "idsOrNames" must be an array of EntitySet ids or names';
   LOG.error(errorMsg, idsOrNames);
-  return Promise.reject(errorMsg);
+  return Promise.reject(new LatticeValidationError(errorMsg, 'idsOrNames', idsOrNames));
 }
 
 /**
@@ -315,6 +330,7 @@ function getEntitySets(idsOrNames :UUID[] | string[]) :Promise<EntitySet[]> {
  * @memberof lattice.EntitySetsApi
  * @param {UUID} entitySetId
  * @param {UUID} propertyTypeId
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
@@ -324,19 +340,23 @@ function getEntitySets(idsOrNames :UUID[] | string[]) :Promise<EntitySet[]> {
  *   "4b08e1f9-4a00-4169-92ea-10e377070220"
  * );
  */
-function getPropertyTypeMetaDataForEntitySet(entitySetId :UUID, propertyTypeId ?:UUID) :Promise<*> {
+function getPropertyTypeMetaDataForEntitySet(
+  entitySetId :UUID,
+  propertyTypeId ?:UUID,
+  options ?:RequestOptions,
+) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   if (!isDefined(propertyTypeId)) {
     return getApiAxiosInstance(ENTITY_SETS_API)
-      .get(`/${ALL_PATH}/${entitySetId}/${METADATA_PATH}`)
+      .get(`/${ALL_PATH}/${entitySetId}/${METADATA_PATH}`, getRequestConfig(options))
       .then((axiosResponse) => axiosResponse.data)
       .catch((error :Error) => {
         LOG.error(error);
@@ -347,11 +367,11 @@ function getPropertyTypeMetaDataForEntitySet(entitySetId :UUID, propertyTypeId ?
   if (isDefined(propertyTypeId) && !isValidUUID(propertyTypeId)) {
     errorMsg = 'invalid parameter: propertyTypeId must be a valid UUID';
     LOG.error(errorMsg, propertyTypeId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeId', propertyTypeId));
   }
 
   return getApiAxiosInstance(ENTITY_SETS_API)
-    .get(`/${ALL_PATH}/${entitySetId}/${PROPERTIES_PATH}/${propertyTypeId}`)
+    .get(`/${ALL_PATH}/${entitySetId}/${PROPERTIES_PATH}/${propertyTypeId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -367,24 +387,25 @@ function getPropertyTypeMetaDataForEntitySet(entitySetId :UUID, propertyTypeId ?
  * @static
  * @memberof lattice.EntitySetsApi
  * @param {UUID[]} entitySetIds
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
  * EntitySetsApi.getPropertyTypeMetaDataForEntitySets(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  */
-function getPropertyTypeMetaDataForEntitySets(entitySetIds :UUID[]) :Promise<*> {
+function getPropertyTypeMetaDataForEntitySets(entitySetIds :UUID[], options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUIDArray(entitySetIds)) {
     errorMsg = 'invalid parameter: entitySetIds must be a valid UUID array';
     LOG.error(errorMsg, entitySetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetIds', entitySetIds));
   }
 
   const entitySetIdsSet :UUID[] = Set(entitySetIds).toJS();
   return getApiAxiosInstance(ENTITY_SETS_API)
-    .post(`/${ALL_PATH}/${METADATA_PATH}`, entitySetIdsSet)
+    .post(`/${ALL_PATH}/${METADATA_PATH}`, entitySetIdsSet, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -401,6 +422,7 @@ function getPropertyTypeMetaDataForEntitySets(entitySetIds :UUID[]) :Promise<*>
  * @memberof lattice.EntitySetsApi
  * @param {UUID} entitySetId ID for entity set.
  * @param {Object} update Only title, description, contacts and name fields are accepted. Other fields are ignored.
+ * @param {RequestOptions} options
  * @returns {Promise<number>} - a Promise that resolves without a value
  *
  * @example
@@ -414,29 +436,31 @@ function getPropertyTypeMetaDataForEntitySets(entitySetIds :UUID[]) :Promise<*>
  *   }
  * )
  */
-function updateEntitySetMetaData(entitySetId :UUID, update :Object) :Promise<number> {
+function updateEntitySetMetaData(entitySetId :UUID, update :Object, options ?:RequestOptions) :Promise<number> {
 
   let errorMsg = '';
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   if (!isNonEmptyObject(update)) {
     errorMsg = 'invalid parameter: update must be a non-empty object';
     LOG.error(errorMsg, update);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'update', update));
   }
 
-  return getApiAxiosInstance(ENTITY_SETS_API)
-    .patch(`/${ALL_PATH}/${entitySetId}/${METADATA_PATH}`, update)
+  const sendRequest = () => getApiAxiosInstance(ENTITY_SETS_API)
+    .patch(`/${ALL_PATH}/${entitySetId}/${METADATA_PATH}`, update, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
     });
+
+  return invalidateResponses([getCacheKey(ENTITY_SETS_API, ALL_PATH, entitySetId)], sendRequest);
 }
 
 export {
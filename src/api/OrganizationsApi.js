@@ -21,7 +21,9 @@ import { Set } from 'immutable';
 
 import * as PermissionsApi from './PermissionsApi';
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { ORGANIZATIONS_API } from '../constants/ApiNames';
 import {
   CONNECTIONS_PATH,
@@ -63,7 +65,7 @@ import {
 import { isValidUUID } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
 import type { ActionType } from '../constants/types';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('OrganizationsApi');
 
@@ -79,26 +81,31 @@ const AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN = {
  *
  */
 
-function updateTrustForOrganization(organizationId :UUID, principalId :string, action :ActionType) :Promise<*> {
+function updateTrustForOrganization(
+  organizationId :UUID,
+  principalId :string,
+  action :ActionType,
+  options ?:RequestOptions,
+) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(principalId)) {
     errorMsg = 'invalid parameter: principalId must be a non-empty string';
     LOG.error(errorMsg, principalId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'principalId', principalId));
   }
 
   if (!isNonEmptyString(action) || !ActionTypes[action]) {
     errorMsg = 'invalid parameter: action must be a valid ActionType';
     LOG.error(errorMsg, action);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'action', action));
   }
 
   const principal :Principal = (new PrincipalBuilder())
@@ -121,7 +128,7 @@ function updateTrustForOrganization(organizationId :UUID, principalId :string, a
     .setAcl(acl)
     .build();
 
-  return PermissionsApi.updateAcl(acldata);
+  return PermissionsApi.updateAcl(acldata, options);
 }
 
 /*
@@ -137,6 +144,7 @@ function updateTrustForOrganization(organizationId :UUID, principalId :string, a
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string[]} connections
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -145,14 +153,18 @@ function updateTrustForOrganization(organizationId :UUID, principalId :string, a
  *   ["connection1", "connection2"]
  * );
  */
-function addConnectionsToOrganization(organizationId :UUID, connections ?:string[]) :Promise<void> {
+function addConnectionsToOrganization(
+  organizationId :UUID,
+  connections ?:string[],
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   let connectionsSet :string[];
@@ -162,14 +174,14 @@ function addConnectionsToOrganization(organizationId :UUID, connections ?:string
   else if (!isNonEmptyStringArray(connections)) {
     errorMsg = 'invalid parameter: "connections" must be an array of strings';
     LOG.error(errorMsg, connections);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'connections', connections));
   }
   else {
     connectionsSet = Set(connections).toJS();
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .post(`/${organizationId}/${CONNECTIONS_PATH}`, connectionsSet)
+    .post(`/${organizationId}/${CONNECTIONS_PATH}`, connectionsSet, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -186,6 +198,7 @@ function addConnectionsToOrganization(organizationId :UUID, connections ?:string
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string[]} domains
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -194,14 +207,14 @@ function addConnectionsToOrganization(organizationId :UUID, connections ?:string
  *   "openlattice.com"
  * );
  */
-function addDomainsToOrganization(organizationId :UUID, domains ?:string[]) :Promise<void> {
+function addDomainsToOrganization(organizationId :UUID, domains ?:string[], options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   let domainsSet :string[];
@@ -211,14 +224,14 @@ function addDomainsToOrganization(organizationId :UUID, domains ?:string[]) :Pro
   else if (!isNonEmptyStringArray(domains)) {
     errorMsg = 'invalid parameter: "domains" must be an array of strings';
     LOG.error(errorMsg, domains);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'domains', domains));
   }
   else {
     domainsSet = Set(domains).toJS();
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .post(`/${organizationId}/${EMAIL_DOMAINS_PATH}`, domainsSet)
+    .post(`/${organizationId}/${EMAIL_DOMAINS_PATH}`, domainsSet, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -235,6 +248,7 @@ function addDomainsToOrganization(organizationId :UUID, domains ?:string[]) :Pro
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} memberId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -243,24 +257,24 @@ function addDomainsToOrganization(organizationId :UUID, domains ?:string[]) :Pro
  *   "memberId"
  * );
  */
-function addMemberToOrganization(organizationId :UUID, memberId :string) :Promise<void> {
+function addMemberToOrganization(organizationId :UUID, memberId :string, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(memberId)) {
     errorMsg = 'invalid parameter: "memberId" must be a non-empty string';
     LOG.error(errorMsg, memberId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'memberId', memberId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .put(`/${organizationId}/${PRINCIPALS_PATH}/${MEMBERS_PATH}/${memberId}`)
+    .put(`/${organizationId}/${PRINCIPALS_PATH}/${MEMBERS_PATH}/${memberId}`, undefined, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -279,6 +293,7 @@ function addMemberToOrganization(organizationId :UUID, memberId :string) :Promis
  * @param {UUID} organizationId
  * @param {UUID} roleId
  * @param {string} memberId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -288,30 +303,39 @@ function addMemberToOrganization(organizationId :UUID, memberId :string) :Promis
  *   "memberId"
  * );
  */
-function addRoleToMember(organizationId :UUID, roleId :UUID, memberId :string) :Promise<void> {
+function addRoleToMember(
+  organizationId :UUID,
+  roleId :UUID,
+  memberId :string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: "roleId" must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   if (!isNonEmptyString(memberId)) {
     errorMsg = 'invalid parameter: "memberId" must be a non-empty string';
     LOG.error(errorMsg, memberId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'memberId', memberId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .put(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${MEMBERS_PATH}/${memberId}`)
+    .put(
+      `/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${MEMBERS_PATH}/${memberId}`,
+      undefined,
+      getRequestConfig(options),
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -327,6 +351,7 @@ function addRoleToMember(organizationId :UUID, roleId :UUID, memberId :string) :
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {Organization} organization
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>}
  *
  * @example
@@ -344,18 +369,18 @@ function addRoleToMember(organizationId :UUID, roleId :UUID, memberId :string) :
  *   }
  * );
  */
-function createOrganization(organization :Organization) :Promise<UUID> {
+function createOrganization(organization :Organization, options ?:RequestOptions) :Promise<UUID> {
 
   let errorMsg = '';
 
   if (!isValidOrganization(organization)) {
     errorMsg = 'invalid parameter: "organization" must be a valid Organization';
     LOG.error(errorMsg, organization);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organization', organization));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .post('/', organization)
+    .post('/', organization, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -373,6 +398,7 @@ function createOrganization(organization :Organization) :Promise<UUID> {
  * @param {UUID} organizationId
  * @param {UUID} roleId
  * @param {string} memberId
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
@@ -385,18 +411,18 @@ function createOrganization(organization :Organization) :Promise<UUID> {
  *   }
  * );
  */
-function createRole(role :Role) :Promise<*> {
+function createRole(role :Role, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidRole(role)) {
     errorMsg = 'invalid parameter: "role" must be a valid Role';
     LOG.error(errorMsg, role);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'role', role));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .post(`/${ROLES_PATH}`, role)
+    .post(`/${ROLES_PATH}`, role, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -412,23 +438,24 @@ function createRole(role :Role) :Promise<*> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
  * OrganizationsApi.deleteOrganization("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function deleteOrganization(organizationId :UUID) :Promise<*> {
+function deleteOrganization(organizationId :UUID, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .delete(`/${organizationId}`)
+    .delete(`/${organizationId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -445,6 +472,7 @@ function deleteOrganization(organizationId :UUID) :Promise<*> {
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {UUID} roleId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -453,24 +481,24 @@ function deleteOrganization(organizationId :UUID) :Promise<*> {
  *   "fae6af98-2675-45bd-9a5b-1619a87235a8"
  * );
  */
-function deleteRole(organizationId :UUID, roleId :UUID) :Promise<*> {
+function deleteRole(organizationId :UUID, roleId :UUID, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: "roleId" must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .delete(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}`)
+    .delete(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -485,6 +513,7 @@ function deleteRole(organizationId :UUID, roleId :UUID) :Promise<*> {
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {UUID} entitySetId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -493,24 +522,28 @@ function deleteRole(organizationId :UUID, roleId :UUID) :Promise<*> {
  *   "d66c4c7d-0aa9-43f3-bb80-9ebcbd5e21ea"
  * );
  */
-function destroyTransportedOrganizationEntitySet(organizationId :UUID, entitySetId :UUID) :Promise<void> {
+function destroyTransportedOrganizationEntitySet(
+  organizationId :UUID,
+  entitySetId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${entitySetId}/${DESTROY_PATH}`)
+    .get(`/${organizationId}/${entitySetId}/${DESTROY_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -525,15 +558,16 @@ function destroyTransportedOrganizationEntitySet(organizationId :UUID, entitySet
  *
  * @static
  * @memberof lattice.OrganizationsApi
+ * @param {RequestOptions} options
  * @returns {Promise<Organization[]>}
  *
  * @example
  * OrganizationsApi.getAllOrganizations();
  */
-function getAllOrganizations() :Promise<Organization[]> {
+function getAllOrganizations(options ?:RequestOptions) :Promise<Organization[]> {
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get('/')
+    .get('/', getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -549,23 +583,24 @@ function getAllOrganizations() :Promise<Organization[]> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Organization>}
  *
  * @example
  * OrganizationsApi.getOrganization("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganization(organizationId :UUID) :Promise<*> {
+function getOrganization(organizationId :UUID, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}`)
+    .get(`/${organizationId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -579,23 +614,24 @@ function getOrganization(organizationId :UUID) :Promise<*> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Object[]>} - a Promise that resolves with the organization data sources
  *
  * @example
  * OrganizationsApi.getOrganizationDataSources("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationDataSources(organizationId :UUID) :Promise<Object[]> {
+function getOrganizationDataSources(organizationId :UUID, options ?:RequestOptions) :Promise<Object[]> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${DATASOURCE_PATH}`)
+    .get(`/${organizationId}/${DATASOURCE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -609,23 +645,24 @@ function getOrganizationDataSources(organizationId :UUID) :Promise<Object[]> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<string>}
  *
  * @example
  * OrganizationsApi.getOrganizationDatabaseName("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationDatabaseName(organizationId :UUID) :Promise<string> {
+function getOrganizationDatabaseName(organizationId :UUID, options ?:RequestOptions) :Promise<string> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${DATABASE_PATH}`)
+    .get(`/${organizationId}/${DATABASE_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -641,23 +678,24 @@ function getOrganizationDatabaseName(organizationId :UUID) :Promise<string> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with a map from entity set ids to OrganizationEntitySetFlags
  *
  * @example
  * OrganizationsApi.getOrganizationEntitySets("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationEntitySets(organizationId :UUID) :Promise<Object> {
+function getOrganizationEntitySets(organizationId :UUID, options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${ENTITY_SETS_PATH}`)
+    .get(`/${organizationId}/${ENTITY_SETS_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -673,23 +711,24 @@ function getOrganizationEntitySets(organizationId :UUID) :Promise<Object> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves with an OrganizationIntegrationAccount
  *
  * @example
  * OrganizationsApi.getOrganizationIntegrationAccount("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationIntegrationAccount(organizationId :UUID) :Promise<*> {
+function getOrganizationIntegrationAccount(organizationId :UUID, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${INTEGRATION_PATH}`)
+    .get(`/${organizationId}/${INTEGRATION_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -705,23 +744,24 @@ function getOrganizationIntegrationAccount(organizationId :UUID) :Promise<*> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Principal[]>}
  *
  * @example
  * OrganizationsApi.getOrganizationMembers("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationMembers(organizationId :UUID) :Promise<Principal[]> {
+function getOrganizationMembers(organizationId :UUID, options ?:RequestOptions) :Promise<Principal[]> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${PRINCIPALS_PATH}/${MEMBERS_PATH}`)
+    .get(`/${organizationId}/${PRINCIPALS_PATH}/${MEMBERS_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -737,23 +777,24 @@ function getOrganizationMembers(organizationId :UUID) :Promise<Principal[]> {
  * @static
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
+ * @param {RequestOptions} options
  * @returns {Promise<Principal[]>}
  *
  * @example
  * OrganizationsApi.getOrganizationRoles("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function getOrganizationRoles(organizationId :UUID) :Promise<Principal[]> {
+function getOrganizationRoles(organizationId :UUID, options ?:RequestOptions) :Promise<Principal[]> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}`)
+    .get(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -770,29 +811,30 @@ function getOrganizationRoles(organizationId :UUID) :Promise<Principal[]> {
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {UUID} roleId
+ * @param {RequestOptions} options
  * @returns {Promise<Role>}
  *
  * @example
  * OrganizationsApi.getRole("ec6865e6-e60e-424b-a071-6a9c1603d735", "fae6af98-2675-45bd-9a5b-1619a87235a8");
  */
-function getRole(organizationId :UUID, roleId :UUID) :Promise<Role> {
+function getRole(organizationId :UUID, roleId :UUID, options ?:RequestOptions) :Promise<Role> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: roleId must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}`)
+    .get(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -809,6 +851,7 @@ function getRole(organizationId :UUID, roleId :UUID) :Promise<Role> {
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {UUID} roleId
+ * @param {RequestOptions} options
  * @returns {Promise<Member[]>} - a Promise that resolves with an array of member objects
  *
  * @example
@@ -817,24 +860,24 @@ function getRole(organizationId :UUID, roleId :UUID) :Promise<Role> {
  *   "fae6af98-2675-45bd-9a5b-1619a87235a8"
  * );
  */
-function getUsersWithRole(organizationId :UUID, roleId :UUID) :Promise<*> {
+function getUsersWithRole(organizationId :UUID, roleId :UUID, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: roleId must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${MEMBERS_PATH}`)
+    .get(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${MEMBERS_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -851,6 +894,7 @@ function getUsersWithRole(organizationId :UUID, roleId :UUID) :Promise<*> {
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} trustedPrincipalId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -859,9 +903,13 @@ function getUsersWithRole(organizationId :UUID, roleId :UUID) :Promise<*> {
  *   "trustedPrincipalId"
  * );
  */
-function grantTrustToOrganization(organizationId :UUID, trustedPrincipalId :string) :Promise<*> {
+function grantTrustToOrganization(
+  organizationId :UUID,
+  trustedPrincipalId :string,
+  options ?:RequestOptions,
+) :Promise<*> {
 
-  return updateTrustForOrganization(organizationId, trustedPrincipalId, ActionTypes.ADD);
+  return updateTrustForOrganization(organizationId, trustedPrincipalId, ActionTypes.ADD, options);
 }
 
 /**
@@ -871,6 +919,7 @@ function grantTrustToOrganization(organizationId :UUID, trustedPrincipalId :stri
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {Object} dataSource
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>} - a Promise that resolves with the newly-created data source id
  *
  * @example
@@ -886,24 +935,28 @@ function grantTrustToOrganization(organizationId :UUID, trustedPrincipalId :stri
  *   }
  * );
  */
-function registerOrganizationDataSource(organizationId :UUID, dataSource :Object) :Promise<UUID> {
+function registerOrganizationDataSource(
+  organizationId :UUID,
+  dataSource :Object,
+  options ?:RequestOptions,
+) :Promise<UUID> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyObject(dataSource)) {
     errorMsg = 'invalid parameter: "dataSource" must be a non-empty object';
     LOG.error(errorMsg, dataSource);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSource', dataSource));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .post(`/${organizationId}/${DATASOURCE_PATH}`, dataSource)
+    .post(`/${organizationId}/${DATASOURCE_PATH}`, dataSource, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -918,6 +971,7 @@ function registerOrganizationDataSource(organizationId :UUID, dataSource :Object
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string[]} connections
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -926,14 +980,18 @@ function registerOrganizationDataSource(organizationId :UUID, dataSource :Object
  *   ["connection1", "connection2"]
  * );
  */
-function removeConnectionsFromOrganization(organizationId :UUID, connections ?:string[]) :Promise<void> {
+function removeConnectionsFromOrganization(
+  organizationId :UUID,
+  connections ?:string[],
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: organizationId must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   let data :string[];
@@ -943,14 +1001,14 @@ function removeConnectionsFromOrganization(organizationId :UUID, connections ?:s
   else if (!isNonEmptyStringArray(connections)) {
     errorMsg = 'invalid parameter: connections must be an array of strings';
     LOG.error(errorMsg, connections);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'connections', connections));
   }
   else {
     data = Set(connections).toJS();
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .delete(`/${organizationId}/${CONNECTIONS_PATH}`, { data })
+    .delete(`/${organizationId}/${CONNECTIONS_PATH}`, { ...getRequestConfig(options), data })
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -967,6 +1025,7 @@ function removeConnectionsFromOrganization(organizationId :UUID, connections ?:s
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} emailDomain
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -975,14 +1034,18 @@ function removeConnectionsFromOrganization(organizationId :UUID, connections ?:s
  *   "openlattice.com"
  * );
  */
-function removeDomainsFromOrganization(organizationId :UUID, domains ?:string[]) :Promise<void> {
+function removeDomainsFromOrganization(
+  organizationId :UUID,
+  domains ?:string[],
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   let data :string[];
@@ -992,14 +1055,14 @@ function removeDomainsFromOrganization(organizationId :UUID, domains ?:string[])
   else if (!isNonEmptyStringArray(domains)) {
     errorMsg = 'invalid parameter: "domains" must be an array of strings';
     LOG.error(errorMsg, domains);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'domains', domains));
   }
   else {
     data = Set(domains).toJS();
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .delete(`/${organizationId}/${EMAIL_DOMAINS_PATH}`, { data })
+    .delete(`/${organizationId}/${EMAIL_DOMAINS_PATH}`, { ...getRequestConfig(options), data })
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1015,6 +1078,7 @@ function removeDomainsFromOrganization(organizationId :UUID, domains ?:string[])
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} tableName
+ * @param {RequestOptions} options
  * @returns {Promise<void>}
  *
  * @example
@@ -1023,23 +1087,27 @@ function removeDomainsFromOrganization(organizationId :UUID, domains ?:string[])
  *   "tableName"
  * );
  */
-function promoteStagingTable(organizationId :UUID, tableName :string) :Promise<void> {
+function promoteStagingTable(organizationId :UUID, tableName :string, options ?:RequestOptions) :Promise<void> {
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(tableName)) {
     errorMsg = 'invalid parameter: "tableName" must be a non-empty string';
     LOG.error(errorMsg, tableName);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'tableName', tableName));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .post(`/${PROMOTE_PATH}/${organizationId}`, tableName, AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN)
+    .post(
+      `/${PROMOTE_PATH}/${organizationId}`,
+      tableName,
+      { ...AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN, ...getRequestConfig(options) },
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1056,6 +1124,7 @@ function promoteStagingTable(organizationId :UUID, tableName :string) :Promise<v
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} memberId
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -1064,24 +1133,24 @@ function promoteStagingTable(organizationId :UUID, tableName :string) :Promise<v
  *   "memberId"
  * );
  */
-function removeMemberFromOrganization(organizationId :UUID, memberId :string) :Promise<*> {
+function removeMemberFromOrganization(organizationId :UUID, memberId :string, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(memberId)) {
     errorMsg = 'invalid parameter: "memberId" must be a non-empty string';
     LOG.error(errorMsg, memberId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'memberId', memberId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .delete(`/${organizationId}/${PRINCIPALS_PATH}/${MEMBERS_PATH}/${memberId}`)
+    .delete(`/${organizationId}/${PRINCIPALS_PATH}/${MEMBERS_PATH}/${memberId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1100,6 +1169,7 @@ function removeMemberFromOrganization(organizationId :UUID, memberId :string) :P
  * @param {UUID} organizationId
  * @param {UUID} roleId
  * @param {string} memberId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1109,30 +1179,38 @@ function removeMemberFromOrganization(organizationId :UUID, memberId :string) :P
  *   "memberId"
  * );
  */
-function removeRoleFromMember(organizationId :UUID, roleId :UUID, memberId :string) :Promise<void> {
+function removeRoleFromMember(
+  organizationId :UUID,
+  roleId :UUID,
+  memberId :string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: "roleId" must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   if (!isNonEmptyString(memberId)) {
     errorMsg = 'invalid parameter: "memberId" must be a non-empty string';
     LOG.error(errorMsg, memberId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'memberId', memberId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .delete(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${MEMBERS_PATH}/${memberId}`)
+    .delete(
+      `/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${MEMBERS_PATH}/${memberId}`,
+      getRequestConfig(options),
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1147,29 +1225,38 @@ function removeRoleFromMember(organizationId :UUID, roleId :UUID, memberId :stri
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} databaseName
+ * @param {RequestOptions} options
  * @returns {Promise<void>}
  *
  * @example
  * OrganizationsApi.renameOrganizationDatabase("ec6865e6-e60e-424b-a071-6a9c1603d735", "openlattice");
  */
-function renameOrganizationDatabase(organizationId :UUID, databaseName :string) :Promise<void> {
+function renameOrganizationDatabase(
+  organizationId :UUID,
+  databaseName :string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(databaseName)) {
     errorMsg = 'invalid parameter: "databaseName" must be a non-empty string';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'databaseName', organizationId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .patch(`/${organizationId}/${DATABASE_PATH}`, databaseName, AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN)
+    .patch(
+      `/${organizationId}/${DATABASE_PATH}`,
+      databaseName,
+      { ...AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN, ...getRequestConfig(options) },
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1186,6 +1273,7 @@ function renameOrganizationDatabase(organizationId :UUID, databaseName :string)
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} trustedPrincipalId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1194,9 +1282,13 @@ function renameOrganizationDatabase(organizationId :UUID, databaseName :string)
  *   "trustedPrincipalId"
  * );
  */
-function revokeTrustFromOrganization(organizationId :UUID, trustedPrincipalId :string) :Promise<void> {
+function revokeTrustFromOrganization(
+  organizationId :UUID,
+  trustedPrincipalId :string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
-  return updateTrustForOrganization(organizationId, trustedPrincipalId, ActionTypes.REMOVE);
+  return updateTrustForOrganization(organizationId, trustedPrincipalId, ActionTypes.REMOVE, options);
 }
 
 /**
@@ -1206,6 +1298,7 @@ function revokeTrustFromOrganization(organizationId :UUID, trustedPrincipalId :s
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {UUID} entitySetId
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1214,24 +1307,28 @@ function revokeTrustFromOrganization(organizationId :UUID, trustedPrincipalId :s
  *   "d66c4c7d-0aa9-43f3-bb80-9ebcbd5e21ea"
  * );
  */
-function transportOrganizationEntitySet(organizationId :UUID, entitySetId :UUID) :Promise<void> {
+function transportOrganizationEntitySet(
+  organizationId :UUID,
+  entitySetId :UUID,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .get(`/${organizationId}/${entitySetId}/${TRANSPORT_PATH}`)
+    .get(`/${organizationId}/${entitySetId}/${TRANSPORT_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1247,6 +1344,7 @@ function transportOrganizationEntitySet(organizationId :UUID, entitySetId :UUID)
  * @param {UUID} organizationId
  * @param {UUID} dataSourceId
  * @param {Object} dataSource
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
@@ -1263,30 +1361,35 @@ function transportOrganizationEntitySet(organizationId :UUID, entitySetId :UUID)
  *   }
  * );
  */
-function updateOrganizationDataSource(organizationId :UUID, dataSourceId :UUID, dataSource :Object) :Promise<void> {
+function updateOrganizationDataSource(
+  organizationId :UUID,
+  dataSourceId :UUID,
+  dataSource :Object,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(dataSourceId)) {
     errorMsg = 'invalid parameter: "dataSourceId" must be a valid UUID';
     LOG.error(errorMsg, dataSourceId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSourceId', dataSourceId));
   }
 
   if (!isNonEmptyObject(dataSource)) {
     errorMsg = 'invalid parameter: "dataSource" must be a non-empty object';
     LOG.error(errorMsg, dataSource);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'dataSource', dataSource));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .put(`/${organizationId}/${DATASOURCE_PATH}/${dataSourceId}`, dataSource)
+    .put(`/${organizationId}/${DATASOURCE_PATH}/${dataSourceId}`, dataSource, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1303,6 +1406,7 @@ function updateOrganizationDataSource(organizationId :UUID, dataSourceId :UUID,
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} description
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1311,14 +1415,18 @@ function updateOrganizationDataSource(organizationId :UUID, dataSourceId :UUID,
  *   "new description"
  * );
  */
-function updateOrganizationDescription(organizationId :UUID, description ?:string) :Promise<void> {
+function updateOrganizationDescription(
+  organizationId :UUID,
+  description ?:string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   let newDescription :string;
@@ -1328,14 +1436,18 @@ function updateOrganizationDescription(organizationId :UUID, description ?:strin
   else if (!isNonEmptyString(description)) {
     errorMsg = 'invalid parameter: "description" must be a non-empty string';
     LOG.error(errorMsg, description);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'description', description));
   }
   else {
     newDescription = description;
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .put(`/${organizationId}/${DESCRIPTION_PATH}`, newDescription, AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN)
+    .put(
+      `/${organizationId}/${DESCRIPTION_PATH}`,
+      newDescription,
+      { ...AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN, ...getRequestConfig(options) },
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1352,6 +1464,7 @@ function updateOrganizationDescription(organizationId :UUID, description ?:strin
  * @memberof lattice.OrganizationsApi
  * @param {UUID} organizationId
  * @param {string} title
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1360,24 +1473,28 @@ function updateOrganizationDescription(organizationId :UUID, description ?:strin
  *   "New Title"
  * );
  */
-function updateOrganizationTitle(organizationId :UUID, title :string) :Promise<void> {
+function updateOrganizationTitle(organizationId :UUID, title :string, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isNonEmptyString(title)) {
     errorMsg = 'invalid parameter: "title" must be a non-empty string';
     LOG.error(errorMsg, title);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'title', title));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .put(`/${organizationId}/${TITLE_PATH}`, title, AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN)
+    .put(
+      `/${organizationId}/${TITLE_PATH}`,
+      title,
+      { ...AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN, ...getRequestConfig(options) },
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1395,6 +1512,7 @@ function updateOrganizationTitle(organizationId :UUID, title :string) :Promise<v
  * @param {UUID} organizationId
  * @param {UUID} roleId
  * @param {string} description
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1404,26 +1522,31 @@ function updateOrganizationTitle(organizationId :UUID, title :string) :Promise<v
  *   "The Administrator"
  * );
  */
-function updateRoleDescription(organizationId :UUID, roleId :UUID, description ?:string) :Promise<void> {
+function updateRoleDescription(
+  organizationId :UUID,
+  roleId :UUID,
+  description ?:string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: "roleId" must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   // if (!isNonEmptyString(description)) {
   //   errorMsg = 'invalid parameter: "description" must be a non-empty string';
   //   LOG.error(errorMsg, description);
-  //   return Promise.reject(errorMsg);
+  //   return Promise.reject(new LatticeValidationError(errorMsg, 'description', description));
   // }
 
   let newDescription :string;
@@ -1433,7 +1556,7 @@ function updateRoleDescription(organizationId :UUID, roleId :UUID, description ?
   else if (!isNonEmptyString(description)) {
     errorMsg = 'invalid parameter: "description" must be a non-empty string';
     LOG.error(errorMsg, description);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'description', description));
   }
   else {
     newDescription = description;
@@ -1443,7 +1566,7 @@ function updateRoleDescription(organizationId :UUID, roleId :UUID, description ?
     .put(
       `/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${DESCRIPTION_PATH}`,
       newDescription,
-      AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN,
+      { ...AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN, ...getRequestConfig(options) },
     )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
@@ -1460,6 +1583,7 @@ function updateRoleDescription(organizationId :UUID, roleId :UUID, description ?
  * @param {UUID} organizationId
  * @param {UUID} roleId
  * @param {Grant} grant
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1472,30 +1596,34 @@ function updateRoleDescription(organizationId :UUID, roleId :UUID, description ?
  *   }
  * );
  */
-function updateRoleGrant(organizationId :UUID, roleId :UUID, grant :Grant) :Promise<void> {
+function updateRoleGrant(organizationId :UUID, roleId :UUID, grant :Grant, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: "roleId" must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   if (!isValidGrant(grant)) {
     errorMsg = 'invalid parameter: "grant" must be a valid Grant';
     LOG.error(errorMsg, grant);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'grant', grant));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
-    .put(`/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${GRANT_PATH}`, grant)
+    .put(
+      `/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${GRANT_PATH}`,
+      grant,
+      getRequestConfig(options),
+    )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -1513,6 +1641,7 @@ function updateRoleGrant(organizationId :UUID, roleId :UUID, grant :Grant) :Prom
  * @param {UUID} organizationId
  * @param {UUID} roleId
  * @param {string} title
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -1522,33 +1651,33 @@ function updateRoleGrant(organizationId :UUID, roleId :UUID, grant :Grant) :Prom
  *   "ADMIN"
  * );
  */
-function updateRoleTitle(organizationId :UUID, roleId :UUID, title :string) :Promise<void> {
+function updateRoleTitle(organizationId :UUID, roleId :UUID, title :string, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(organizationId)) {
     errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
     LOG.error(errorMsg, organizationId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'organizationId', organizationId));
   }
 
   if (!isValidUUID(roleId)) {
     errorMsg = 'invalid parameter: "roleId" must be a valid UUID';
     LOG.error(errorMsg, roleId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'roleId', roleId));
   }
 
   if (!isNonEmptyString(title)) {
     errorMsg = 'invalid parameter: "title" must be a non-empty string';
     LOG.error(errorMsg, title);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'title', title));
   }
 
   return getApiAxiosInstance(ORGANIZATIONS_API)
     .put(
       `/${organizationId}/${PRINCIPALS_PATH}/${ROLES_PATH}/${roleId}/${TITLE_PATH}`,
       title,
-      AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN,
+      { ...AXIOS_CONFIG_CONTENT_TYPE_TEXT_PLAIN, ...getRequestConfig(options) },
     )
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
@@ -536,9 +536,10 @@ describe(ORGANIZATIONS_API, () => {
         .setAcl(mockAcl)
         .build();
 
-      OrganizationsApi.grantTrustToOrganization(ORG_MOCK.id, mockPrincipal.id);
+      const mockOptions = { retry: false };
+      OrganizationsApi.grantTrustToOrganization(ORG_MOCK.id, mockPrincipal.id, mockOptions);
       expect(updateAclSpy).toHaveBeenCalledTimes(1);
-      expect(updateAclSpy).toHaveBeenCalledWith(mockAclData);
+      expect(updateAclSpy).toHaveBeenCalledWith(mockAclData, mockOptions);
     });
 
   });
@@ -569,7 +570,7 @@ describe(ORGANIZATIONS_API, () => {
 
       OrganizationsApi.revokeTrustFromOrganization(ORG_MOCK.id, mockPrincipal.id);
       expect(updateAclSpy).toHaveBeenCalledTimes(1);
-      expect(updateAclSpy).toHaveBeenCalledWith(mockAclData);
+      expect(updateAclSpy).toHaveBeenCalledWith(mockAclData, undefined);
     });
 
   });
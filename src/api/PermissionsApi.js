@@ -17,15 +17,18 @@
  * // PermissionsApi.get...
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { PERMISSIONS_API } from '../constants/ApiNames';
 import { BULK_PATH, EXPLAIN_PATH, UPDATE_PATH } from '../constants/UrlConstants';
-import { AclData, isValidAclData } from '../models/AclData';
+import { AclData, AclDataBuilder, isValidAclData } from '../models/AclData';
+import { invalidatePermissions } from '../permissions/PermissionsUtils';
 import { isNonEmptyArray } from '../utils/LangUtils';
 import { isValidUUID } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
 import type { AclObject } from '../models/Acl';
-import type { UUID } from '../types';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('PermissionsApi');
 
@@ -37,29 +40,30 @@ const LOG = new Logger('PermissionsApi');
  * @static
  * @memberof lattice.PermissionsApi
  * @param {UUID[]} aclKey
+ * @param {RequestOptions} options
  * @returns {Promise<AclObject>}
  *
  * @example
  * PermissionsApi.getAcl(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  */
-function getAcl(aclKey :UUID[]) :Promise<AclObject> {
+function getAcl(aclKey :UUID[], options ?:RequestOptions) :Promise<AclObject> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(aclKey)) {
     errorMsg = 'invalid parameter: "aclKey" must be a non-empty array';
     LOG.error(errorMsg, aclKey);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclKey', aclKey));
   }
 
   if (!aclKey.every(isValidUUID)) {
     errorMsg = 'invalid parameter: "aclKey" must be an array of valid UUIDs';
     LOG.error(errorMsg, aclKey);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclKey', aclKey));
   }
 
   return getApiAxiosInstance(PERMISSIONS_API)
-    .post('/', aclKey)
+    .post('/', aclKey, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -75,6 +79,7 @@ function getAcl(aclKey :UUID[]) :Promise<AclObject> {
  * @static
  * @memberof lattice.PermissionsApi
  * @param {UUID[][]} aclKeys
+ * @param {RequestOptions} options
  * @returns {Promise<AclObject[]>}
  *
  * @example
@@ -83,25 +88,25 @@ function getAcl(aclKey :UUID[]) :Promise<AclObject> {
  *   ["64f24067-7551-471d-9346-a649b54146f0", "3b330d38-e9ba-467b-8eb3-2f4498d6f72e"],
  * );
  */
-function getAcls(aclKeys :UUID[][]) :Promise<AclObject[]> {
+function getAcls(aclKeys :UUID[][], options ?:RequestOptions) :Promise<AclObject[]> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(aclKeys)) {
     errorMsg = 'invalid parameter: "aclKeys" must be a non-empty array';
     LOG.error(errorMsg, aclKeys);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclKeys', aclKeys));
   }
 
   const isValid = aclKeys.every((aclKey) => aclKey.every(isValidUUID));
   if (!isValid) {
     errorMsg = 'invalid parameter: "aclKeys" is not valid UUID[][]';
     LOG.error(errorMsg, aclKeys);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclKeys', aclKeys));
   }
 
   return getApiAxiosInstance(PERMISSIONS_API)
-    .post(`/${BULK_PATH}`, aclKeys)
+    .post(`/${BULK_PATH}`, aclKeys, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -117,29 +122,30 @@ function getAcls(aclKeys :UUID[][]) :Promise<AclObject[]> {
  * @static
  * @memberof lattice.PermissionsApi
  * @param {UUID[]} aclKey
+ * @param {RequestOptions} options
  * @returns {Promise<Object>}
  *
  * @example
  * PermissionsApi.getAclExplanation(["ec6865e6-e60e-424b-a071-6a9c1603d735"]);
  */
-function getAclExplanation(aclKey :UUID[]) :Promise<Object> {
+function getAclExplanation(aclKey :UUID[], options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(aclKey)) {
     errorMsg = 'invalid parameter: "aclKey" must be a non-empty array';
     LOG.error(errorMsg, aclKey);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclKey', aclKey));
   }
 
   if (!aclKey.every(isValidUUID)) {
     errorMsg = 'invalid parameter: "aclKey" must be an array of valid UUIDs';
     LOG.error(errorMsg, aclKey);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclKey', aclKey));
   }
 
   return getApiAxiosInstance(PERMISSIONS_API)
-    .post(`/${EXPLAIN_PATH}`, aclKey)
+    .post(`/${EXPLAIN_PATH}`, aclKey, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -155,6 +161,7 @@ function getAclExplanation(aclKey :UUID[]) :Promise<Object> {
  * @static
  * @memberof lattice.PermissionsApi
  * @param {AclData} aclData
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -176,23 +183,25 @@ function getAclExplanation(aclKey :UUID[]) :Promise<Object> {
  *   }
  * );
  */
-function updateAcl(aclData :AclData) :Promise<void> {
+function updateAcl(aclData :AclData, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidAclData(aclData)) {
     errorMsg = 'invalid parameter: aclData must be a valid AclData object';
     LOG.error(errorMsg, aclData);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclData', aclData));
   }
 
-  return getApiAxiosInstance(PERMISSIONS_API)
-    .patch('/', aclData)
+  // the cached results of Permissions.can() for the ACL key are stale once the ACL changes
+  const { aclKey } = (new AclDataBuilder(aclData)).build().acl;
+  return invalidatePermissions([aclKey], () => getApiAxiosInstance(PERMISSIONS_API)
+    .patch('/', aclData, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
-    });
+    }));
 }
 
 /**
@@ -203,6 +212,7 @@ function updateAcl(aclData :AclData) :Promise<void> {
  * @static
  * @memberof lattice.PermissionsApi
  * @param {AclData[]} aclData
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves without a value
  *
  * @example
@@ -224,29 +234,30 @@ function updateAcl(aclData :AclData) :Promise<void> {
  *   }]
  * );
  */
-function updateAcls(aclData :AclData[]) :Promise<void> {
+function updateAcls(aclData :AclData[], options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(aclData)) {
     errorMsg = 'invalid parameter: aclData must be a non-empty array';
     LOG.error(errorMsg, aclData);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclData', aclData));
   }
 
   if (!aclData.every(isValidAclData)) {
     errorMsg = 'invalid parameter: aclData must be an array of valid AclData objects';
     LOG.error(errorMsg, aclData);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'aclData', aclData));
   }
 
-  return getApiAxiosInstance(PERMISSIONS_API)
-    .patch(`/${UPDATE_PATH}`, aclData)
+  const aclKeys = aclData.map((data) => (new AclDataBuilder(data)).build().acl.aclKey);
+  return invalidatePermissions(aclKeys, () => getApiAxiosInstance(PERMISSIONS_API)
+    .patch(`/${UPDATE_PATH}`, aclData, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
       return Promise.reject(error);
-    });
+    }));
 }
 
 export {
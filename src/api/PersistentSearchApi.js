@@ -19,24 +19,31 @@
 
 import _isBoolean from 'lodash/isBoolean';
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { PERSISTENT_SEARCH_API } from '../constants/ApiNames';
 import { EXPIRATION_PATH } from '../constants/UrlConstants';
 import { isNonEmptyObject, isNonEmptyString } from '../utils/LangUtils';
+import { SearchConstraints, isValidSearchConstraints } from '../models/SearchConstraints';
 import { isValidUUID } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { SearchConstraintsObject } from '../models/SearchConstraints';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('PersistentSearchApi');
 
 /**
  * `POST /persistentsearch`
  *
- * Creates a new PersistentSearch
+ * Creates a new PersistentSearch. Its "constraints" are validated as SearchConstraints, which can be built with
+ * SearchConstraintsBuilder.
  *
  * @static
  * @memberof lattice.PersistentSearchApi
  * @param {Object} persistentSearch
+ * @param {SearchConstraints} persistentSearch.constraints
+ * @param {RequestOptions} options
  * @returns {Promise<UUID>} - a Promise that resolves with the id of the newly-created PersistentSearch
  *
  * @example
@@ -46,39 +53,41 @@ const LOG = new Logger('PersistentSearchApi');
  *     "type": "ALPR_ALERT",
  *     "alertMetadata": {
  *       "searchReason": "Locate Witnesses or Victims of Violent Crime"
- *     }
- *     "constraints": {
- *       "constraints": [
- *         {
- *           "entitySetIds": ["8975812d-0325-4934-83a9-5b41bebd4c67"]
- *           "start": 0,
- *           "maxHits": 3000,
- *           "constraints": [{
- *             "min": 1,
- *             "constraints": [{
- *               "type": "simple",
- *               "fuzzy": false,
- *               "searchTerm": "43a6df96-1cb8-4daa-9a82-f9361b8777c7:\"7RMF622\""
- *             }]
- *         }
- *       ]
- *     }
+ *     },
+ *     "constraints": (new SearchConstraintsBuilder())
+ *       .setEntitySetIds(["8975812d-0325-4934-83a9-5b41bebd4c67"])
+ *       .setStart(0)
+ *       .setMaxHits(3000)
+ *       .addConstraintGroup([
+ *         SearchConstraintsBuilder.simpleConstraint("43a6df96-1cb8-4daa-9a82-f9361b8777c7:\"7RMF622\""),
+ *       ])
+ *       .build()
  *   }
  * );
  */
-function createPersistentSearch(persistentSearch :Object) :Promise<UUID> {
+function createPersistentSearch(
+  persistentSearch :{ constraints :SearchConstraints | SearchConstraintsObject },
+  options ?:RequestOptions,
+) :Promise<UUID> {
 
   let errorMsg = '';
 
-  // TODO: needs more validation
   if (!isNonEmptyObject(persistentSearch)) {
     errorMsg = 'invalid parameter: "persistentSearch" must be a non-empty object';
     LOG.error(errorMsg, persistentSearch);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'persistentSearch', persistentSearch));
   }
 
+  const { constraints } = persistentSearch;
+  if (!isValidSearchConstraints(constraints)) {
+    errorMsg = 'invalid parameter: "constraints" must be valid SearchConstraints';
+    LOG.error(errorMsg, constraints);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'constraints', constraints));
+  }
+
+  const constraintsObj = constraints instanceof SearchConstraints ? constraints.toObject() : constraints;
   return getApiAxiosInstance(PERSISTENT_SEARCH_API)
-    .post('', persistentSearch)
+    .post('', { ...persistentSearch, constraints: constraintsObj }, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -94,23 +103,24 @@ function createPersistentSearch(persistentSearch :Object) :Promise<UUID> {
  * @static
  * @memberof lattice.PersistentSearchApi
  * @param {UUID} persistentSearchId The id of the PersistentSearch to expire
+ * @param {RequestOptions} options
  * @returns {Promise<void>} - a Promise that resolves once the expiration date has been expired
  *
  * @example
  * PersistentSearchApi.expirePersistentSearch("ec6865e6-e60e-424b-a071-6a9c1603d735");
  */
-function expirePersistentSearch(persistentSearchId :UUID) :Promise<void> {
+function expirePersistentSearch(persistentSearchId :UUID, options ?:RequestOptions) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(persistentSearchId)) {
     errorMsg = 'invalid parameter: "persistentSearchId" must be a valid UUID';
     LOG.error(errorMsg, persistentSearchId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'persistentSearchId', persistentSearchId));
   }
 
   return getApiAxiosInstance(PERSISTENT_SEARCH_API)
-    .delete(`/${persistentSearchId}`)
+    .delete(`/${persistentSearchId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -126,23 +136,24 @@ function expirePersistentSearch(persistentSearchId :UUID) :Promise<void> {
  * @static
  * @memberof lattice.PersistentSearchApi
  * @param {boolean} includeExpired - indicates whether to return only active persistent searches or include expired ones
+ * @param {RequestOptions} options
  * @returns {Promise<Object[]>} - a Promise that resolves with a list of PersistentSearch objects
  *
  * @example
  * PersistentSearchApi.getPersistentSearches(true);
  */
-function getPersistentSearches(includeExpired :boolean) :Promise<Object[]> {
+function getPersistentSearches(includeExpired :boolean, options ?:RequestOptions) :Promise<Object[]> {
 
   let errorMsg = '';
 
   if (!_isBoolean(includeExpired)) {
     errorMsg = 'invalid parameter: "includeExpired" must be a boolean';
     LOG.error(errorMsg, includeExpired);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'includeExpired', includeExpired));
   }
 
   return getApiAxiosInstance(PERSISTENT_SEARCH_API)
-    .get(`?includeExpired=${includeExpired}`)
+    .get(`?includeExpired=${includeExpired}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -159,6 +170,7 @@ function getPersistentSearches(includeExpired :boolean) :Promise<Object[]> {
  * @memberof lattice.PersistentSearchApi
  * @param {UUID} persistentSearchId The id of the PersistentSearch to update
  * @param {string} expiration The new expiration date
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves once the expiration date has been updated
  *
  * @example
@@ -167,24 +179,28 @@ function getPersistentSearches(includeExpired :boolean) :Promise<Object[]> {
  *   "2018-12-22T01:57:02.801Z"
  * );
  */
-function updatePersistentSearchExpiration(persistentSearchId :UUID, expiration :string) :Promise<void> {
+function updatePersistentSearchExpiration(
+  persistentSearchId :UUID,
+  expiration :string,
+  options ?:RequestOptions,
+) :Promise<void> {
 
   let errorMsg = '';
 
   if (!isValidUUID(persistentSearchId)) {
     errorMsg = 'invalid parameter: "persistentSearchId" must be a valid UUID';
     LOG.error(errorMsg, persistentSearchId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'persistentSearchId', persistentSearchId));
   }
 
   if (!isNonEmptyString(expiration)) {
     errorMsg = 'invalid parameter: "expiration" must be a valid string';
     LOG.error(errorMsg, persistentSearchId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'expiration', persistentSearchId));
   }
 
   return getApiAxiosInstance(PERSISTENT_SEARCH_API)
-    .patch(`/${persistentSearchId}/${EXPIRATION_PATH}`, expiration)
+    .patch(`/${persistentSearchId}/${EXPIRATION_PATH}`, expiration, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
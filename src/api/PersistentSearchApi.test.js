@@ -1,15 +1,17 @@
 import * as PersistentSearchApi from './PersistentSearchApi';
 
 import * as AxiosUtils from '../utils/axios';
+import { LatticeValidationError } from '../errors';
 import { PERSISTENT_SEARCH_API } from '../constants/ApiNames';
 import { runTestSuite } from '../utils/testing/APITestSuite';
+import { SEARCH_CONSTRAINTS_MOCK } from '../utils/testing/MockData';
 import { getMockAxiosInstance } from '../utils/testing/MockUtils';
 
 const MOCK_PS_ID = '4fdc5bf1-ac50-4c89-896a-5e37882d7daf';
 const MOCK_EXPIRATION = '2020-03-24T15:22:13.079-07:00';
 const MOCK_PS = {
   expiration: MOCK_EXPIRATION,
-  constraints: {},
+  constraints: SEARCH_CONSTRAINTS_MOCK.toObject(),
   type: 'TEST',
 };
 
@@ -73,4 +75,33 @@ describe(PERSISTENT_SEARCH_API, () => {
       },
     },
   );
+
+  describe('createPersistentSearch', () => {
+
+    test('should send SearchConstraints as a plain object', async () => {
+
+      const mockAxiosInstance = getMockAxiosInstance();
+      AxiosUtils.getApiAxiosInstance.mockImplementationOnce(() => mockAxiosInstance);
+
+      await PersistentSearchApi.createPersistentSearch({ ...MOCK_PS, constraints: SEARCH_CONSTRAINTS_MOCK });
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('', MOCK_PS, {});
+    });
+
+    test('should reject when the constraints are not valid SearchConstraints', async () => {
+
+      const invalid = [
+        undefined,
+        {},
+        { ...SEARCH_CONSTRAINTS_MOCK.toObject(), entitySetIds: ['invalid'] },
+        { ...SEARCH_CONSTRAINTS_MOCK.toObject(), maxHits: -1 },
+      ];
+
+      await Promise.all(invalid.map(async (constraints) => {
+        await expect(PersistentSearchApi.createPersistentSearch({ ...MOCK_PS, constraints }))
+          .rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+    });
+
+  });
+
 });
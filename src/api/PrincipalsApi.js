@@ -17,7 +17,9 @@
  * // PrincipalsApi.get...
  */
 
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
 import { PRINCIPALS_API } from '../constants/ApiNames';
 import {
   CREDENTIAL_PATH,
@@ -31,6 +33,7 @@ import {
 import { Principal, isValidPrincipal } from '../models/Principal';
 import { isNonEmptyArray, isNonEmptyObject, isNonEmptyString } from '../utils/LangUtils';
 import { getApiAxiosInstance } from '../utils/axios';
+import type { RequestOptions } from '../types';
 
 const LOG = new Logger('PrincipalsApi');
 
@@ -39,15 +42,16 @@ const LOG = new Logger('PrincipalsApi');
  *
  * @static
  * @memberof lattice.PrincipalsApi
+ * @param {RequestOptions} options
  * @returns {Promise<Map<AclKey, Role>>} - a Promise that will resolve with a map of roles
  *
  * @example
  * PrincipalsApi.getAllRoles();
  */
-function getAllRoles() :Promise<*> {
+function getAllRoles(options ?:RequestOptions) :Promise<*> {
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .get(`/${ROLES_PATH}`)
+    .get(`/${ROLES_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -60,15 +64,16 @@ function getAllRoles() :Promise<*> {
  *
  * @static
  * @memberof lattice.PrincipalsApi
+ * @param {RequestOptions} options
  * @returns {Promise<Map<String, Auth0UserBasic>>} - a Promise that will resolve with a map of users
  *
  * @example
  * PrincipalsApi.getAllUsers();
  */
-function getAllUsers() :Promise<*> {
+function getAllUsers(options ?:RequestOptions) :Promise<*> {
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .get(`/${USERS_PATH}`)
+    .get(`/${USERS_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -81,15 +86,16 @@ function getAllUsers() :Promise<*> {
  *
  * @static
  * @memberof lattice.PrincipalsApi
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that will resolve with an object containing the username and credential
  *
  * @example
  * PrincipalsApi.getAtlasCredentials();
  */
-function getAtlasCredentials() {
+function getAtlasCredentials(options ?:RequestOptions) {
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .get(`/${DB_PATH}`)
+    .get(`/${DB_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -102,15 +108,16 @@ function getAtlasCredentials() {
  *
  * @static
  * @memberof lattice.PrincipalsApi
+ * @param {RequestOptions} options
  * @returns {Promise<Set<SecurablePrincipal>>} - a Promise that will resolve with a set of role SecurablePrincipals
  *
  * @example
  * PrincipalsApi.getCurrentRoles();
  */
-function getCurrentRoles() :Promise<*> {
+function getCurrentRoles(options ?:RequestOptions) :Promise<*> {
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .get(`/${ROLES_PATH}/${CURRENT_PATH}`)
+    .get(`/${ROLES_PATH}/${CURRENT_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -124,6 +131,7 @@ function getCurrentRoles() :Promise<*> {
  * @static
  * @memberof lattice.PrincipalsApi
  * @param {Principal} principal
+ * @param {RequestOptions} options
  * @returns {Promise<SecurablePrincipal>} - a Promise that will resolve with the SecurablePrincipal
  *
  * @example
@@ -132,18 +140,18 @@ function getCurrentRoles() :Promise<*> {
  *   "type": "USER"
  * });
  */
-function getSecurablePrincipal(principal :Principal) :Promise<*> {
+function getSecurablePrincipal(principal :Principal, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isValidPrincipal(principal)) {
     errorMsg = 'invalid parameter: principal must be a valid Principal';
     LOG.error(errorMsg, principal);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'principal', principal));
   }
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .post('/', principal)
+    .post('/', principal, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -157,23 +165,24 @@ function getSecurablePrincipal(principal :Principal) :Promise<*> {
  * @static
  * @memberof lattice.PrincipalsApi
  * @param {string} userId
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
  * PrincipalsApi.getUser("auth0|openlattice");
  */
-function getUser(userId :string) :Promise<*> {
+function getUser(userId :string, options ?:RequestOptions) :Promise<*> {
 
   let errorMsg = '';
 
   if (!isNonEmptyString(userId)) {
     errorMsg = 'invalid parameter: userId must be a non-empty string';
     LOG.error(errorMsg, userId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'userId', userId));
   }
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .get(`/${USERS_PATH}/${userId}`)
+    .get(`/${USERS_PATH}/${userId}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -187,29 +196,30 @@ function getUser(userId :string) :Promise<*> {
  * @static
  * @memberof lattice.PrincipalsApi
  * @param {Array<string>} userIds
+ * @param {RequestOptions} options
  * @returns {Promise}
  *
  * @example
  * PrincipalsApi.getUsers(["auth0|openlattice", "google-oauth2|abc123"]);
  */
-function getUsers(userIds :string[]) :Promise<Object> {
+function getUsers(userIds :string[], options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isNonEmptyArray(userIds)) {
     errorMsg = 'invalid parameter: "userIds" must be a non-empty array';
     LOG.error(errorMsg, userIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'userIds', userIds));
   }
 
   if (!userIds.every(isNonEmptyString)) {
     errorMsg = 'invalid parameter: "userIds" must be an array of strings';
     LOG.error(errorMsg, userIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'userIds', userIds));
   }
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .post(`/${USERS_PATH}`, userIds)
+    .post(`/${USERS_PATH}`, userIds, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -222,15 +232,16 @@ function getUsers(userIds :string[]) :Promise<Object> {
 *
 * @static
 * @memberof lattice.PrincipalsApi
+* @param {RequestOptions} options
 * @returns {Promise} - a Promise that resolves without a value
 *
 * @example
 * PrincipalsApi.regenerateCredential();
 */
-function regenerateCredential() :Promise<void> {
+function regenerateCredential(options ?:RequestOptions) :Promise<void> {
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .post(`/${DB_PATH}/${CREDENTIAL_PATH}`)
+    .post(`/${DB_PATH}/${CREDENTIAL_PATH}`, undefined, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -244,23 +255,24 @@ function regenerateCredential() :Promise<void> {
  * @static
  * @memberof lattice.PrincipalsApi
  * @param {Object} fields
+ * @param {RequestOptions} options
  * @returns {Promise<Map<String, User>>} - a Promise that will resolve with a map of matching users
  *
  * @example
  * PrincipalsApi.searchUsers({ email: "*@openlattice.com" });
  */
-function searchUsers(fields :{ email ?:string, name ?:string }) :Promise<Object> {
+function searchUsers(fields :{ email ?:string, name ?:string }, options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isNonEmptyObject(fields)) {
     errorMsg = 'invalid parameter: "fields" must be a non-empty object';
     LOG.error(errorMsg, fields);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'fields', fields));
   }
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .post(`/${USERS_PATH}/${SEARCH_PATH}`, fields)
+    .post(`/${USERS_PATH}/${SEARCH_PATH}`, fields, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -273,15 +285,16 @@ function searchUsers(fields :{ email ?:string, name ?:string }) :Promise<Object>
  *
  * @static
  * @memberof lattice.PrincipalsApi
+ * @param {RequestOptions} options
  * @returns {Promise} - a Promise that resolves without a value
  *
  * @example
  * PrincipalsApi.syncUser();
  */
-function syncUser() :Promise<*> {
+function syncUser(options ?:RequestOptions) :Promise<*> {
 
   return getApiAxiosInstance(PRINCIPALS_API)
-    .get(`/${SYNC_PATH}`)
+    .get(`/${SYNC_PATH}`, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -18,38 +18,87 @@
  */
 
 import isFinite from 'lodash/isFinite';
-import { Set } from 'immutable';
 
+import * as DataApi from './DataApi';
+
+import LatticeValidationError from '../errors/LatticeValidationError';
 import Logger from '../utils/Logger';
+import getRequestConfig from '../utils/axios/getRequestConfig';
+import { bindAllToClientContext, bindToClientContext } from '../client/ClientContext';
 import { SEARCH_API } from '../constants/ApiNames';
-import {
-  DESTINATION,
-  DESTINATION_ES_IDS,
-  EDGE,
-  EDGE_ES_IDS,
-  ENTITY_KEY_IDS,
-  SOURCE,
-  SOURCE_ES_IDS,
-} from '../constants/SerializationConstants';
+import { OPENLATTICE_ID_FQN } from '../constants/GlobalConstants';
 import {
   ADVANCED_PATH,
   DATA_SETS_PATH,
   IDS_PATH,
   NEIGHBORS_PATH,
 } from '../constants/UrlConstants';
-import { isDefined, isEmptyArray, isNonEmptyObject } from '../utils/LangUtils';
+import { EntityNeighborsFilterBuilder, isValidEntityNeighborsFilter } from '../models/EntityNeighborsFilter';
+import { SearchConstraints, isValidSearchConstraints } from '../models/SearchConstraints';
+import {
+  isDefined,
+  isEmptyArray,
+  isNonEmptyObject,
+  isPositiveInteger,
+} from '../utils/LangUtils';
 import { isValidUUID, isValidUUIDArray } from '../utils/ValidationUtils';
 import { getApiAxiosInstance } from '../utils/axios';
-import type { UUID } from '../types';
+import type { EntityNeighborsFilter, EntityNeighborsFilterObject } from '../models/EntityNeighborsFilter';
+import type { RequestOptions, UUID } from '../types';
 
 const LOG = new Logger('SearchApi');
 
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_TRAVERSAL_CHUNK_SIZE = 100;
+
+type EntitySetDataIteratorOptions = {
+  ...RequestOptions;
+  concurrency ?:number;
+  limit ?:number;
+  pageSize ?:number;
+};
+
+// a neighbor filter without "entityKeyIds", which are filled in by the traversal
+type NeighborFilter = $Diff<EntityNeighborsFilterObject, {| entityKeyIds :UUID[] |}>;
+
+type EntityNeighborsTraversalOptions = {
+  ...RequestOptions;
+  chunkSize ?:number;
+  depth ?:number;
+  filter ?:NeighborFilter | NeighborFilter[];
+  pageSize ?:number;
+  visited ?:Set<UUID>;
+};
+
+type TraversedEntity = {|
+  data ?:Object;
+  entityKeyId :?UUID;
+  entitySetId :?UUID;
+|};
+
+type EntityNeighborRecord = {|
+  association :TraversedEntity;
+  hop :number;
+  neighbor :TraversedEntity;
+  origin :TraversedEntity;
+  src :boolean;
+|};
+
+function toSearchConstraintsObject(searchConstraints :any) :any {
+
+  if (searchConstraints instanceof SearchConstraints) {
+    return searchConstraints.toObject();
+  }
+  return searchConstraints;
+}
+
 /**
  * `POST /search/datasets`
  *
  * @static
  * @memberof lattice.SearchApi
  * @param {Object} searchOptions
+ * @param {RequestOptions} options
  * @returns {Promise<Object>}
  *
  * @example
@@ -63,18 +112,18 @@ const LOG = new Logger('SearchApi');
  *   }
  * );
  */
-function searchDataSetMetadata(searchOptions :Object) :Promise<Object> {
+function searchDataSetMetadata(searchOptions :Object, options ?:RequestOptions) :Promise<Object> {
 
   let errorMsg = '';
 
   if (!isNonEmptyObject(searchOptions)) {
     errorMsg = 'invalid parameter: "searchOptions" must be a non-empty object';
     LOG.error(errorMsg, searchOptions);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'searchOptions', searchOptions));
   }
 
   return getApiAxiosInstance(SEARCH_API)
-    .post(`/${DATA_SETS_PATH}`, searchOptions)
+    .post(`/${DATA_SETS_PATH}`, searchOptions, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -91,7 +140,8 @@ function searchDataSetMetadata(searchOptions :Object) :Promise<Object> {
  * @static
  * @memberof lattice.SearchApi
  * @param {UUID} entitySetId
- * @param {Object} filter
+ * @param {EntityNeighborsFilter} filter
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with the search results
  *
  * @example
@@ -108,86 +158,38 @@ function searchDataSetMetadata(searchOptions :Object) :Promise<Object> {
  */
 function searchEntityNeighborsWithFilter(
   entitySetId :UUID,
-  filter :Object,
-  idsOnly :boolean = false
+  filter :EntityNeighborsFilter | EntityNeighborsFilterObject,
+  idsOnly :boolean = false,
+  options ?:RequestOptions,
 ) :Promise<Object> {
 
   let errorMsg = '';
-  const data :Object = {};
 
   if (!isValidUUID(entitySetId)) {
     errorMsg = 'invalid parameter: entitySetId must be a valid UUID';
     LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetId', entitySetId));
   }
 
   if (typeof idsOnly !== 'boolean') {
     errorMsg = 'invalid parameter: idsOnly must be a boolean';
     LOG.error(errorMsg, idsOnly);
-    return Promise.reject(errorMsg);
-  }
-
-  if (!isNonEmptyObject(filter)) {
-    errorMsg = 'invalid parameter: filter must be a non-empty object';
-    LOG.error(errorMsg, entitySetId);
-    return Promise.reject(errorMsg);
-  }
-
-  if (!isValidUUIDArray(filter[ENTITY_KEY_IDS])) {
-    errorMsg = `invalid parameter: filter.${ENTITY_KEY_IDS} must be a non-empty set of valid UUIDs`;
-    LOG.error(errorMsg, filter[ENTITY_KEY_IDS]);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'idsOnly', idsOnly));
   }
 
-  const entityKeyIds :UUID[] = Set().withMutations((set :Set<UUID>) => (
-    filter[ENTITY_KEY_IDS].forEach((id :UUID) => set.add(id))
-  )).toJS();
-  data[ENTITY_KEY_IDS] = entityKeyIds;
-
-  let destinationEntitySetIds :?UUID[];
-  if (isEmptyArray(filter[DESTINATION_ES_IDS]) || isValidUUIDArray(filter[DESTINATION_ES_IDS])) {
-    destinationEntitySetIds = Set().withMutations((set :Set<UUID>) => (
-      filter[DESTINATION_ES_IDS].forEach((id :UUID) => set.add(id))
-    )).toJS();
-    data[DESTINATION] = destinationEntitySetIds;
-  }
-  else if (isDefined(filter[DESTINATION_ES_IDS])) {
-    errorMsg = `invalid parameter: filter.${DESTINATION_ES_IDS} must be a set of valid UUIDs`;
-    LOG.error(errorMsg, filter[DESTINATION_ES_IDS]);
-    return Promise.reject(errorMsg);
-  }
-
-  let edgeEntitySetIds :?UUID[];
-  if (isEmptyArray(filter[EDGE_ES_IDS]) || isValidUUIDArray(filter[EDGE_ES_IDS])) {
-    edgeEntitySetIds = Set().withMutations((set :Set<UUID>) => (
-      filter[EDGE_ES_IDS].forEach((id :UUID) => set.add(id))
-    )).toJS();
-    data[EDGE] = edgeEntitySetIds;
-  }
-  else if (isDefined(filter[EDGE_ES_IDS])) {
-    errorMsg = `invalid parameter: filter.${EDGE_ES_IDS} must be a set of valid UUIDs`;
-    LOG.error(errorMsg, filter[EDGE_ES_IDS]);
-    return Promise.reject(errorMsg);
+  if (!isValidEntityNeighborsFilter(filter)) {
+    errorMsg = 'invalid parameter: filter must be a valid EntityNeighborsFilter';
+    LOG.error(errorMsg, filter);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'filter', filter));
   }
 
-  let sourceEntitySetIds :?UUID[];
-  if (isEmptyArray(filter[SOURCE_ES_IDS]) || isValidUUIDArray(filter[SOURCE_ES_IDS])) {
-    sourceEntitySetIds = Set().withMutations((set :Set<UUID>) => (
-      filter[SOURCE_ES_IDS].forEach((id :UUID) => set.add(id))
-    )).toJS();
-    data[SOURCE] = sourceEntitySetIds;
-  }
-  else if (isDefined(filter[SOURCE_ES_IDS])) {
-    errorMsg = `invalid parameter: filter.${SOURCE_ES_IDS} must be a set of valid UUIDs`;
-    LOG.error(errorMsg, filter[SOURCE_ES_IDS]);
-    return Promise.reject(errorMsg);
-  }
+  const requestData = (new EntityNeighborsFilterBuilder(filter)).build().toRequestObject();
 
   const baseEndpoint = `/${entitySetId}/${NEIGHBORS_PATH}/${ADVANCED_PATH}`;
   const endpoint = idsOnly ? `${baseEndpoint}/${IDS_PATH}` : baseEndpoint;
 
   return getApiAxiosInstance(SEARCH_API)
-    .post(endpoint, data)
+    .post(endpoint, requestData, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -198,50 +200,63 @@ function searchEntityNeighborsWithFilter(
 /**
  * `PATCH /search`
  *
- * Searches EntitySet data according to the given constraints.
+ * Searches EntitySet data according to the given constraints. Use SearchConstraintsBuilder to build the constraint
+ * groups and the sort definition.
  *
  * @static
  * @memberof lattice.SearchApi
- * @param {Object} searchConstraints
+ * @param {SearchConstraints} searchConstraints
+ * @param {RequestOptions} options
  * @returns {Promise<Object>} - a Promise that resolves with the search results
  */
-function searchEntitySetData(searchConstraints :Object) :Promise<Object> {
+function searchEntitySetData(
+  searchConstraints :SearchConstraints | Object,
+  options ?:RequestOptions,
+) :Promise<Object> {
 
   let errorMsg = '';
+  const constraintsObj = toSearchConstraintsObject(searchConstraints);
 
-  if (!isNonEmptyObject(searchConstraints)) {
+  if (!isNonEmptyObject(constraintsObj)) {
     errorMsg = 'invalid parameter: "searchConstraints" must be a non-empty object';
     LOG.error(errorMsg, searchConstraints);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'searchConstraints', searchConstraints));
   }
 
-  // TODO: SearchConstraints model
   const {
+    constraints,
     entitySetIds,
     maxHits,
+    sort,
     start,
-  } = searchConstraints;
+  } = constraintsObj;
 
   if (!isValidUUIDArray(entitySetIds)) {
     errorMsg = 'invalid parameter: "entitySetIds" must be a non-empty array of valid UUIDs';
     LOG.error(errorMsg, entitySetIds);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entitySetIds', entitySetIds));
   }
 
   if (!isFinite(start) || start < 0) {
     errorMsg = 'invalid property: "start" must be a positive number';
     LOG.error(errorMsg, start);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'start', start));
   }
 
   if (!isFinite(maxHits) || maxHits < 0) {
     errorMsg = 'invalid property: "maxHits" must be a positive number';
     LOG.error(errorMsg, maxHits);
-    return Promise.reject(errorMsg);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'maxHits', maxHits));
+  }
+
+  if ((isDefined(constraints) || isDefined(sort)) && !isValidSearchConstraints(constraintsObj)) {
+    errorMsg = 'invalid parameter: "searchConstraints" must be valid SearchConstraints';
+    LOG.error(errorMsg, constraintsObj);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'searchConstraints', constraintsObj));
   }
 
   return getApiAxiosInstance(SEARCH_API)
-    .patch('/', searchConstraints)
+    .patch('/', constraintsObj, getRequestConfig(options))
     .then((axiosResponse) => axiosResponse.data)
     .catch((error :Error) => {
       LOG.error(error);
@@ -249,8 +264,406 @@ function searchEntitySetData(searchConstraints :Object) :Promise<Object> {
     });
 }
 
+async function* iterateEntitySetDataPages(
+  search :typeof searchEntitySetData,
+  searchConstraints :Object,
+  iteratorOptions :EntitySetDataIteratorOptions,
+) :AsyncGenerator<Object[], void, void> {
+
+  let errorMsg = '';
+
+  if (!isNonEmptyObject(searchConstraints)) {
+    errorMsg = 'invalid parameter: "searchConstraints" must be a non-empty object';
+    LOG.error(errorMsg, searchConstraints);
+    throw new LatticeValidationError(errorMsg, 'searchConstraints', searchConstraints);
+  }
+
+  const {
+    concurrency = 1,
+    limit,
+    pageSize = DEFAULT_PAGE_SIZE,
+    ...requestOptions
+  } = iteratorOptions;
+  const { start = 0 } = searchConstraints;
+
+  if (!isFinite(start) || start < 0) {
+    errorMsg = 'invalid property: "start" must be a positive number';
+    LOG.error(errorMsg, start);
+    throw new LatticeValidationError(errorMsg, 'start', start);
+  }
+
+  if (!isPositiveInteger(pageSize)) {
+    errorMsg = 'invalid parameter: "pageSize" must be a positive integer';
+    LOG.error(errorMsg, pageSize);
+    throw new LatticeValidationError(errorMsg, 'pageSize', pageSize);
+  }
+
+  if (!isPositiveInteger(concurrency)) {
+    errorMsg = 'invalid parameter: "concurrency" must be a positive integer';
+    LOG.error(errorMsg, concurrency);
+    throw new LatticeValidationError(errorMsg, 'concurrency', concurrency);
+  }
+
+  if (limit !== undefined && !isPositiveInteger(limit)) {
+    errorMsg = 'invalid parameter: "limit" must be a positive integer';
+    LOG.error(errorMsg, limit);
+    throw new LatticeValidationError(errorMsg, 'limit', limit);
+  }
+
+  const end = limit === undefined ? Infinity : start + limit;
+  const searchPage = (pageStart :number) :Promise<Object> => search(
+    { ...searchConstraints, maxHits: Math.min(pageSize, end - pageStart), start: pageStart },
+    requestOptions,
+  );
+
+  // the first page tells us how many hits there are in total
+  const firstPage = await searchPage(start);
+  if (isEmptyArray(firstPage.hits)) {
+    return;
+  }
+  yield firstPage.hits;
+
+  const total = Math.min(firstPage.numHits, end);
+  const pending = [];
+  let nextStart = start + pageSize;
+
+  while (nextStart < total || pending.length > 0) {
+    while (pending.length < concurrency && nextStart < total) {
+      const page = searchPage(nextStart);
+      // a prefetched page might never be consumed if the caller stops iterating early
+      page.catch(() => {});
+      pending.push(page);
+      nextStart += pageSize;
+    }
+    // pages are yielded in order, so waiting on each one in turn is intended
+    // eslint-disable-next-line no-await-in-loop
+    const { hits } = await pending.shift();
+    // the hits might have changed since the first page, so an empty page means there is nothing left
+    if (isEmptyArray(hits)) {
+      return;
+    }
+    yield hits;
+  }
+}
+
+/**
+ * Searches EntitySet data according to the given constraints, requesting one page of hits at a time until all hits
+ * have been returned. The "start" constraint, if given, is the offset of the first hit, and "maxHits" is ignored in
+ * favor of "pageSize".
+ *
+ * @static
+ * @memberof lattice.SearchApi
+ * @param {SearchConstraints} searchConstraints
+ * @param {Object} iteratorOptions - any of the request options, in addition to the options below (optional)
+ * @param {number} iteratorOptions.pageSize - the number of hits to request per page (default 100)
+ * @param {number} iteratorOptions.concurrency - the number of pages to request in parallel (default 1)
+ * @param {number} iteratorOptions.limit - the maximum number of hits to return in total (optional)
+ * @returns {AsyncIterator<Object[]>} - an async iterator that yields the hits of each page
+ *
+ * @example
+ * const searchConstraints = (new SearchConstraintsBuilder())
+ *   .setEntitySetIds(["ec6865e6-e60e-424b-a071-6a9c1603d735"])
+ *   .setMaxHits(1000)
+ *   .addConstraintGroup([SearchConstraintsBuilder.simpleConstraint("*")])
+ *   .build();
+ * const pages = SearchApi.iterateEntitySetData(searchConstraints, { pageSize: 1000, concurrency: 2 });
+ * for await (const hits of pages) {
+ *   // ...
+ * }
+ */
+function iterateEntitySetData(
+  searchConstraints :SearchConstraints | Object,
+  iteratorOptions ?:EntitySetDataIteratorOptions = {},
+) :AsyncGenerator<Object[], void, void> {
+
+  // the pages are requested asynchronously, so they have to be bound to the client this was called on
+  return iterateEntitySetDataPages(
+    bindToClientContext(searchEntitySetData),
+    toSearchConstraintsObject(searchConstraints),
+    iteratorOptions || {},
+  );
+}
+
+// the API functions a traversal needs, bound to the client the traversal was started with
+const TRAVERSAL_API = {
+  getEntitySetData: DataApi.getEntitySetData,
+  searchEntityNeighborsWithFilter,
+};
+
+type TraversalApi = typeof TRAVERSAL_API;
+
+// the ends of an association, as returned by the neighbor search with "idsOnly"
+type NeighborReference = {|
+  associationEntityKeyId :?UUID;
+  associationEntitySetId :UUID;
+  neighborEntityKeyId :UUID;
+  neighborEntitySetId :UUID;
+  originEntityKeyId :UUID;
+  src :boolean;
+|};
+
+async function getEntitiesById(
+  api :TraversalApi,
+  entityKeyIdsByEntitySet :Map<UUID, UUID[]>,
+  requestOptions :RequestOptions,
+) :Promise<{ [UUID] :Object }> {
+
+  const entitySetIds = Array.from(entityKeyIdsByEntitySet.keys());
+  const entitySets = await Promise.all(entitySetIds.map((entitySetId :UUID) => api.getEntitySetData(
+    entitySetId,
+    undefined,
+    entityKeyIdsByEntitySet.get(entitySetId),
+    requestOptions,
+  )));
+
+  const entitiesById = {};
+  entitySets.forEach((entities :Object[]) => {
+    (entities || []).forEach((entity :Object) => {
+      const [entityKeyId] = entity[OPENLATTICE_ID_FQN] || [];
+      if (entityKeyId) {
+        entitiesById[entityKeyId] = entity;
+      }
+    });
+  });
+  return entitiesById;
+}
+
+async function* traverseNeighbors(
+  api :TraversalApi,
+  entitySetId :UUID,
+  entityKeyIds :UUID[],
+  traversalOptions :EntityNeighborsTraversalOptions,
+) :AsyncGenerator<EntityNeighborRecord, void, void> {
+
+  let errorMsg = '';
+
+  if (!isValidUUID(entitySetId)) {
+    errorMsg = 'invalid parameter: "entitySetId" must be a valid UUID';
+    LOG.error(errorMsg, entitySetId);
+    throw new LatticeValidationError(errorMsg, 'entitySetId', entitySetId);
+  }
+
+  if (!isValidUUIDArray(entityKeyIds)) {
+    errorMsg = 'invalid parameter: "entityKeyIds" must be a non-empty array of valid UUIDs';
+    LOG.error(errorMsg, entityKeyIds);
+    throw new LatticeValidationError(errorMsg, 'entityKeyIds', entityKeyIds);
+  }
+
+  const {
+    chunkSize = DEFAULT_TRAVERSAL_CHUNK_SIZE,
+    filter = {},
+    pageSize = DEFAULT_PAGE_SIZE,
+    visited = new Set(),
+    ...requestOptions
+  } = traversalOptions;
+  const filters = Array.isArray(filter) ? filter : [filter];
+  const { depth = Array.isArray(filter) ? filter.length : 1 } = traversalOptions;
+
+  if (!isPositiveInteger(chunkSize)) {
+    errorMsg = 'invalid parameter: "chunkSize" must be a positive integer';
+    LOG.error(errorMsg, chunkSize);
+    throw new LatticeValidationError(errorMsg, 'chunkSize', chunkSize);
+  }
+
+  if (!isPositiveInteger(pageSize)) {
+    errorMsg = 'invalid parameter: "pageSize" must be a positive integer';
+    LOG.error(errorMsg, pageSize);
+    throw new LatticeValidationError(errorMsg, 'pageSize', pageSize);
+  }
+
+  if (!isPositiveInteger(depth) || (Array.isArray(filter) && depth > filter.length)) {
+    errorMsg = 'invalid parameter: "depth" must be a positive integer, and there must be a filter for every hop';
+    LOG.error(errorMsg, depth);
+    throw new LatticeValidationError(errorMsg, 'depth', depth);
+  }
+
+  const isValidFilter = (hopFilter) => isValidEntityNeighborsFilter({ ...hopFilter, entityKeyIds });
+  if (filters.length === 0 || !filters.every(isValidFilter)) {
+    errorMsg = 'invalid parameter: "filter" must be a valid EntityNeighborsFilter, or an array of them';
+    LOG.error(errorMsg, filter);
+    throw new LatticeValidationError(errorMsg, 'filter', filter);
+  }
+
+  if (!(visited instanceof Set)) {
+    errorMsg = 'invalid parameter: "visited" must be a Set';
+    LOG.error(errorMsg, visited);
+    throw new LatticeValidationError(errorMsg, 'visited', visited);
+  }
+
+  // the same association shows up once for each of its ends that is expanded, but is only returned once
+  const seenAssociations = new Set();
+
+  // the entities to expand on the current hop, grouped by entity set
+  const startEntityKeyIds = Array.from(new Set(entityKeyIds)).filter((entityKeyId) => !visited.has(entityKeyId));
+  startEntityKeyIds.forEach((entityKeyId) => visited.add(entityKeyId));
+  let frontier :Map<UUID, UUID[]> = new Map(startEntityKeyIds.length > 0 ? [[entitySetId, startEntityKeyIds]] : []);
+
+  for (let hop = 1; hop <= depth && frontier.size > 0; hop += 1) {
+    const hopFilter = filters[Array.isArray(filter) ? hop - 1 : 0];
+    const nextFrontier :Map<UUID, UUID[]> = new Map();
+
+    const chunks :Array<[UUID, UUID[]]> = [];
+    frontier.forEach((originEntityKeyIds :UUID[], originEntitySetId :UUID) => {
+      for (let start = 0; start < originEntityKeyIds.length; start += chunkSize) {
+        chunks.push([originEntitySetId, originEntityKeyIds.slice(start, start + chunkSize)]);
+      }
+    });
+
+    for (let c = 0; c < chunks.length; c += 1) {
+      const [originEntitySetId, chunk] = chunks[c];
+      // only the ids of the neighbors are searched for, so that a hub entity does not come back in a single response
+      // eslint-disable-next-line no-await-in-loop
+      const neighborIds = await api.searchEntityNeighborsWithFilter(
+        originEntitySetId,
+        { ...hopFilter, entityKeyIds: chunk },
+        true,
+        requestOptions,
+      );
+
+      const references :NeighborReference[] = [];
+      chunk.forEach((originEntityKeyId :UUID) => {
+        const byAssociationEntitySet = (neighborIds && neighborIds[originEntityKeyId]) || {};
+        Object.keys(byAssociationEntitySet).forEach((associationEntitySetId :UUID) => {
+          const byNeighborEntitySet = byAssociationEntitySet[associationEntitySetId] || {};
+          Object.keys(byNeighborEntitySet).forEach((neighborEntitySetId :UUID) => {
+            (byNeighborEntitySet[neighborEntitySetId] || []).forEach((ids :Object) => {
+              const { associationEntityKeyId, neighborEntityKeyId } = ids;
+              const src = ids.src === true;
+              // an association without an entity key id is told apart by its entity set and its ends instead
+              const [srcEntityKeyId, dstEntityKeyId] = src
+                ? [neighborEntityKeyId, originEntityKeyId]
+                : [originEntityKeyId, neighborEntityKeyId];
+              const associationKey = associationEntityKeyId
+                || `${associationEntitySetId}/${srcEntityKeyId}/${dstEntityKeyId}`;
+              if (!seenAssociations.has(associationKey)) {
+                seenAssociations.add(associationKey);
+                references.push({
+                  associationEntityKeyId,
+                  associationEntitySetId,
+                  neighborEntityKeyId,
+                  neighborEntitySetId,
+                  originEntityKeyId,
+                  src,
+                });
+              }
+              if (isValidUUID(neighborEntityKeyId) && isValidUUID(neighborEntitySetId)
+                && !visited.has(neighborEntityKeyId)) {
+                visited.add(neighborEntityKeyId);
+                const next = nextFrontier.get(neighborEntitySetId);
+                if (next) {
+                  next.push(neighborEntityKeyId);
+                }
+                else {
+                  nextFrontier.set(neighborEntitySetId, [neighborEntityKeyId]);
+                }
+              }
+            });
+          });
+        });
+      });
+
+      // the data of the neighbors and their associations is read one page at a time, and each page is streamed to the
+      // caller before the next one is requested
+      for (let start = 0; start < references.length; start += pageSize) {
+        const page = references.slice(start, start + pageSize);
+        const entityKeyIdsByEntitySet :Map<UUID, UUID[]> = new Map();
+        const addEntityKeyId = (pageEntitySetId :UUID, pageEntityKeyId :?UUID) => {
+          if (isValidUUID(pageEntitySetId) && isValidUUID(pageEntityKeyId)) {
+            entityKeyIdsByEntitySet.set(pageEntitySetId, [
+              ...(entityKeyIdsByEntitySet.get(pageEntitySetId) || []),
+              (pageEntityKeyId :any),
+            ]);
+          }
+        };
+        page.forEach((reference :NeighborReference) => {
+          addEntityKeyId(reference.associationEntitySetId, reference.associationEntityKeyId);
+          addEntityKeyId(reference.neighborEntitySetId, reference.neighborEntityKeyId);
+        });
+        // eslint-disable-next-line no-await-in-loop
+        const entitiesById = await getEntitiesById(api, entityKeyIdsByEntitySet, requestOptions);
+
+        for (let i = 0; i < page.length; i += 1) {
+          const reference = page[i];
+          yield {
+            association: {
+              data: reference.associationEntityKeyId ? entitiesById[reference.associationEntityKeyId] : undefined,
+              entityKeyId: reference.associationEntityKeyId,
+              entitySetId: reference.associationEntitySetId,
+            },
+            hop,
+            neighbor: {
+              data: entitiesById[reference.neighborEntityKeyId],
+              entityKeyId: reference.neighborEntityKeyId,
+              entitySetId: reference.neighborEntitySetId,
+            },
+            origin: {
+              entityKeyId: reference.originEntityKeyId,
+              entitySetId: originEntitySetId,
+            },
+            src: reference.src,
+          };
+        }
+      }
+    }
+
+    frontier = nextFrontier;
+  }
+}
+
+/**
+ * Expands the graph around the given entities one hop at a time, up to the given depth, by searching the neighbors of
+ * at most "chunkSize" entities per request. Only the ids of the neighbors are searched for, and the data of the
+ * neighbors and their associations is then read "pageSize" associations at a time, so that an entity with many
+ * neighbors does not come back in a single response. Every association is yielded as a record as soon as its page
+ * arrives, so the caller can render the graph incrementally, and stop iterating at any time. Entities that have already
+ * been visited, including the given ones, are not expanded again; pass the same "visited" Set to a later call to
+ * continue expanding the same graph.
+ *
+ * @static
+ * @memberof lattice.SearchApi
+ * @param {UUID} entitySetId - the entity set of the entities to start from
+ * @param {UUID[]} entityKeyIds - the entities to start from
+ * @param {Object} traversalOptions - any of the request options, in addition to the options below (optional)
+ * @param {Object|Object[]} traversalOptions.filter - the EntityNeighborsFilter, without "entityKeyIds", to apply on
+ *   every hop, or an array of filters, one for each hop (optional)
+ * @param {number} traversalOptions.depth - the number of hops (default 1, or the number of filters)
+ * @param {number} traversalOptions.chunkSize - the maximum number of entities per request (default 100)
+ * @param {number} traversalOptions.pageSize - the maximum number of associations to read the data of per page
+ *   (default 100)
+ * @param {Set<UUID>} traversalOptions.visited - the entity key ids that should not be expanded, which is updated with
+ *   every entity that is expanded (optional)
+ * @returns {AsyncIterator<Object>} - an async iterator that yields { association, hop, neighbor, origin, src } records
+ *
+ * @example
+ * const visited = new Set();
+ * const records = SearchApi.traverseEntityNeighbors(
+ *   "ec6865e6-e60e-424b-a071-6a9c1603d735",
+ *   ["3bf2a30d-fda0-4389-a1e6-8546b230efad"],
+ *   {
+ *     depth: 2,
+ *     filter: { edgeEntitySetIds: ["f8c6c56a-ad39-4587-b216-def81615d69c"] },
+ *     visited,
+ *   }
+ * );
+ * for await (const { association, hop, neighbor, origin } of records) {
+ *   // ...
+ * }
+ */
+function traverseEntityNeighbors(
+  entitySetId :UUID,
+  entityKeyIds :UUID[],
+  traversalOptions ?:EntityNeighborsTraversalOptions = {},
+) :AsyncGenerator<EntityNeighborRecord, void, void> {
+
+  // the neighbors are requested asynchronously, so they have to be bound to the client this was called on
+  const api :TraversalApi = bindAllToClientContext(TRAVERSAL_API);
+  return traverseNeighbors(api, entitySetId, entityKeyIds, traversalOptions || {});
+}
+
 export {
+  iterateEntitySetData,
   searchDataSetMetadata,
   searchEntityNeighborsWithFilter,
   searchEntitySetData,
+  traverseEntityNeighbors,
 };
@@ -3,15 +3,18 @@
 import * as SearchApi from './SearchApi';
 
 import * as AxiosUtils from '../utils/axios';
-import { SEARCH_API } from '../constants/ApiNames';
+import { LatticeValidationError } from '../errors';
+import { DATA_API, SEARCH_API } from '../constants/ApiNames';
 import {
   ADVANCED_PATH,
   DATA_SETS_PATH,
   IDS_PATH,
   NEIGHBORS_PATH,
+  SET_PATH,
 } from '../constants/UrlConstants';
 import { runTestSuite } from '../utils/testing/APITestSuite';
-import { getMockAxiosInstance } from '../utils/testing/MockUtils';
+import { ENTITY_NEIGHBORS_FILTER_MOCK, SEARCH_CONSTRAINTS_MOCK } from '../utils/testing/MockData';
+import { genRandomUUID, getMockAxiosInstance, mockApiAxiosInstances } from '../utils/testing/MockUtils';
 
 const MOCK_START = 10;
 const MOCK_MAX_HITS = 100;
@@ -76,6 +79,16 @@ describe(SEARCH_API, () => {
             valid: [MOCK_ESID_1, { entityKeyIds: [MOCK_EKID_1, MOCK_EKID_2] }, false],
           },
         },
+        '(entitySetId, EntityNeighborsFilter, false)': {
+          method: 'post',
+          params: {
+            axios: [
+              `/${MOCK_ESID_1}/${NEIGHBORS_PATH}/${ADVANCED_PATH}`,
+              ENTITY_NEIGHBORS_FILTER_MOCK.toRequestObject(),
+            ],
+            valid: [MOCK_ESID_1, ENTITY_NEIGHBORS_FILTER_MOCK, false],
+          },
+        },
         '(entitySetId, { entityKeyIds }, true)': {
           method: 'post',
           params: {
@@ -180,7 +193,424 @@ describe(SEARCH_API, () => {
             valid: [MOCK_SEARCH_CONSTRAINTS],
           },
         },
+        '(SearchConstraints)': {
+          method: 'patch',
+          params: {
+            axios: ['/', SEARCH_CONSTRAINTS_MOCK.toObject()],
+            valid: [SEARCH_CONSTRAINTS_MOCK],
+          },
+        },
       },
     },
   );
+
+  describe('searchEntitySetData()', () => {
+
+    test('should reject with a LatticeValidationError when given malformed constraint groups', async () => {
+
+      const mockAxiosInstance = getMockAxiosInstance();
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => mockAxiosInstance);
+
+      const invalid = [
+        { ...MOCK_SEARCH_CONSTRAINTS, constraints: [{ constraints: [], min: 1 }] },
+        { ...MOCK_SEARCH_CONSTRAINTS, constraints: [{ constraints: [{ searchTerm: '*', type: 'simple' }], min: 1 }] },
+        { ...MOCK_SEARCH_CONSTRAINTS, sort: { isDescending: false, sortType: 'field' } },
+      ];
+
+      await Promise.all(invalid.map(async (searchConstraints) => {
+        await expect(SearchApi.searchEntitySetData(searchConstraints)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstance.patch).not.toHaveBeenCalled();
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+  });
+
+  describe('iterateEntitySetData()', () => {
+
+    const MOCK_HITS = Array.from({ length: 25 }, (value, index) => ({ index }));
+
+    // responds to each search with the requested page of MOCK_HITS
+    const mockSearchResults = (hits = MOCK_HITS) => {
+      const mockAxiosInstance = getMockAxiosInstance();
+      mockAxiosInstance.patch.mockImplementation((url, { maxHits, start }) => Promise.resolve({
+        data: {
+          hits: hits.slice(start, start + maxHits),
+          numHits: hits.length,
+        },
+      }));
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => mockAxiosInstance);
+      return mockAxiosInstance.patch;
+    };
+
+    const collectPages = async (iterator) => {
+      const pages = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const hits of iterator) {
+        pages.push(hits);
+      }
+      return pages;
+    };
+
+    afterEach(() => {
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+    test('should yield every hit, page by page', async () => {
+
+      const patch = mockSearchResults();
+      const pages = await collectPages(
+        SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1] }, { pageSize: 10 })
+      );
+
+      expect(pages).toEqual([MOCK_HITS.slice(0, 10), MOCK_HITS.slice(10, 20), MOCK_HITS.slice(20, 25)]);
+      expect(patch).toHaveBeenCalledTimes(3);
+      expect(patch.mock.calls.map(([, constraints]) => constraints)).toEqual([
+        { entitySetIds: [MOCK_ESID_1], maxHits: 10, start: 0 },
+        { entitySetIds: [MOCK_ESID_1], maxHits: 10, start: 10 },
+        { entitySetIds: [MOCK_ESID_1], maxHits: 10, start: 20 },
+      ]);
+    });
+
+    test('should start at the given "start" constraint', async () => {
+
+      mockSearchResults();
+      const pages = await collectPages(
+        SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1], start: 15 }, { pageSize: 10 })
+      );
+
+      expect(pages).toEqual([MOCK_HITS.slice(15, 25)]);
+    });
+
+    test('should not yield anything when there are no hits', async () => {
+
+      const patch = mockSearchResults([]);
+      const pages = await collectPages(SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1] }));
+
+      expect(pages).toEqual([]);
+      expect(patch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not yield more hits than the given limit', async () => {
+
+      const patch = mockSearchResults();
+      const pages = await collectPages(
+        SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1] }, { limit: 12, pageSize: 10 })
+      );
+
+      expect(pages).toEqual([MOCK_HITS.slice(0, 10), MOCK_HITS.slice(10, 12)]);
+      expect(patch.mock.calls[1][1]).toEqual({ entitySetIds: [MOCK_ESID_1], maxHits: 2, start: 10 });
+    });
+
+    test('should request the next pages in parallel, and still yield them in order', async () => {
+
+      const patch = mockSearchResults();
+      const iterator = SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1] }, { concurrency: 2, pageSize: 5 });
+
+      expect((await iterator.next()).value).toEqual(MOCK_HITS.slice(0, 5));
+      expect(patch).toHaveBeenCalledTimes(1);
+      expect((await iterator.next()).value).toEqual(MOCK_HITS.slice(5, 10));
+      expect(patch).toHaveBeenCalledTimes(3);
+      expect((await iterator.next()).value).toEqual(MOCK_HITS.slice(10, 15));
+      expect(patch).toHaveBeenCalledTimes(4);
+      expect(await collectPages(iterator)).toEqual([MOCK_HITS.slice(15, 20), MOCK_HITS.slice(20, 25)]);
+      expect(patch).toHaveBeenCalledTimes(5);
+    });
+
+    test('should pass the request options on to every search', async () => {
+
+      const patch = mockSearchResults();
+      await collectPages(
+        SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1] }, { pageSize: 20, timeout: 1000 })
+      );
+
+      expect(patch).toHaveBeenCalledTimes(2);
+      patch.mock.calls.forEach(([, , requestConfig]) => {
+        expect(requestConfig).toEqual({ timeout: 1000 });
+      });
+    });
+
+    test('should throw when a search fails', async () => {
+
+      const error = new Error('failure');
+      const patch = mockSearchResults();
+      patch.mockImplementationOnce(() => Promise.reject(error));
+
+      await expect(collectPages(SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID_1] }))).rejects.toBe(error);
+    });
+
+    test('should throw a LatticeValidationError when given invalid parameters', async () => {
+
+      const patch = mockSearchResults();
+      const invalid = [
+        [undefined],
+        [{}],
+        [{ entitySetIds: [MOCK_ESID_1], start: -1 }],
+        [{ entitySetIds: [MOCK_ESID_1] }, { pageSize: 0 }],
+        [{ entitySetIds: [MOCK_ESID_1] }, { concurrency: 1.5 }],
+        [{ entitySetIds: [MOCK_ESID_1] }, { limit: '10' }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(SearchApi.iterateEntitySetData(...params).next()).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(patch).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('traverseEntityNeighbors()', () => {
+
+    const ASSOCIATION_ESID = genRandomUUID();
+    const [A, B, C, D] = [genRandomUUID(), genRandomUUID(), genRandomUUID(), genRandomUUID()];
+    const [X1, X2, X3] = [genRandomUUID(), genRandomUUID(), genRandomUUID()];
+
+    // A (MOCK_ESID_1) -X1-> B (MOCK_ESID_2), A -X2-> C (MOCK_ESID_2), B -X3-> D (MOCK_ESID_1)
+    const EDGES = [
+      [A, MOCK_ESID_1, X1, B, MOCK_ESID_2],
+      [A, MOCK_ESID_1, X2, C, MOCK_ESID_2],
+      [B, MOCK_ESID_2, X3, D, MOCK_ESID_1],
+    ];
+
+    // an association without an id is sent without an entity key id, like some associations from the neighbor search
+    const toNeighborIds = (associationId, neighborId, src) => (
+      associationId
+        ? { associationEntityKeyId: associationId, neighborEntityKeyId: neighborId, src }
+        : { neighborEntityKeyId: neighborId, src }
+    );
+
+    // responds with the ids of the neighbors of each of the requested entities in the graph above, and with the data of
+    // each of the requested entities
+    let mockAxiosInstances;
+    const mockNeighbors = (edges = EDGES) => {
+      mockAxiosInstances = mockApiAxiosInstances([DATA_API, SEARCH_API]);
+      mockAxiosInstances[SEARCH_API].post.mockImplementation((url, { entityKeyIds }) => {
+        const neighbors = {};
+        entityKeyIds.forEach((entityKeyId) => {
+          const byNeighborEntitySet = {};
+          const addNeighbor = (neighborEntitySetId, neighborIds) => {
+            byNeighborEntitySet[neighborEntitySetId] = byNeighborEntitySet[neighborEntitySetId] || [];
+            byNeighborEntitySet[neighborEntitySetId].push(neighborIds);
+          };
+          edges.forEach(([srcId, srcEntitySetId, associationId, dstId, dstEntitySetId]) => {
+            if (srcId === entityKeyId) {
+              addNeighbor(dstEntitySetId, toNeighborIds(associationId, dstId, false));
+            }
+            if (dstId === entityKeyId) {
+              addNeighbor(srcEntitySetId, toNeighborIds(associationId, srcId, true));
+            }
+          });
+          neighbors[entityKeyId] = { [ASSOCIATION_ESID]: byNeighborEntitySet };
+        });
+        return Promise.resolve({ data: neighbors });
+      });
+      mockAxiosInstances[DATA_API].post.mockImplementation((url, { ids }) => Promise.resolve({
+        data: ids.map((id) => ({ 'openlattice.@id': [id] })),
+      }));
+      return mockAxiosInstances[SEARCH_API].post;
+    };
+
+    const collectRecords = async (iterator) => {
+      const records = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const record of iterator) {
+        records.push(record);
+      }
+      return records;
+    };
+
+    const toEdge = (record) => [
+      record.hop,
+      record.origin.entityKeyId,
+      record.association.entityKeyId,
+      record.neighbor.entityKeyId,
+    ];
+
+    afterEach(() => {
+      AxiosUtils.getApiAxiosInstance.mockImplementation(() => getMockAxiosInstance());
+    });
+
+    test('should yield the neighbors of the given entities', async () => {
+
+      const post = mockNeighbors();
+      const records = await collectRecords(SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A]));
+
+      expect(records).toEqual([
+        {
+          association: { data: { 'openlattice.@id': [X1] }, entityKeyId: X1, entitySetId: ASSOCIATION_ESID },
+          hop: 1,
+          neighbor: { data: { 'openlattice.@id': [B] }, entityKeyId: B, entitySetId: MOCK_ESID_2 },
+          origin: { entityKeyId: A, entitySetId: MOCK_ESID_1 },
+          src: false,
+        },
+        {
+          association: { data: { 'openlattice.@id': [X2] }, entityKeyId: X2, entitySetId: ASSOCIATION_ESID },
+          hop: 1,
+          neighbor: { data: { 'openlattice.@id': [C] }, entityKeyId: C, entitySetId: MOCK_ESID_2 },
+          origin: { entityKeyId: A, entitySetId: MOCK_ESID_1 },
+          src: false,
+        },
+      ]);
+      expect(post).toHaveBeenCalledTimes(1);
+      expect(post.mock.calls[0][0]).toEqual(`/${MOCK_ESID_1}/${NEIGHBORS_PATH}/${ADVANCED_PATH}/${IDS_PATH}`);
+      expect(post.mock.calls[0][1]).toEqual({ entityKeyIds: [A] });
+      expect(mockAxiosInstances[DATA_API].post.mock.calls.map(([url, selection]) => [url, selection])).toEqual([
+        [`/${SET_PATH}/${ASSOCIATION_ESID}`, { ids: [X1, X2] }],
+        [`/${SET_PATH}/${MOCK_ESID_2}`, { ids: [B, C] }],
+      ]);
+    });
+
+    test('should expand every hop up to the given depth, without returning an association twice', async () => {
+
+      const visited = new Set();
+      const post = mockNeighbors();
+      const records = await collectRecords(
+        SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], { depth: 3, visited })
+      );
+
+      expect(records.map(toEdge)).toEqual([
+        [1, A, X1, B],
+        [1, A, X2, C],
+        [2, B, X3, D],
+      ]);
+      expect(records[2].src).toEqual(false);
+      expect(post.mock.calls.map(([url, filter]) => [url, filter])).toEqual([
+        [`/${MOCK_ESID_1}/${NEIGHBORS_PATH}/${ADVANCED_PATH}/${IDS_PATH}`, { entityKeyIds: [A] }],
+        [`/${MOCK_ESID_2}/${NEIGHBORS_PATH}/${ADVANCED_PATH}/${IDS_PATH}`, { entityKeyIds: [B, C] }],
+        [`/${MOCK_ESID_1}/${NEIGHBORS_PATH}/${ADVANCED_PATH}/${IDS_PATH}`, { entityKeyIds: [D] }],
+      ]);
+      expect(Array.from(visited)).toEqual([A, B, C, D]);
+    });
+
+    test('should return an association without an entity key id once for each pair of entities', async () => {
+
+      mockNeighbors([
+        [A, MOCK_ESID_1, undefined, B, MOCK_ESID_2],
+        [A, MOCK_ESID_1, undefined, C, MOCK_ESID_2],
+        [B, MOCK_ESID_2, X3, D, MOCK_ESID_1],
+      ]);
+      const records = await collectRecords(SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], { depth: 2 }));
+
+      // the association between A and B is found again when B is expanded, but is only returned the first time
+      expect(records.map(toEdge)).toEqual([
+        [1, A, undefined, B],
+        [1, A, undefined, C],
+        [2, B, X3, D],
+      ]);
+    });
+
+    test('should request the neighbors in chunks of the given size', async () => {
+
+      const post = mockNeighbors();
+      await collectRecords(SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], { chunkSize: 1, depth: 2 }));
+
+      expect(post.mock.calls.map(([, filter]) => filter)).toEqual([
+        { entityKeyIds: [A] },
+        { entityKeyIds: [B] },
+        { entityKeyIds: [C] },
+      ]);
+    });
+
+    test('should read the data of the neighbors one page at a time', async () => {
+
+      mockNeighbors([
+        [A, MOCK_ESID_1, X1, B, MOCK_ESID_2],
+        [A, MOCK_ESID_1, X2, C, MOCK_ESID_2],
+        [A, MOCK_ESID_1, X3, D, MOCK_ESID_2],
+      ]);
+      const records = SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], { pageSize: 2 });
+
+      expect((await records.next()).value.neighbor.entityKeyId).toEqual(B);
+      expect(mockAxiosInstances[DATA_API].post.mock.calls.map(([, selection]) => selection)).toEqual([
+        { ids: [X1, X2] },
+        { ids: [B, C] },
+      ]);
+      expect((await collectRecords(records)).map(toEdge)).toEqual([
+        [1, A, X2, C],
+        [1, A, X3, D],
+      ]);
+      expect(mockAxiosInstances[DATA_API].post.mock.calls.map(([, selection]) => selection)).toEqual([
+        { ids: [X1, X2] },
+        { ids: [B, C] },
+        { ids: [X3] },
+        { ids: [D] },
+      ]);
+    });
+
+    test('should apply the filter of each hop, and default the depth to the number of filters', async () => {
+
+      const post = mockNeighbors();
+      await collectRecords(SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], {
+        filter: [{ destinationEntitySetIds: [MOCK_ESID_2] }, { edgeEntitySetIds: [ASSOCIATION_ESID] }],
+      }));
+
+      expect(post.mock.calls.map(([, filter]) => filter)).toEqual([
+        { dst: [MOCK_ESID_2], entityKeyIds: [A] },
+        { edge: [ASSOCIATION_ESID], entityKeyIds: [B, C] },
+      ]);
+    });
+
+    test('should not expand entities that have already been visited', async () => {
+
+      const visited = new Set([B]);
+      const post = mockNeighbors();
+      const records = await collectRecords(
+        SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], { depth: 2, visited })
+      );
+
+      expect(records.map(toEdge)).toEqual([
+        [1, A, X1, B],
+        [1, A, X2, C],
+      ]);
+      expect(post.mock.calls[1][1]).toEqual({ entityKeyIds: [C] });
+    });
+
+    test('should not expand the given entities that have already been visited', async () => {
+
+      const visited = new Set([A]);
+      const post = mockNeighbors();
+      const records = await collectRecords(SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A, D], { visited }));
+
+      expect(records.map(toEdge)).toEqual([[1, D, X3, B]]);
+      expect(records[0].src).toEqual(true);
+      expect(post).toHaveBeenCalledTimes(1);
+      expect(post.mock.calls[0][1]).toEqual({ entityKeyIds: [D] });
+    });
+
+    test('should pass the request options on to every request', async () => {
+
+      const post = mockNeighbors();
+      await collectRecords(SearchApi.traverseEntityNeighbors(MOCK_ESID_1, [A], { depth: 2, timeout: 1000 }));
+
+      expect(post).toHaveBeenCalledTimes(2);
+      [...post.mock.calls, ...mockAxiosInstances[DATA_API].post.mock.calls].forEach(([, , requestConfig]) => {
+        expect(requestConfig).toEqual({ timeout: 1000 });
+      });
+    });
+
+    test('should throw a LatticeValidationError when given invalid parameters', async () => {
+
+      const post = mockNeighbors();
+      const invalid = [
+        [undefined, [A]],
+        [MOCK_ESID_1, []],
+        [MOCK_ESID_1, ['invalid_uuid']],
+        [MOCK_ESID_1, [A], { chunkSize: 0 }],
+        [MOCK_ESID_1, [A], { depth: -1 }],
+        [MOCK_ESID_1, [A], { depth: 2, filter: [{}] }],
+        [MOCK_ESID_1, [A], { filter: [] }],
+        [MOCK_ESID_1, [A], { filter: { sourceEntitySetIds: ['invalid_uuid'] } }],
+        [MOCK_ESID_1, [A], { pageSize: 0 }],
+        [MOCK_ESID_1, [A], { visited: [] }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(SearchApi.traverseEntityNeighbors(...params).next())
+          .rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(post).not.toHaveBeenCalled();
+    });
+
+  });
+
 });
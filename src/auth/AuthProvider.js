@@ -0,0 +1,28 @@
+/*
+ * @flow
+ */
+
+import isFunction from 'lodash/isFunction';
+
+/*
+ * an AuthProvider supplies the auth token for every request. getToken() is consulted before each request is sent, and
+ * refreshToken() is consulted once when a request is rejected with a 401, after which the request is replayed with the
+ * refreshed token.
+ */
+type AuthProvider = {
+  +getToken :() => ?string | Promise<?string>;
+  +refreshToken :() => ?string | Promise<?string>;
+};
+
+function isValidAuthProvider(value :any) :boolean {
+
+  return !!value && isFunction(value.getToken) && isFunction(value.refreshToken);
+}
+
+export {
+  isValidAuthProvider,
+};
+
+export type {
+  AuthProvider,
+};
@@ -0,0 +1,69 @@
+/*
+ * @flow
+ */
+
+import isFunction from 'lodash/isFunction';
+
+type TokenCallback = () => ?string | Promise<?string>;
+
+/**
+ * An AuthProvider that delegates to the given callbacks. getToken() is invoked before every request, so it should be
+ * cheap, i.e. return a cached token. refreshToken() is invoked when a request is rejected with a 401, and should obtain
+ * a new token. If refreshToken() is not given, getToken() is invoked instead. Concurrent refreshes are coalesced into
+ * a single invocation of the refresh callback.
+ *
+ * @memberof lattice.Auth
+ *
+ * @example
+ * configure({
+ *   authProvider: new CallbackAuthProvider(
+ *     () => tokenStore.get(),
+ *     () => auth0.renewToken().then((token) => tokenStore.set(token)),
+ *   ),
+ *   baseUrl: 'production',
+ * });
+ */
+export default class CallbackAuthProvider {
+
+  getTokenCallback :TokenCallback;
+  refreshTokenCallback :TokenCallback;
+  pendingRefresh :?Promise<?string>;
+
+  constructor(getToken :TokenCallback, refreshToken ?:TokenCallback) {
+
+    if (!isFunction(getToken)) {
+      throw new Error('invalid parameter: "getToken" must be a function');
+    }
+
+    if (refreshToken !== null && refreshToken !== undefined && !isFunction(refreshToken)) {
+      throw new Error('invalid parameter: "refreshToken" must be a function');
+    }
+
+    this.getTokenCallback = getToken;
+    this.refreshTokenCallback = refreshToken || getToken;
+    this.pendingRefresh = null;
+  }
+
+  getToken() :Promise<?string> {
+
+    return Promise.resolve().then(() => this.getTokenCallback());
+  }
+
+  refreshToken() :Promise<?string> {
+
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = Promise.resolve()
+        .then(() => this.refreshTokenCallback())
+        .then((token :?string) => {
+          this.pendingRefresh = null;
+          return token;
+        })
+        .catch((error :Error) => {
+          this.pendingRefresh = null;
+          return Promise.reject(error);
+        });
+    }
+
+    return this.pendingRefresh;
+  }
+}
@@ -0,0 +1,67 @@
+import CallbackAuthProvider from './CallbackAuthProvider';
+
+import { INVALID_PARAMS, INVALID_PARAMS_OPTIONAL } from '../utils/testing/InvalidParams';
+import { genMockAuthToken } from '../utils/testing/MockUtils';
+
+describe('CallbackAuthProvider', () => {
+
+  test('should throw when given invalid callbacks', () => {
+    INVALID_PARAMS.forEach((invalid) => {
+      expect(() => new CallbackAuthProvider(invalid)).toThrow();
+    });
+    INVALID_PARAMS_OPTIONAL.forEach((invalid) => {
+      expect(() => new CallbackAuthProvider(genMockAuthToken, invalid)).toThrow();
+    });
+  });
+
+  test('should invoke the getToken callback every time', async () => {
+    const mockAuthToken1 = genMockAuthToken();
+    const mockAuthToken2 = genMockAuthToken();
+    const getToken = jest.fn()
+      .mockReturnValueOnce(mockAuthToken1)
+      .mockReturnValueOnce(Promise.resolve(mockAuthToken2));
+    const authProvider = new CallbackAuthProvider(getToken);
+    expect(await authProvider.getToken()).toEqual(mockAuthToken1);
+    expect(await authProvider.getToken()).toEqual(mockAuthToken2);
+    expect(getToken).toHaveBeenCalledTimes(2);
+  });
+
+  test('should invoke the refreshToken callback when refreshed', async () => {
+    const mockAuthToken = genMockAuthToken();
+    const getToken = jest.fn();
+    const refreshToken = jest.fn().mockResolvedValue(mockAuthToken);
+    const authProvider = new CallbackAuthProvider(getToken, refreshToken);
+    expect(await authProvider.refreshToken()).toEqual(mockAuthToken);
+    expect(getToken).not.toHaveBeenCalled();
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to the getToken callback when refreshed without a refreshToken callback', async () => {
+    const mockAuthToken = genMockAuthToken();
+    const getToken = jest.fn().mockReturnValue(mockAuthToken);
+    const authProvider = new CallbackAuthProvider(getToken);
+    expect(await authProvider.refreshToken()).toEqual(mockAuthToken);
+    expect(getToken).toHaveBeenCalledTimes(1);
+  });
+
+  test('should coalesce concurrent refreshes', async () => {
+    const mockAuthToken = genMockAuthToken();
+    const refreshToken = jest.fn().mockResolvedValue(mockAuthToken);
+    const authProvider = new CallbackAuthProvider(genMockAuthToken, refreshToken);
+    const tokens = await Promise.all([authProvider.refreshToken(), authProvider.refreshToken()]);
+    expect(tokens).toEqual([mockAuthToken, mockAuthToken]);
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    await authProvider.refreshToken();
+    expect(refreshToken).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject when the refreshToken callback fails, and allow another refresh', async () => {
+    const refreshToken = jest.fn()
+      .mockRejectedValueOnce(new Error('failure'))
+      .mockResolvedValueOnce(genMockAuthToken());
+    const authProvider = new CallbackAuthProvider(genMockAuthToken, refreshToken);
+    await expect(authProvider.refreshToken()).rejects.toThrow('failure');
+    await expect(authProvider.refreshToken()).resolves.toEqual(expect.any(String));
+  });
+
+});
@@ -0,0 +1,41 @@
+/*
+ * @flow
+ */
+
+import { isNonEmptyString } from '../utils/LangUtils';
+
+/**
+ * An AuthProvider that always returns the same auth token. A static token cannot be refreshed, so refreshToken()
+ * resolves with the same token, and requests rejected with a 401 are not replayed.
+ *
+ * @memberof lattice.Auth
+ *
+ * @example
+ * configure({
+ *   authProvider: new StaticTokenAuthProvider('jwt'),
+ *   baseUrl: 'production',
+ * });
+ */
+export default class StaticTokenAuthProvider {
+
+  token :string;
+
+  constructor(token :string) {
+
+    if (!isNonEmptyString(token)) {
+      throw new Error('invalid parameter: "token" must be a non-empty string');
+    }
+
+    this.token = token;
+  }
+
+  getToken() :Promise<string> {
+
+    return Promise.resolve(this.token);
+  }
+
+  refreshToken() :Promise<string> {
+
+    return Promise.resolve(this.token);
+  }
+}
@@ -0,0 +1,27 @@
+import StaticTokenAuthProvider from './StaticTokenAuthProvider';
+
+import { INVALID_PARAMS_REQUIRED_STRING } from '../utils/testing/InvalidParams';
+import { genMockAuthToken } from '../utils/testing/MockUtils';
+
+describe('StaticTokenAuthProvider', () => {
+
+  test('should throw when given an invalid token', () => {
+    INVALID_PARAMS_REQUIRED_STRING.forEach((invalid) => {
+      expect(() => new StaticTokenAuthProvider(invalid)).toThrow();
+    });
+  });
+
+  test('should resolve with the given token', async () => {
+    const mockAuthToken = genMockAuthToken();
+    const authProvider = new StaticTokenAuthProvider(mockAuthToken);
+    expect(await authProvider.getToken()).toEqual(mockAuthToken);
+  });
+
+  test('should resolve with the same token when refreshed', async () => {
+    const mockAuthToken = genMockAuthToken();
+    const authProvider = new StaticTokenAuthProvider(mockAuthToken);
+    expect(await authProvider.refreshToken()).toEqual(mockAuthToken);
+    expect(await authProvider.getToken()).toEqual(mockAuthToken);
+  });
+
+});
@@ -0,0 +1,13 @@
+/*
+ * @flow
+ */
+
+import CallbackAuthProvider from './CallbackAuthProvider';
+import StaticTokenAuthProvider from './StaticTokenAuthProvider';
+
+export type { AuthProvider } from './AuthProvider';
+
+export {
+  CallbackAuthProvider,
+  StaticTokenAuthProvider,
+};
@@ -0,0 +1,120 @@
+/*
+ * @flow
+ */
+
+import isPlainObject from 'lodash/isPlainObject';
+
+import { isPositiveInteger } from '../utils/LangUtils';
+import type { CachePolicy } from '../types';
+
+const DEFAULT_CACHE_POLICY = {
+  maxEntries: 500,
+  ttl: 5 * 60 * 1000,
+};
+
+type CacheEntry = {|
+  expiresAt :number;
+  value :any;
+|};
+
+function isValidCachePolicy(value :any) :boolean {
+
+  if (!isPlainObject(value)) {
+    return false;
+  }
+
+  const { maxEntries, ttl } = value;
+  return (maxEntries === undefined || isPositiveInteger(maxEntries))
+    && (ttl === undefined || isPositiveInteger(ttl));
+}
+
+/*
+ * an in-memory cache of response data, keyed by strings that start with the API name followed by the request path,
+ * for example "EntityDataModelApi/entity/type/{uuid}". entries expire "ttl" milliseconds after they were stored, and
+ * once there are more than "maxEntries" entries the least recently used entry is evicted.
+ */
+class ResponseCache {
+
+  entries :Map<string, CacheEntry>;
+  maxEntries :number;
+  ttl :number;
+
+  // incremented every time entries are invalidated, so responses to requests sent before then are not stored
+  version :number;
+
+  constructor(cachePolicy :CachePolicy = {}) {
+
+    const { maxEntries, ttl } = { ...DEFAULT_CACHE_POLICY, ...cachePolicy };
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.version = 0;
+  }
+
+  get size() :number {
+
+    return this.entries.size;
+  }
+
+  get(key :string) :any {
+
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    // re-inserting the entry moves it to the end of the insertion order, which is what makes eviction LRU
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key :string, value :any) :void {
+
+    this.entries.delete(key);
+    this.entries.set(key, { expiresAt: Date.now() + this.ttl, value });
+
+    if (this.entries.size > this.maxEntries) {
+      const { value: oldestKey } = this.entries.keys().next();
+      if (oldestKey !== undefined) {
+        this.entries.delete(oldestKey);
+      }
+    }
+  }
+
+  /*
+   * removes the entry for the given key along with every entry nested under it, i.e. "EntityDataModelApi/entity/type"
+   * also removes "EntityDataModelApi/entity/type/{uuid}". without a key, every entry is removed.
+   */
+  invalidate(key ?:string) :void {
+
+    this.version += 1;
+
+    if (key === undefined) {
+      this.entries.clear();
+      return;
+    }
+
+    const prefix = `${key}/`;
+    Array.from(this.entries.keys()).forEach((entryKey :string) => {
+      if (entryKey === key || entryKey.startsWith(prefix)) {
+        this.entries.delete(entryKey);
+      }
+    });
+  }
+
+  clear() :void {
+
+    this.invalidate();
+  }
+}
+
+export {
+  DEFAULT_CACHE_POLICY,
+  ResponseCache,
+  isValidCachePolicy,
+};
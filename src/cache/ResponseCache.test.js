@@ -0,0 +1,97 @@
+import {
+  DEFAULT_CACHE_POLICY,
+  ResponseCache,
+  isValidCachePolicy,
+} from './ResponseCache';
+
+import { INVALID_PARAMS_OPTIONAL_OBJECT } from '../utils/testing/InvalidParams';
+
+describe('ResponseCache', () => {
+
+  describe('isValidCachePolicy()', () => {
+
+    test('should return true for a valid cache policy', () => {
+      expect(isValidCachePolicy({})).toEqual(true);
+      expect(isValidCachePolicy(DEFAULT_CACHE_POLICY)).toEqual(true);
+      expect(isValidCachePolicy({ maxEntries: 1, ttl: 1 })).toEqual(true);
+    });
+
+    test('should return false for an invalid cache policy', () => {
+      [...INVALID_PARAMS_OPTIONAL_OBJECT, undefined, null].forEach((invalid) => {
+        expect(isValidCachePolicy(invalid)).toEqual(false);
+      });
+      expect(isValidCachePolicy({ maxEntries: 0 })).toEqual(false);
+      expect(isValidCachePolicy({ maxEntries: 1.5 })).toEqual(false);
+      expect(isValidCachePolicy({ ttl: 0 })).toEqual(false);
+      expect(isValidCachePolicy({ ttl: Infinity })).toEqual(false);
+      expect(isValidCachePolicy({ ttl: '1000' })).toEqual(false);
+    });
+
+  });
+
+  test('should fill in the defaults', () => {
+    const responseCache = new ResponseCache({ ttl: 1000 });
+    expect(responseCache.maxEntries).toEqual(DEFAULT_CACHE_POLICY.maxEntries);
+    expect(responseCache.ttl).toEqual(1000);
+  });
+
+  test('should return the stored value until it expires', async () => {
+    const responseCache = new ResponseCache({ ttl: 50 });
+    const value = { id: 1 };
+    responseCache.set('Api/path', value);
+    expect(responseCache.get('Api/path')).toBe(value);
+    expect(responseCache.get('Api/other')).toBeUndefined();
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    expect(responseCache.get('Api/path')).toBeUndefined();
+    expect(responseCache.size).toEqual(0);
+  });
+
+  test('should evict the least recently used entry', () => {
+    const responseCache = new ResponseCache({ maxEntries: 2 });
+    responseCache.set('Api/1', 1);
+    responseCache.set('Api/2', 2);
+    expect(responseCache.get('Api/1')).toEqual(1);
+
+    responseCache.set('Api/3', 3);
+    expect(responseCache.size).toEqual(2);
+    expect(responseCache.get('Api/1')).toEqual(1);
+    expect(responseCache.get('Api/2')).toBeUndefined();
+    expect(responseCache.get('Api/3')).toEqual(3);
+  });
+
+  test('should invalidate the given key and every key nested under it', () => {
+    const responseCache = new ResponseCache();
+    responseCache.set('Api/type', 1);
+    responseCache.set('Api/type/1', 2);
+    responseCache.set('Api/types', 3);
+    responseCache.set('OtherApi/type', 4);
+
+    responseCache.invalidate('Api/type');
+    expect(responseCache.get('Api/type')).toBeUndefined();
+    expect(responseCache.get('Api/type/1')).toBeUndefined();
+    expect(responseCache.get('Api/types')).toEqual(3);
+    expect(responseCache.get('OtherApi/type')).toEqual(4);
+
+    responseCache.invalidate('Api');
+    expect(responseCache.get('Api/types')).toBeUndefined();
+    expect(responseCache.get('OtherApi/type')).toEqual(4);
+  });
+
+  test('should remove every entry on clear()', () => {
+    const responseCache = new ResponseCache();
+    responseCache.set('Api/1', 1);
+    responseCache.set('OtherApi/1', 1);
+    responseCache.clear();
+    expect(responseCache.size).toEqual(0);
+  });
+
+  test('should increment the version on every invalidation', () => {
+    const responseCache = new ResponseCache();
+    expect(responseCache.version).toEqual(0);
+    responseCache.invalidate('Api/1');
+    responseCache.clear();
+    expect(responseCache.version).toEqual(2);
+  });
+
+});
@@ -0,0 +1,155 @@
+/*
+ * @flow
+ */
+
+/**
+ * @module Cache
+ * @memberof lattice
+ */
+
+import cloneDeep from 'lodash/cloneDeep';
+import { Map, is } from 'immutable';
+
+import { ResponseCache } from './ResponseCache';
+
+import { getClientContext } from '../client/ClientContext';
+import { getConfig } from '../config/Configuration';
+
+let defaultResponseCache :?ResponseCache = null;
+
+// the configuration each ResponseCache was created with
+const responseCacheToConfigMap :WeakMap<ResponseCache, Map<*, *>> = new WeakMap();
+
+function setResponseCache(responseCache :ResponseCache) :void {
+
+  // clients created by createClient() keep their own cache, separate from the default one
+  const clientContext = getClientContext();
+  if (clientContext) {
+    clientContext.responseCache = responseCache;
+  }
+  else {
+    defaultResponseCache = responseCache;
+  }
+}
+
+/*
+ * returns the cache for the currently active configuration, or null if caching has not been configured. just like the
+ * Axios instances, the cache must have been created with the current configuration, otherwise the cached responses
+ * might belong to a different stack or a different user.
+ */
+function getResponseCache() :?ResponseCache {
+
+  const config = getConfig();
+  const cachePolicy = config && config.get('cache');
+  if (!cachePolicy) {
+    return null;
+  }
+
+  const clientContext = getClientContext();
+  let responseCache :?ResponseCache = clientContext ? clientContext.responseCache : defaultResponseCache;
+  if (!responseCache || !is(responseCacheToConfigMap.get(responseCache), config)) {
+    responseCache = new ResponseCache(cachePolicy.toJS());
+    responseCacheToConfigMap.set(responseCache, config);
+    setResponseCache(responseCache);
+  }
+
+  return responseCache;
+}
+
+function getCacheKey(api :string, ...path :string[]) :string {
+
+  return [api, ...path].join('/');
+}
+
+/*
+ * resolves with the cached data for the given key if there is any, otherwise sends the request and caches the data it
+ * resolves with. failed requests are never cached. every caller gets its own copy of the data, so that a caller that
+ * modifies it does not modify it for every later caller.
+ */
+function cacheResponse<T>(key :string, sendRequest :() => Promise<T>) :Promise<T> {
+
+  const responseCache = getResponseCache();
+  if (!responseCache) {
+    return sendRequest();
+  }
+
+  const cachedValue = responseCache.get(key);
+  if (cachedValue !== undefined) {
+    return Promise.resolve(cloneDeep(cachedValue));
+  }
+
+  const { version } = responseCache;
+  return sendRequest().then((value :T) => {
+    // a mutation invalidated the cache while the request was in flight, so the response might already be stale
+    if (responseCache.version === version) {
+      responseCache.set(key, cloneDeep(value));
+    }
+    return value;
+  });
+}
+
+/*
+ * sends the given mutation and invalidates the given keys once it settles. the keys are invalidated even when the
+ * mutation fails, since the server might have applied it anyway.
+ */
+function invalidateResponses<T>(keys :string[], sendRequest :() => Promise<T>) :Promise<T> {
+
+  const responseCache = getResponseCache();
+  if (!responseCache) {
+    return sendRequest();
+  }
+
+  const invalidateKeys = () => keys.forEach((key :string) => responseCache.invalidate(key));
+  return sendRequest().then(
+    (value :T) => {
+      invalidateKeys();
+      return value;
+    },
+    (error :Error) => {
+      invalidateKeys();
+      return Promise.reject(error);
+    },
+  );
+}
+
+/**
+ * Removes the cached responses for the given key, along with every response nested under it. Keys start with the API
+ * name followed by the request path, so "EntityDataModelApi" removes every cached EntityDataModelApi response, while
+ * "EntityDataModelApi/entity/type/{uuid}" only removes the cached EntityType with the given id. Without a key, every
+ * cached response is removed.
+ *
+ * @memberof lattice.Cache
+ * @param {string} key - the cache key (optional)
+ *
+ * @example
+ * Cache.invalidate("EntitySetsApi/all/ec6865e6-e60e-424b-a071-6a9c1603d735");
+ */
+function invalidate(key ?:string) :void {
+
+  const responseCache = getResponseCache();
+  if (responseCache) {
+    responseCache.invalidate(key);
+  }
+}
+
+/**
+ * Removes every cached response.
+ *
+ * @memberof lattice.Cache
+ *
+ * @example
+ * Cache.clear();
+ */
+function clear() :void {
+
+  invalidate();
+}
+
+export {
+  cacheResponse,
+  clear,
+  getCacheKey,
+  getResponseCache,
+  invalidate,
+  invalidateResponses,
+};
@@ -0,0 +1,191 @@
+import axios from 'axios';
+
+import {
+  cacheResponse,
+  clear,
+  getResponseCache,
+  invalidate,
+} from './ResponseCacheUtils';
+
+import * as Config from '../config/Configuration';
+import * as EntityDataModelApi from '../api/EntityDataModelApi';
+import * as EntitySetsApi from '../api/EntitySetsApi';
+import { createClient } from '../client';
+import { ENTITY_TYPE_MOCK, PROPERTY_TYPE_MOCK } from '../utils/testing/MockData';
+import { genRandomUUID } from '../utils/testing/MockUtils';
+
+const MOCK_ESID = genRandomUUID();
+
+const axiosCreate = axios.create.bind(axios);
+const axiosCreateSpy = jest.spyOn(axios, 'create');
+
+let mockRequests = [];
+let mockResponseStatus = 200;
+
+/*
+ * every Axios instance gets an adapter that records the outgoing request instead of sending it, and responds with the
+ * number of requests sent so far, which makes it easy to tell a cached response from a fresh one
+ */
+axiosCreateSpy.mockImplementation((axiosConfig) => axiosCreate({
+  ...axiosConfig,
+  adapter: (requestConfig) => {
+    mockRequests.push(requestConfig);
+    const response = {
+      config: requestConfig,
+      data: mockRequests.length,
+      headers: {},
+      status: mockResponseStatus,
+      statusText: 'OK',
+    };
+    if (mockResponseStatus >= 400) {
+      const error = new Error(`Request failed with status code ${mockResponseStatus}`);
+      error.config = requestConfig;
+      error.response = response;
+      return Promise.reject(error);
+    }
+    return Promise.resolve(response);
+  },
+}));
+
+describe('ResponseCacheUtils', () => {
+
+  beforeEach(() => {
+    mockRequests = [];
+    mockResponseStatus = 200;
+    Config.configure({ baseUrl: 'localhost', cache: {} });
+    clear();
+  });
+
+  afterAll(() => {
+    Config.configure({ baseUrl: 'localhost', cache: null });
+  });
+
+  test('should not cache anything unless caching has been configured', async () => {
+    Config.configure({ baseUrl: 'localhost', cache: null });
+    expect(getResponseCache()).toBeNull();
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(1);
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(2);
+    expect(mockRequests).toHaveLength(2);
+  });
+
+  test('should cache the EDM and EntitySet reads', async () => {
+    const reads = [
+      () => EntityDataModelApi.getAllEntityTypes(),
+      () => EntityDataModelApi.getAllPropertyTypes(),
+      () => EntityDataModelApi.getEntityType(ENTITY_TYPE_MOCK.id),
+      () => EntitySetsApi.getEntitySet(MOCK_ESID),
+    ];
+    const values = await Promise.all(reads.map((read) => read()));
+    expect(values).toEqual([1, 2, 3, 4]);
+    expect(await Promise.all(reads.map((read) => read()))).toEqual(values);
+    expect(mockRequests).toHaveLength(4);
+  });
+
+  test('should not cache failed requests', async () => {
+    mockResponseStatus = 500;
+    await expect(EntityDataModelApi.getAllPropertyTypes()).rejects.toThrow();
+    mockResponseStatus = 200;
+    expect(await EntityDataModelApi.getAllPropertyTypes()).toEqual(2);
+    expect(await EntityDataModelApi.getAllPropertyTypes()).toEqual(2);
+  });
+
+  test('should not let a caller modify the cached data for later callers', async () => {
+    const entitySet = { id: MOCK_ESID, linkedEntitySets: [genRandomUUID()], title: 'title' };
+    const sendRequest = jest.fn(() => Promise.resolve(entitySet));
+
+    const first = await cacheResponse('EntitySetsApi/test', sendRequest);
+    first.title = 'modified';
+    first.linkedEntitySets.push(genRandomUUID());
+    const second = await cacheResponse('EntitySetsApi/test', sendRequest);
+    second.linkedEntitySets.pop();
+
+    const third = await cacheResponse('EntitySetsApi/test', sendRequest);
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+    expect(third).toEqual({ id: MOCK_ESID, linkedEntitySets: [entitySet.linkedEntitySets[0]], title: 'title' });
+    expect(third).not.toBe(second);
+  });
+
+  test('should invalidate the affected entries after a mutation', async () => {
+    await EntityDataModelApi.getAllEntityTypes();
+    await EntityDataModelApi.getAllPropertyTypes();
+    await EntityDataModelApi.getEntityType(ENTITY_TYPE_MOCK.id);
+    await EntitySetsApi.getEntitySet(MOCK_ESID);
+
+    await EntityDataModelApi.deleteEntityType(ENTITY_TYPE_MOCK.id);
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(6);
+    expect(await EntityDataModelApi.getEntityType(ENTITY_TYPE_MOCK.id)).toEqual(7);
+    expect(await EntityDataModelApi.getAllPropertyTypes()).toEqual(2);
+    expect(await EntitySetsApi.getEntitySet(MOCK_ESID)).toEqual(4);
+
+    await EntityDataModelApi.updatePropertyTypeMetaData(PROPERTY_TYPE_MOCK.id, { title: 'title' });
+    expect(await EntityDataModelApi.getAllPropertyTypes()).toEqual(9);
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(6);
+
+    await EntitySetsApi.updateEntitySetMetaData(MOCK_ESID, { title: 'title' });
+    expect(await EntitySetsApi.getEntitySet(MOCK_ESID)).toEqual(11);
+  });
+
+  test('should invalidate the affected entries even if the mutation fails', async () => {
+    await EntitySetsApi.getEntitySet(MOCK_ESID);
+    mockResponseStatus = 500;
+    await expect(EntitySetsApi.deleteEntitySet(MOCK_ESID)).rejects.toThrow();
+    mockResponseStatus = 200;
+    expect(await EntitySetsApi.getEntitySet(MOCK_ESID)).toEqual(3);
+  });
+
+  test('should not store a response to a request sent before an invalidation', async () => {
+    const pendingRead = EntityDataModelApi.getAllEntityTypes();
+    invalidate('EntityDataModelApi/entity/type');
+    expect(await pendingRead).toEqual(1);
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(2);
+  });
+
+  describe('invalidate()', () => {
+
+    test('should only invalidate the given key and the keys nested under it', async () => {
+      await EntityDataModelApi.getAllEntityTypes();
+      await EntityDataModelApi.getEntityType(ENTITY_TYPE_MOCK.id);
+      await EntitySetsApi.getEntitySet(MOCK_ESID);
+
+      invalidate(`EntityDataModelApi/entity/type/${ENTITY_TYPE_MOCK.id}`);
+      expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(1);
+      expect(await EntityDataModelApi.getEntityType(ENTITY_TYPE_MOCK.id)).toEqual(4);
+
+      invalidate('EntityDataModelApi');
+      expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(5);
+      expect(await EntitySetsApi.getEntitySet(MOCK_ESID)).toEqual(3);
+    });
+
+  });
+
+  describe('clear()', () => {
+
+    test('should invalidate every entry', async () => {
+      await EntityDataModelApi.getAllEntityTypes();
+      await EntitySetsApi.getEntitySet(MOCK_ESID);
+      clear();
+      expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(3);
+      expect(await EntitySetsApi.getEntitySet(MOCK_ESID)).toEqual(4);
+    });
+
+  });
+
+  test('should start over when the configuration changes', async () => {
+    await EntityDataModelApi.getAllEntityTypes();
+    Config.configure({ baseUrl: 'localhost', cache: { ttl: 1000 } });
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(2);
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(2);
+  });
+
+  test('should keep a separate cache for each client', async () => {
+    const client = createClient({ baseUrl: 'localhost', cache: {} });
+    await EntityDataModelApi.getAllEntityTypes();
+    expect(await client.EntityDataModelApi.getAllEntityTypes()).toEqual(2);
+    expect(await client.EntityDataModelApi.getAllEntityTypes()).toEqual(2);
+
+    client.Cache.clear();
+    expect(await client.EntityDataModelApi.getAllEntityTypes()).toEqual(3);
+    expect(await EntityDataModelApi.getAllEntityTypes()).toEqual(1);
+  });
+
+});
@@ -0,0 +1,10 @@
+/*
+ * @flow
+ */
+
+import { clear, invalidate } from './ResponseCacheUtils';
+
+export {
+  clear,
+  invalidate,
+};
@@ -0,0 +1,98 @@
+/*
+ * @flow
+ */
+
+import { Map } from 'immutable';
+import type { Axios } from 'axios';
+
+import type { EdmIndexCache } from '../fqn/EdmIndexUtils';
+import type { PermissionsCache } from '../permissions/PermissionsUtils';
+import type { ResponseCache } from '../cache/ResponseCache';
+
+/*
+ * every API function resolves its configuration and its Axios instance synchronously, before the request is sent. a
+ * client created by createClient() makes its own ClientContext active for the duration of that synchronous call, which
+ * is how a single process is able to talk to several OpenLattice stacks, or act on behalf of several users, at once.
+ */
+
+type ClientContext = {
+  axiosInstances :Map<string, Axios>;
+  configuration :Map<string, any>;
+  edmIndexCache :?EdmIndexCache;
+  permissionsCache :?PermissionsCache;
+  responseCache :?ResponseCache;
+};
+
+let activeClientContext :?ClientContext = null;
+
+function newClientContext(configuration :Map<string, any>) :ClientContext {
+
+  return {
+    axiosInstances: Map(),
+    configuration,
+    edmIndexCache: null,
+    permissionsCache: null,
+    responseCache: null,
+  };
+}
+
+function getClientContext() :?ClientContext {
+
+  return activeClientContext;
+}
+
+function runInClientContext<T>(clientContext :?ClientContext, fn :() => T) :T {
+
+  const previousClientContext = activeClientContext;
+  activeClientContext = clientContext;
+  try {
+    return fn();
+  }
+  finally {
+    activeClientContext = previousClientContext;
+  }
+}
+
+/*
+ * binds the given function to the currently active ClientContext. the ClientContext is only active during the
+ * synchronous part of a call to an API function, or to a public function of a utility, so any helper that reads it,
+ * including the helpers of the EDM index, the response cache, and the permissions cache, must either be called before
+ * the first "await" or callback of that function, or be bound with this. otherwise it falls back to the default
+ * configuration.
+ */
+function bindToClientContext<F :Function>(fn :F) :F {
+
+  const clientContext = activeClientContext;
+  if (!clientContext) {
+    return fn;
+  }
+
+  const boundFn :any = (...args :any[]) => runInClientContext(clientContext, () => fn(...args));
+  return boundFn;
+}
+
+/*
+ * binds every function of the given object to the currently active ClientContext. utilities such as Export and Sync
+ * keep calling the API long after they were invoked, when the ClientContext of the client they were invoked on is no
+ * longer active, so they bind the API functions they need this way, before their first asynchronous step.
+ */
+function bindAllToClientContext<T :Object>(fns :T) :T {
+
+  const boundFns = {};
+  Object.keys(fns).forEach((key :string) => {
+    boundFns[key] = bindToClientContext(fns[key]);
+  });
+  return (boundFns :any);
+}
+
+export {
+  bindAllToClientContext,
+  bindToClientContext,
+  getClientContext,
+  newClientContext,
+  runInClientContext,
+};
+
+export type {
+  ClientContext,
+};
@@ -0,0 +1,76 @@
+import { Map } from 'immutable';
+
+import {
+  bindAllToClientContext,
+  bindToClientContext,
+  getClientContext,
+  newClientContext,
+  runInClientContext,
+} from './ClientContext';
+
+describe('ClientContext', () => {
+
+  describe('runInClientContext()', () => {
+
+    test('should make the given context active only while the function executes', () => {
+      const clientContext = newClientContext(Map({ baseUrl: 'http://localhost:8080' }));
+      expect(getClientContext()).toBeNull();
+      const result = runInClientContext(clientContext, () => getClientContext());
+      expect(result).toBe(clientContext);
+      expect(getClientContext()).toBeNull();
+    });
+
+    test('should restore the previous context if the function throws', () => {
+      const clientContext = newClientContext(Map());
+      expect(() => {
+        runInClientContext(clientContext, () => {
+          throw new Error('failure');
+        });
+      }).toThrow();
+      expect(getClientContext()).toBeNull();
+    });
+
+    test('should support nested contexts', () => {
+      const clientContext1 = newClientContext(Map());
+      const clientContext2 = newClientContext(Map());
+      runInClientContext(clientContext1, () => {
+        expect(runInClientContext(clientContext2, () => getClientContext())).toBe(clientContext2);
+        expect(getClientContext()).toBe(clientContext1);
+      });
+    });
+
+  });
+
+  describe('bindToClientContext()', () => {
+
+    test('should return the same function when no context is active', () => {
+      const fn = () => getClientContext();
+      expect(bindToClientContext(fn)).toBe(fn);
+    });
+
+    test('should keep the active context for later invocations', async () => {
+      const clientContext = newClientContext(Map());
+      const boundFn = runInClientContext(clientContext, () => bindToClientContext(() => getClientContext()));
+      await Promise.resolve();
+      expect(boundFn()).toBe(clientContext);
+      expect(getClientContext()).toBeNull();
+    });
+
+  });
+
+  describe('bindAllToClientContext()', () => {
+
+    test('should bind every function of the given object to the active context', async () => {
+      const clientContext = newClientContext(Map());
+      const fns = { first: () => getClientContext(), second: (value) => [value, getClientContext()] };
+      const boundFns = runInClientContext(clientContext, () => bindAllToClientContext(fns));
+      await Promise.resolve();
+      expect(Object.keys(boundFns)).toEqual(['first', 'second']);
+      expect(boundFns.first()).toBe(clientContext);
+      expect(boundFns.second('value')).toEqual(['value', clientContext]);
+      expect(fns.first()).toBeNull();
+    });
+
+  });
+
+});
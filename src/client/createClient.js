@@ -0,0 +1,115 @@
+/*
+ * @flow
+ */
+
+import { Map } from 'immutable';
+
+import * as AppApi from '../api/AppApi';
+import * as AuthorizationsApi from '../api/AuthorizationsApi';
+import * as Cache from '../cache';
+import * as CodexApi from '../api/CodexApi';
+import * as CollaborationsApi from '../api/CollaborationsApi';
+import * as DataApi from '../api/DataApi';
+import * as DataIntegrationApi from '../api/DataIntegrationApi';
+import * as DataSetMetadataApi from '../api/DataSetMetadataApi';
+import * as DataSetsApi from '../api/DataSetsApi';
+import * as EntityDataModelApi from '../api/EntityDataModelApi';
+import * as EntitySetsApi from '../api/EntitySetsApi';
+import * as Export from '../export';
+import * as FQNData from '../fqn';
+import * as Integration from '../integration';
+import * as OrganizationsApi from '../api/OrganizationsApi';
+import * as Permissions from '../permissions';
+import * as PermissionsApi from '../api/PermissionsApi';
+import * as PersistentSearchApi from '../api/PersistentSearchApi';
+import * as PrincipalsApi from '../api/PrincipalsApi';
+import * as SearchApi from '../api/SearchApi';
+import { newClientContext, runInClientContext } from './ClientContext';
+import { newConfig } from '../config/Configuration';
+import type { ClientContext } from './ClientContext';
+import type { LatticeConfig } from '../config/Configuration';
+
+type LatticeClient = {|
+  AppApi :typeof AppApi;
+  AuthorizationsApi :typeof AuthorizationsApi;
+  Cache :typeof Cache;
+  CodexApi :typeof CodexApi;
+  CollaborationsApi :typeof CollaborationsApi;
+  DataApi :typeof DataApi;
+  DataIntegrationApi :typeof DataIntegrationApi;
+  DataSetMetadataApi :typeof DataSetMetadataApi;
+  DataSetsApi :typeof DataSetsApi;
+  EntityDataModelApi :typeof EntityDataModelApi;
+  EntitySetsApi :typeof EntitySetsApi;
+  Export :typeof Export;
+  FQNData :typeof FQNData;
+  Integration :typeof Integration;
+  OrganizationsApi :typeof OrganizationsApi;
+  Permissions :typeof Permissions;
+  PermissionsApi :typeof PermissionsApi;
+  PersistentSearchApi :typeof PersistentSearchApi;
+  PrincipalsApi :typeof PrincipalsApi;
+  SearchApi :typeof SearchApi;
+  configure :(config :LatticeConfig) => void;
+  getConfig :() => Map<*, *>;
+|};
+
+function bindApi<T :Object>(api :T, clientContext :ClientContext) :T {
+
+  const boundApi :Object = {};
+  Object.keys(api).forEach((fnName :string) => {
+    boundApi[fnName] = (...args :any[]) => runInClientContext(clientContext, () => api[fnName](...args));
+  });
+  return boundApi;
+}
+
+/**
+ * Creates an isolated client that exposes every API, where each API function uses the client's own configuration and
+ * its own Axios instances. The top-level APIs exported by the library continue to use the default configuration set
+ * via configure().
+ *
+ * @memberof lattice
+ * @param {Object} config - an object literal containing all configuration options, same as configure()
+ * @returns {Object} - the client
+ *
+ * @example
+ * import { createClient } from 'lattice';
+ *
+ * const client = createClient({ authToken: 'jwt', baseUrl: 'production' });
+ * client.DataApi.getEntitySetSize("0c8be4b7-0bd5-4dd1-a623-da78871c9d0e");
+ */
+export default function createClient(config :LatticeConfig) :LatticeClient {
+
+  const clientContext :ClientContext = newClientContext(newConfig(config));
+
+  return {
+    AppApi: bindApi(AppApi, clientContext),
+    AuthorizationsApi: bindApi(AuthorizationsApi, clientContext),
+    Cache: bindApi(Cache, clientContext),
+    CodexApi: bindApi(CodexApi, clientContext),
+    CollaborationsApi: bindApi(CollaborationsApi, clientContext),
+    DataApi: bindApi(DataApi, clientContext),
+    DataIntegrationApi: bindApi(DataIntegrationApi, clientContext),
+    DataSetMetadataApi: bindApi(DataSetMetadataApi, clientContext),
+    DataSetsApi: bindApi(DataSetsApi, clientContext),
+    EntityDataModelApi: bindApi(EntityDataModelApi, clientContext),
+    EntitySetsApi: bindApi(EntitySetsApi, clientContext),
+    Export: bindApi(Export, clientContext),
+    FQNData: bindApi(FQNData, clientContext),
+    Integration: bindApi(Integration, clientContext),
+    OrganizationsApi: bindApi(OrganizationsApi, clientContext),
+    Permissions: bindApi(Permissions, clientContext),
+    PermissionsApi: bindApi(PermissionsApi, clientContext),
+    PersistentSearchApi: bindApi(PersistentSearchApi, clientContext),
+    PrincipalsApi: bindApi(PrincipalsApi, clientContext),
+    SearchApi: bindApi(SearchApi, clientContext),
+    configure: (newOptions :LatticeConfig) => {
+      clientContext.configuration = newConfig(newOptions, clientContext.configuration);
+    },
+    getConfig: () => clientContext.configuration,
+  };
+}
+
+export type {
+  LatticeClient,
+};
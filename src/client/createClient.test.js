@@ -0,0 +1,158 @@
+import axios from 'axios';
+
+import createClient from './createClient';
+
+import * as Config from '../config/Configuration';
+import * as DataApi from '../api/DataApi';
+import * as SearchApi from '../api/SearchApi';
+import {
+  COUNT_PATH,
+  DATASTORE_PATH,
+  DATA_PATH,
+  SEARCH_PATH,
+} from '../constants/UrlConstants';
+import { INVALID_PARAMS } from '../utils/testing/InvalidParams';
+import { genMockAuthToken, genRandomUUID } from '../utils/testing/MockUtils';
+
+const MOCK_ESID = genRandomUUID();
+
+const axiosCreate = axios.create.bind(axios);
+const axiosCreateSpy = jest.spyOn(axios, 'create');
+
+let mockRequests = [];
+let mockResponseData = null;
+
+/*
+ * every Axios instance gets an adapter that records the outgoing request instead of sending it
+ */
+axiosCreateSpy.mockImplementation((axiosConfig) => axiosCreate({
+  ...axiosConfig,
+  adapter: (requestConfig) => {
+    mockRequests.push(requestConfig);
+    return Promise.resolve({
+      config: requestConfig,
+      data: mockResponseData ? mockResponseData(requestConfig) : mockRequests.length,
+      headers: {},
+      status: 200,
+      statusText: 'OK',
+    });
+  },
+}));
+
+describe('createClient()', () => {
+
+  beforeEach(() => {
+    mockRequests = [];
+    mockResponseData = null;
+    axiosCreateSpy.mockClear();
+    Config.configure({ baseUrl: 'localhost' });
+  });
+
+  test('should throw if config is invalid', () => {
+    INVALID_PARAMS.forEach((invalid) => {
+      expect(() => {
+        createClient(invalid);
+      }).toThrow();
+    });
+  });
+
+  test('should expose every function of every API', () => {
+    const client = createClient({ baseUrl: 'localhost' });
+    expect(Object.keys(client.DataApi)).toEqual(Object.keys(DataApi));
+    expect(Object.keys(client.SearchApi)).toEqual(Object.keys(SearchApi));
+    Object.keys(DataApi).forEach((fnName) => {
+      expect(client.DataApi[fnName]).toBeInstanceOf(Function);
+    });
+  });
+
+  test('should send requests using the client configuration', async () => {
+
+    const mockAuthToken = genMockAuthToken();
+    const client = createClient({ authToken: mockAuthToken, baseUrl: 'staging' });
+    await client.DataApi.getEntitySetSize(MOCK_ESID);
+
+    expect(mockRequests).toHaveLength(1);
+    expect(mockRequests[0].baseURL).toEqual(`https://api.staging.openlattice.com/${DATASTORE_PATH}/${DATA_PATH}`);
+    expect(mockRequests[0].url).toEqual(`/${MOCK_ESID}/${COUNT_PATH}`);
+    expect(mockRequests[0].headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+  });
+
+  test('should isolate clients from each other and from the default configuration', async () => {
+
+    const mockAuthToken1 = genMockAuthToken();
+    const mockAuthToken2 = genMockAuthToken();
+    const client1 = createClient({ authToken: mockAuthToken1, baseUrl: 'staging' });
+    const client2 = createClient({ authToken: mockAuthToken2, baseUrl: 'production' });
+
+    await Promise.all([
+      client1.DataApi.getEntitySetSize(MOCK_ESID),
+      client2.DataApi.getEntitySetSize(MOCK_ESID),
+      DataApi.getEntitySetSize(MOCK_ESID),
+    ]);
+
+    const getRequest = (baseUrl) => mockRequests.find((request) => request.baseURL.startsWith(baseUrl));
+    expect(mockRequests).toHaveLength(3);
+    expect(getRequest('https://api.staging.openlattice.com').headers.Authorization).toEqual(`Bearer ${mockAuthToken1}`);
+    expect(getRequest('https://api.openlattice.com').headers.Authorization).toEqual(`Bearer ${mockAuthToken2}`);
+    expect(getRequest('http://localhost:8080').headers.Authorization).toBeUndefined();
+    expect(Config.getConfig().get('baseUrl')).toEqual('http://localhost:8080');
+  });
+
+  test('should reuse its own Axios instance for the same API', async () => {
+
+    const client1 = createClient({ authToken: genMockAuthToken(), baseUrl: 'staging' });
+    const client2 = createClient({ authToken: genMockAuthToken(), baseUrl: 'staging' });
+
+    await client1.DataApi.getEntitySetSize(MOCK_ESID);
+    await client1.DataApi.getEntitySetSize(MOCK_ESID);
+    expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
+
+    await client2.DataApi.getEntitySetSize(MOCK_ESID);
+    await client1.DataApi.getEntitySetSize(MOCK_ESID);
+    expect(axiosCreateSpy).toHaveBeenCalledTimes(2);
+  });
+
+  describe('configure()', () => {
+
+    test('should only update the client configuration', async () => {
+
+      const mockAuthToken = genMockAuthToken();
+      const client = createClient({ baseUrl: 'staging' });
+      client.configure({ authToken: mockAuthToken, baseUrl: 'production' });
+
+      expect(client.getConfig().get('authToken')).toEqual(mockAuthToken);
+      expect(client.getConfig().get('baseUrl')).toEqual('https://api.openlattice.com');
+      expect(Config.getConfig().get('baseUrl')).toEqual('http://localhost:8080');
+
+      await client.DataApi.getEntitySetSize(MOCK_ESID);
+      expect(mockRequests[0].baseURL).toEqual(`https://api.openlattice.com/${DATASTORE_PATH}/${DATA_PATH}`);
+      expect(mockRequests[0].headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    });
+
+  });
+
+  test('should send every page of an iterated search using the client configuration', async () => {
+
+    mockResponseData = (requestConfig) => {
+      const { maxHits, start } = JSON.parse(requestConfig.data);
+      return {
+        hits: [0, 1, 2, 3, 4].slice(start, start + maxHits),
+        numHits: 5,
+      };
+    };
+
+    const client = createClient({ baseUrl: 'staging' });
+    const pages = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const hits of client.SearchApi.iterateEntitySetData({ entitySetIds: [MOCK_ESID] }, { pageSize: 2 })) {
+      pages.push(hits);
+    }
+
+    expect(pages).toEqual([[0, 1], [2, 3], [4]]);
+    expect(mockRequests).toHaveLength(3);
+    mockRequests.forEach((requestConfig) => {
+      expect(requestConfig.baseURL).toEqual(`https://api.staging.openlattice.com/${DATASTORE_PATH}/${SEARCH_PATH}`);
+    });
+  });
+
+});
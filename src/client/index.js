@@ -0,0 +1,11 @@
+/*
+ * @flow
+ */
+
+import createClient from './createClient';
+
+export type { LatticeClient } from './createClient';
+
+export {
+  createClient,
+};
@@ -10,15 +10,25 @@
 import { Map, fromJS } from 'immutable';
 
 import Logger from '../utils/Logger';
+import { isValidAuthProvider } from '../auth/AuthProvider';
+import { isValidCachePolicy } from '../cache/ResponseCache';
+import { getClientContext } from '../client/ClientContext';
 import { isNonEmptyObject, isNonEmptyString } from '../utils/LangUtils';
+import { isValidRetryPolicy } from '../utils/axios/RetryPolicy';
+import type { AuthProvider } from '../auth/AuthProvider';
+import type { CachePolicy, RetryPolicy } from '../types';
 
 // injected by Webpack.DefinePlugin
 declare var __ENV_PROD__ :boolean;
 
 type LatticeConfig = {
+  authProvider ?:?AuthProvider;
   authToken ?:?string;
   baseUrl :string;
+  cache ?:?CachePolicy;
   csrfToken ?:?string;
+  permissionsCache ?:?CachePolicy;
+  retry ?:?RetryPolicy;
 };
 
 const LOG = new Logger('Configuration');
@@ -30,83 +40,157 @@ const ENV_URLS :Map<string, string> = fromJS({
   PRODUCTION: 'https://api.openlattice.com'
 });
 
-let configuration :Map<string, string> = fromJS({
+const DEFAULT_CONFIGURATION :Map<string, any> = fromJS({
   authToken: '',
   baseUrl: ENV_URLS.get('LOCAL')
 });
 
-function setAuthToken(config :LatticeConfig) :void {
+let configuration :Map<string, any> = DEFAULT_CONFIGURATION;
+
+function setAuthToken(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
 
   // authToken is optional, so null and undefined are allowed
   if (config.authToken === null || config.authToken === undefined) {
-    LOG.warn('authToken has not been configured, expect errors');
-    configuration = configuration.delete('authToken');
+    if (!config.authProvider) {
+      LOG.warn('authToken has not been configured, expect errors');
+    }
+    return currentConfig.delete('authToken');
   }
-  else if (isNonEmptyString(config.authToken)) {
+
+  if (isNonEmptyString(config.authToken)) {
     // TODO: add at least some minimal validation checks against the authToken string
-    configuration = configuration.set('authToken', config.authToken);
-  }
-  else {
-    const errorMsg = 'invalid parameter - authToken must be a non-empty string';
-    LOG.error(errorMsg, config.authToken);
-    throw new Error(errorMsg);
+    return currentConfig.set('authToken', config.authToken);
   }
+
+  const errorMsg = 'invalid parameter - authToken must be a non-empty string';
+  LOG.error(errorMsg, config.authToken);
+  throw new Error(errorMsg);
 }
 
-function setBaseUrl(config :LatticeConfig) :void {
+function setAuthProvider(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
 
-  if (isNonEmptyString(config.baseUrl)) {
-    if (config.baseUrl === 'localhost' || config.baseUrl === ENV_URLS.get('LOCAL')) {
-      configuration = configuration.set('baseUrl', ENV_URLS.get('LOCAL'));
-    }
-    else if (config.baseUrl === 'staging' || config.baseUrl === ENV_URLS.get('STAGING')) {
-      configuration = configuration.set('baseUrl', ENV_URLS.get('STAGING'));
-    }
-    else if (config.baseUrl === 'production' || config.baseUrl === ENV_URLS.get('PRODUCTION')) {
-      configuration = configuration.set('baseUrl', ENV_URLS.get('PRODUCTION'));
-    }
-    // mild url validation to at least check the protocol and domain
-    else if (config.baseUrl.startsWith('https://') && config.baseUrl.endsWith('openlattice.com')) {
-      configuration = configuration.set('baseUrl', config.baseUrl);
-    }
-    else {
-      const errorMsg = 'invalid parameter - baseUrl must be a valid URL';
-      LOG.error(errorMsg, config.baseUrl);
-      throw new Error(errorMsg);
-    }
+  // authProvider is optional, so null and undefined are allowed
+  if (config.authProvider === null || config.authProvider === undefined) {
+    return currentConfig.delete('authProvider');
   }
-  else {
+
+  if (isValidAuthProvider(config.authProvider)) {
+    return currentConfig.set('authProvider', config.authProvider);
+  }
+
+  const errorMsg = 'invalid parameter - authProvider must implement getToken() and refreshToken()';
+  LOG.error(errorMsg, config.authProvider);
+  throw new Error(errorMsg);
+}
+
+function setBaseUrl(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
+
+  if (!isNonEmptyString(config.baseUrl)) {
     const errorMsg = 'invalid parameter - baseUrl must be a non-empty string';
     LOG.error(errorMsg, config.baseUrl);
     throw new Error(errorMsg);
   }
+
+  if (config.baseUrl === 'localhost' || config.baseUrl === ENV_URLS.get('LOCAL')) {
+    return currentConfig.set('baseUrl', ENV_URLS.get('LOCAL'));
+  }
+
+  if (config.baseUrl === 'staging' || config.baseUrl === ENV_URLS.get('STAGING')) {
+    return currentConfig.set('baseUrl', ENV_URLS.get('STAGING'));
+  }
+
+  if (config.baseUrl === 'production' || config.baseUrl === ENV_URLS.get('PRODUCTION')) {
+    return currentConfig.set('baseUrl', ENV_URLS.get('PRODUCTION'));
+  }
+
+  // mild url validation to at least check the protocol and domain
+  if (config.baseUrl.startsWith('https://') && config.baseUrl.endsWith('openlattice.com')) {
+    return currentConfig.set('baseUrl', config.baseUrl);
+  }
+
+  const errorMsg = 'invalid parameter - baseUrl must be a valid URL';
+  LOG.error(errorMsg, config.baseUrl);
+  throw new Error(errorMsg);
 }
 
-function setCSRFToken(config :LatticeConfig) {
+function setCachePolicy(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
+
+  // cache is optional, so null and undefined are allowed, in which case responses are not cached
+  if (config.cache === null || config.cache === undefined) {
+    return currentConfig.delete('cache');
+  }
+
+  if (isValidCachePolicy(config.cache)) {
+    return currentConfig.set('cache', fromJS(config.cache));
+  }
+
+  const errorMsg = 'invalid parameter - cache must be a valid cache policy';
+  LOG.error(errorMsg, config.cache);
+  throw new Error(errorMsg);
+}
+
+function setCSRFToken(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
 
   // csrfToken is optional, so null and undefined are allowed
   if (config.csrfToken === null || config.csrfToken === undefined) {
     LOG.warn('csrfToken has not been configured, expect errors');
-    configuration = configuration.delete('csrfToken');
+    return currentConfig.delete('csrfToken');
   }
-  else if (isNonEmptyString(config.csrfToken)) {
-    configuration = configuration.set('csrfToken', config.csrfToken);
+
+  if (isNonEmptyString(config.csrfToken)) {
+    return currentConfig.set('csrfToken', config.csrfToken);
   }
-  else {
-    const errorMsg = 'invalid parameter - csrfToken must be a non-empty string';
-    LOG.error(errorMsg, config.csrfToken);
-    throw new Error(errorMsg);
+
+  const errorMsg = 'invalid parameter - csrfToken must be a non-empty string';
+  LOG.error(errorMsg, config.csrfToken);
+  throw new Error(errorMsg);
+}
+
+function setPermissionsCachePolicy(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
+
+  // permissionsCache is optional, so null and undefined are allowed, in which case the default policy is used
+  if (config.permissionsCache === null || config.permissionsCache === undefined) {
+    return currentConfig.delete('permissionsCache');
   }
+
+  if (isValidCachePolicy(config.permissionsCache)) {
+    return currentConfig.set('permissionsCache', fromJS(config.permissionsCache));
+  }
+
+  const errorMsg = 'invalid parameter - permissionsCache must be a valid cache policy';
+  LOG.error(errorMsg, config.permissionsCache);
+  throw new Error(errorMsg);
+}
+
+function setRetryPolicy(currentConfig :Map<string, any>, config :LatticeConfig) :Map<string, any> {
+
+  // retry is optional, so null and undefined are allowed, in which case failed requests are not retried
+  if (config.retry === null || config.retry === undefined) {
+    return currentConfig.delete('retry');
+  }
+
+  if (isValidRetryPolicy(config.retry)) {
+    return currentConfig.set('retry', fromJS(config.retry));
+  }
+
+  const errorMsg = 'invalid parameter - retry must be a valid retry policy';
+  LOG.error(errorMsg, config.retry);
+  throw new Error(errorMsg);
 }
 
 /**
+ * Validates the given configuration options and applies them on top of the given base configuration, returning the
+ * resulting configuration without modifying any existing state.
+ *
  * @memberof lattice.Configuration
  * @param {Object} config - an object literal containing all configuration options
- * @param {string} config.authToken - a Base64-encoded JWT auth token (optional)
- * @param {string} config.baseUrl - a full URL, or a simple URL identifier (required)
- * @param {string} config.csrfToken - a random string (optional)
+ * @param {Map} baseConfig - the configuration to apply the options on top of (optional)
+ * @returns {Map} - the new configuration
  */
-function configure(config :LatticeConfig) {
+function newConfig(
+  config :LatticeConfig,
+  baseConfig :Map<string, any> = DEFAULT_CONFIGURATION,
+) :Map<string, any> {
 
   if (!isNonEmptyObject(config)) {
     const errorMsg = 'invalid parameter - config must be a non-empty configuration object';
@@ -114,19 +198,68 @@ function configure(config :LatticeConfig) {
     throw new Error(errorMsg);
   }
 
-  setAuthToken(config);
-  setBaseUrl(config);
-  setCSRFToken(config);
+  let theConfig = setAuthProvider(baseConfig, config);
+  theConfig = setAuthToken(theConfig, config);
+  theConfig = setBaseUrl(theConfig, config);
+  theConfig = setCachePolicy(theConfig, config);
+  theConfig = setCSRFToken(theConfig, config);
+  theConfig = setPermissionsCachePolicy(theConfig, config);
+  theConfig = setRetryPolicy(theConfig, config);
+  return theConfig;
 }
 
+/**
+ * @memberof lattice.Configuration
+ * @param {Object} config - an object literal containing all configuration options
+ * @param {AuthProvider} config.authProvider - consulted for the auth token on every request, takes precedence over
+ *   authToken (optional)
+ * @param {string} config.authToken - a Base64-encoded JWT auth token (optional)
+ * @param {string} config.baseUrl - a full URL, or a simple URL identifier (required)
+ * @param {Object} config.cache - the policy for caching EntityDataModelApi and EntitySetsApi reads, which are not
+ *   cached unless this is set (optional)
+ * @param {number} config.cache.maxEntries - the number of cached responses, after which the least recently used is
+ *   evicted (default 500)
+ * @param {number} config.cache.ttl - the number of milliseconds a response stays cached (default 300000)
+ * @param {string} config.csrfToken - a random string (optional)
+ * @param {Object} config.permissionsCache - the policy for caching the results of Permissions checks (optional)
+ * @param {number} config.permissionsCache.maxEntries - the number of cached results, after which the least recently
+ *   used is evicted (default 10000)
+ * @param {number} config.permissionsCache.ttl - the number of milliseconds a result stays cached (default 60000)
+ * @param {Object} config.retry - the policy for retrying failed requests, which every API function can override with
+ *   its "options" argument (optional)
+ * @param {number} config.retry.maxAttempts - the total number of attempts, including the first one (default 3)
+ * @param {number} config.retry.baseDelay - the backoff delay in milliseconds before the first retry (default 300)
+ * @param {number} config.retry.maxDelay - the upper bound in milliseconds for any delay (default 10000)
+ * @param {string[]} config.retry.retryMethods - the HTTP methods that are safe to retry (default idempotent methods)
+ * @param {number[]} config.retry.retryOnStatus - the response statuses to retry (default 429, 502, 503, 504)
+ * @param {boolean} config.retry.retryOnNetworkError - whether to retry requests that got no response (default true)
+ */
+function configure(config :LatticeConfig) {
+
+  configuration = newConfig(config, configuration);
+}
+
+/**
+ * Returns the configuration of the client whose API call is currently executing, or the default configuration set
+ * via configure() when invoked outside of a client created by createClient().
+ *
+ * @memberof lattice.Configuration
+ * @returns {Map}
+ */
 function getConfig() :Map<*, *> {
 
+  const clientContext = getClientContext();
+  if (clientContext) {
+    return clientContext.configuration;
+  }
+
   return configuration;
 }
 
 export {
   configure,
-  getConfig
+  getConfig,
+  newConfig,
 };
 
 export type {
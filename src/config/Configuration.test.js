@@ -1,6 +1,11 @@
 /* eslint-disable global-require */
 
-import { INVALID_PARAMS, INVALID_PARAMS_OPTIONAL_STRING } from '../utils/testing/InvalidParams';
+import StaticTokenAuthProvider from '../auth/StaticTokenAuthProvider';
+import {
+  INVALID_PARAMS,
+  INVALID_PARAMS_OPTIONAL_OBJECT,
+  INVALID_PARAMS_OPTIONAL_STRING,
+} from '../utils/testing/InvalidParams';
 import { genRandomString } from '../utils/testing/MockUtils';
 
 const MOCK_AUTH_TOKEN = `${genRandomString()}.${genRandomString()}.${genRandomString()}`;
@@ -133,6 +138,177 @@ describe('Configuration', () => {
 
     });
 
+    describe('authProvider', () => {
+
+      test('should throw if authProvider is invalid', () => {
+        [...INVALID_PARAMS_OPTIONAL_STRING, { getToken: () => MOCK_AUTH_TOKEN }].forEach((invalid) => {
+          expect(() => {
+            Config.configure({
+              authProvider: invalid,
+              baseUrl: 'localhost'
+            });
+          }).toThrow();
+        });
+      });
+
+      test('should not set authProvider if authProvider is undefined or null', () => {
+
+        Config.configure({
+          authProvider: undefined,
+          baseUrl: 'localhost'
+        });
+        expect(Config.getConfig().has('authProvider')).toEqual(false);
+
+        Config.configure({
+          authProvider: null,
+          baseUrl: 'localhost'
+        });
+        expect(Config.getConfig().has('authProvider')).toEqual(false);
+      });
+
+      test('should correctly set authProvider', () => {
+        const authProvider = new StaticTokenAuthProvider(MOCK_AUTH_TOKEN);
+        Config.configure({
+          authProvider,
+          baseUrl: 'localhost'
+        });
+        expect(Config.getConfig().get('authProvider')).toBe(authProvider);
+      });
+
+    });
+
+    describe('retry', () => {
+
+      test('should throw if retry is invalid', () => {
+        [...INVALID_PARAMS_OPTIONAL_OBJECT, { maxAttempts: 0 }, { retryOnStatus: 503 }].forEach((invalid) => {
+          expect(() => {
+            Config.configure({
+              baseUrl: 'localhost',
+              retry: invalid,
+            });
+          }).toThrow();
+        });
+      });
+
+      test('should not set retry if retry is undefined or null', () => {
+
+        Config.configure({
+          baseUrl: 'localhost',
+          retry: { maxAttempts: 5 },
+        });
+        expect(Config.getConfig().has('retry')).toEqual(true);
+
+        Config.configure({
+          baseUrl: 'localhost',
+          retry: undefined,
+        });
+        expect(Config.getConfig().has('retry')).toEqual(false);
+
+        Config.configure({
+          baseUrl: 'localhost',
+          retry: null,
+        });
+        expect(Config.getConfig().has('retry')).toEqual(false);
+      });
+
+      test('should correctly set retry', () => {
+        Config.configure({
+          baseUrl: 'localhost',
+          retry: { maxAttempts: 5, retryOnStatus: [503] },
+        });
+        expect(Config.getConfig().get('retry').toJS()).toEqual({ maxAttempts: 5, retryOnStatus: [503] });
+      });
+
+    });
+
+    describe('cache', () => {
+
+      test('should throw if cache is invalid', () => {
+        [...INVALID_PARAMS_OPTIONAL_OBJECT, { maxEntries: 0 }, { ttl: -1 }, { ttl: 1.5 }].forEach((invalid) => {
+          expect(() => {
+            Config.configure({
+              baseUrl: 'localhost',
+              cache: invalid,
+            });
+          }).toThrow();
+        });
+      });
+
+      test('should not set cache if cache is undefined or null', () => {
+
+        Config.configure({
+          baseUrl: 'localhost',
+          cache: { ttl: 1000 },
+        });
+        expect(Config.getConfig().has('cache')).toEqual(true);
+
+        Config.configure({
+          baseUrl: 'localhost',
+          cache: undefined,
+        });
+        expect(Config.getConfig().has('cache')).toEqual(false);
+
+        Config.configure({
+          baseUrl: 'localhost',
+          cache: null,
+        });
+        expect(Config.getConfig().has('cache')).toEqual(false);
+      });
+
+      test('should correctly set cache', () => {
+        Config.configure({
+          baseUrl: 'localhost',
+          cache: { maxEntries: 10, ttl: 1000 },
+        });
+        expect(Config.getConfig().get('cache').toJS()).toEqual({ maxEntries: 10, ttl: 1000 });
+      });
+
+    });
+
+    describe('permissionsCache', () => {
+
+      test('should throw if permissionsCache is invalid', () => {
+        [...INVALID_PARAMS_OPTIONAL_OBJECT, { maxEntries: 0 }, { ttl: -1 }, { ttl: 1.5 }].forEach((invalid) => {
+          expect(() => {
+            Config.configure({
+              baseUrl: 'localhost',
+              permissionsCache: invalid,
+            });
+          }).toThrow();
+        });
+      });
+
+      test('should not set permissionsCache if permissionsCache is undefined or null', () => {
+
+        Config.configure({
+          baseUrl: 'localhost',
+          permissionsCache: { ttl: 1000 },
+        });
+        expect(Config.getConfig().has('permissionsCache')).toEqual(true);
+
+        Config.configure({
+          baseUrl: 'localhost',
+          permissionsCache: undefined,
+        });
+        expect(Config.getConfig().has('permissionsCache')).toEqual(false);
+
+        Config.configure({
+          baseUrl: 'localhost',
+          permissionsCache: null,
+        });
+        expect(Config.getConfig().has('permissionsCache')).toEqual(false);
+      });
+
+      test('should correctly set permissionsCache', () => {
+        Config.configure({
+          baseUrl: 'localhost',
+          permissionsCache: { maxEntries: 10, ttl: 1000 },
+        });
+        expect(Config.getConfig().get('permissionsCache').toJS()).toEqual({ maxEntries: 10, ttl: 1000 });
+      });
+
+    });
+
     describe('baseUrl', () => {
 
       test('should throw if baseUrl is missing', () => {
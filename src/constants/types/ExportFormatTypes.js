@@ -0,0 +1,18 @@
+/*
+ * @flow
+ */
+
+type ExportFormatTypesEnum = {|
+  CSV :'CSV';
+  NDJSON :'NDJSON';
+|};
+
+const ExportFormatTypes :{| ...ExportFormatTypesEnum |} = Object.freeze({
+  CSV: 'CSV',
+  NDJSON: 'NDJSON',
+});
+
+type ExportFormatType = $Values<typeof ExportFormatTypes>;
+
+export default ExportFormatTypes;
+export type { ExportFormatType };
@@ -0,0 +1,15 @@
+import { Map } from 'immutable';
+
+import ExportFormatTypes from './ExportFormatTypes';
+import { testEnumIntegrity } from '../../utils/testing/TestUtils';
+
+const EXPECTED_ENUM = Map({
+  CSV: 'CSV',
+  NDJSON: 'NDJSON',
+}).sortBy((value, key) => key);
+
+describe('ExportFormatTypes', () => {
+
+  testEnumIntegrity(ExportFormatTypes, EXPECTED_ENUM);
+
+});
@@ -0,0 +1,24 @@
+/*
+ * @flow
+ */
+
+type ReportFormatTypesEnum = {|
+  CSV :'CSV';
+  JSON :'JSON';
+  MARKDOWN :'MARKDOWN';
+  OBJECT :'OBJECT';
+  TEXT :'TEXT';
+|};
+
+const ReportFormatTypes :{| ...ReportFormatTypesEnum |} = Object.freeze({
+  CSV: 'CSV',
+  JSON: 'JSON',
+  MARKDOWN: 'MARKDOWN',
+  OBJECT: 'OBJECT',
+  TEXT: 'TEXT',
+});
+
+type ReportFormatType = $Values<typeof ReportFormatTypes>;
+
+export default ReportFormatTypes;
+export type { ReportFormatType };
@@ -0,0 +1,18 @@
+import { Map } from 'immutable';
+
+import ReportFormatTypes from './ReportFormatTypes';
+import { testEnumIntegrity } from '../../utils/testing/TestUtils';
+
+const EXPECTED_ENUM = Map({
+  CSV: 'CSV',
+  JSON: 'JSON',
+  MARKDOWN: 'MARKDOWN',
+  OBJECT: 'OBJECT',
+  TEXT: 'TEXT',
+}).sortBy((value, key) => key);
+
+describe('ReportFormatTypes', () => {
+
+  testEnumIntegrity(ReportFormatTypes, EXPECTED_ENUM);
+
+});
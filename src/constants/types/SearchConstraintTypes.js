@@ -0,0 +1,34 @@
+/*
+ * @flow
+ */
+
+type SearchConstraintTypesEnum = {|
+  ADVANCED :'advanced';
+  Advanced :'advanced';
+  GEO_DISTANCE :'geoDistance';
+  GEO_POLYGON :'geoPolygon';
+  GeoDistance :'geoDistance';
+  GeoPolygon :'geoPolygon';
+  SIMPLE :'simple';
+  Simple :'simple';
+  WRITE_DATE_TIME_FILTER :'writeDateTimeFilter';
+  WriteDateTimeFilter :'writeDateTimeFilter';
+|};
+
+const SearchConstraintTypes :{| ...SearchConstraintTypesEnum |} = Object.freeze({
+  ADVANCED: 'advanced',
+  Advanced: 'advanced',
+  GEO_DISTANCE: 'geoDistance',
+  GEO_POLYGON: 'geoPolygon',
+  GeoDistance: 'geoDistance',
+  GeoPolygon: 'geoPolygon',
+  SIMPLE: 'simple',
+  Simple: 'simple',
+  WRITE_DATE_TIME_FILTER: 'writeDateTimeFilter',
+  WriteDateTimeFilter: 'writeDateTimeFilter',
+});
+
+type SearchConstraintType = $Values<typeof SearchConstraintTypes>;
+
+export default SearchConstraintTypes;
+export type { SearchConstraintType };
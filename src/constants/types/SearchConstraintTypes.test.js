@@ -0,0 +1,23 @@
+import { Map } from 'immutable';
+
+import SearchConstraintTypes from './SearchConstraintTypes';
+import { testEnumIntegrity } from '../../utils/testing/TestUtils';
+
+const EXPECTED_ENUM = Map({
+  ADVANCED: 'advanced',
+  Advanced: 'advanced',
+  GEO_DISTANCE: 'geoDistance',
+  GEO_POLYGON: 'geoPolygon',
+  GeoDistance: 'geoDistance',
+  GeoPolygon: 'geoPolygon',
+  SIMPLE: 'simple',
+  Simple: 'simple',
+  WRITE_DATE_TIME_FILTER: 'writeDateTimeFilter',
+  WriteDateTimeFilter: 'writeDateTimeFilter',
+}).sortBy((value, key) => key);
+
+describe('SearchConstraintTypes', () => {
+
+  testEnumIntegrity(SearchConstraintTypes, EXPECTED_ENUM, false);
+
+});
@@ -0,0 +1,24 @@
+/*
+ * @flow
+ */
+
+type WriteStatusTypesEnum = {|
+  CONFLICT :'CONFLICT';
+  FAILED :'FAILED';
+  QUEUED :'QUEUED';
+  SENDING :'SENDING';
+  SUCCEEDED :'SUCCEEDED';
+|};
+
+const WriteStatusTypes :{| ...WriteStatusTypesEnum |} = Object.freeze({
+  CONFLICT: 'CONFLICT',
+  FAILED: 'FAILED',
+  QUEUED: 'QUEUED',
+  SENDING: 'SENDING',
+  SUCCEEDED: 'SUCCEEDED',
+});
+
+type WriteStatusType = $Values<typeof WriteStatusTypes>;
+
+export default WriteStatusTypes;
+export type { WriteStatusType };
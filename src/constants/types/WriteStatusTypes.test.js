@@ -0,0 +1,18 @@
+import { Map } from 'immutable';
+
+import WriteStatusTypes from './WriteStatusTypes';
+import { testEnumIntegrity } from '../../utils/testing/TestUtils';
+
+const EXPECTED_ENUM = Map({
+  CONFLICT: 'CONFLICT',
+  FAILED: 'FAILED',
+  QUEUED: 'QUEUED',
+  SENDING: 'SENDING',
+  SUCCEEDED: 'SUCCEEDED',
+}).sortBy((value, key) => key);
+
+describe('WriteStatusTypes', () => {
+
+  testEnumIntegrity(WriteStatusTypes, EXPECTED_ENUM);
+
+});
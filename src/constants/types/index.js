@@ -6,39 +6,51 @@ import ActionTypes from './ActionTypes';
 import AnalyzerTypes from './AnalyzerTypes';
 import DeleteTypes from './DeleteTypes';
 import EntitySetFlagTypes from './EntitySetFlagTypes';
+import ExportFormatTypes from './ExportFormatTypes';
 import GrantTypes from './GrantTypes';
 import IndexTypes from './IndexTypes';
 import PermissionTypes from './PermissionTypes';
 import PrincipalTypes from './PrincipalTypes';
+import ReportFormatTypes from './ReportFormatTypes';
 import RequestStateTypes from './RequestStateTypes';
+import SearchConstraintTypes from './SearchConstraintTypes';
 import SecurableTypes from './SecurableTypes';
 import SortTypes from './SortTypes';
 import UpdateTypes from './UpdateTypes';
+import WriteStatusTypes from './WriteStatusTypes';
 
 export type { ActionType } from './ActionTypes';
 export type { AnalyzerType } from './AnalyzerTypes';
 export type { DeleteType } from './DeleteTypes';
 export type { EntitySetFlagType } from './EntitySetFlagTypes';
+export type { ExportFormatType } from './ExportFormatTypes';
 export type { GrantType } from './GrantTypes';
 export type { IndexType } from './IndexTypes';
 export type { PermissionType } from './PermissionTypes';
 export type { PrincipalType } from './PrincipalTypes';
+export type { ReportFormatType } from './ReportFormatTypes';
 export type { RequestStateType } from './RequestStateTypes';
+export type { SearchConstraintType } from './SearchConstraintTypes';
 export type { SecurableType } from './SecurableTypes';
 export type { SortType } from './SortTypes';
 export type { UpdateType } from './UpdateTypes';
+export type { WriteStatusType } from './WriteStatusTypes';
 
 export {
   ActionTypes,
   AnalyzerTypes,
   DeleteTypes,
   EntitySetFlagTypes,
+  ExportFormatTypes,
   GrantTypes,
   IndexTypes,
   PermissionTypes,
   PrincipalTypes,
+  ReportFormatTypes,
   RequestStateTypes,
+  SearchConstraintTypes,
   SecurableTypes,
   SortTypes,
   UpdateTypes,
+  WriteStatusTypes,
 };
@@ -0,0 +1,21 @@
+/*
+ * @flow
+ */
+
+import LatticeHttpError from './LatticeHttpError';
+import type { LatticeHttpErrorDetails } from './LatticeHttpError';
+
+/**
+ * Rejected by an API function when the server responds with 401 Unauthorized or 403 Forbidden, i.e. when the auth
+ * token is missing, expired, or does not grant access. A LatticeAuthError is also a LatticeHttpError.
+ *
+ * @memberof lattice.Errors
+ */
+export default class LatticeAuthError extends LatticeHttpError {
+
+  constructor(message :string, details :LatticeHttpErrorDetails) {
+
+    super(message, details);
+    this.name = 'LatticeAuthError';
+  }
+}
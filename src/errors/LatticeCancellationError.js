@@ -0,0 +1,34 @@
+/*
+ * @flow
+ */
+
+import LatticeError from './LatticeError';
+
+/**
+ * Rejected by an API function when the request was cancelled through the "signal" option. A cancelled request is not
+ * a failure, so callers will usually want to ignore it.
+ *
+ * @memberof lattice.Errors
+ *
+ * @example
+ * const controller = new AbortController();
+ * SearchApi.searchEntitySetData(searchConstraints, { signal: controller.signal })
+ *   .catch((error) => {
+ *     if (error instanceof LatticeCancellationError) {
+ *       return;
+ *     }
+ *     throw error;
+ *   });
+ * controller.abort();
+ */
+export default class LatticeCancellationError extends LatticeError {
+
+  apiName :string;
+
+  constructor(message :string, apiName :string) {
+
+    super(message);
+    this.name = 'LatticeCancellationError';
+    this.apiName = apiName;
+  }
+}
@@ -0,0 +1,17 @@
+/*
+ * @flow
+ */
+
+/**
+ * The base class of every error that an API function rejects with.
+ *
+ * @memberof lattice.Errors
+ */
+export default class LatticeError extends Error {
+
+  constructor(message :string) {
+
+    super(message);
+    this.name = 'LatticeError';
+  }
+}
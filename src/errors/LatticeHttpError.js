@@ -0,0 +1,48 @@
+/*
+ * @flow
+ */
+
+import LatticeError from './LatticeError';
+
+type LatticeHttpErrorDetails = {
+  apiName :string;
+  cause ?:any;
+  endpoint :string;
+  method :string;
+  response ?:Object;
+  serverMessage ?:?string;
+  status :number;
+};
+
+/**
+ * Rejected by an API function when the server responds with an error status.
+ *
+ * @memberof lattice.Errors
+ */
+export default class LatticeHttpError extends LatticeError {
+
+  apiName :string;
+  cause :any;
+  endpoint :string;
+  method :string;
+  response :?Object;
+  serverMessage :?string;
+  status :number;
+
+  constructor(message :string, details :LatticeHttpErrorDetails) {
+
+    super(message);
+    this.name = 'LatticeHttpError';
+    this.apiName = details.apiName;
+    this.cause = details.cause;
+    this.endpoint = details.endpoint;
+    this.method = details.method;
+    this.response = details.response;
+    this.serverMessage = details.serverMessage;
+    this.status = details.status;
+  }
+}
+
+export type {
+  LatticeHttpErrorDetails,
+};
@@ -0,0 +1,40 @@
+/*
+ * @flow
+ */
+
+import LatticeError from './LatticeError';
+
+type LatticeNetworkErrorDetails = {
+  apiName :string;
+  cause ?:any;
+  endpoint :string;
+  method :string;
+};
+
+/**
+ * Rejected by an API function when the request was sent but no response was received, for example because the server
+ * could not be reached.
+ *
+ * @memberof lattice.Errors
+ */
+export default class LatticeNetworkError extends LatticeError {
+
+  apiName :string;
+  cause :any;
+  endpoint :string;
+  method :string;
+
+  constructor(message :string, details :LatticeNetworkErrorDetails) {
+
+    super(message);
+    this.name = 'LatticeNetworkError';
+    this.apiName = details.apiName;
+    this.cause = details.cause;
+    this.endpoint = details.endpoint;
+    this.method = details.method;
+  }
+}
+
+export type {
+  LatticeNetworkErrorDetails,
+};
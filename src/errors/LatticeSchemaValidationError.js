@@ -0,0 +1,43 @@
+/*
+ * @flow
+ */
+
+import LatticeValidationError from './LatticeValidationError';
+
+// entity index, or entity key id -> property type id -> problems with the values of that property
+type SchemaValidationReport = {
+  [entityKey :string] :{
+    [propertyTypeId :string] :string[];
+  };
+};
+
+/**
+ * Rejected by a DataApi write function, when it's given the "validate" option, if the entity data does not match the
+ * EntityType and PropertyTypes of the entity set. The report lists every problem, grouped by entity and property.
+ *
+ * @memberof lattice.Errors
+ *
+ * @example
+ * DataApi.createOrMergeEntityData(entitySetId, entities, { validate: true }).catch((error) => {
+ *   if (error instanceof LatticeSchemaValidationError) {
+ *     // error.report === {
+ *     //   "0": { "8f79e123-3411-4099-a41f-88e5d22d0e8d": ["expected a value of type Int32, got \"42\""] }
+ *     // }
+ *   }
+ * });
+ */
+export default class LatticeSchemaValidationError extends LatticeValidationError {
+
+  report :SchemaValidationReport;
+
+  constructor(message :string, parameter :string, value :any, report :SchemaValidationReport) {
+
+    super(message, parameter, value);
+    this.name = 'LatticeSchemaValidationError';
+    this.report = report;
+  }
+}
+
+export type {
+  SchemaValidationReport,
+};
@@ -0,0 +1,32 @@
+/*
+ * @flow
+ */
+
+import LatticeError from './LatticeError';
+
+/**
+ * Rejected by an API function when it's given an invalid parameter, before any request is sent.
+ *
+ * @memberof lattice.Errors
+ *
+ * @example
+ * EntitySetsApi.getEntitySet('invalid').catch((error) => {
+ *   if (error instanceof LatticeValidationError) {
+ *     // error.parameter === 'entitySetId'
+ *     // error.value === 'invalid'
+ *   }
+ * });
+ */
+export default class LatticeValidationError extends LatticeError {
+
+  parameter :string;
+  value :any;
+
+  constructor(message :string, parameter :string, value :any) {
+
+    super(message);
+    this.name = 'LatticeValidationError';
+    this.parameter = parameter;
+    this.value = value;
+  }
+}
@@ -0,0 +1,21 @@
+/*
+ * @flow
+ */
+
+import LatticeAuthError from './LatticeAuthError';
+import LatticeCancellationError from './LatticeCancellationError';
+import LatticeError from './LatticeError';
+import LatticeHttpError from './LatticeHttpError';
+import LatticeNetworkError from './LatticeNetworkError';
+import LatticeSchemaValidationError from './LatticeSchemaValidationError';
+import LatticeValidationError from './LatticeValidationError';
+
+export {
+  LatticeAuthError,
+  LatticeCancellationError,
+  LatticeError,
+  LatticeHttpError,
+  LatticeNetworkError,
+  LatticeSchemaValidationError,
+  LatticeValidationError,
+};
@@ -0,0 +1,123 @@
+import { Set } from 'immutable';
+
+import * as Errors from './index';
+
+const {
+  LatticeAuthError,
+  LatticeCancellationError,
+  LatticeError,
+  LatticeHttpError,
+  LatticeNetworkError,
+  LatticeSchemaValidationError,
+  LatticeValidationError,
+} = Errors;
+
+const EXPECTED_ERRORS = Set([
+  'LatticeAuthError',
+  'LatticeCancellationError',
+  'LatticeError',
+  'LatticeHttpError',
+  'LatticeNetworkError',
+  'LatticeSchemaValidationError',
+  'LatticeValidationError',
+]);
+
+const MOCK_HTTP_ERROR_DETAILS = {
+  apiName: 'DataApi',
+  endpoint: 'https://api.openlattice.com/datastore/data/set',
+  method: 'GET',
+  serverMessage: 'mock server message',
+  status: 500,
+};
+
+describe('Lattice.Errors', () => {
+
+  test('should only export expected errors', () => {
+    expect(Set(Object.keys(Errors))).toEqual(EXPECTED_ERRORS);
+  });
+
+  test('every error should be a LatticeError and an Error', () => {
+    [
+      new LatticeAuthError('mock', { ...MOCK_HTTP_ERROR_DETAILS, status: 401 }),
+      new LatticeCancellationError('mock', 'DataApi'),
+      new LatticeHttpError('mock', MOCK_HTTP_ERROR_DETAILS),
+      new LatticeNetworkError('mock', MOCK_HTTP_ERROR_DETAILS),
+      new LatticeSchemaValidationError('mock', 'mockParameter', 'mockValue', {}),
+      new LatticeValidationError('mock', 'mockParameter', 'mockValue'),
+    ].forEach((error) => {
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toBeInstanceOf(LatticeError);
+      expect(error.message).toEqual('mock');
+      expect(error.stack).toEqual(expect.any(String));
+    });
+  });
+
+  describe('LatticeValidationError', () => {
+
+    test('should have the parameter and its value', () => {
+      const value = { id: 'invalid' };
+      const error = new LatticeValidationError('mock', 'mockParameter', value);
+      expect(error.name).toEqual('LatticeValidationError');
+      expect(error.parameter).toEqual('mockParameter');
+      expect(error.value).toBe(value);
+    });
+
+  });
+
+  describe('LatticeSchemaValidationError', () => {
+
+    test('should be a LatticeValidationError with a report', () => {
+      const report = { 0: { mockPropertyTypeId: ['mock problem'] } };
+      const error = new LatticeSchemaValidationError('mock', 'mockParameter', 'mockValue', report);
+      expect(error.name).toEqual('LatticeSchemaValidationError');
+      expect(error).toBeInstanceOf(LatticeValidationError);
+      expect(error.parameter).toEqual('mockParameter');
+      expect(error.report).toBe(report);
+    });
+
+  });
+
+  describe('LatticeHttpError', () => {
+
+    test('should have the status, endpoint, API name, and server message', () => {
+      const error = new LatticeHttpError('mock', MOCK_HTTP_ERROR_DETAILS);
+      expect(error.name).toEqual('LatticeHttpError');
+      expect(error).toMatchObject(MOCK_HTTP_ERROR_DETAILS);
+    });
+
+  });
+
+  describe('LatticeAuthError', () => {
+
+    test('should be a LatticeHttpError', () => {
+      const error = new LatticeAuthError('mock', { ...MOCK_HTTP_ERROR_DETAILS, status: 403 });
+      expect(error.name).toEqual('LatticeAuthError');
+      expect(error).toBeInstanceOf(LatticeHttpError);
+      expect(error.status).toEqual(403);
+    });
+
+  });
+
+  describe('LatticeNetworkError', () => {
+
+    test('should have the endpoint and API name', () => {
+      const error = new LatticeNetworkError('mock', MOCK_HTTP_ERROR_DETAILS);
+      expect(error.name).toEqual('LatticeNetworkError');
+      expect(error).not.toBeInstanceOf(LatticeHttpError);
+      expect(error.apiName).toEqual(MOCK_HTTP_ERROR_DETAILS.apiName);
+      expect(error.endpoint).toEqual(MOCK_HTTP_ERROR_DETAILS.endpoint);
+    });
+
+  });
+
+  describe('LatticeCancellationError', () => {
+
+    test('should have the API name', () => {
+      const error = new LatticeCancellationError('mock', 'DataApi');
+      expect(error.name).toEqual('LatticeCancellationError');
+      expect(error.apiName).toEqual('DataApi');
+    });
+
+  });
+
+});
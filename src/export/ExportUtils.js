@@ -0,0 +1,439 @@
+/*
+ * @flow
+ */
+
+/**
+ * Export streams the data of an entity set as CSV or NDJSON, one page at a time, so that entity sets that are too
+ * large to hold in memory as a single JSON array can be written to a file or sent over the network. The entity key
+ * ids are paged through via SearchApi.iterateEntitySetData(), and the data of each page is read via
+ * DataApi.getEntitySetData(). Columns are named by PropertyType FQN, such as "general.fullname".
+ *
+ * @module Export
+ * @memberof lattice
+ *
+ * @example
+ * import { Export } from 'lattice';
+ * await Export.exportEntitySetToStream("MyPeople", fs.createWriteStream("people.csv"));
+ */
+
+import isBoolean from 'lodash/isBoolean';
+import isString from 'lodash/isString';
+
+import * as DataApi from '../api/DataApi';
+import * as EntityDataModelApi from '../api/EntityDataModelApi';
+import * as EntitySetsApi from '../api/EntitySetsApi';
+import * as SearchApi from '../api/SearchApi';
+
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { OPENLATTICE_ID_FQN, OPENLATTICE_LAST_WRITE_FQN } from '../constants/GlobalConstants';
+import { ExportFormatTypes } from '../constants/types';
+import { loadEdmIndex, resolveEntitySetId } from '../fqn/EdmIndexUtils';
+import { SearchConstraintsBuilder } from '../models/SearchConstraints';
+import { toCSVLine } from '../utils/CSVUtils';
+import { isNonEmptyString, isPositiveInteger } from '../utils/LangUtils';
+import type { ExportFormatType } from '../constants/types';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('Export');
+
+const DEFAULT_MULTI_VALUE_SEPARATOR = '|';
+const DEFAULT_PAGE_SIZE = 100;
+
+type ExportOptions = {
+  ...RequestOptions;
+  format ?:ExportFormatType;
+  includeEntityKeyId ?:boolean;
+  includeLastWrite ?:boolean;
+  multiValueSeparator ?:string;
+  pageSize ?:number;
+  propertyTypeFQNs ?:string[];
+};
+
+// the subset of the Node.js stream.Writable API that is needed, which keeps "stream" out of the browser build
+type Writable = {
+  +destroyed ?:boolean;
+  +end :() => mixed;
+  +once :(event :string, listener :Function) => mixed;
+  +removeListener :(event :string, listener :Function) => mixed;
+  +write :(chunk :string) => boolean;
+};
+
+type Column = {|
+  fqn :string;
+  propertyTypeId ?:UUID;
+|};
+
+const EXPORT_API = {
+  getEntitySet: EntitySetsApi.getEntitySet,
+  getEntitySetData: DataApi.getEntitySetData,
+  getEntityType: EntityDataModelApi.getEntityType,
+  iterateEntitySetData: SearchApi.iterateEntitySetData,
+  loadEdmIndex,
+  resolveEntitySetId,
+};
+
+type ExportApi = typeof EXPORT_API;
+
+function toStringValue(value :any) :string {
+
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+function getValues(entity :Object, searchHit :?Object, column :Column) :any[] {
+
+  // the metadata columns are taken from the search hit when the entity data does not include them
+  const key = column.propertyTypeId || column.fqn;
+  const values = entity[key] || (searchHit && !column.propertyTypeId ? searchHit[column.fqn] : undefined);
+  return Array.isArray(values) ? values : [];
+}
+
+function getEntityKeyId(entity :Object) :?UUID {
+
+  const ids = entity[OPENLATTICE_ID_FQN];
+  return Array.isArray(ids) ? ids[0] : undefined;
+}
+
+function validateExportOptions(entitySetIdOrName :any, exportOptions :Object) :void {
+
+  const {
+    format,
+    includeEntityKeyId,
+    includeLastWrite,
+    multiValueSeparator,
+    pageSize,
+    propertyTypeFQNs,
+  } = exportOptions;
+
+  if (!isNonEmptyString(entitySetIdOrName)) {
+    const errorMsg = 'invalid parameter: "entitySetIdOrName" must be a valid UUID or a non-empty string';
+    LOG.error(errorMsg, entitySetIdOrName);
+    throw new LatticeValidationError(errorMsg, 'entitySetIdOrName', entitySetIdOrName);
+  }
+
+  if (format !== undefined && !ExportFormatTypes[format]) {
+    const errorMsg = 'invalid parameter: "format" must be a valid ExportFormatType';
+    LOG.error(errorMsg, format);
+    throw new LatticeValidationError(errorMsg, 'format', format);
+  }
+
+  if (includeEntityKeyId !== undefined && !isBoolean(includeEntityKeyId)) {
+    const errorMsg = 'invalid parameter: "includeEntityKeyId" must be a boolean';
+    LOG.error(errorMsg, includeEntityKeyId);
+    throw new LatticeValidationError(errorMsg, 'includeEntityKeyId', includeEntityKeyId);
+  }
+
+  if (includeLastWrite !== undefined && !isBoolean(includeLastWrite)) {
+    const errorMsg = 'invalid parameter: "includeLastWrite" must be a boolean';
+    LOG.error(errorMsg, includeLastWrite);
+    throw new LatticeValidationError(errorMsg, 'includeLastWrite', includeLastWrite);
+  }
+
+  if (multiValueSeparator !== undefined && !isString(multiValueSeparator)) {
+    const errorMsg = 'invalid parameter: "multiValueSeparator" must be a string';
+    LOG.error(errorMsg, multiValueSeparator);
+    throw new LatticeValidationError(errorMsg, 'multiValueSeparator', multiValueSeparator);
+  }
+
+  if (pageSize !== undefined && !isPositiveInteger(pageSize)) {
+    const errorMsg = 'invalid parameter: "pageSize" must be a positive integer';
+    LOG.error(errorMsg, pageSize);
+    throw new LatticeValidationError(errorMsg, 'pageSize', pageSize);
+  }
+
+  if (propertyTypeFQNs !== undefined
+    && (!Array.isArray(propertyTypeFQNs) || !propertyTypeFQNs.every(isNonEmptyString))) {
+    const errorMsg = 'invalid parameter: "propertyTypeFQNs" must be an array of FQN strings';
+    LOG.error(errorMsg, propertyTypeFQNs);
+    throw new LatticeValidationError(errorMsg, 'propertyTypeFQNs', propertyTypeFQNs);
+  }
+}
+
+/*
+ * resolves once the stream has drained, or rejects if the stream errors or closes first, which it might do while its
+ * buffer is full, in which case it never drains
+ */
+function waitForDrain(writable :Writable) :Promise<void> {
+
+  if (writable.destroyed) {
+    return Promise.reject(new Error('the stream was destroyed before the export was written'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let removeListeners;
+    const onDrain = () => {
+      removeListeners();
+      resolve();
+    };
+    const onError = (error :Error) => {
+      removeListeners();
+      reject(error);
+    };
+    const onClose = () => {
+      removeListeners();
+      reject(new Error('the stream was closed before the export was written'));
+    };
+    removeListeners = () => {
+      writable.removeListener('drain', onDrain);
+      writable.removeListener('error', onError);
+      writable.removeListener('close', onClose);
+    };
+    writable.once('drain', onDrain);
+    writable.once('error', onError);
+    writable.once('close', onClose);
+  });
+}
+
+/*
+ * resolves the columns of the export: the PropertyTypes of the entity type, in the order of the entity type, or the
+ * given PropertyTypes, in the given order, plus the requested metadata columns
+ */
+async function getColumns(
+  api :ExportApi,
+  entitySetId :UUID,
+  exportOptions :ExportOptions,
+  requestOptions :RequestOptions,
+) :Promise<Column[]> {
+
+  const { includeEntityKeyId, includeLastWrite, propertyTypeFQNs } = exportOptions;
+
+  const entitySet = await api.getEntitySet(entitySetId, requestOptions);
+  const entityType = await api.getEntityType(entitySet.entityTypeId, requestOptions);
+  const propertyTypeIds :UUID[] = entityType.properties;
+  const edmIndex = await api.loadEdmIndex(
+    (index) => propertyTypeIds.every((id :UUID) => !!index.getPropertyTypeFQN(id)),
+    requestOptions,
+  );
+
+  let columns :Column[] = propertyTypeIds
+    .filter((propertyTypeId :UUID) => !!edmIndex.getPropertyTypeFQN(propertyTypeId))
+    .map((propertyTypeId :UUID) => ({ fqn: (edmIndex.getPropertyTypeFQN(propertyTypeId) :any), propertyTypeId }));
+
+  if (propertyTypeFQNs) {
+    const unknownFQNs = propertyTypeFQNs.filter((fqn :string) => !columns.some((column) => column.fqn === fqn));
+    if (unknownFQNs.length > 0) {
+      const errorMsg = `invalid parameter: "propertyTypeFQNs" has FQNs that are not in the entity type: ${
+        unknownFQNs.join(', ')}`;
+      LOG.error(errorMsg, propertyTypeFQNs);
+      throw new LatticeValidationError(errorMsg, 'propertyTypeFQNs', propertyTypeFQNs);
+    }
+    columns = propertyTypeFQNs.map((fqn :string) => (columns.find((column) => column.fqn === fqn) :any));
+  }
+
+  return [
+    ...(includeEntityKeyId ? [{ fqn: OPENLATTICE_ID_FQN }] : []),
+    ...columns,
+    ...(includeLastWrite ? [{ fqn: OPENLATTICE_LAST_WRITE_FQN }] : []),
+  ];
+}
+
+async function* exportPages(
+  api :ExportApi,
+  entitySetIdOrName :string,
+  exportOptions :ExportOptions,
+) :AsyncGenerator<string, void, void> {
+
+  validateExportOptions(entitySetIdOrName, exportOptions);
+
+  const {
+    format = ExportFormatTypes.CSV,
+    includeEntityKeyId,
+    includeLastWrite,
+    multiValueSeparator = DEFAULT_MULTI_VALUE_SEPARATOR,
+    pageSize = DEFAULT_PAGE_SIZE,
+    propertyTypeFQNs,
+    ...requestOptions
+  } = exportOptions;
+
+  const entitySetId = await api.resolveEntitySetId(entitySetIdOrName, requestOptions);
+  const columns = await getColumns(api, entitySetId, exportOptions, requestOptions);
+  const propertyTypeIds = columns
+    .map((column :Column) => column.propertyTypeId)
+    .filter(Boolean);
+
+  const toLine = (entity :Object, searchHit :?Object) :string => {
+    if (format === ExportFormatTypes.NDJSON) {
+      const row = {};
+      columns.forEach((column :Column) => {
+        const values = getValues(entity, searchHit, column);
+        if (values.length > 0) {
+          row[column.fqn] = values;
+        }
+      });
+      return `${JSON.stringify(row)}\n`;
+    }
+    return toCSVLine(columns.map((column :Column) => (
+      getValues(entity, searchHit, column).map(toStringValue).join(multiValueSeparator)
+    )));
+  };
+
+  if (format === ExportFormatTypes.CSV) {
+    yield toCSVLine(columns.map((column :Column) => column.fqn));
+  }
+
+  const searchConstraints = (new SearchConstraintsBuilder())
+    .setEntitySetIds([entitySetId])
+    .setMaxHits(pageSize)
+    .addConstraintGroup([SearchConstraintsBuilder.simpleConstraint('*')])
+    .build();
+  const pages = api.iterateEntitySetData(searchConstraints, { ...requestOptions, pageSize });
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const hits of pages) {
+    const searchHits = {};
+    hits.forEach((hit :Object) => {
+      const entityKeyId = getEntityKeyId(hit);
+      if (entityKeyId) {
+        searchHits[entityKeyId] = hit;
+      }
+    });
+    const entityKeyIds = Object.keys(searchHits);
+    if (entityKeyIds.length > 0) {
+      const entities = await api.getEntitySetData(
+        entitySetId,
+        propertyTypeIds.length > 0 ? (propertyTypeIds :any) : undefined,
+        entityKeyIds,
+        requestOptions,
+      );
+      yield entities
+        .map((entity :Object) => toLine(entity, searchHits[getEntityKeyId(entity) || '']))
+        .join('');
+    }
+  }
+}
+
+/**
+ * Exports the data of the given entity set as CSV or NDJSON text, one chunk at a time. The first chunk of a CSV export
+ * is the header line, and every other chunk holds the lines of one page of entities. In CSV, the values of a
+ * multi-valued property are joined with "multiValueSeparator". In NDJSON, every line is a JSON object mapping FQNs to
+ * arrays of values, and properties without values are left out.
+ *
+ * @memberof lattice.Export
+ * @param {UUID | string} entitySetIdOrName
+ * @param {Object} exportOptions - any of the request options, in addition to the options below (optional)
+ * @param {ExportFormatType} exportOptions.format - "CSV" or "NDJSON" (default "CSV")
+ * @param {string[]} exportOptions.propertyTypeFQNs - the PropertyTypes to export, in order (default all of them)
+ * @param {string} exportOptions.multiValueSeparator - joins the values of a property in CSV (default "|")
+ * @param {boolean} exportOptions.includeEntityKeyId - adds an "openlattice.@id" column first (default false)
+ * @param {boolean} exportOptions.includeLastWrite - adds an "openlattice.@lastWrite" column last (default false)
+ * @param {number} exportOptions.pageSize - the number of entities to request per page (default 100)
+ * @returns {AsyncIterator<string>} - an async iterator that yields the exported text
+ *
+ * @example
+ * const chunks = Export.exportEntitySet("MyPeople", { format: "NDJSON", includeEntityKeyId: true });
+ * for await (const chunk of chunks) {
+ *   // ...
+ * }
+ */
+function exportEntitySet(
+  entitySetIdOrName :UUID | string,
+  exportOptions ?:ExportOptions = {},
+) :AsyncGenerator<string, void, void> {
+
+  const api :ExportApi = bindAllToClientContext(EXPORT_API);
+  return exportPages(api, entitySetIdOrName, exportOptions || {});
+}
+
+/**
+ * Exports the data of the given entity set to a Node.js writable stream, such as a file stream, and ends the stream
+ * once every entity has been written. Writing waits for the stream to drain whenever its buffer is full. If the export
+ * fails, or the stream errors or closes while the export is waiting for it to drain, the export stops, the returned
+ * Promise rejects, and the stream is left as it is.
+ *
+ * @memberof lattice.Export
+ * @param {UUID | string} entitySetIdOrName
+ * @param {stream.Writable} writable
+ * @param {Object} exportOptions - the same options as exportEntitySet() (optional)
+ * @returns {Promise<void>} - a Promise that resolves once the export has been written
+ *
+ * @example
+ * await Export.exportEntitySetToStream("MyPeople", fs.createWriteStream("people.csv"), { multiValueSeparator: ";" });
+ */
+function exportEntitySetToStream(
+  entitySetIdOrName :UUID | string,
+  writable :Writable,
+  exportOptions ?:ExportOptions,
+) :Promise<void> {
+
+  if (!writable || typeof writable.write !== 'function' || typeof writable.once !== 'function'
+    || typeof writable.removeListener !== 'function' || typeof writable.end !== 'function') {
+    const errorMsg = 'invalid parameter: "writable" must be a writable stream';
+    LOG.error(errorMsg, writable);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'writable', writable));
+  }
+
+  const chunks = exportEntitySet(entitySetIdOrName, exportOptions);
+  const writeAll = async () => {
+    // leaving the loop, including by a failed drain, closes the generator, so no more pages are requested
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of chunks) {
+      if (!writable.write(chunk)) {
+        // chunks are written in order, so waiting on each drain in turn is intended
+        // eslint-disable-next-line no-await-in-loop
+        await waitForDrain(writable);
+      }
+    }
+    writable.end();
+  };
+
+  return writeAll();
+}
+
+/**
+ * Exports the data of the given entity set as a web ReadableStream of strings, which requests the next page only when
+ * the stream is read from. Pipe it through a TextEncoderStream to get bytes.
+ *
+ * @memberof lattice.Export
+ * @param {UUID | string} entitySetIdOrName
+ * @param {Object} exportOptions - the same options as exportEntitySet() (optional)
+ * @returns {ReadableStream<string>}
+ *
+ * @example
+ * const stream = Export.exportEntitySetToReadableStream("MyPeople");
+ * const response = new Response(stream.pipeThrough(new TextEncoderStream()));
+ */
+function exportEntitySetToReadableStream(
+  entitySetIdOrName :UUID | string,
+  exportOptions ?:ExportOptions,
+) :ReadableStream {
+
+  if (typeof ReadableStream === 'undefined') {
+    throw new Error('ReadableStream is not supported in this environment, use exportEntitySetToStream() instead');
+  }
+
+  const chunks = exportEntitySet(entitySetIdOrName, exportOptions);
+  return new ReadableStream(
+    {
+      cancel: (reason :string) => chunks.return((reason :any)).then(() => undefined),
+      pull: (controller) => chunks.next().then(({ done, value }) => {
+        if (done) {
+          controller.close();
+        }
+        else {
+          controller.enqueue(value);
+        }
+      }),
+    },
+    // nothing is buffered ahead of the reader, so no page is requested before it is needed
+    { highWaterMark: 0, size: () => 1 },
+  );
+}
+
+export {
+  exportEntitySet,
+  exportEntitySetToReadableStream,
+  exportEntitySetToStream,
+};
+
+export type {
+  ExportOptions,
+};
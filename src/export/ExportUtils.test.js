@@ -0,0 +1,265 @@
+// the resolver does not know about the subpaths of Node.js built-in modules
+// eslint-disable-next-line import/no-unresolved
+import { ReadableStream as NodeReadableStream } from 'stream/web';
+import { Writable } from 'stream';
+
+import * as Export from './ExportUtils';
+
+import { clearIndex } from '../fqn/FQNDataUtils';
+import { LatticeValidationError } from '../errors';
+import {
+  DATA_API,
+  EDM_API,
+  ENTITY_SETS_API,
+  SEARCH_API,
+} from '../constants/ApiNames';
+import { OPENLATTICE_ID_FQN, OPENLATTICE_LAST_WRITE_FQN } from '../constants/GlobalConstants';
+import { ENTITY_TYPE_PATH } from '../constants/UrlConstants';
+import { ExportFormatTypes, SearchConstraintTypes } from '../constants/types';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const MOCK_ESID = genRandomUUID();
+const MOCK_ETID = genRandomUUID();
+const MOCK_ENTITY_SET_NAME = 'MyPeople';
+
+const FULL_NAME_PT = { id: genRandomUUID(), type: { name: 'fullname', namespace: 'general' } };
+const NICKNAME_PT = { id: genRandomUUID(), type: { name: 'nickname', namespace: 'general' } };
+
+const [EKID_1, EKID_2, EKID_3] = [genRandomUUID(), genRandomUUID(), genRandomUUID()];
+const LAST_WRITE = '2020-02-02T00:00:00.000Z';
+
+const MOCK_ENTITIES = [
+  { [OPENLATTICE_ID_FQN]: [EKID_1], [FULL_NAME_PT.id]: ['Jane Doe'], [NICKNAME_PT.id]: ['JD', 'Janie'] },
+  { [OPENLATTICE_ID_FQN]: [EKID_2], [FULL_NAME_PT.id]: ['Doe, "John"'] },
+  { [OPENLATTICE_ID_FQN]: [EKID_3], [FULL_NAME_PT.id]: [42] },
+];
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([DATA_API, EDM_API, ENTITY_SETS_API, SEARCH_API]);
+  mockAxiosInstances[DATA_API].post.mockImplementation((url, { ids }) => Promise.resolve({
+    data: MOCK_ENTITIES.filter((entity) => ids.includes(entity[OPENLATTICE_ID_FQN][0])),
+  }));
+  mockAxiosInstances[EDM_API].get.mockImplementation((url) => Promise.resolve({
+    data: url.startsWith(`/${ENTITY_TYPE_PATH}/`)
+      ? { id: MOCK_ETID, properties: [FULL_NAME_PT.id, NICKNAME_PT.id] }
+      : [FULL_NAME_PT, NICKNAME_PT],
+  }));
+  mockAxiosInstances[ENTITY_SETS_API].get.mockImplementation((url) => Promise.resolve({
+    data: url.startsWith('/ids/') ? MOCK_ESID : { entityTypeId: MOCK_ETID, id: MOCK_ESID },
+  }));
+  mockAxiosInstances[SEARCH_API].patch.mockImplementation((url, { maxHits, start }) => Promise.resolve({
+    data: {
+      hits: MOCK_ENTITIES.slice(start, start + maxHits).map((entity) => ({
+        [OPENLATTICE_ID_FQN]: entity[OPENLATTICE_ID_FQN],
+        [OPENLATTICE_LAST_WRITE_FQN]: [LAST_WRITE],
+      })),
+      numHits: MOCK_ENTITIES.length,
+    },
+  }));
+}
+
+async function collect(chunks) {
+
+  let text = '';
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of chunks) {
+    text += chunk;
+  }
+  return text;
+}
+
+describe('Export', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+    clearIndex();
+  });
+
+  describe('exportEntitySet()', () => {
+
+    test('should export CSV with a header, one page at a time', async () => {
+
+      const chunks = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of Export.exportEntitySet(MOCK_ENTITY_SET_NAME, { pageSize: 2 })) {
+        chunks.push(chunk);
+      }
+
+      expect(chunks).toEqual([
+        'general.fullname,general.nickname\r\n',
+        'Jane Doe,JD|Janie\r\n"Doe, ""John""",\r\n',
+        '42,\r\n',
+      ]);
+      expect(mockAxiosInstances[SEARCH_API].patch).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledWith(
+        `/set/${MOCK_ESID}`,
+        { ids: [EKID_1, EKID_2], properties: [FULL_NAME_PT.id, NICKNAME_PT.id] },
+        {},
+      );
+    });
+
+    test('should search for every entity of the entity set', async () => {
+
+      await collect(Export.exportEntitySet(MOCK_ESID, { pageSize: 2 }));
+
+      const constraint = { fuzzy: false, searchTerm: '*', type: SearchConstraintTypes.SIMPLE };
+      const { patch } = mockAxiosInstances[SEARCH_API];
+      expect(patch.mock.calls.map(([url, body]) => [url, body])).toEqual([0, 2].map((start) => [
+        '/',
+        {
+          constraints: [{ constraints: [constraint], min: 1 }],
+          entitySetIds: [MOCK_ESID],
+          maxHits: 2,
+          start,
+        },
+      ]));
+    });
+
+    test('should only export the given PropertyTypes, with the given separator and metadata', async () => {
+
+      const text = await collect(Export.exportEntitySet(MOCK_ESID, {
+        includeEntityKeyId: true,
+        includeLastWrite: true,
+        multiValueSeparator: '; ',
+        propertyTypeFQNs: ['general.nickname'],
+      }));
+
+      expect(text).toEqual([
+        `${OPENLATTICE_ID_FQN},general.nickname,${OPENLATTICE_LAST_WRITE_FQN}\r\n`,
+        `${EKID_1},JD; Janie,${LAST_WRITE}\r\n`,
+        `${EKID_2},,${LAST_WRITE}\r\n`,
+        `${EKID_3},,${LAST_WRITE}\r\n`,
+      ].join(''));
+      expect(mockAxiosInstances[DATA_API].post.mock.calls[0][1].properties).toEqual([NICKNAME_PT.id]);
+    });
+
+    test('should export NDJSON, leaving out properties without values', async () => {
+
+      const text = await collect(Export.exportEntitySet(MOCK_ESID, {
+        format: ExportFormatTypes.NDJSON,
+        includeEntityKeyId: true,
+      }));
+
+      expect(text.split('\n').filter(Boolean).map((line) => JSON.parse(line))).toEqual([
+        { [OPENLATTICE_ID_FQN]: [EKID_1], 'general.fullname': ['Jane Doe'], 'general.nickname': ['JD', 'Janie'] },
+        { [OPENLATTICE_ID_FQN]: [EKID_2], 'general.fullname': ['Doe, "John"'] },
+        { [OPENLATTICE_ID_FQN]: [EKID_3], 'general.fullname': [42] },
+      ]);
+    });
+
+    test('should throw a LatticeValidationError when given invalid parameters', async () => {
+
+      const invalid = [
+        ['', {}],
+        [MOCK_ESID, { format: 'XML' }],
+        [MOCK_ESID, { includeEntityKeyId: 'true' }],
+        [MOCK_ESID, { multiValueSeparator: 1 }],
+        [MOCK_ESID, { pageSize: 0 }],
+        [MOCK_ESID, { propertyTypeFQNs: 'general.fullname' }],
+        [MOCK_ESID, { propertyTypeFQNs: ['general.unknown'] }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(collect(Export.exportEntitySet(...params))).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[SEARCH_API].patch).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('exportEntitySetToStream()', () => {
+
+    // the buffer is full after every chunk, and every chunk takes a moment to be written
+    function newWritable(write) {
+      return new Writable({ highWaterMark: 1, write: (chunk, encoding, callback) => setTimeout(write, 1, callback) });
+    }
+
+    test('should write every chunk, wait for the stream to drain, and end the stream', async () => {
+
+      const written = [];
+      const writable = new Writable({
+        highWaterMark: 1,
+        write: (chunk, encoding, callback) => {
+          written.push(chunk.toString());
+          setTimeout(callback, 1);
+        },
+      });
+      const onDrain = jest.fn();
+      writable.on('drain', onDrain);
+
+      await Export.exportEntitySetToStream(MOCK_ESID, writable, { pageSize: 2 });
+      expect(written).toHaveLength(3);
+      expect(onDrain).toHaveBeenCalledTimes(3);
+      expect(writable.writableEnded).toEqual(true);
+      expect(writable.listenerCount('drain')).toEqual(1);
+      expect(writable.listenerCount('error')).toEqual(0);
+      expect(writable.listenerCount('close')).toEqual(0);
+    });
+
+    test('should reject and leave the stream open if the export fails', async () => {
+
+      const error = new Error('failure');
+      mockAxiosInstances[DATA_API].post.mockImplementation(() => Promise.reject(error));
+      const writable = newWritable((callback) => callback());
+
+      await expect(Export.exportEntitySetToStream(MOCK_ESID, writable)).rejects.toEqual(error);
+      expect(writable.writableEnded).toEqual(false);
+      await expect(Export.exportEntitySetToStream(MOCK_ESID, {})).rejects.toBeInstanceOf(LatticeValidationError);
+    });
+
+    test('should stop the export if the stream errors while its buffer is full', async () => {
+
+      const error = new Error('failure');
+      const writable = newWritable((callback) => callback(error));
+
+      await expect(Export.exportEntitySetToStream(MOCK_ESID, writable, { pageSize: 2 })).rejects.toEqual(error);
+      expect(mockAxiosInstances[SEARCH_API].patch).not.toHaveBeenCalled();
+      expect(writable.listenerCount('drain')).toEqual(0);
+      expect(writable.listenerCount('close')).toEqual(0);
+    });
+
+    test('should stop the export if the stream closes while its buffer is full', async () => {
+
+      const writable = newWritable(() => writable.destroy());
+
+      await expect(Export.exportEntitySetToStream(MOCK_ESID, writable, { pageSize: 2 })).rejects.toThrow('closed');
+      expect(mockAxiosInstances[SEARCH_API].patch).not.toHaveBeenCalled();
+      expect(writable.listenerCount('drain')).toEqual(0);
+      expect(writable.listenerCount('error')).toEqual(0);
+    });
+
+  });
+
+  describe('exportEntitySetToReadableStream()', () => {
+
+    const { ReadableStream } = global;
+
+    beforeAll(() => {
+      global.ReadableStream = NodeReadableStream;
+    });
+
+    afterAll(() => {
+      global.ReadableStream = ReadableStream;
+    });
+
+    test('should only request the next page when the stream is read from', async () => {
+
+      const reader = Export.exportEntitySetToReadableStream(MOCK_ESID, { pageSize: 1 }).getReader();
+      expect(await reader.read()).toEqual({ done: false, value: 'general.fullname,general.nickname\r\n' });
+      expect(await reader.read()).toEqual({ done: false, value: 'Jane Doe,JD|Janie\r\n' });
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledTimes(1);
+
+      await reader.cancel();
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledTimes(1);
+    });
+
+  });
+
+});
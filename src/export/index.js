@@ -0,0 +1,17 @@
+/*
+ * @flow
+ */
+
+import {
+  exportEntitySet,
+  exportEntitySetToReadableStream,
+  exportEntitySetToStream,
+} from './ExportUtils';
+
+export type { ExportOptions } from './ExportUtils';
+
+export {
+  exportEntitySet,
+  exportEntitySetToReadableStream,
+  exportEntitySetToStream,
+};
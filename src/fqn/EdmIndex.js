@@ -0,0 +1,71 @@
+/*
+ * @flow
+ */
+
+import FQN from '../models/FQN';
+import type { UUID } from '../types';
+
+/*
+ * maps every PropertyType FQN string, for example "general.fullname", to its id and back, so that entity data can be
+ * translated between FQN keys and PropertyType id keys
+ */
+export default class EdmIndex {
+
+  propertyTypeFQNs :Map<UUID, string>;
+  propertyTypeIds :Map<string, UUID>;
+
+  constructor(propertyTypes :$ReadOnlyArray<Object>) {
+
+    this.propertyTypeFQNs = new Map();
+    this.propertyTypeIds = new Map();
+    propertyTypes.forEach((propertyType :Object) => {
+      const fqn = FQN.toString(propertyType.type);
+      if (fqn && propertyType.id) {
+        this.propertyTypeFQNs.set(propertyType.id, fqn);
+        this.propertyTypeIds.set(fqn, propertyType.id);
+      }
+    });
+  }
+
+  getPropertyTypeFQN(propertyTypeId :UUID) :?string {
+
+    return this.propertyTypeFQNs.get(propertyTypeId);
+  }
+
+  getPropertyTypeId(fqn :string) :?UUID {
+
+    return this.propertyTypeIds.get(fqn);
+  }
+
+  // returns the given FQNs that are not in the index
+  getUnknownFQNs(fqns :$ReadOnlyArray<string>) :string[] {
+
+    return fqns.filter((fqn :string) => !this.propertyTypeIds.has(fqn));
+  }
+
+  /*
+   * translates the FQN keys of the given entity to PropertyType ids. every key must be in the index, see
+   * getUnknownFQNs().
+   */
+  toPropertyTypeIdKeys(entity :Object) :Object {
+
+    const translated = {};
+    Object.keys(entity).forEach((fqn :string) => {
+      translated[(this.propertyTypeIds.get(fqn) :any)] = entity[fqn];
+    });
+    return translated;
+  }
+
+  /*
+   * translates the PropertyType id keys of the given entity to FQNs. keys that are not PropertyType ids in the index,
+   * for example "openlattice.@id", are kept as they are.
+   */
+  toFQNKeys(entity :Object) :Object {
+
+    const translated = {};
+    Object.keys(entity).forEach((key :string) => {
+      translated[this.propertyTypeFQNs.get(key) || key] = entity[key];
+    });
+    return translated;
+  }
+}
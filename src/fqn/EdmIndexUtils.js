@@ -0,0 +1,149 @@
+/*
+ * @flow
+ */
+
+import { Map, is } from 'immutable';
+
+import * as EntityDataModelApi from '../api/EntityDataModelApi';
+import * as EntitySetsApi from '../api/EntitySetsApi';
+
+import EdmIndex from './EdmIndex';
+
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { bindToClientContext, getClientContext } from '../client/ClientContext';
+import { getConfig } from '../config/Configuration';
+import { isValidUUID } from '../utils/ValidationUtils';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('FQNData');
+
+type EdmIndexCache = {
+  configuration :Map<*, *>;
+  edmIndex :?Promise<EdmIndex>;
+  entitySetIds :{ [entitySetName :string] :UUID };
+};
+
+let defaultEdmIndexCache :?EdmIndexCache = null;
+
+/*
+ * just like the response cache, every client keeps its own index, and the index is dropped when the configuration
+ * changes, since a different stack has different PropertyTypes
+ */
+function getEdmIndexCache() :EdmIndexCache {
+
+  const configuration = getConfig();
+  const clientContext = getClientContext();
+  let edmIndexCache :?EdmIndexCache = clientContext ? clientContext.edmIndexCache : defaultEdmIndexCache;
+  if (!edmIndexCache || !is(edmIndexCache.configuration, configuration)) {
+    edmIndexCache = { configuration, edmIndex: null, entitySetIds: {} };
+    if (clientContext) {
+      clientContext.edmIndexCache = edmIndexCache;
+    }
+    else {
+      defaultEdmIndexCache = edmIndexCache;
+    }
+  }
+
+  return edmIndexCache;
+}
+
+/*
+ * resolves with the cached index, or loads it if there is none. the cached index is loaded again if "isComplete"
+ * returns false for it.
+ */
+function loadEdmIndex(isComplete :(edmIndex :EdmIndex) => boolean, options ?:RequestOptions) :Promise<EdmIndex> {
+
+  const edmIndexCache = getEdmIndexCache();
+  const getAllPropertyTypes = bindToClientContext(EntityDataModelApi.getAllPropertyTypes);
+  const load = () => {
+    const edmIndex = getAllPropertyTypes(options).then((propertyTypes :Object[]) => new EdmIndex(propertyTypes));
+    edmIndexCache.edmIndex = edmIndex;
+    // a failed load is not cached, the next call will try again
+    edmIndex.catch(() => {
+      if (edmIndexCache.edmIndex === edmIndex) {
+        edmIndexCache.edmIndex = null;
+      }
+    });
+    return edmIndex;
+  };
+
+  const cachedEdmIndex = edmIndexCache.edmIndex;
+  if (!cachedEdmIndex) {
+    return load();
+  }
+
+  return cachedEdmIndex.then((edmIndex :EdmIndex) => (isComplete(edmIndex) ? edmIndex : load()));
+}
+
+function resolveEntitySetId(entitySetIdOrName :string, options ?:RequestOptions) :Promise<UUID> {
+
+  if (isValidUUID(entitySetIdOrName)) {
+    return Promise.resolve(entitySetIdOrName);
+  }
+
+  const edmIndexCache = getEdmIndexCache();
+  const entitySetId = edmIndexCache.entitySetIds[entitySetIdOrName];
+  if (entitySetId) {
+    return Promise.resolve(entitySetId);
+  }
+
+  return EntitySetsApi.getEntitySetId(entitySetIdOrName, options).then((id :UUID) => {
+    edmIndexCache.entitySetIds[entitySetIdOrName] = id;
+    return id;
+  });
+}
+
+function getKeys(entities :$ReadOnlyArray<Object>) :string[] {
+
+  const keys = new Set();
+  entities.forEach((entity :Object) => Object.keys(entity).forEach((key :string) => keys.add(key)));
+  return Array.from(keys);
+}
+
+/*
+ * translates the FQN keys of the given entities to PropertyType ids, and rejects if any FQN is not a known
+ * PropertyType.
+ */
+function toPropertyTypeIdKeys(entities :Object[], parameter :string, options ?:RequestOptions) :Promise<Object[]> {
+
+  const fqns = getKeys(entities);
+  const isComplete = (edmIndex :EdmIndex) => edmIndex.getUnknownFQNs(fqns).length === 0;
+  return loadEdmIndex(isComplete, options).then((edmIndex :EdmIndex) => {
+    const unknownFQNs = edmIndex.getUnknownFQNs(fqns);
+    if (unknownFQNs.length > 0) {
+      const errorMsg = `invalid parameter: "${parameter}" has unknown PropertyType FQNs: ${unknownFQNs.join(', ')}`;
+      LOG.error(errorMsg, unknownFQNs);
+      return Promise.reject(new LatticeValidationError(errorMsg, parameter, entities));
+    }
+    return entities.map((entity :Object) => edmIndex.toPropertyTypeIdKeys(entity));
+  });
+}
+
+/*
+ * returns a function that translates the PropertyType id keys of the given entities to FQNs. must be called
+ * synchronously by the public function, since the returned function is called after the data has been read.
+ */
+function bindToFQNKeys(options ?:RequestOptions) :(entities :Object[]) => Promise<Object[]> {
+
+  const load = bindToClientContext(loadEdmIndex);
+  return (entities :Object[]) => {
+    const propertyTypeIds = getKeys(entities).filter((key :string) => isValidUUID(key));
+    const isComplete = (edmIndex :EdmIndex) => propertyTypeIds.every((id :UUID) => !!edmIndex.getPropertyTypeFQN(id));
+    return load(isComplete, options)
+      .then((edmIndex :EdmIndex) => entities.map((entity :Object) => edmIndex.toFQNKeys(entity)));
+  };
+}
+
+export {
+  bindToFQNKeys,
+  getEdmIndexCache,
+  getKeys,
+  loadEdmIndex,
+  resolveEntitySetId,
+  toPropertyTypeIdKeys,
+};
+
+export type {
+  EdmIndexCache,
+};
@@ -0,0 +1,271 @@
+/*
+ * @flow
+ */
+
+/**
+ * FQNData wraps the DataApi entity data functions, so that entity data can be read and written with PropertyType FQN
+ * strings such as "general.fullname" as keys, instead of PropertyType ids. Entity sets can be given by id or by name.
+ *
+ * The FQNs are translated using an index of every PropertyType, which is loaded via
+ * EntityDataModelApi.getAllPropertyTypes() the first time it's needed, and cached afterwards. The index is loaded
+ * again when a write uses an FQN, or a read returns a PropertyType id, that is not in it, so a PropertyType created
+ * in the meantime is picked up automatically. The entity set ids of entity set names are cached as well.
+ *
+ * @module FQNData
+ * @memberof lattice
+ *
+ * @example
+ * import { FQNData } from 'lattice';
+ * FQNData.createOrMergeEntityData("MyPeople", [{ "general.fullname": ["Jane Doe"] }]);
+ */
+
+import * as DataApi from '../api/DataApi';
+
+import GraphBuilder from './GraphBuilder';
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import {
+  bindToFQNKeys,
+  getEdmIndexCache,
+  resolveEntitySetId,
+  toPropertyTypeIdKeys,
+} from './EdmIndexUtils';
+import { bindToClientContext } from '../client/ClientContext';
+import { UpdateTypes } from '../constants/types';
+import { isNonEmptyArray, isNonEmptyObject, isNonEmptyString } from '../utils/LangUtils';
+import { isValidUUID } from '../utils/ValidationUtils';
+import type { UpdateType } from '../constants/types';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('FQNData');
+
+function validateEntitySetIdOrName(entitySetIdOrName :any) :?LatticeValidationError {
+
+  if (!isNonEmptyString(entitySetIdOrName)) {
+    const errorMsg = 'invalid parameter: "entitySetIdOrName" must be a valid UUID or a non-empty string';
+    LOG.error(errorMsg, entitySetIdOrName);
+    return new LatticeValidationError(errorMsg, 'entitySetIdOrName', entitySetIdOrName);
+  }
+
+  return null;
+}
+
+/**
+ * Gets the entity data for the given entity key id, keyed by PropertyType FQN.
+ *
+ * @memberof lattice.FQNData
+ * @param {UUID | string} entitySetIdOrName
+ * @param {UUID} entityKeyId
+ * @param {RequestOptions} options
+ * @returns {Promise<Object>} - a Promise that resolves with the entity data
+ *
+ * @example
+ * FQNData.getEntityData("MyPeople", "8b470000-0000-0000-8000-000000000007");
+ * // { "general.fullname": ["Jane Doe"], ... }
+ */
+function getEntityData(entitySetIdOrName :UUID | string, entityKeyId :UUID, options ?:RequestOptions) :Promise<Object> {
+
+  const invalidEntitySet = validateEntitySetIdOrName(entitySetIdOrName);
+  if (invalidEntitySet) {
+    return Promise.reject(invalidEntitySet);
+  }
+
+  if (!isValidUUID(entityKeyId)) {
+    const errorMsg = 'invalid parameter: "entityKeyId" must be a valid UUID';
+    LOG.error(errorMsg, entityKeyId);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityKeyId', entityKeyId));
+  }
+
+  const getData = bindToClientContext(DataApi.getEntityData);
+  const toFQNKeys = bindToFQNKeys(options);
+  return resolveEntitySetId(entitySetIdOrName, options)
+    .then((entitySetId :UUID) => getData(entitySetId, entityKeyId, options))
+    .then((entity :Object) => toFQNKeys([entity]))
+    .then(([entity]) => entity);
+}
+
+/**
+ * Gets the entity data of the given entity set, keyed by PropertyType FQN, optionally only for the given PropertyTypes
+ * and entity key ids.
+ *
+ * @memberof lattice.FQNData
+ * @param {UUID | string} entitySetIdOrName
+ * @param {string[]} propertyTypeFQNs (optional)
+ * @param {UUID[]} entityKeyIds (optional)
+ * @param {RequestOptions} options
+ * @returns {Promise<Object[]>} - a Promise that resolves with the entity data
+ *
+ * @example
+ * FQNData.getEntitySetData("MyPeople", ["general.fullname"], ["8b470000-0000-0000-8000-000000000007"]);
+ */
+function getEntitySetData(
+  entitySetIdOrName :UUID | string,
+  propertyTypeFQNs ?:string[],
+  entityKeyIds ?:UUID[],
+  options ?:RequestOptions,
+) :Promise<Object[]> {
+
+  const invalidEntitySet = validateEntitySetIdOrName(entitySetIdOrName);
+  if (invalidEntitySet) {
+    return Promise.reject(invalidEntitySet);
+  }
+
+  const isValidFQNArray = Array.isArray(propertyTypeFQNs) && propertyTypeFQNs.every(isNonEmptyString);
+  if (propertyTypeFQNs !== undefined && !isValidFQNArray) {
+    const errorMsg = 'invalid parameter: "propertyTypeFQNs" must be an array of FQN strings';
+    LOG.error(errorMsg, propertyTypeFQNs);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'propertyTypeFQNs', propertyTypeFQNs));
+  }
+
+  // the FQNs are translated as an entity, so that the unknown ones are rejected the same way
+  const selection = {};
+  (propertyTypeFQNs || []).forEach((fqn :string) => {
+    selection[fqn] = true;
+  });
+
+  const getData = bindToClientContext(DataApi.getEntitySetData);
+  const toFQNKeys = bindToFQNKeys(options);
+  return Promise.all([
+    resolveEntitySetId(entitySetIdOrName, options),
+    toPropertyTypeIdKeys([selection], 'propertyTypeFQNs', options),
+  ])
+    .then(([entitySetId, [propertyTypeIds]]) => getData(
+      entitySetId,
+      propertyTypeFQNs ? Object.keys(propertyTypeIds) : undefined,
+      entityKeyIds,
+      options,
+    ))
+    .then((entities :Object[]) => toFQNKeys(entities));
+}
+
+/**
+ * Creates or updates entities for the given entity data, which is keyed by PropertyType FQN, and returns the
+ * corresponding entity key ids.
+ *
+ * @memberof lattice.FQNData
+ * @param {UUID | string} entitySetIdOrName
+ * @param {Object[]} entities
+ * @param {Object} options - the same options as DataApi.createOrMergeEntityData()
+ * @returns {Promise<UUID[]>} - a Promise that resolves with a list of entity key ids
+ *
+ * @example
+ * FQNData.createOrMergeEntityData("MyPeople", [{ "general.fullname": ["Jane Doe"] }]);
+ */
+function createOrMergeEntityData(
+  entitySetIdOrName :UUID | string,
+  entities :Object[],
+  options ?:Object,
+) :Promise<UUID[]> {
+
+  const invalidEntitySet = validateEntitySetIdOrName(entitySetIdOrName);
+  if (invalidEntitySet) {
+    return Promise.reject(invalidEntitySet);
+  }
+
+  if (!isNonEmptyArray(entities) || !entities.every(isNonEmptyObject)) {
+    const errorMsg = 'invalid parameter: "entities" must be a non-empty array of non-empty objects';
+    LOG.error(errorMsg, entities);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entities', entities));
+  }
+
+  const createOrMerge = bindToClientContext(DataApi.createOrMergeEntityData);
+  return Promise.all([
+    resolveEntitySetId(entitySetIdOrName, options),
+    toPropertyTypeIdKeys(entities, 'entities', options),
+  ])
+    .then(([entitySetId, translatedEntities]) => createOrMerge(entitySetId, translatedEntities, options));
+}
+
+/**
+ * Updates the given entities, where the entity data of each entity key id is keyed by PropertyType FQN.
+ *
+ * @memberof lattice.FQNData
+ * @param {UUID | string} entitySetIdOrName
+ * @param {Object} entityData
+ * @param {UpdateType} updateType
+ * @param {Object} options - the same options as DataApi.updateEntityData()
+ * @returns {Promise<number>} - a Promise that resolves with the count of entities that were updated
+ *
+ * @example
+ * FQNData.updateEntityData(
+ *   "MyPeople",
+ *   { "8b470000-0000-0000-8000-000000000007": { "general.fullname": ["Jane Doe"] } },
+ *   "PartialReplace"
+ * );
+ */
+function updateEntityData(
+  entitySetIdOrName :UUID | string,
+  entityData :Object,
+  updateType ?:UpdateType = UpdateTypes.PARTIAL_REPLACE,
+  options ?:Object,
+) :Promise<number> {
+
+  const invalidEntitySet = validateEntitySetIdOrName(entitySetIdOrName);
+  if (invalidEntitySet) {
+    return Promise.reject(invalidEntitySet);
+  }
+
+  const entityKeyIds = isNonEmptyObject(entityData) ? Object.keys(entityData) : [];
+  if (!isNonEmptyArray(entityKeyIds) || !entityKeyIds.every((id :string) => isValidUUID(id))
+    || !entityKeyIds.every((id :string) => isNonEmptyObject(entityData[id]))) {
+    const errorMsg = 'invalid parameter: "entityData" must be an object mapping entity key ids to non-empty objects';
+    LOG.error(errorMsg, entityData);
+    return Promise.reject(new LatticeValidationError(errorMsg, 'entityData', entityData));
+  }
+
+  const update = bindToClientContext(DataApi.updateEntityData);
+  return Promise.all([
+    resolveEntitySetId(entitySetIdOrName, options),
+    toPropertyTypeIdKeys(entityKeyIds.map((id :UUID) => entityData[id]), 'entityData', options),
+  ])
+    .then(([entitySetId, translatedEntities]) => {
+      const translatedEntityData = {};
+      entityKeyIds.forEach((id :UUID, index :number) => {
+        translatedEntityData[id] = translatedEntities[index];
+      });
+      return update(entitySetId, translatedEntityData, updateType, options);
+    });
+}
+
+/**
+ * Returns a new GraphBuilder, which builds a DataGraph for DataApi.createEntityAndAssociationData() from entity set
+ * names and entity data keyed by PropertyType FQN.
+ *
+ * @memberof lattice.FQNData
+ * @returns {GraphBuilder}
+ *
+ * @example
+ * const graphBuilder = FQNData.newGraphBuilder();
+ * const person = graphBuilder.addEntity("MyPeople", { "general.fullname": ["Jane Doe"] });
+ * const address = graphBuilder.addEntity("MyAddresses", { "location.street": ["1 Main St"] });
+ * graphBuilder.addAssociation("MyLivesAt", person, address);
+ * graphBuilder.build().then((dataGraph) => DataApi.createEntityAndAssociationData(dataGraph));
+ */
+function newGraphBuilder() :GraphBuilder {
+
+  return new GraphBuilder();
+}
+
+/**
+ * Drops the cached PropertyType index and entity set ids, for example after a PropertyType FQN has been changed.
+ *
+ * @memberof lattice.FQNData
+ *
+ * @example
+ * FQNData.clearIndex();
+ */
+function clearIndex() :void {
+
+  const edmIndexCache = getEdmIndexCache();
+  edmIndexCache.edmIndex = null;
+  edmIndexCache.entitySetIds = {};
+}
+
+export {
+  clearIndex,
+  createOrMergeEntityData,
+  getEntityData,
+  getEntitySetData,
+  newGraphBuilder,
+  updateEntityData,
+};
@@ -0,0 +1,187 @@
+import * as AxiosUtils from '../utils/axios';
+import * as FQNData from './FQNDataUtils';
+
+import { LatticeValidationError } from '../errors';
+import { DATA_API, EDM_API, ENTITY_SETS_API } from '../constants/ApiNames';
+import { SET_ID, SET_PATH, TYPE_PATH } from '../constants/UrlConstants';
+import { UpdateTypes } from '../constants/types';
+import { genRandomUUID, getMockAxiosInstance } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const MOCK_ESID = genRandomUUID();
+const MOCK_EKID = genRandomUUID();
+const MOCK_ENTITY_SET_NAME = 'MyPeople';
+
+const FULL_NAME_PT = { id: genRandomUUID(), type: { name: 'fullname', namespace: 'general' } };
+const DOB_PT = { id: genRandomUUID(), type: { name: 'dob', namespace: 'nc' } };
+const NICKNAME_PT = { id: genRandomUUID(), type: { name: 'nickname', namespace: 'general' } };
+
+let mockAxiosInstances;
+let mockPropertyTypes;
+
+function mockResponses() {
+
+  mockPropertyTypes = [FULL_NAME_PT, DOB_PT];
+  mockAxiosInstances = {
+    [DATA_API]: getMockAxiosInstance(),
+    [EDM_API]: getMockAxiosInstance(),
+    [ENTITY_SETS_API]: getMockAxiosInstance(),
+  };
+  mockAxiosInstances[EDM_API].get.mockImplementation(() => Promise.resolve({ data: mockPropertyTypes }));
+  mockAxiosInstances[ENTITY_SETS_API].get.mockImplementation(() => Promise.resolve({ data: MOCK_ESID }));
+  mockAxiosInstances[DATA_API].post.mockImplementation(() => Promise.resolve({ data: [MOCK_EKID] }));
+  AxiosUtils.getApiAxiosInstance.mockImplementation((apiName) => mockAxiosInstances[apiName]);
+}
+
+describe('FQNData', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+    FQNData.clearIndex();
+  });
+
+  describe('createOrMergeEntityData()', () => {
+
+    test('should translate the FQNs to PropertyType ids, and the entity set name to its id', async () => {
+
+      const entities = [{ 'general.fullname': ['Jane Doe'], 'nc.dob': ['1990-01-01'] }];
+      expect(await FQNData.createOrMergeEntityData(MOCK_ENTITY_SET_NAME, entities)).toEqual([MOCK_EKID]);
+      expect(mockAxiosInstances[ENTITY_SETS_API].get).toHaveBeenCalledWith(`/ids/${MOCK_ENTITY_SET_NAME}`, {});
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledWith(
+        `/${SET_PATH}/?${SET_ID}=${MOCK_ESID}`,
+        [{ [FULL_NAME_PT.id]: ['Jane Doe'], [DOB_PT.id]: ['1990-01-01'] }],
+        {},
+      );
+    });
+
+    test('should cache the index and the entity set id', async () => {
+
+      const entities = [{ 'general.fullname': ['Jane Doe'] }];
+      await FQNData.createOrMergeEntityData(MOCK_ENTITY_SET_NAME, entities);
+      await FQNData.createOrMergeEntityData(MOCK_ENTITY_SET_NAME, entities);
+      expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[ENTITY_SETS_API].get).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledTimes(2);
+
+      FQNData.clearIndex();
+      await FQNData.createOrMergeEntityData(MOCK_ENTITY_SET_NAME, entities);
+      expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[ENTITY_SETS_API].get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should load the index again when an FQN is not in it', async () => {
+
+      await FQNData.createOrMergeEntityData(MOCK_ESID, [{ 'general.fullname': ['Jane Doe'] }]);
+      mockPropertyTypes = [FULL_NAME_PT, DOB_PT, NICKNAME_PT];
+
+      await FQNData.createOrMergeEntityData(MOCK_ESID, [{ 'general.nickname': ['JD'] }]);
+      expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[DATA_API].post.mock.calls[1][1]).toEqual([{ [NICKNAME_PT.id]: ['JD'] }]);
+    });
+
+    test('should reject with a LatticeValidationError if an FQN is not a PropertyType', async () => {
+
+      const error = await FQNData.createOrMergeEntityData(MOCK_ESID, [{ 'general.unknown': ['value'] }])
+        .catch((e) => e);
+      expect(error).toBeInstanceOf(LatticeValidationError);
+      expect(error.message).toContain('general.unknown');
+      // the index was just loaded, so it's not loaded again
+      expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_API].post).not.toHaveBeenCalled();
+    });
+
+    test('should not cache an index that failed to load', async () => {
+
+      mockAxiosInstances[EDM_API].get.mockImplementationOnce(() => Promise.reject(new Error('500')));
+      const entities = [{ 'general.fullname': ['Jane Doe'] }];
+      await expect(FQNData.createOrMergeEntityData(MOCK_ESID, entities)).rejects.toThrow('500');
+      expect(await FQNData.createOrMergeEntityData(MOCK_ESID, entities)).toEqual([MOCK_EKID]);
+    });
+
+  });
+
+  describe('updateEntityData()', () => {
+
+    test('should translate the FQNs of every entity', async () => {
+
+      mockAxiosInstances[DATA_API].put.mockImplementation(() => Promise.resolve({ data: 1 }));
+      const count = await FQNData.updateEntityData(
+        MOCK_ESID,
+        { [MOCK_EKID]: { 'general.fullname': ['Jane Doe'] } },
+        UpdateTypes.REPLACE,
+      );
+      expect(count).toEqual(1);
+      expect(mockAxiosInstances[ENTITY_SETS_API].get).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledWith(
+        `/${SET_PATH}/${MOCK_ESID}?${TYPE_PATH}=${UpdateTypes.REPLACE}`,
+        { [MOCK_EKID]: { [FULL_NAME_PT.id]: ['Jane Doe'] } },
+        {},
+      );
+    });
+
+  });
+
+  describe('getEntityData()', () => {
+
+    test('should translate the PropertyType ids to FQNs', async () => {
+
+      mockAxiosInstances[DATA_API].get.mockImplementation(() => Promise.resolve({
+        data: { 'openlattice.@id': [MOCK_EKID], [FULL_NAME_PT.id]: ['Jane Doe'] },
+      }));
+      expect(await FQNData.getEntityData(MOCK_ENTITY_SET_NAME, MOCK_EKID)).toEqual({
+        'general.fullname': ['Jane Doe'],
+        'openlattice.@id': [MOCK_EKID],
+      });
+      expect(mockAxiosInstances[DATA_API].get).toHaveBeenCalledWith(`/${MOCK_ESID}/${MOCK_EKID}`, {});
+    });
+
+  });
+
+  describe('getEntitySetData()', () => {
+
+    test('should translate the selected FQNs to PropertyType ids, and the PropertyType ids to FQNs', async () => {
+
+      mockAxiosInstances[DATA_API].post.mockImplementation(() => Promise.resolve({
+        data: [{ [FULL_NAME_PT.id]: ['Jane Doe'] }, { [FULL_NAME_PT.id]: ['John Doe'] }],
+      }));
+      const entities = await FQNData.getEntitySetData(MOCK_ESID, ['general.fullname'], [MOCK_EKID]);
+      expect(entities).toEqual([{ 'general.fullname': ['Jane Doe'] }, { 'general.fullname': ['John Doe'] }]);
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledWith(
+        `/${SET_PATH}/${MOCK_ESID}`,
+        { ids: [MOCK_EKID], properties: [FULL_NAME_PT.id] },
+        {},
+      );
+    });
+
+    test('should select every property when no FQNs are given', async () => {
+
+      mockAxiosInstances[DATA_API].post.mockImplementation(() => Promise.resolve({ data: [] }));
+      expect(await FQNData.getEntitySetData(MOCK_ESID)).toEqual([]);
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledWith(`/${SET_PATH}/${MOCK_ESID}`, {}, {});
+    });
+
+  });
+
+  test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+    const invalid = [
+      () => FQNData.createOrMergeEntityData('', [{ 'general.fullname': ['Jane Doe'] }]),
+      () => FQNData.createOrMergeEntityData(MOCK_ESID, []),
+      () => FQNData.createOrMergeEntityData(MOCK_ESID, [{}]),
+      () => FQNData.updateEntityData(MOCK_ESID, { invalid: { 'general.fullname': ['Jane Doe'] } }),
+      () => FQNData.updateEntityData(MOCK_ESID, { [MOCK_EKID]: {} }),
+      () => FQNData.getEntityData(MOCK_ESID, 'invalid'),
+      () => FQNData.getEntityData(undefined, MOCK_EKID),
+      () => FQNData.getEntitySetData(MOCK_ESID, 'general.fullname'),
+    ];
+
+    await Promise.all(invalid.map(async (fn) => {
+      await expect(fn()).rejects.toBeInstanceOf(LatticeValidationError);
+    }));
+    expect(mockAxiosInstances[EDM_API].get).not.toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,246 @@
+/*
+ * @flow
+ */
+
+import isArray from 'lodash/isArray';
+import isPlainObject from 'lodash/isPlainObject';
+
+import FQN from '../models/FQN';
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { resolveEntitySetId, toPropertyTypeIdKeys } from './EdmIndexUtils';
+import { bindToClientContext } from '../client/ClientContext';
+import { DataGraph, DataGraphBuilder } from '../models/DataGraph';
+import { isValidEntityDataKey } from '../models/EntityDataKey';
+import { isNonEmptyObject, isNonEmptyString } from '../utils/LangUtils';
+import type { EntityDataKeyObject } from '../models/EntityDataKey';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('GraphBuilder');
+
+/*
+ * stands for an entity added to a GraphBuilder. the position is the order in which the entity was added, the index of
+ * the entity in the DataGraph is only known once the entity set names have been resolved.
+ */
+type EntityHandle = {|
+  +entitySetIdOrName :string;
+  +position :number;
+|};
+
+type GraphEntity = {|
+  data :Object;
+  entitySetIdOrName :string;
+|};
+
+type GraphAssociation = {|
+  data :Object;
+  dst :EntityHandle | EntityDataKeyObject;
+  entitySetIdOrName :string;
+  src :EntityHandle | EntityDataKeyObject;
+|};
+
+function isFQNKeyedData(value :any, allowEmpty :boolean) :boolean {
+
+  if (!isPlainObject(value) || (!allowEmpty && !isNonEmptyObject(value))) {
+    return false;
+  }
+
+  return Object.keys(value).every((key :string) => FQN.isValid(key) && isArray(value[key]));
+}
+
+/*
+ * resolves every entity set name to its id, and translates every FQN to its PropertyType id.
+ */
+function resolveGraph(
+  entities :GraphEntity[],
+  associations :GraphAssociation[],
+  options ?:RequestOptions,
+) :Promise<[UUID[], Object[], UUID[], Object[]]> {
+
+  return Promise.all([
+    Promise.all(entities.map(({ entitySetIdOrName }) => resolveEntitySetId(entitySetIdOrName, options))),
+    toPropertyTypeIdKeys(entities.map(({ data }) => data), 'entities', options),
+    Promise.all(associations.map(({ entitySetIdOrName }) => resolveEntitySetId(entitySetIdOrName, options))),
+    toPropertyTypeIdKeys(associations.map(({ data }) => data), 'associations', options),
+  ]);
+}
+
+/**
+ * Builds a DataGraph for DataApi.createEntityAndAssociationData() from entity data keyed by PropertyType FQN, with
+ * entity sets given by name or id. Every entity that is added gets a handle, which stands for the entity when adding
+ * an association, so there is no need to keep track of the index of each entity in the DataGraph. An association can
+ * also connect to an existing entity, given as an EntityDataKey.
+ *
+ * Every parameter is validated as soon as it's added. build() resolves the entity set names and the FQNs, using the
+ * same cached index as the other FQNData functions, and rejects if any of them is unknown.
+ *
+ * @memberof lattice.FQNData
+ *
+ * @example
+ * const graphBuilder = FQNData.newGraphBuilder();
+ * const person = graphBuilder.addEntity("MyPeople", { "general.fullname": ["Jane Doe"] });
+ * const address = graphBuilder.addEntity("MyAddresses", { "location.street": ["1 Main St"] });
+ * graphBuilder.addAssociation("MyLivesAt", person, address, { "ol.datetime": ["2020-01-01T00:00:00Z"] });
+ * graphBuilder.addAssociation("MyAppearsIn", person, { entitySetId: "...", entityKeyId: "..." });
+ * graphBuilder.build().then((dataGraph) => DataApi.createEntityAndAssociationData(dataGraph));
+ */
+export default class GraphBuilder {
+
+  associations :GraphAssociation[];
+  entities :GraphEntity[];
+  handles :Set<EntityHandle>;
+  resolveGraph :typeof resolveGraph;
+
+  constructor() {
+
+    this.associations = [];
+    this.entities = [];
+    this.handles = new Set();
+    // build() resolves the names with the client that created the builder
+    this.resolveGraph = bindToClientContext(resolveGraph);
+  }
+
+  /**
+   * Adds an entity, and returns its handle.
+   *
+   * @param {UUID | string} entitySetIdOrName
+   * @param {Object} data - the entity data, keyed by PropertyType FQN
+   * @returns {Object} - the handle of the entity
+   */
+  addEntity(entitySetIdOrName :UUID | string, data :Object) :EntityHandle {
+
+    if (!isNonEmptyString(entitySetIdOrName)) {
+      const errorMsg = 'invalid parameter: "entitySetIdOrName" must be a valid UUID or a non-empty string';
+      LOG.error(errorMsg, entitySetIdOrName);
+      throw new LatticeValidationError(errorMsg, 'entitySetIdOrName', entitySetIdOrName);
+    }
+
+    if (!isFQNKeyedData(data, false)) {
+      const errorMsg = 'invalid parameter: "data" must be a non-empty object mapping FQNs to arrays of values';
+      LOG.error(errorMsg, data);
+      throw new LatticeValidationError(errorMsg, 'data', data);
+    }
+
+    const handle :EntityHandle = Object.freeze({ entitySetIdOrName, position: this.entities.length });
+    this.entities.push({ data, entitySetIdOrName });
+    this.handles.add(handle);
+    return handle;
+  }
+
+  /**
+   * Adds an association between the given source and destination, each of which is either the handle of an entity
+   * added to this builder, or the EntityDataKey of an existing entity.
+   *
+   * @param {UUID | string} entitySetIdOrName - the association entity set
+   * @param {Object} src - the source entity handle or EntityDataKey
+   * @param {Object} dst - the destination entity handle or EntityDataKey
+   * @param {Object} data - the association data, keyed by PropertyType FQN (optional)
+   * @returns {GraphBuilder}
+   */
+  addAssociation(
+    entitySetIdOrName :UUID | string,
+    src :EntityHandle | EntityDataKeyObject,
+    dst :EntityHandle | EntityDataKeyObject,
+    data :Object = {},
+  ) :GraphBuilder {
+
+    if (!isNonEmptyString(entitySetIdOrName)) {
+      const errorMsg = 'invalid parameter: "entitySetIdOrName" must be a valid UUID or a non-empty string';
+      LOG.error(errorMsg, entitySetIdOrName);
+      throw new LatticeValidationError(errorMsg, 'entitySetIdOrName', entitySetIdOrName);
+    }
+
+    if (!this.isValidEndpoint(src)) {
+      const errorMsg = 'invalid parameter: "src" must be an entity handle from this builder, or an EntityDataKey';
+      LOG.error(errorMsg, src);
+      throw new LatticeValidationError(errorMsg, 'src', src);
+    }
+
+    if (!this.isValidEndpoint(dst)) {
+      const errorMsg = 'invalid parameter: "dst" must be an entity handle from this builder, or an EntityDataKey';
+      LOG.error(errorMsg, dst);
+      throw new LatticeValidationError(errorMsg, 'dst', dst);
+    }
+
+    if (!isFQNKeyedData(data, true)) {
+      const errorMsg = 'invalid parameter: "data" must be an object mapping FQNs to arrays of values';
+      LOG.error(errorMsg, data);
+      throw new LatticeValidationError(errorMsg, 'data', data);
+    }
+
+    this.associations.push({
+      data,
+      dst,
+      entitySetIdOrName,
+      src,
+    });
+    return this;
+  }
+
+  /**
+   * Resolves the entity set names and FQNs, and builds the DataGraph.
+   *
+   * @param {RequestOptions} options - the options for the requests that resolve the names (optional)
+   * @returns {Promise<DataGraph>} - a Promise that resolves with the DataGraph
+   */
+  build(options ?:RequestOptions) :Promise<DataGraph> {
+
+    if (this.entities.length === 0) {
+      const errorMsg = 'a DataGraph must have at least one entity, use addEntity()';
+      LOG.error(errorMsg, this.entities);
+      return Promise.reject(new LatticeValidationError(errorMsg, 'entities', this.entities));
+    }
+
+    return this.resolveGraph(this.entities, this.associations, options)
+      .then(([entitySetIds, entityData, associationEntitySetIds, associationData]) => {
+
+        // an entity's index is its position among the entities of the same entity set, by id, not by name
+        const entities = {};
+        const indices = this.entities.map((entity :GraphEntity, position :number) => {
+          const entitySetId = entitySetIds[position];
+          entities[entitySetId] = entities[entitySetId] || [];
+          entities[entitySetId].push(entityData[position]);
+          return entities[entitySetId].length - 1;
+        });
+
+        const toEndpoint = (endpoint :EntityHandle | EntityDataKeyObject, prefix :'src' | 'dst') => {
+          if (this.handles.has((endpoint :any))) {
+            const { position } = (endpoint :any);
+            return {
+              [`${prefix}EntityIndex`]: indices[position],
+              [`${prefix}EntitySetId`]: entitySetIds[position],
+            };
+          }
+          return {
+            [`${prefix}EntityKeyId`]: (endpoint :any).entityKeyId,
+            [`${prefix}EntitySetId`]: (endpoint :any).entitySetId,
+          };
+        };
+
+        const associations = {};
+        this.associations.forEach((association :GraphAssociation, index :number) => {
+          const entitySetId = associationEntitySetIds[index];
+          associations[entitySetId] = associations[entitySetId] || [];
+          associations[entitySetId].push({
+            data: associationData[index],
+            ...toEndpoint(association.src, 'src'),
+            ...toEndpoint(association.dst, 'dst'),
+          });
+        });
+
+        return (new DataGraphBuilder())
+          .setEntities(entities)
+          .setAssociations(associations)
+          .build();
+      });
+  }
+
+  isValidEndpoint(endpoint :any) :boolean {
+
+    return this.handles.has(endpoint) || isValidEntityDataKey(endpoint);
+  }
+}
+
+export type {
+  EntityHandle,
+};
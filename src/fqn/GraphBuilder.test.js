@@ -0,0 +1,131 @@
+import * as AxiosUtils from '../utils/axios';
+
+import GraphBuilder from './GraphBuilder';
+import { clearIndex } from './FQNDataUtils';
+import { LatticeValidationError } from '../errors';
+import { EDM_API, ENTITY_SETS_API } from '../constants/ApiNames';
+import { DataGraph } from '../models/DataGraph';
+import { genRandomUUID, getMockAxiosInstance } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const PEOPLE_ESID = genRandomUUID();
+const ADDRESSES_ESID = genRandomUUID();
+const LIVES_AT_ESID = genRandomUUID();
+const EXISTING_EKID = genRandomUUID();
+
+const ENTITY_SET_IDS = {
+  MyAddresses: ADDRESSES_ESID,
+  MyLivesAt: LIVES_AT_ESID,
+  MyPeople: PEOPLE_ESID,
+};
+
+const FULL_NAME_PT = { id: genRandomUUID(), type: { name: 'fullname', namespace: 'general' } };
+const STREET_PT = { id: genRandomUUID(), type: { name: 'street', namespace: 'location' } };
+const DATETIME_PT = { id: genRandomUUID(), type: { name: 'datetime', namespace: 'ol' } };
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = {
+    [EDM_API]: getMockAxiosInstance(),
+    [ENTITY_SETS_API]: getMockAxiosInstance(),
+  };
+  mockAxiosInstances[EDM_API].get.mockImplementation(() => Promise.resolve({
+    data: [FULL_NAME_PT, STREET_PT, DATETIME_PT],
+  }));
+  mockAxiosInstances[ENTITY_SETS_API].get.mockImplementation((url) => Promise.resolve({
+    data: ENTITY_SET_IDS[url.replace('/ids/', '')],
+  }));
+  AxiosUtils.getApiAxiosInstance.mockImplementation((apiName) => mockAxiosInstances[apiName]);
+}
+
+describe('GraphBuilder', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+    clearIndex();
+  });
+
+  test('should build a DataGraph with entity set ids, PropertyType ids, and entity indexes', async () => {
+
+    const graphBuilder = new GraphBuilder();
+    const jane = graphBuilder.addEntity('MyPeople', { 'general.fullname': ['Jane Doe'] });
+    const home = graphBuilder.addEntity('MyAddresses', { 'location.street': ['1 Main St'] });
+    const john = graphBuilder.addEntity(PEOPLE_ESID, { 'general.fullname': ['John Doe'] });
+    graphBuilder
+      .addAssociation('MyLivesAt', jane, home, { 'ol.datetime': ['2020-01-01T00:00:00Z'] })
+      .addAssociation('MyLivesAt', john, { entityKeyId: EXISTING_EKID, entitySetId: ADDRESSES_ESID });
+
+    const dataGraph = await graphBuilder.build();
+    expect(dataGraph).toBeInstanceOf(DataGraph);
+    expect(dataGraph.entities).toEqual({
+      [PEOPLE_ESID]: [{ [FULL_NAME_PT.id]: ['Jane Doe'] }, { [FULL_NAME_PT.id]: ['John Doe'] }],
+      [ADDRESSES_ESID]: [{ [STREET_PT.id]: ['1 Main St'] }],
+    });
+    expect(dataGraph.associations).toEqual({
+      [LIVES_AT_ESID]: [
+        {
+          data: { [DATETIME_PT.id]: ['2020-01-01T00:00:00Z'] },
+          dstEntityIndex: 0,
+          dstEntitySetId: ADDRESSES_ESID,
+          srcEntityIndex: 0,
+          srcEntitySetId: PEOPLE_ESID,
+        },
+        {
+          data: {},
+          dstEntityKeyId: EXISTING_EKID,
+          dstEntitySetId: ADDRESSES_ESID,
+          srcEntityIndex: 1,
+          srcEntitySetId: PEOPLE_ESID,
+        },
+      ],
+    });
+    expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject with a LatticeValidationError if an FQN is not a PropertyType', async () => {
+
+    const graphBuilder = new GraphBuilder();
+    graphBuilder.addEntity('MyPeople', { 'general.unknown': ['value'] });
+    const error = await graphBuilder.build().catch((e) => e);
+    expect(error).toBeInstanceOf(LatticeValidationError);
+    expect(error.message).toContain('general.unknown');
+  });
+
+  test('should reject if there are no entities', async () => {
+
+    const error = await new GraphBuilder().build().catch((e) => e);
+    expect(error).toBeInstanceOf(LatticeValidationError);
+    expect(error.message).toContain('at least one entity');
+    expect(error.parameter).toEqual('entities');
+    expect(mockAxiosInstances[EDM_API].get).not.toHaveBeenCalled();
+  });
+
+  test('should throw a LatticeValidationError when given invalid parameters', () => {
+
+    const graphBuilder = new GraphBuilder();
+    const jane = graphBuilder.addEntity('MyPeople', { 'general.fullname': ['Jane Doe'] });
+    const otherHandle = new GraphBuilder().addEntity('MyPeople', { 'general.fullname': ['John Doe'] });
+
+    const invalidCalls = [
+      () => graphBuilder.addEntity('', { 'general.fullname': ['Jane Doe'] }),
+      () => graphBuilder.addEntity('MyPeople', {}),
+      () => graphBuilder.addEntity('MyPeople', { fullname: ['Jane Doe'] }),
+      () => graphBuilder.addEntity('MyPeople', { 'general.fullname': 'Jane Doe' }),
+      () => graphBuilder.addAssociation('', jane, jane),
+      () => graphBuilder.addAssociation('MyLivesAt', jane, otherHandle),
+      () => graphBuilder.addAssociation('MyLivesAt', { ...jane }, jane),
+      () => graphBuilder.addAssociation('MyLivesAt', jane, { entityKeyId: 'invalid' }),
+      () => graphBuilder.addAssociation('MyLivesAt', jane, jane, { 'ol.datetime': 'now' }),
+    ];
+    invalidCalls.forEach((invalidCall) => {
+      expect(invalidCall).toThrow(LatticeValidationError);
+    });
+    expect(graphBuilder.associations).toEqual([]);
+  });
+
+});
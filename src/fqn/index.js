@@ -0,0 +1,21 @@
+/*
+ * @flow
+ */
+
+import {
+  clearIndex,
+  createOrMergeEntityData,
+  getEntityData,
+  getEntitySetData,
+  newGraphBuilder,
+  updateEntityData,
+} from './FQNDataUtils';
+
+export {
+  clearIndex,
+  createOrMergeEntityData,
+  getEntityData,
+  getEntitySetData,
+  newGraphBuilder,
+  updateEntityData,
+};
@@ -11,7 +11,9 @@
  */
 
 import * as AppApi from './api/AppApi';
+import * as Auth from './auth';
 import * as AuthorizationsApi from './api/AuthorizationsApi';
+import * as Cache from './cache';
 import * as CodexApi from './api/CodexApi';
 import * as CollaborationsApi from './api/CollaborationsApi';
 import * as Constants from './constants/GlobalConstants';
@@ -21,18 +23,31 @@ import * as DataSetMetadataApi from './api/DataSetMetadataApi';
 import * as DataSetsApi from './api/DataSetsApi';
 import * as EntityDataModelApi from './api/EntityDataModelApi';
 import * as EntitySetsApi from './api/EntitySetsApi';
+import * as Errors from './errors';
+import * as Export from './export';
+import * as FQNData from './fqn';
+import * as Integration from './integration';
 import * as Models from './models';
 import * as OrganizationsApi from './api/OrganizationsApi';
+import * as Permissions from './permissions';
 import * as PermissionsApi from './api/PermissionsApi';
 import * as PersistentSearchApi from './api/PersistentSearchApi';
 import * as PrincipalsApi from './api/PrincipalsApi';
+import * as Queue from './queue';
 import * as SearchApi from './api/SearchApi';
 import * as Types from './constants/types';
+import { createClient } from './client';
 import { configure } from './config/Configuration';
 
+export type { AuthProvider } from './auth';
+export type { LatticeClient } from './client';
+export type * from './queue';
 export type * from './config';
 export type * from './constants/types';
+export type * from './export';
+export type * from './integration';
 export type * from './models';
+export type * from './permissions';
 export type * from './types';
 
 // injected by Webpack.DefinePlugin
@@ -56,10 +71,19 @@ export {
   PrincipalsApi,
   SearchApi,
 
+  Auth,
+  Cache,
   Constants,
+  Errors,
+  Export,
+  FQNData,
+  Integration,
   Models,
+  Permissions,
+  Queue,
   Types,
   configure,
+  createClient,
   version,
 };
 
@@ -80,9 +104,18 @@ export default {
   PrincipalsApi,
   SearchApi,
 
+  Auth,
+  Cache,
   Constants,
+  Errors,
+  Export,
+  FQNData,
+  Integration,
   Models,
+  Permissions,
+  Queue,
   Types,
   configure,
+  createClient,
   version,
 };
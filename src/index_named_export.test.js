@@ -11,7 +11,7 @@ const EXPECTED_OBJ_EXPORTS = OrderedMap({
   AppApi             : { size: 6 },
   AuthorizationsApi  : { size: 1 },
   CodexApi           : { size: 1 },
-  DataApi            : { size: 12 },
+  DataApi            : { size: 15 },
   DataIntegrationApi : { size: 1 },
   DataSetMetadataApi : { size: 7 },
   DataSetsApi        : { size: 4 },
@@ -21,10 +21,18 @@ const EXPECTED_OBJ_EXPORTS = OrderedMap({
   PermissionsApi     : { size: 5 },
   PersistentSearchApi: { size: 4 },
   PrincipalsApi      : { size: 10 },
-  SearchApi          : { size: 3 },
+  SearchApi          : { size: 5 },
+  Auth               : { size: 2 },
+  Cache              : { size: 2 },
   Constants          : { size: 8 },
-  Models             : { size: 18 },
-  Types              : { size: 12 },
+  Errors             : { size: 7 },
+  Export             : { size: 3 },
+  FQNData            : { size: 6 },
+  Integration        : { size: 3 },
+  Models             : { size: 22 },
+  Permissions        : { size: 8 },
+  Queue              : { size: 4 },
+  Types              : { size: 16 },
 });
 /* eslint-enable key-spacing */
 
@@ -45,4 +53,8 @@ describe('lattice-js named export', () => {
     expect(Lattice.configure).toBeInstanceOf(Function);
   });
 
+  test('should export createClient()', () => {
+    expect(Lattice.createClient).toBeInstanceOf(Function);
+  });
+
 });
@@ -0,0 +1,471 @@
+/*
+ * @flow
+ */
+
+/**
+ * Integration imports rows of CSV or JSON data into entity sets, driven by a declarative mapping in the style of a
+ * flight: each entity definition maps the columns of a row to the properties of an entity, and each association
+ * definition connects two of the entities of the same row. The rows are written in batches. The entities with an
+ * entity id are resolved to their entity key ids via DataIntegrationApi.getEntityKeyIds(), and merged into the entity
+ * set via DataApi.updateEntityData(), so that rerunning an integration updates the same entities. The entities without
+ * an entity id are created as one DataGraph per batch via DataApi.createEntityAndAssociationData(). An association can
+ * also connect to an existing entity, a "reference", which is found by its entity id the same way.
+ * Integration.syncEntitySet() reconciles an entity set with a system of record instead, by adding, changing, and
+ * removing entities until the entity set matches the given entities.
+ *
+ * @module Integration
+ * @memberof lattice
+ *
+ * @example
+ * import { Integration } from 'lattice';
+ * const mapping = {
+ *   entityDefinitions: {
+ *     person: {
+ *       entityId: ["id"],
+ *       entitySetName: "MyPeople",
+ *       propertyDefinitions: {
+ *         "general.fullname": { column: "name", transforms: ["trim"] },
+ *       },
+ *     },
+ *     address: {
+ *       entitySetName: "MyAddresses",
+ *       propertyDefinitions: { "location.street": "street" },
+ *     },
+ *   },
+ *   associationDefinitions: {
+ *     livesAt: { dst: "address", entitySetName: "MyLivesAt", src: "person" },
+ *   },
+ * };
+ * await Integration.runIntegration(mapping, "id,name,street\r\n1,Jane Doe,1 Main St\r\n");
+ */
+
+import isBoolean from 'lodash/isBoolean';
+import isPlainObject from 'lodash/isPlainObject';
+
+import * as DataApi from '../api/DataApi';
+import * as DataIntegrationApi from '../api/DataIntegrationApi';
+
+import EdmIndex from '../fqn/EdmIndex';
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { getMappedFQNs, getMappingError, mapRow } from './MappingUtils';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { UpdateTypes } from '../constants/types';
+import { loadEdmIndex, resolveEntitySetId } from '../fqn/EdmIndexUtils';
+import { DataGraphBuilder } from '../models/DataGraph';
+import { runInChunks } from '../utils/BulkUtils';
+import { parseCSV } from '../utils/CSVUtils';
+import { isPositiveInteger } from '../utils/LangUtils';
+import type { IntegrationMapping, MappedRow } from './MappingUtils';
+import type { DataGraph } from '../models/DataGraph';
+import type { BulkProgress, ChunkResult } from '../utils/BulkUtils';
+import type { EntityKey, RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('Integration');
+
+const DEFAULT_BATCH_SIZE = 100;
+
+type IntegrationOptions = {
+  ...RequestOptions;
+  batchSize ?:number;
+  concurrency ?:number;
+  dryRun ?:boolean;
+  onProgress ?:(progress :BulkProgress) => void;
+};
+
+// "start" and "end" are the (inclusive, exclusive) indices of the rows in the failed batch
+type IntegrationFailure = {|
+  end :number;
+  error :any;
+  start :number;
+|};
+
+/*
+ * the writes of a batch: "entityData" maps entity set ids to entity key ids to the data merged into those entities,
+ * "dataGraph" holds the entities without an entity id, along with the associations to them, and "associations" maps
+ * entity set ids to the associations between entities that both have an entity key id
+ */
+type IntegrationWrites = {|
+  associations :{ [entitySetId :UUID] :Object[] };
+  dataGraph :?DataGraph;
+  entityData :{ [entitySetId :UUID] :{ [entityKeyId :UUID] :Object } };
+|};
+
+type IntegrationResult = {|
+  associationCount :number;
+  entityCount :number;
+  failures :IntegrationFailure[];
+  writes ?:IntegrationWrites[];
+|};
+
+type BatchResult = {|
+  associationCount :number;
+  entityCount :number;
+  writes :IntegrationWrites;
+|};
+
+// an entity of a row, either at an index in the DataGraph of the batch, or an entity found by its entity id
+type Endpoint = {|
+  entityId ?:string;
+  entityIndex ?:number;
+  entitySetId :UUID;
+|};
+
+const INTEGRATION_API = {
+  createAssociations: DataApi.createAssociations,
+  createEntityAndAssociationData: DataApi.createEntityAndAssociationData,
+  getEntityKeyIds: DataIntegrationApi.getEntityKeyIds,
+  loadEdmIndex,
+  resolveEntitySetId,
+  updateEntityData: DataApi.updateEntityData,
+};
+
+type IntegrationApi = typeof INTEGRATION_API;
+
+function validateIntegrationOptions(integrationOptions :Object) :void {
+
+  const {
+    batchSize,
+    concurrency,
+    dryRun,
+    onProgress,
+  } = integrationOptions;
+
+  if (batchSize !== undefined && !isPositiveInteger(batchSize)) {
+    const errorMsg = 'invalid parameter: "batchSize" must be a positive integer';
+    LOG.error(errorMsg, batchSize);
+    throw new LatticeValidationError(errorMsg, 'batchSize', batchSize);
+  }
+
+  if (concurrency !== undefined && !isPositiveInteger(concurrency)) {
+    const errorMsg = 'invalid parameter: "concurrency" must be a positive integer';
+    LOG.error(errorMsg, concurrency);
+    throw new LatticeValidationError(errorMsg, 'concurrency', concurrency);
+  }
+
+  if (dryRun !== undefined && !isBoolean(dryRun)) {
+    const errorMsg = 'invalid parameter: "dryRun" must be a boolean';
+    LOG.error(errorMsg, dryRun);
+    throw new LatticeValidationError(errorMsg, 'dryRun', dryRun);
+  }
+
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    const errorMsg = 'invalid parameter: "onProgress" must be a function';
+    LOG.error(errorMsg, onProgress);
+    throw new LatticeValidationError(errorMsg, 'onProgress', onProgress);
+  }
+}
+
+function getRows(rows :any) :Object[] {
+
+  let theRows = rows;
+  if (typeof rows === 'string') {
+    try {
+      theRows = parseCSV(rows);
+    }
+    catch (e) {
+      const errorMsg = `invalid parameter: "rows" is not valid CSV, ${e.message}`;
+      LOG.error(errorMsg);
+      throw new LatticeValidationError(errorMsg, 'rows', rows);
+    }
+  }
+
+  if (!Array.isArray(theRows) || !theRows.every(isPlainObject)) {
+    const errorMsg = 'invalid parameter: "rows" must be CSV text with a header line, or an array of objects';
+    LOG.error(errorMsg, rows);
+    throw new LatticeValidationError(errorMsg, 'rows', rows);
+  }
+
+  return theRows;
+}
+
+// adds the values of "source" to "target", leaving out the values that are already in "target"
+function mergeData(target :Object, source :Object) :void {
+
+  Object.keys(source).forEach((propertyTypeId :UUID) => {
+    const values = target[propertyTypeId] || [];
+    source[propertyTypeId].forEach((value) => {
+      if (!values.includes(value)) {
+        values.push(value);
+      }
+    });
+    target[propertyTypeId] = values; // eslint-disable-line no-param-reassign
+  });
+}
+
+/*
+ * plans the writes of a batch of mapped rows. the entities with the same entity id in the same entity set become a
+ * single entity, which is found by its entity key id, so that it is the same entity in every batch, and in every run.
+ * the entities without an entity id can only be created, so they go in the DataGraph of the batch.
+ */
+async function planWrites(
+  api :IntegrationApi,
+  mappedRows :MappedRow[],
+  mapping :IntegrationMapping,
+  entitySetIds :{ [name :string] :UUID },
+  edmIndex :EdmIndex,
+  requestOptions :RequestOptions,
+) :Promise<IntegrationWrites> {
+
+  const { associationDefinitions = {}, entityDefinitions } = mapping;
+
+  // the entity keys to resolve, along with the data of the entities that are written, by the index of their key
+  const entityKeys :EntityKey[] = [];
+  const entityKeyIndexes :{ [key :string] :number } = {};
+  const keyedData :Object[] = [];
+  const getEntityKeyIndex = ({ entityId, entitySetId } :Endpoint) :number => {
+    const key = `${entitySetId}/${entityId || ''}`;
+    if (entityKeyIndexes[key] === undefined) {
+      entityKeyIndexes[key] = entityKeys.push({ entityId: (entityId :any), entitySetId }) - 1;
+    }
+    return entityKeyIndexes[key];
+  };
+
+  const entities :{ [entitySetId :UUID] :Object[] } = {};
+  const endpoints :Array<{ [name :string] :Endpoint }> = mappedRows.map((mappedRow :MappedRow) => {
+    const rowEndpoints = {};
+    Object.keys(mappedRow.entities).forEach((name :string) => {
+      const { data, entityId } = mappedRow.entities[name];
+      const entitySetId = entitySetIds[name];
+      if (entityDefinitions[name].reference) {
+        rowEndpoints[name] = { entityId, entitySetId };
+        return;
+      }
+      const entityData = edmIndex.toPropertyTypeIdKeys(data);
+      if (entityId) {
+        const entityKeyIndex = getEntityKeyIndex({ entityId, entitySetId });
+        keyedData[entityKeyIndex] = keyedData[entityKeyIndex] || {};
+        mergeData(keyedData[entityKeyIndex], entityData);
+        rowEndpoints[name] = { entityId, entitySetId };
+        return;
+      }
+      entities[entitySetId] = entities[entitySetId] || [];
+      rowEndpoints[name] = { entityIndex: entities[entitySetId].push(entityData) - 1, entitySetId };
+    });
+    return rowEndpoints;
+  });
+
+  const associations :Array<{| data :Object; dst :Endpoint; entitySetId :UUID; src :Endpoint |}> = [];
+  mappedRows.forEach((mappedRow :MappedRow, index :number) => {
+    Object.keys(mappedRow.associations).forEach((name :string) => {
+      const { dst, src } = associationDefinitions[name];
+      associations.push({
+        data: edmIndex.toPropertyTypeIdKeys(mappedRow.associations[name]),
+        dst: endpoints[index][dst],
+        entitySetId: entitySetIds[name],
+        src: endpoints[index][src],
+      });
+    });
+  });
+
+  // only the references that are the source or destination of an association have to be resolved
+  associations.forEach(({ dst, src }) => [src, dst]
+    .filter((endpoint :Endpoint) => endpoint.entityIndex === undefined)
+    .forEach(getEntityKeyIndex));
+  const entityKeyIds :UUID[] = entityKeys.length > 0 ? await api.getEntityKeyIds(entityKeys, requestOptions) : [];
+  const getEntityKeyId = (endpoint :Endpoint) :UUID => entityKeyIds[getEntityKeyIndex(endpoint)];
+
+  const entityData = {};
+  keyedData.forEach((data :Object, index :number) => {
+    const { entitySetId } = entityKeys[index];
+    entityData[entitySetId] = entityData[entitySetId] || {};
+    entityData[entitySetId][entityKeyIds[index]] = data;
+  });
+
+  const dataAssociations :{ [entitySetId :UUID] :Object[] } = {};
+  const dataEdges :{ [entitySetId :UUID] :Object[] } = {};
+  associations.forEach(({
+    data,
+    dst,
+    entitySetId,
+    src,
+  }) => {
+    if (dst.entityIndex === undefined && src.entityIndex === undefined) {
+      dataEdges[entitySetId] = dataEdges[entitySetId] || [];
+      dataEdges[entitySetId].push({
+        data,
+        dst: { entityKeyId: getEntityKeyId(dst), entitySetId: dst.entitySetId },
+        src: { entityKeyId: getEntityKeyId(src), entitySetId: src.entitySetId },
+      });
+      return;
+    }
+    const association :Object = { data, dstEntitySetId: dst.entitySetId, srcEntitySetId: src.entitySetId };
+    if (dst.entityIndex !== undefined) {
+      association.dstEntityIndex = dst.entityIndex;
+    }
+    else {
+      association.dstEntityKeyId = getEntityKeyId(dst);
+    }
+    if (src.entityIndex !== undefined) {
+      association.srcEntityIndex = src.entityIndex;
+    }
+    else {
+      association.srcEntityKeyId = getEntityKeyId(src);
+    }
+    dataAssociations[entitySetId] = dataAssociations[entitySetId] || [];
+    dataAssociations[entitySetId].push(association);
+  });
+
+  // an association to an entity without an entity id is always in the same DataGraph as that entity
+  const dataGraph = Object.keys(entities).length > 0
+    ? (new DataGraphBuilder()).setEntities(entities).setAssociations(dataAssociations).build()
+    : null;
+
+  return { associations: dataEdges, dataGraph, entityData };
+}
+
+function countValues(multimap :?Object) :number {
+
+  return Object.values(multimap || {}).reduce((count :number, values :any) => count + values.length, 0);
+}
+
+async function integrate(
+  api :IntegrationApi,
+  mapping :IntegrationMapping,
+  rows :Object[] | string,
+  integrationOptions :IntegrationOptions,
+) :Promise<IntegrationResult> {
+
+  const mappingError = getMappingError(mapping);
+  if (mappingError) {
+    const errorMsg = `invalid parameter: ${mappingError}`;
+    LOG.error(errorMsg, mapping);
+    throw new LatticeValidationError(errorMsg, 'mapping', mapping);
+  }
+
+  validateIntegrationOptions(integrationOptions);
+  const theRows = getRows(rows);
+
+  const {
+    batchSize = DEFAULT_BATCH_SIZE,
+    concurrency = 1,
+    dryRun = false,
+    onProgress,
+    ...requestOptions
+  } = integrationOptions;
+
+  // every entity set and PropertyType is resolved before anything is written, so a typo fails the whole integration
+  const definitions :Object = { ...mapping.entityDefinitions, ...(mapping.associationDefinitions :Object) };
+  const entitySetNames = Array.from(new Set(Object.keys(definitions).map((name) => definitions[name].entitySetName)));
+  const resolvedIds = await Promise.all(
+    entitySetNames.map((entitySetName :string) => api.resolveEntitySetId(entitySetName, requestOptions))
+  );
+  const entitySetIds = {};
+  Object.keys(definitions).forEach((name :string) => {
+    entitySetIds[name] = resolvedIds[entitySetNames.indexOf(definitions[name].entitySetName)];
+  });
+
+  const fqns = getMappedFQNs(mapping);
+  const edmIndex = await api.loadEdmIndex((index :EdmIndex) => index.getUnknownFQNs(fqns).length === 0, requestOptions);
+  const unknownFQNs = edmIndex.getUnknownFQNs(fqns);
+  if (unknownFQNs.length > 0) {
+    const errorMsg = `invalid parameter: "mapping" has unknown PropertyType FQNs: ${unknownFQNs.join(', ')}`;
+    LOG.error(errorMsg, unknownFQNs);
+    throw new LatticeValidationError(errorMsg, 'mapping', mapping);
+  }
+
+  const runBatch = async (batch :Array<{| index :number; row :Object |}>) :Promise<BatchResult> => {
+    const mappedRows = batch.map(({ index, row }) => mapRow(mapping, row, index));
+    const writes = await planWrites(api, mappedRows, mapping, entitySetIds, edmIndex, requestOptions);
+    const { associations, dataGraph, entityData } = writes;
+    if (!dryRun) {
+      // the entities are written before the associations that point at them
+      await Promise.all(Object.keys(entityData).map((entitySetId :UUID) => (
+        api.updateEntityData(entitySetId, entityData[entitySetId], UpdateTypes.MERGE, requestOptions)
+      )));
+      if (dataGraph) {
+        await api.createEntityAndAssociationData(dataGraph, requestOptions);
+      }
+      if (Object.keys(associations).length > 0) {
+        await api.createAssociations(associations, requestOptions);
+      }
+    }
+    const keyedEntityCount = Object.values(entityData)
+      .reduce((count :number, entitiesById :any) => count + Object.keys(entitiesById).length, 0);
+    return {
+      associationCount: countValues(associations) + (dataGraph ? countValues(dataGraph.associations) : 0),
+      entityCount: keyedEntityCount + (dataGraph ? countValues(dataGraph.entities) : 0),
+      writes,
+    };
+  };
+
+  const chunkResults :ChunkResult<BatchResult>[] = await runInChunks(
+    theRows.map((row :Object, index :number) => ({ index, row })),
+    runBatch,
+    { chunkSize: batchSize, concurrency, onProgress },
+  );
+
+  const batchResults :BatchResult[] = (chunkResults.map(({ result }) => result).filter(Boolean) :any);
+  const integrationResult :IntegrationResult = {
+    associationCount: batchResults.reduce((count, result) => count + result.associationCount, 0),
+    entityCount: batchResults.reduce((count, result) => count + result.entityCount, 0),
+    failures: chunkResults
+      .filter((chunkResult) => chunkResult.error !== undefined)
+      .map(({ end, error, start }) => ({ end, error, start })),
+  };
+
+  if (dryRun) {
+    integrationResult.writes = batchResults.map(({ writes }) => writes);
+  }
+
+  return integrationResult;
+}
+
+/**
+ * Imports the given rows into entity sets as described by the given mapping, one batch of rows at a time. The entities
+ * with an entity id are merged into the entities with the same entity id, which are created if they do not exist yet,
+ * and the entities without an entity id are created. The mapping is checked, and every entity set and PropertyType in
+ * it is resolved, before anything is written. A failed batch does not stop the remaining batches. In a dry run, nothing
+ * is written, and the writes of each batch are returned instead. Entity key ids are still resolved in a dry run.
+ *
+ * An entity definition has:
+ * - "entitySetName", the name or the id of the entity set
+ * - "propertyDefinitions", mapping FQNs to a column name, or to an object with either a "column" or a "value" (a
+ *   constant, or a function of the row and its index), and a list of "transforms". a transform is a function of the
+ *   value and the row, or one of "boolean", "integer", "lowerCase", "number", "trim", "upperCase",
+ *   { transform: "map", values }, { transform: "replace", pattern, replacement, flags }, { transform: "split",
+ *   separator }. empty values are left out.
+ * - "entityId" (optional), a list of columns whose values are joined with "|", an object with "columns" and a
+ *   "separator", or a function of the row and its index. rows with the same entity id are merged into one entity.
+ * - "reference" (optional), true if the entity already exists and is only found by its "entityId", not written
+ * - "condition" (optional), a function of the row that returns false to leave the entity out
+ *
+ * An association definition has "entitySetName", "src" and "dst", the names of two entity definitions, and optional
+ * "propertyDefinitions" and "condition". An association is left out if either of its entities is left out.
+ *
+ * @memberof lattice.Integration
+ * @param {Object} mapping
+ * @param {Object[] | string} rows - an array of objects mapping column names to values, or CSV text with a header line
+ * @param {Object} integrationOptions - any of the request options, in addition to the options below (optional)
+ * @param {number} integrationOptions.batchSize - the number of rows per batch (default 100)
+ * @param {number} integrationOptions.concurrency - the maximum number of batches to write in parallel (default 1)
+ * @param {boolean} integrationOptions.dryRun - plans the writes without making them (default false)
+ * @param {Function} integrationOptions.onProgress - called with the number of completed, failed, and total rows after
+ *   each batch (optional)
+ * @returns {Promise<Object>} - a Promise that resolves with the count of entities and associations that were written,
+ *   the failed batches, and in a dry run, the writes of each batch, as { associations, dataGraph, entityData }
+ *
+ * @example
+ * const { entityCount, failures } = await Integration.runIntegration(mapping, rows, { batchSize: 500 });
+ * const { writes } = await Integration.runIntegration(mapping, rows, { dryRun: true });
+ */
+function runIntegration(
+  mapping :IntegrationMapping,
+  rows :Object[] | string,
+  integrationOptions ?:IntegrationOptions,
+) :Promise<IntegrationResult> {
+
+  const api :IntegrationApi = bindAllToClientContext(INTEGRATION_API);
+  return integrate(api, mapping, rows, integrationOptions || {});
+}
+
+export {
+  runIntegration,
+};
+
+export type {
+  IntegrationFailure,
+  IntegrationOptions,
+  IntegrationResult,
+  IntegrationWrites,
+};
@@ -0,0 +1,256 @@
+import * as Integration from './IntegrationUtils';
+
+import { clearIndex } from '../fqn/FQNDataUtils';
+import { LatticeValidationError } from '../errors';
+import {
+  DATA_API,
+  DATA_INTEGRATION_API,
+  EDM_API,
+  ENTITY_SETS_API,
+} from '../constants/ApiNames';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const ENTITY_SET_IDS = {
+  MyAddresses: genRandomUUID(),
+  MyLivesAt: genRandomUUID(),
+  MyPeople: genRandomUUID(),
+  MyStaff: genRandomUUID(),
+};
+
+const FULL_NAME_PT = { id: genRandomUUID(), type: { name: 'fullname', namespace: 'general' } };
+const ROLE_PT = { id: genRandomUUID(), type: { name: 'role', namespace: 'general' } };
+const STREET_PT = { id: genRandomUUID(), type: { name: 'street', namespace: 'location' } };
+
+// stands in for the entity key ids that the server keeps for the entity ids of each entity set
+const ENTITY_KEY_IDS = {};
+
+function getEntityKeyId(entitySetId, entityId) {
+
+  const key = `${entitySetId}/${entityId}`;
+  ENTITY_KEY_IDS[key] = ENTITY_KEY_IDS[key] || genRandomUUID();
+  return ENTITY_KEY_IDS[key];
+}
+
+const MAPPING = {
+  associationDefinitions: {
+    livesAt: {
+      dst: 'address',
+      entitySetName: 'MyLivesAt',
+      propertyDefinitions: { 'general.role': { value: 'resident' } },
+      src: 'person',
+    },
+  },
+  entityDefinitions: {
+    address: {
+      entitySetName: 'MyAddresses',
+      propertyDefinitions: { 'location.street': { column: 'street', transforms: ['trim', 'upperCase'] } },
+    },
+    person: {
+      entityId: ['id'],
+      entitySetName: 'MyPeople',
+      propertyDefinitions: {
+        'general.fullname': { column: 'names', transforms: [{ separator: ';', transform: 'split' }, 'trim'] },
+      },
+    },
+  },
+};
+
+const CSV = [
+  'id,names,street,staff',
+  '1,Jane Doe; Janie,1 main st,',
+  '1,Jane Doe,2 main st,s1',
+  '2,John Doe,,s1',
+  ',Nobody,3 main st,s2',
+].join('\r\n');
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([DATA_API, DATA_INTEGRATION_API, EDM_API, ENTITY_SETS_API]);
+  mockAxiosInstances[DATA_API].post.mockImplementation(() => Promise.resolve({ data: {} }));
+  mockAxiosInstances[DATA_API].put.mockImplementation(() => Promise.resolve({ data: 1 }));
+  mockAxiosInstances[DATA_INTEGRATION_API].post.mockImplementation((url, entityKeys) => Promise.resolve({
+    data: entityKeys.map(({ entityId, entitySetId }) => getEntityKeyId(entitySetId, entityId)),
+  }));
+  mockAxiosInstances[EDM_API].get.mockImplementation(() => Promise.resolve({
+    data: [FULL_NAME_PT, ROLE_PT, STREET_PT],
+  }));
+  mockAxiosInstances[ENTITY_SETS_API].get.mockImplementation((url) => Promise.resolve({
+    data: ENTITY_SET_IDS[url.split('/').pop()],
+  }));
+}
+
+describe('Integration', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+    clearIndex();
+  });
+
+  describe('runIntegration()', () => {
+
+    test('should merge the entities with an entity id, and write the others in one DataGraph per batch', async () => {
+
+      const result = await Integration.runIntegration(MAPPING, CSV, { batchSize: 3 });
+      expect(result).toEqual({ associationCount: 2, entityCount: 5, failures: [] });
+
+      const janeEntityKeyId = getEntityKeyId(ENTITY_SET_IDS.MyPeople, '1');
+      const johnEntityKeyId = getEntityKeyId(ENTITY_SET_IDS.MyPeople, '2');
+      expect(mockAxiosInstances[DATA_INTEGRATION_API].post).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_INTEGRATION_API].post.mock.calls[0][1]).toEqual([
+        { entityId: '1', entitySetId: ENTITY_SET_IDS.MyPeople },
+        { entityId: '2', entitySetId: ENTITY_SET_IDS.MyPeople },
+      ]);
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledWith(
+        `/set/${ENTITY_SET_IDS.MyPeople}?type=Merge`,
+        {
+          [janeEntityKeyId]: { [FULL_NAME_PT.id]: ['Jane Doe', 'Janie'] },
+          [johnEntityKeyId]: { [FULL_NAME_PT.id]: ['John Doe'] },
+        },
+        {},
+      );
+      expect(mockAxiosInstances[DATA_API].post).toHaveBeenCalledTimes(2);
+
+      const [[url, dataGraph], [, nextDataGraph]] = mockAxiosInstances[DATA_API].post.mock.calls;
+      expect(url).toEqual('/');
+      expect(dataGraph.entities).toEqual({
+        [ENTITY_SET_IDS.MyAddresses]: [{ [STREET_PT.id]: ['1 MAIN ST'] }, { [STREET_PT.id]: ['2 MAIN ST'] }],
+      });
+      expect(dataGraph.associations).toEqual({
+        [ENTITY_SET_IDS.MyLivesAt]: [0, 1].map((dstEntityIndex) => ({
+          data: { [ROLE_PT.id]: ['resident'] },
+          dstEntityIndex,
+          dstEntitySetId: ENTITY_SET_IDS.MyAddresses,
+          srcEntityKeyId: janeEntityKeyId,
+          srcEntitySetId: ENTITY_SET_IDS.MyPeople,
+        })),
+      });
+      // the person without an id is left out, along with its association
+      expect(nextDataGraph.entities).toEqual({ [ENTITY_SET_IDS.MyAddresses]: [{ [STREET_PT.id]: ['3 MAIN ST'] }] });
+      expect(nextDataGraph.associations).toEqual({});
+    });
+
+    test('should write the same entity in every batch that has its entity id', async () => {
+
+      const rows = [{ id: '1', names: 'Jane Doe', street: '' }, { id: '1', names: 'Janie', street: '' }];
+      const result = await Integration.runIntegration(MAPPING, rows, { batchSize: 1 });
+      expect(result).toEqual({ associationCount: 0, entityCount: 2, failures: [] });
+      expect(mockAxiosInstances[DATA_API].post).not.toHaveBeenCalled();
+
+      const entityKeyId = getEntityKeyId(ENTITY_SET_IDS.MyPeople, '1');
+      expect(mockAxiosInstances[DATA_API].put.mock.calls).toEqual([
+        [`/set/${ENTITY_SET_IDS.MyPeople}?type=Merge`, { [entityKeyId]: { [FULL_NAME_PT.id]: ['Jane Doe'] } }, {}],
+        [`/set/${ENTITY_SET_IDS.MyPeople}?type=Merge`, { [entityKeyId]: { [FULL_NAME_PT.id]: ['Janie'] } }, {}],
+      ]);
+    });
+
+    test('should resolve the entity key ids of references through DataIntegrationApi.getEntityKeyIds()', async () => {
+
+      const mapping = {
+        associationDefinitions: {
+          ...MAPPING.associationDefinitions,
+          managedBy: {
+            condition: (row) => row.names !== 'Nobody',
+            dst: 'staff',
+            entitySetName: ENTITY_SET_IDS.MyLivesAt,
+            src: 'person',
+          },
+        },
+        entityDefinitions: {
+          ...MAPPING.entityDefinitions,
+          staff: { entityId: (row) => row.staff, entitySetName: 'MyStaff', reference: true },
+        },
+      };
+
+      const { associationCount } = await Integration.runIntegration(mapping, CSV);
+      expect(associationCount).toEqual(4);
+      expect(mockAxiosInstances[DATA_INTEGRATION_API].post).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_INTEGRATION_API].post.mock.calls[0][1]).toEqual([
+        { entityId: '1', entitySetId: ENTITY_SET_IDS.MyPeople },
+        { entityId: '2', entitySetId: ENTITY_SET_IDS.MyPeople },
+        { entityId: 's1', entitySetId: ENTITY_SET_IDS.MyStaff },
+      ]);
+
+      // the associations between entities that both have an entity key id are written after the DataGraph
+      const [[, dataGraph], [url, dataEdges]] = mockAxiosInstances[DATA_API].post.mock.calls;
+      expect(dataGraph.associations[ENTITY_SET_IDS.MyLivesAt]).toHaveLength(2);
+      expect(url).toEqual('/association');
+      expect(dataEdges).toEqual({
+        [ENTITY_SET_IDS.MyLivesAt]: ['1', '2'].map((entityId) => ({
+          data: {},
+          dst: { entityKeyId: getEntityKeyId(ENTITY_SET_IDS.MyStaff, 's1'), entitySetId: ENTITY_SET_IDS.MyStaff },
+          src: { entityKeyId: getEntityKeyId(ENTITY_SET_IDS.MyPeople, entityId), entitySetId: ENTITY_SET_IDS.MyPeople },
+        })),
+      });
+    });
+
+    test('should plan the writes without making them in a dry run', async () => {
+
+      const rows = [{ id: '1', names: 'Jane', street: '' }];
+      const result = await Integration.runIntegration(MAPPING, rows, { dryRun: true });
+      expect(mockAxiosInstances[DATA_API].post).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[DATA_API].put).not.toHaveBeenCalled();
+      expect(result.entityCount).toEqual(1);
+      expect(result.writes).toEqual([{
+        associations: {},
+        dataGraph: null,
+        entityData: {
+          [ENTITY_SET_IDS.MyPeople]: {
+            [getEntityKeyId(ENTITY_SET_IDS.MyPeople, '1')]: { [FULL_NAME_PT.id]: ['Jane'] },
+          },
+        },
+      }]);
+    });
+
+    test('should report the failed batches without stopping the remaining batches', async () => {
+
+      const error = new Error('failure');
+      mockAxiosInstances[DATA_API].put.mockImplementationOnce(() => Promise.reject(error));
+      const onProgress = jest.fn();
+
+      const result = await Integration.runIntegration(MAPPING, CSV, { batchSize: 3, onProgress });
+      expect(result).toEqual({
+        associationCount: 0,
+        entityCount: 1,
+        failures: [{ end: 3, error, start: 0 }],
+      });
+      expect(onProgress).toHaveBeenLastCalledWith({ completed: 1, failed: 3, total: 4 });
+    });
+
+    test('should reject with a LatticeValidationError, without writing, when given invalid parameters', async () => {
+
+      const { person } = MAPPING.entityDefinitions;
+      const { livesAt } = MAPPING.associationDefinitions;
+      const withPerson = (definition) => ({ entityDefinitions: { person: { ...person, ...definition } } });
+      const invalid = [
+        [{}],
+        [withPerson({ entitySetName: '' })],
+        [withPerson({ entityId: 'id' })],
+        [withPerson({ propertyDefinitions: { 'general.fullname': {} } })],
+        [withPerson({ propertyDefinitions: { 'general.fullname': { column: 'names', transforms: ['reverse'] } } })],
+        [withPerson({ propertyDefinitions: { 'general.unknown': 'names' } })],
+        [{ entityDefinitions: { person: { entitySetName: 'MyPeople', reference: true } } }],
+        [{ ...MAPPING, associationDefinitions: { livesAt: { ...livesAt, dst: 'unknown' } } }],
+        [{ ...MAPPING, associationDefinitions: { person: livesAt } }],
+        [MAPPING, 'id,names\r\n"1'],
+        [MAPPING, [1, 2]],
+        [MAPPING, CSV, { batchSize: 0 }],
+        [MAPPING, CSV, { dryRun: 'true' }],
+      ];
+
+      await Promise.all(invalid.map(async ([mapping, rows = CSV, options]) => {
+        await expect(Integration.runIntegration(mapping, rows, options)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[DATA_API].post).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[DATA_API].put).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
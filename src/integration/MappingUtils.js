@@ -0,0 +1,410 @@
+/*
+ * @flow
+ */
+
+import has from 'lodash/has';
+import isFunction from 'lodash/isFunction';
+import isPlainObject from 'lodash/isPlainObject';
+
+import { isNonEmptyString, isNonEmptyStringArray } from '../utils/LangUtils';
+
+const DEFAULT_ENTITY_ID_SEPARATOR = '|';
+
+/*
+ * a transform is the name of a built-in transform, an object naming a built-in transform along with its arguments, such
+ * as { transform: "split", separator: ";" }, or a function of the value and the row. a transform returns either a value
+ * or an array of values, and each of the following transforms is applied to each of those values.
+ */
+type Transform = string | { transform :string } | (value :any, row :Object) => any;
+
+// the name of a column, or the column to read (or the value to use) along with the transforms to apply
+type PropertyDefinition = string | {
+  column ?:string;
+  transforms ?:Transform[];
+  value ?:any;
+};
+
+// the columns whose values are joined to form the entity id, or a function of the row and its index
+type EntityIdGenerator = string[] | { columns :string[]; separator ?:string } | (row :Object, index :number) => ?string;
+
+/*
+ * "entitySetName" is the name or the id of the entity set. a "reference" is an entity that already exists, which is
+ * not written, but can be the source or destination of an association. it is found by its entity id, so it must have an
+ * "entityId" generator. rows that map to the same entity id are written as one entity.
+ */
+type EntityDefinition = {
+  condition ?:(row :Object) => boolean;
+  entityId ?:EntityIdGenerator;
+  entitySetName :string;
+  propertyDefinitions ?:{ [fqn :string] :PropertyDefinition };
+  reference ?:boolean;
+};
+
+// "src" and "dst" are the names of entity definitions
+type AssociationDefinition = {
+  condition ?:(row :Object) => boolean;
+  dst :string;
+  entitySetName :string;
+  propertyDefinitions ?:{ [fqn :string] :PropertyDefinition };
+  src :string;
+};
+
+type IntegrationMapping = {
+  associationDefinitions ?:{ [name :string] :AssociationDefinition };
+  entityDefinitions :{ [name :string] :EntityDefinition };
+};
+
+type MappedEntity = {|
+  data :{ [fqn :string] :any[] };
+  entityId :?string;
+|};
+
+// the entities and associations of a single row, by the name of their definition
+type MappedRow = {|
+  associations :{ [name :string] :{ [fqn :string] :any[] } };
+  entities :{ [name :string] :MappedEntity };
+|};
+
+function parseBoolean(value :any) :?boolean {
+
+  const text = String(value).trim().toLowerCase();
+  if (['1', 'true', 'y', 'yes'].includes(text)) {
+    return true;
+  }
+  if (['0', 'false', 'n', 'no'].includes(text)) {
+    return false;
+  }
+  return undefined;
+}
+
+function parseNumber(value :any) :?number {
+
+  if (typeof value === 'number') {
+    return value;
+  }
+  const text = String(value).trim();
+  return text === '' ? undefined : Number(text);
+}
+
+const TRANSFORMS :{ [name :string] :(value :any, args :Object) => any } = {
+  boolean: (value) => parseBoolean(value),
+  integer: (value) => {
+    const number = parseNumber(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  lowerCase: (value) => String(value).toLowerCase(),
+  // replaces the values that are keys of "values", and leaves any other value as it is
+  map: (value, { values }) => (has(values, value) ? values[value] : value),
+  number: (value) => parseNumber(value),
+  replace: (value, { flags = 'g', pattern, replacement = '' }) => (
+    String(value).replace(new RegExp(pattern, flags), replacement)
+  ),
+  split: (value, { separator }) => String(value).split(separator),
+  trim: (value) => String(value).trim(),
+  upperCase: (value) => String(value).toUpperCase(),
+};
+
+function isEmptyValue(value :any) :boolean {
+
+  return value === null || value === undefined || value === '' || Number.isNaN(value);
+}
+
+function getTransformError(transform :any) :?string {
+
+  if (isFunction(transform)) {
+    return null;
+  }
+
+  const args :Object = isPlainObject(transform) ? transform : { transform };
+  if (!has(TRANSFORMS, args.transform)) {
+    return `must be a function, or one of ${Object.keys(TRANSFORMS).join(', ')}`;
+  }
+  if (args.transform === 'map' && !isPlainObject(args.values)) {
+    return 'must have "values", an object mapping values to their replacements';
+  }
+  if (args.transform === 'split' && !isNonEmptyString(args.separator)) {
+    return 'must have "separator", a non-empty string';
+  }
+  if (args.transform === 'replace') {
+    try {
+      if (!isNonEmptyString(args.pattern)) {
+        throw new Error();
+      }
+      RegExp(args.pattern, args.flags);
+    }
+    catch (e) {
+      return 'must have "pattern", a valid regular expression';
+    }
+  }
+  return null;
+}
+
+function getPropertyDefinitionsError(propertyDefinitions :any, path :string) :?string {
+
+  if (propertyDefinitions === undefined) {
+    return null;
+  }
+
+  if (!isPlainObject(propertyDefinitions)) {
+    return `"${path}" must be an object mapping FQNs to property definitions`;
+  }
+
+  const fqns = Object.keys(propertyDefinitions);
+  for (let i = 0; i < fqns.length; i += 1) {
+    const definition = propertyDefinitions[fqns[i]];
+    const definitionPath = `${path}.${fqns[i]}`;
+    if (!isNonEmptyString(definition)) {
+      if (!isPlainObject(definition) || has(definition, 'column') === has(definition, 'value')) {
+        return `"${definitionPath}" must be a column name, or an object with either "column" or "value"`;
+      }
+      if (has(definition, 'column') && !isNonEmptyString(definition.column)) {
+        return `"${definitionPath}.column" must be a non-empty string`;
+      }
+      if (definition.transforms !== undefined) {
+        if (!Array.isArray(definition.transforms)) {
+          return `"${definitionPath}.transforms" must be an array`;
+        }
+        for (let j = 0; j < definition.transforms.length; j += 1) {
+          const transformError = getTransformError(definition.transforms[j]);
+          if (transformError) {
+            return `"${definitionPath}.transforms[${j}]" ${transformError}`;
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function getEntityIdError(entityId :any, path :string) :?string {
+
+  if (entityId === undefined || isFunction(entityId) || isNonEmptyStringArray(entityId)) {
+    return null;
+  }
+
+  if (!isPlainObject(entityId) || !isNonEmptyStringArray(entityId.columns)) {
+    return `"${path}" must be a function, an array of column names, or an object with "columns"`;
+  }
+
+  if (entityId.separator !== undefined && typeof entityId.separator !== 'string') {
+    return `"${path}.separator" must be a string`;
+  }
+
+  return null;
+}
+
+/*
+ * returns a message describing the first problem with the given mapping, or null if it is valid. only the structure of
+ * the mapping is checked, the entity sets and PropertyTypes are resolved when the integration runs.
+ */
+function getMappingError(mapping :any) :?string {
+
+  if (!isPlainObject(mapping) || !isPlainObject(mapping.entityDefinitions)
+    || Object.keys(mapping.entityDefinitions).length === 0) {
+    return '"mapping.entityDefinitions" must be a non-empty object';
+  }
+
+  const { associationDefinitions = {}, entityDefinitions } = mapping;
+  if (!isPlainObject(associationDefinitions)) {
+    return '"mapping.associationDefinitions" must be an object';
+  }
+
+  const entityNames = Object.keys(entityDefinitions);
+  for (let i = 0; i < entityNames.length; i += 1) {
+    const path = `mapping.entityDefinitions.${entityNames[i]}`;
+    const definition = entityDefinitions[entityNames[i]];
+    if (!isPlainObject(definition)) {
+      return `"${path}" must be an object`;
+    }
+    if (!isNonEmptyString(definition.entitySetName)) {
+      return `"${path}.entitySetName" must be the name or the id of an entity set`;
+    }
+    if (definition.condition !== undefined && !isFunction(definition.condition)) {
+      return `"${path}.condition" must be a function`;
+    }
+    if (definition.reference !== undefined && typeof definition.reference !== 'boolean') {
+      return `"${path}.reference" must be a boolean`;
+    }
+    if (definition.reference && definition.entityId === undefined) {
+      return `"${path}.entityId" is required for a reference`;
+    }
+    if (definition.reference && definition.propertyDefinitions !== undefined) {
+      return `"${path}.propertyDefinitions" must not be given for a reference, since it is not written`;
+    }
+    if (!definition.reference && !isPlainObject(definition.propertyDefinitions)) {
+      return `"${path}.propertyDefinitions" must be an object mapping FQNs to property definitions`;
+    }
+    const error = getEntityIdError(definition.entityId, `${path}.entityId`)
+      || getPropertyDefinitionsError(definition.propertyDefinitions, `${path}.propertyDefinitions`);
+    if (error) {
+      return error;
+    }
+  }
+
+  const associationNames = Object.keys(associationDefinitions);
+  for (let i = 0; i < associationNames.length; i += 1) {
+    const path = `mapping.associationDefinitions.${associationNames[i]}`;
+    const definition = associationDefinitions[associationNames[i]];
+    if (!isPlainObject(definition)) {
+      return `"${path}" must be an object`;
+    }
+    if (!isNonEmptyString(definition.entitySetName)) {
+      return `"${path}.entitySetName" must be the name or the id of an entity set`;
+    }
+    if (definition.condition !== undefined && !isFunction(definition.condition)) {
+      return `"${path}.condition" must be a function`;
+    }
+    if (has(entityDefinitions, associationNames[i])) {
+      return `"${path}" must not have the same name as an entity definition`;
+    }
+    if (!has(entityDefinitions, definition.src)) {
+      return `"${path}.src" must be the name of an entity definition`;
+    }
+    if (!has(entityDefinitions, definition.dst)) {
+      return `"${path}.dst" must be the name of an entity definition`;
+    }
+    const error = getPropertyDefinitionsError(definition.propertyDefinitions, `${path}.propertyDefinitions`);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+function applyTransform(transform :Transform, value :any, row :Object) :any {
+
+  if (typeof transform === 'function') {
+    return transform(value, row);
+  }
+
+  const args = typeof transform === 'string' ? { transform } : transform;
+  return TRANSFORMS[args.transform](value, args);
+}
+
+function getValues(definition :PropertyDefinition, row :Object, index :number) :any[] {
+
+  if (typeof definition === 'string') {
+    return [row[definition]].filter((value) => !isEmptyValue(value));
+  }
+
+  const { column, transforms = [], value } = definition;
+  let raw = value;
+  if (column !== undefined) {
+    raw = row[column];
+  }
+  else if (typeof value === 'function') {
+    raw = value(row, index);
+  }
+
+  // empty values are dropped before each transform, so that transforms only ever see actual values
+  let values = Array.isArray(raw) ? raw : [raw];
+  transforms.forEach((transform :Transform) => {
+    values = values
+      .filter((v) => !isEmptyValue(v))
+      .flatMap((v) => applyTransform(transform, v, row));
+  });
+  return values.filter((v) => !isEmptyValue(v));
+}
+
+function getData(propertyDefinitions :?{ [fqn :string] :PropertyDefinition }, row :Object, index :number) :Object {
+
+  const data = {};
+  Object.keys(propertyDefinitions || {}).forEach((fqn :string) => {
+    const values = getValues((propertyDefinitions :any)[fqn], row, index);
+    if (values.length > 0) {
+      data[fqn] = values;
+    }
+  });
+  return data;
+}
+
+function getEntityId(entityId :?EntityIdGenerator, row :Object, index :number) :?string {
+
+  if (!entityId) {
+    return undefined;
+  }
+
+  if (typeof entityId === 'function') {
+    const id = entityId(row, index);
+    return isEmptyValue(id) ? undefined : String(id);
+  }
+
+  const { columns, separator = DEFAULT_ENTITY_ID_SEPARATOR } = Array.isArray(entityId)
+    ? { columns: entityId }
+    : entityId;
+  const values = columns.map((column :string) => row[column]);
+  // an entity id made from partial values would merge entities that only share some of those values
+  return values.some(isEmptyValue) ? undefined : values.join(separator);
+}
+
+/*
+ * maps a row to its entities and associations. an entity is left out if its condition is false, if it has no property
+ * values, or if it has an "entityId" generator that yields no entity id. an association is left out if its condition
+ * is false, or if its source or destination has been left out.
+ */
+function mapRow(mapping :IntegrationMapping, row :Object, index :number) :MappedRow {
+
+  const { associationDefinitions = {}, entityDefinitions } = mapping;
+  const mappedRow :MappedRow = { associations: {}, entities: {} };
+
+  Object.keys(entityDefinitions).forEach((name :string) => {
+    const definition = entityDefinitions[name];
+    if (definition.condition && !definition.condition(row)) {
+      return;
+    }
+    const entityId = getEntityId(definition.entityId, row, index);
+    const data = getData(definition.propertyDefinitions, row, index);
+    if ((definition.entityId && !entityId) || (!definition.reference && Object.keys(data).length === 0)) {
+      return;
+    }
+    mappedRow.entities[name] = { data, entityId };
+  });
+
+  Object.keys(associationDefinitions).forEach((name :string) => {
+    const definition = associationDefinitions[name];
+    if (!mappedRow.entities[definition.src] || !mappedRow.entities[definition.dst]) {
+      return;
+    }
+    if (definition.condition && !definition.condition(row)) {
+      return;
+    }
+    mappedRow.associations[name] = getData(definition.propertyDefinitions, row, index);
+  });
+
+  return mappedRow;
+}
+
+/*
+ * returns the FQNs of every property definition in the mapping
+ */
+function getMappedFQNs(mapping :IntegrationMapping) :string[] {
+
+  const fqns = new Set();
+  const definitions = [
+    ...Object.values(mapping.entityDefinitions),
+    ...Object.values(mapping.associationDefinitions || {}),
+  ];
+  definitions.forEach((definition :any) => {
+    Object.keys(definition.propertyDefinitions || {}).forEach((fqn :string) => fqns.add(fqn));
+  });
+  return Array.from(fqns);
+}
+
+export {
+  getMappedFQNs,
+  getMappingError,
+  mapRow,
+};
+
+export type {
+  AssociationDefinition,
+  EntityDefinition,
+  EntityIdGenerator,
+  IntegrationMapping,
+  MappedEntity,
+  MappedRow,
+  PropertyDefinition,
+  Transform,
+};
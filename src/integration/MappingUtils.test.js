@@ -0,0 +1,374 @@
+import { getMappedFQNs, getMappingError, mapRow } from './MappingUtils';
+
+const PERSON = {
+  entityId: ['id'],
+  entitySetName: 'MyPeople',
+  propertyDefinitions: { 'general.fullname': 'name' },
+};
+
+const ADDRESS = {
+  entitySetName: 'MyAddresses',
+  propertyDefinitions: { 'location.street': 'street' },
+};
+
+const LIVES_AT = {
+  dst: 'address',
+  entitySetName: 'MyLivesAt',
+  src: 'person',
+};
+
+const MAPPING = {
+  associationDefinitions: { livesAt: LIVES_AT },
+  entityDefinitions: { address: ADDRESS, person: PERSON },
+};
+
+function withPerson(definition) {
+
+  return { ...MAPPING, entityDefinitions: { ...MAPPING.entityDefinitions, person: { ...PERSON, ...definition } } };
+}
+
+function withLivesAt(definition) {
+
+  return { ...MAPPING, associationDefinitions: { livesAt: { ...LIVES_AT, ...definition } } };
+}
+
+function withProperty(propertyDefinition) {
+
+  return withPerson({ propertyDefinitions: { 'general.fullname': propertyDefinition } });
+}
+
+// maps a single property of the given row through the given property definition
+function mapProperty(propertyDefinition, row = {}, index = 0) {
+
+  const mapping = { entityDefinitions: { person: { ...ADDRESS, propertyDefinitions: { fqn: propertyDefinition } } } };
+  const { person } = mapRow(mapping, row, index).entities;
+  return person ? person.data.fqn : undefined;
+}
+
+function mapEntityId(entityId, row, index = 0) {
+
+  const mapping = { entityDefinitions: { person: { ...PERSON, entityId } } };
+  const { person } = mapRow(mapping, { name: 'Jane', ...row }, index).entities;
+  return person ? person.entityId : undefined;
+}
+
+describe('MappingUtils', () => {
+
+  describe('getMappingError()', () => {
+
+    test('should return null when given a valid mapping', () => {
+      expect(getMappingError(MAPPING)).toBeNull();
+      expect(getMappingError({ entityDefinitions: { person: PERSON } })).toBeNull();
+      const reference = { entityId: (row) => row.id, propertyDefinitions: undefined, reference: true };
+      expect(getMappingError(withPerson(reference))).toBeNull();
+      expect(getMappingError(withProperty({ transforms: ['trim', (value) => value], value: 'Jane' }))).toBeNull();
+    });
+
+    const cases = [
+      [
+        'the mapping is not an object',
+        'mapping',
+        '"mapping.entityDefinitions" must be a non-empty object',
+      ],
+      [
+        'there are no entity definitions',
+        { entityDefinitions: {} },
+        '"mapping.entityDefinitions" must be a non-empty object',
+      ],
+      [
+        'the association definitions are not an object',
+        { ...MAPPING, associationDefinitions: [] },
+        '"mapping.associationDefinitions" must be an object',
+      ],
+      [
+        'an entity definition is not an object',
+        { entityDefinitions: { person: 'MyPeople' } },
+        '"mapping.entityDefinitions.person" must be an object',
+      ],
+      [
+        'an entity definition has no entity set',
+        withPerson({ entitySetName: '' }),
+        '"mapping.entityDefinitions.person.entitySetName" must be the name or the id of an entity set',
+      ],
+      [
+        'the condition of an entity definition is not a function',
+        withPerson({ condition: true }),
+        '"mapping.entityDefinitions.person.condition" must be a function',
+      ],
+      [
+        '"reference" is not a boolean',
+        withPerson({ reference: 'true' }),
+        '"mapping.entityDefinitions.person.reference" must be a boolean',
+      ],
+      [
+        'a reference has no entity id',
+        withPerson({ entityId: undefined, propertyDefinitions: undefined, reference: true }),
+        '"mapping.entityDefinitions.person.entityId" is required for a reference',
+      ],
+      [
+        'a reference has property definitions',
+        withPerson({ reference: true }),
+        '"mapping.entityDefinitions.person.propertyDefinitions" must not be given for a reference, since it is not '
+          + 'written',
+      ],
+      [
+        'an entity definition has no property definitions',
+        withPerson({ propertyDefinitions: undefined }),
+        '"mapping.entityDefinitions.person.propertyDefinitions" must be an object mapping FQNs to property definitions',
+      ],
+      [
+        'the entity id generator is invalid',
+        withPerson({ entityId: 'id' }),
+        '"mapping.entityDefinitions.person.entityId" must be a function, an array of column names, or an object with '
+          + '"columns"',
+      ],
+      [
+        'the entity id separator is not a string',
+        withPerson({ entityId: { columns: ['id'], separator: 1 } }),
+        '"mapping.entityDefinitions.person.entityId.separator" must be a string',
+      ],
+      [
+        'a property definition has both a column and a value',
+        withProperty({ column: 'name', value: 'Jane' }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname" must be a column name, or an object '
+          + 'with either "column" or "value"',
+      ],
+      [
+        'a property definition has neither a column nor a value',
+        withProperty({}),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname" must be a column name, or an object '
+          + 'with either "column" or "value"',
+      ],
+      [
+        'the column of a property definition is empty',
+        withProperty({ column: '' }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.column" must be a non-empty string',
+      ],
+      [
+        'the transforms of a property definition are not an array',
+        withProperty({ column: 'name', transforms: 'trim' }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.transforms" must be an array',
+      ],
+      [
+        'a transform is unknown',
+        withProperty({ column: 'name', transforms: ['trim', 'reverse'] }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.transforms[1]" must be a function, or '
+          + 'one of boolean, integer, lowerCase, map, number, replace, split, trim, upperCase',
+      ],
+      [
+        'a "map" transform has no values',
+        withProperty({ column: 'name', transforms: [{ transform: 'map' }] }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.transforms[0]" must have "values", an '
+          + 'object mapping values to their replacements',
+      ],
+      [
+        'a "split" transform has no separator',
+        withProperty({ column: 'name', transforms: ['split'] }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.transforms[0]" must have "separator", '
+          + 'a non-empty string',
+      ],
+      [
+        'a "replace" transform has no pattern',
+        withProperty({ column: 'name', transforms: [{ transform: 'replace' }] }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.transforms[0]" must have "pattern", a '
+          + 'valid regular expression',
+      ],
+      [
+        'a "replace" transform has an invalid pattern',
+        withProperty({ column: 'name', transforms: [{ pattern: '(', transform: 'replace' }] }),
+        '"mapping.entityDefinitions.person.propertyDefinitions.general.fullname.transforms[0]" must have "pattern", a '
+          + 'valid regular expression',
+      ],
+      [
+        'an association definition is not an object',
+        { ...MAPPING, associationDefinitions: { livesAt: 'MyLivesAt' } },
+        '"mapping.associationDefinitions.livesAt" must be an object',
+      ],
+      [
+        'an association definition has no entity set',
+        withLivesAt({ entitySetName: undefined }),
+        '"mapping.associationDefinitions.livesAt.entitySetName" must be the name or the id of an entity set',
+      ],
+      [
+        'the condition of an association definition is not a function',
+        withLivesAt({ condition: 'true' }),
+        '"mapping.associationDefinitions.livesAt.condition" must be a function',
+      ],
+      [
+        'an association definition has the same name as an entity definition',
+        { ...MAPPING, associationDefinitions: { address: LIVES_AT } },
+        '"mapping.associationDefinitions.address" must not have the same name as an entity definition',
+      ],
+      [
+        'the source of an association definition is unknown',
+        withLivesAt({ src: 'people' }),
+        '"mapping.associationDefinitions.livesAt.src" must be the name of an entity definition',
+      ],
+      [
+        'the destination of an association definition is unknown',
+        withLivesAt({ dst: undefined }),
+        '"mapping.associationDefinitions.livesAt.dst" must be the name of an entity definition',
+      ],
+      [
+        'the property definitions of an association definition are invalid',
+        withLivesAt({ propertyDefinitions: ['general.role'] }),
+        '"mapping.associationDefinitions.livesAt.propertyDefinitions" must be an object mapping FQNs to property '
+          + 'definitions',
+      ],
+    ];
+
+    cases.forEach(([description, mapping, error]) => {
+      test(`should describe the problem when ${description}`, () => {
+        expect(getMappingError(mapping)).toEqual(error);
+      });
+    });
+
+  });
+
+  describe('mapRow()', () => {
+
+    test('should map the columns of the row to the entities and associations of the mapping', () => {
+      expect(mapRow(MAPPING, { id: '1', name: 'Jane', street: '1 Main St' }, 0)).toEqual({
+        associations: { livesAt: {} },
+        entities: {
+          address: { data: { 'location.street': ['1 Main St'] }, entityId: undefined },
+          person: { data: { 'general.fullname': ['Jane'] }, entityId: '1' },
+        },
+      });
+    });
+
+    test('should leave out the empty values', () => {
+      expect(mapProperty('name', { name: '' })).toBeUndefined();
+      expect(mapProperty({ column: 'name', transforms: ['number'] }, { name: ' ' })).toBeUndefined();
+      expect(mapProperty({ column: 'names', transforms: [{ separator: ';', transform: 'split' }, 'trim'] }, {
+        names: 'Jane; ;Janie;',
+      })).toEqual(['Jane', 'Janie']);
+    });
+
+    test('should apply the "boolean" transform', () => {
+      const definition = { column: 'flag', transforms: ['boolean'] };
+      expect(['1', 'True', ' yes ', 'y'].map((flag) => mapProperty(definition, { flag })))
+        .toEqual([[true], [true], [true], [true]]);
+      expect(['0', 'FALSE', 'no', 'n'].map((flag) => mapProperty(definition, { flag })))
+        .toEqual([[false], [false], [false], [false]]);
+      expect(mapProperty(definition, { flag: 'maybe' })).toBeUndefined();
+    });
+
+    test('should apply the "integer" transform', () => {
+      const definition = { column: 'count', transforms: ['integer'] };
+      expect(mapProperty(definition, { count: ' 42 ' })).toEqual([42]);
+      expect(mapProperty(definition, { count: 7 })).toEqual([7]);
+      expect(mapProperty(definition, { count: '4.2' })).toBeUndefined();
+      expect(mapProperty(definition, { count: 'four' })).toBeUndefined();
+    });
+
+    test('should apply the "number" transform', () => {
+      const definition = { column: 'amount', transforms: ['number'] };
+      expect(mapProperty(definition, { amount: '4.2' })).toEqual([4.2]);
+      expect(mapProperty(definition, { amount: '-1e3' })).toEqual([-1000]);
+      expect(mapProperty(definition, { amount: 'four' })).toBeUndefined();
+    });
+
+    test('should apply the "map" transform, leaving the values without a replacement as they are', () => {
+      const definition = { column: 'sex', transforms: [{ transform: 'map', values: { F: 'female', M: 'male' } }] };
+      expect(mapProperty(definition, { sex: 'F' })).toEqual(['female']);
+      expect(mapProperty(definition, { sex: 'X' })).toEqual(['X']);
+    });
+
+    test('should apply the "replace" transform', () => {
+      const definition = { column: 'phone', transforms: [{ pattern: '[^0-9]', transform: 'replace' }] };
+      expect(mapProperty(definition, { phone: '(555) 123-4567' })).toEqual(['5551234567']);
+      expect(mapProperty({
+        column: 'name',
+        transforms: [{
+          flags: 'i',
+          pattern: 'doe',
+          replacement: 'Roe',
+          transform: 'replace',
+        }],
+      }, { name: 'DOE, DOE' })).toEqual(['Roe, DOE']);
+    });
+
+    test('should apply the "lowerCase" transform', () => {
+      expect(mapProperty({ column: 'email', transforms: ['trim', 'lowerCase'] }, { email: ' Jane@Example.COM ' }))
+        .toEqual(['jane@example.com']);
+    });
+
+    test('should apply function transforms to each value, along with the row', () => {
+      const transform = jest.fn((value, row) => `${row.prefix}${value}`);
+      const definition = { column: 'names', transforms: [{ separator: ';', transform: 'split' }, transform] };
+      expect(mapProperty(definition, { names: 'Jane;Janie', prefix: 'Dr. ' })).toEqual(['Dr. Jane', 'Dr. Janie']);
+      expect(transform).toHaveBeenCalledTimes(2);
+      expect(mapProperty({ column: 'names', transforms: [(value) => value.split(',')] }, { names: 'a,,b' }))
+        .toEqual(['a', 'b']);
+    });
+
+    test('should use the given values, calling the functions with the row and its index', () => {
+      expect(mapProperty({ value: 'resident' })).toEqual(['resident']);
+      expect(mapProperty({ value: ['a', '', 'b'] })).toEqual(['a', 'b']);
+      expect(mapProperty({ transforms: ['upperCase'], value: (row, index) => `${row.name}-${index}` }, {
+        name: 'jane',
+      }, 3)).toEqual(['JANE-3']);
+      expect(mapProperty({ value: () => null })).toBeUndefined();
+    });
+
+    test('should join the columns of the entity id, leaving out the entity when one of them is missing', () => {
+      expect(mapEntityId(['first', 'last'], { first: 'Jane', last: 'Doe' })).toEqual('Jane|Doe');
+      expect(mapEntityId(['first', 'last'], { first: 'Jane', last: '' })).toBeUndefined();
+      expect(mapEntityId(['first', 'last'], { first: 'Jane' })).toBeUndefined();
+    });
+
+    test('should join the columns of the entity id with the given separator', () => {
+      expect(mapEntityId({ columns: ['first', 'last'], separator: '-' }, { first: 'Jane', last: 'Doe' }))
+        .toEqual('Jane-Doe');
+      expect(mapEntityId({ columns: ['first', 'last'], separator: '' }, { first: 'Jane', last: 'Doe' }))
+        .toEqual('JaneDoe');
+    });
+
+    test('should call the entity id function with the row and its index', () => {
+      expect(mapEntityId((row, index) => `${row.name}-${index}`, {}, 2)).toEqual('Jane-2');
+      expect(mapEntityId(() => 42, {})).toEqual('42');
+      expect(mapEntityId(() => '', {})).toBeUndefined();
+    });
+
+    test('should leave out the entities whose condition is false, along with their associations', () => {
+      const mapping = withPerson({ condition: (row) => row.name !== 'Nobody' });
+      expect(mapRow(mapping, { id: '1', name: 'Nobody', street: '1 Main St' }, 0)).toEqual({
+        associations: {},
+        entities: { address: { data: { 'location.street': ['1 Main St'] }, entityId: undefined } },
+      });
+      expect(Object.keys(mapRow(mapping, { id: '1', name: 'Jane', street: '1 Main St' }, 0).associations))
+        .toEqual(['livesAt']);
+    });
+
+    test('should leave out the associations whose condition is false', () => {
+      const condition = jest.fn((row) => row.current === 'yes');
+      const mapping = withLivesAt({ condition, propertyDefinitions: { 'general.role': { value: 'resident' } } });
+      const row = { id: '1', name: 'Jane', street: '1 Main St' };
+      expect(mapRow(mapping, { ...row, current: 'no' }, 0).associations).toEqual({});
+      expect(mapRow(mapping, { ...row, current: 'yes' }, 0).associations).toEqual({
+        livesAt: { 'general.role': ['resident'] },
+      });
+      // the condition is not checked when the source or destination has been left out
+      expect(mapRow(mapping, { ...row, current: 'yes', street: '' }, 0).associations).toEqual({});
+      expect(condition).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep a reference without data, as long as it has an entity id', () => {
+      const mapping = withPerson({ entityId: ['id'], propertyDefinitions: undefined, reference: true });
+      expect(mapRow(mapping, { id: '1', street: '' }, 0).entities).toEqual({ person: { data: {}, entityId: '1' } });
+      expect(mapRow(mapping, { id: '', street: '' }, 0).entities).toEqual({});
+    });
+
+  });
+
+  describe('getMappedFQNs()', () => {
+
+    test('should return the FQNs of every property definition, once', () => {
+      const mapping = withLivesAt({ propertyDefinitions: { 'general.fullname': 'name', 'general.role': 'role' } });
+      expect(getMappedFQNs(mapping)).toEqual(['location.street', 'general.fullname', 'general.role']);
+    });
+
+  });
+
+});
@@ -0,0 +1,335 @@
+/*
+ * @flow
+ */
+
+import isBoolean from 'lodash/isBoolean';
+import isPlainObject from 'lodash/isPlainObject';
+
+import * as DataApi from '../api/DataApi';
+import * as DataIntegrationApi from '../api/DataIntegrationApi';
+
+import EdmIndex from '../fqn/EdmIndex';
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { OPENLATTICE_ID_FQN } from '../constants/GlobalConstants';
+import { DeleteTypes, UpdateTypes } from '../constants/types';
+import { getKeys, loadEdmIndex, resolveEntitySetId } from '../fqn/EdmIndexUtils';
+import { runInChunks } from '../utils/BulkUtils';
+import { isNonEmptyString, isPositiveInteger } from '../utils/LangUtils';
+import { isValidMultimap, isValidUUID } from '../utils/ValidationUtils';
+import type { DeleteType, UpdateType } from '../constants/types';
+import type { ChunkResult } from '../utils/BulkUtils';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('Integration');
+
+const DEFAULT_CHUNK_SIZE = 1000;
+
+type SyncOptions = {
+  ...RequestOptions;
+  chunkSize ?:number;
+  deleteType ?:DeleteType;
+  planOnly ?:boolean;
+  updateType ?:UpdateType;
+};
+
+// "properties" are the FQNs of the properties whose values change
+type SyncChange = {|
+  entityId :string;
+  entityKeyId :UUID;
+  properties :string[];
+|};
+
+// "entityKeyIds" are the entities that were sent in the failed request
+type SyncFailure = {|
+  entityKeyIds :UUID[];
+  error :any;
+  operation :'delete' | 'update';
+|};
+
+type SyncReport = {|
+  added :Array<{| entityId :string; entityKeyId :UUID |}>;
+  applied :boolean;
+  changed :SyncChange[];
+  failures :SyncFailure[];
+  removed :UUID[];
+  unchangedCount :number;
+|};
+
+const SYNC_API = {
+  deleteEntityData: DataApi.deleteEntityData,
+  getEntityKeyIds: DataIntegrationApi.getEntityKeyIds,
+  getEntitySetData: DataApi.getEntitySetData,
+  loadEdmIndex,
+  resolveEntitySetId,
+  updateEntityData: DataApi.updateEntityData,
+};
+
+type SyncApi = typeof SYNC_API;
+
+function validateSyncParameters(entitySetIdOrName :any, entities :any, syncOptions :Object) :void {
+
+  const {
+    chunkSize,
+    deleteType,
+    planOnly,
+    updateType,
+  } = syncOptions;
+
+  if (!isNonEmptyString(entitySetIdOrName)) {
+    const errorMsg = 'invalid parameter: "entitySetIdOrName" must be a valid UUID or a non-empty string';
+    LOG.error(errorMsg, entitySetIdOrName);
+    throw new LatticeValidationError(errorMsg, 'entitySetIdOrName', entitySetIdOrName);
+  }
+
+  if (!isPlainObject(entities)
+    || !Object.values(entities).every((entity) => isValidMultimap(entity, isNonEmptyString))) {
+    const errorMsg = 'invalid parameter: "entities" must map entity ids to objects mapping FQNs to values';
+    LOG.error(errorMsg, entities);
+    throw new LatticeValidationError(errorMsg, 'entities', entities);
+  }
+
+  if (chunkSize !== undefined && !isPositiveInteger(chunkSize)) {
+    const errorMsg = 'invalid parameter: "chunkSize" must be a positive integer';
+    LOG.error(errorMsg, chunkSize);
+    throw new LatticeValidationError(errorMsg, 'chunkSize', chunkSize);
+  }
+
+  if (deleteType !== undefined && !DeleteTypes[deleteType]) {
+    const errorMsg = 'invalid parameter: "deleteType" must be a valid DeleteType';
+    LOG.error(errorMsg, deleteType);
+    throw new LatticeValidationError(errorMsg, 'deleteType', deleteType);
+  }
+
+  if (planOnly !== undefined && !isBoolean(planOnly)) {
+    const errorMsg = 'invalid parameter: "planOnly" must be a boolean';
+    LOG.error(errorMsg, planOnly);
+    throw new LatticeValidationError(errorMsg, 'planOnly', planOnly);
+  }
+
+  // "Merge" only ever adds values, so it cannot bring an entity in line with the desired data
+  if (updateType !== undefined
+    && UpdateTypes[updateType] !== UpdateTypes.PARTIAL_REPLACE && UpdateTypes[updateType] !== UpdateTypes.REPLACE) {
+    const errorMsg = 'invalid parameter: "updateType" must be "PartialReplace" or "Replace"';
+    LOG.error(errorMsg, updateType);
+    throw new LatticeValidationError(errorMsg, 'updateType', updateType);
+  }
+}
+
+// values are compared as sets of strings, since the values read back are not always of the type that was written
+function isSameValues(values :$ReadOnlyArray<any>, otherValues :$ReadOnlyArray<any>) :boolean {
+
+  const toKey = (value :any) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+  const keys = new Set(values.map(toKey));
+  const otherKeys = new Set(otherValues.map(toKey));
+  return keys.size === otherKeys.size && Array.from(keys).every((key) => otherKeys.has(key));
+}
+
+/*
+ * returns the FQNs of the properties of the current entity that differ from the desired entity. with "Replace", the
+ * properties that are not in the desired entity are removed, so they differ if they have any values.
+ */
+function getChangedProperties(desired :Object, current :Object, updateType :UpdateType) :string[] {
+
+  const fqns = new Set(Object.keys(desired));
+  if (updateType === UpdateTypes.REPLACE) {
+    Object.keys(current).forEach((fqn :string) => fqns.add(fqn));
+  }
+  return Array.from(fqns).filter((fqn :string) => !isSameValues(desired[fqn] || [], current[fqn] || []));
+}
+
+async function sync(
+  api :SyncApi,
+  entitySetIdOrName :UUID | string,
+  entities :{ [entityId :string] :Object },
+  syncOptions :SyncOptions,
+) :Promise<SyncReport> {
+
+  validateSyncParameters(entitySetIdOrName, entities, syncOptions);
+
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    deleteType = DeleteTypes.SOFT,
+    planOnly = false,
+    updateType = UpdateTypes.PARTIAL_REPLACE,
+    ...requestOptions
+  } = syncOptions;
+  const theUpdateType :UpdateType = UpdateTypes[updateType];
+
+  const entitySetId = await api.resolveEntitySetId(entitySetIdOrName, requestOptions);
+
+  const fqns = getKeys((Object.values(entities) :any));
+  let edmIndex = await api.loadEdmIndex((index :EdmIndex) => index.getUnknownFQNs(fqns).length === 0, requestOptions);
+  const unknownFQNs = edmIndex.getUnknownFQNs(fqns);
+  if (unknownFQNs.length > 0) {
+    const errorMsg = `invalid parameter: "entities" has unknown PropertyType FQNs: ${unknownFQNs.join(', ')}`;
+    LOG.error(errorMsg, unknownFQNs);
+    throw new LatticeValidationError(errorMsg, 'entities', entities);
+  }
+
+  const entityIds = Object.keys(entities);
+  const entityKeyIdResults :ChunkResult<UUID[]>[] = await runInChunks(
+    entityIds,
+    (chunk :string[]) => api.getEntityKeyIds(
+      chunk.map((entityId :string) => ({ entityId, entitySetId })),
+      requestOptions,
+    ),
+    { chunkSize, concurrency: 1 },
+  );
+  // a failure stops the sync before anything is written
+  const failedChunk = entityKeyIdResults.find((chunkResult) => chunkResult.error !== undefined);
+  if (failedChunk) {
+    throw failedChunk.error;
+  }
+  const entityKeyIds :UUID[] = entityKeyIdResults.flatMap(({ result }) => result || []);
+
+  // the current data is read with PropertyType id keys, and only the keys that are PropertyTypes are compared
+  const currentEntities = await api.getEntitySetData(entitySetId, undefined, undefined, requestOptions);
+  const currentData :{ [entityKeyId :UUID] :Object } = {};
+  currentEntities.forEach((entity :Object) => {
+    const [entityKeyId] = entity[OPENLATTICE_ID_FQN] || [];
+    if (entityKeyId) {
+      currentData[entityKeyId] = entity;
+    }
+  });
+  const propertyTypeIds = getKeys(currentEntities).filter((key :string) => isValidUUID(key));
+  edmIndex = await api.loadEdmIndex(
+    (index :EdmIndex) => propertyTypeIds.every((id :UUID) => !!index.getPropertyTypeFQN(id)),
+    requestOptions,
+  );
+  const toFQNData = (entity :Object) :Object => {
+    const data = {};
+    Object.keys(entity).forEach((key :string) => {
+      const fqn = edmIndex.getPropertyTypeFQN(key);
+      if (fqn) {
+        data[fqn] = entity[key];
+      }
+    });
+    return data;
+  };
+
+  const report :SyncReport = {
+    added: [],
+    applied: false,
+    changed: [],
+    failures: [],
+    removed: [],
+    unchangedCount: 0,
+  };
+  const writes :{ [entityKeyId :UUID] :Object } = {};
+  const desiredEntityKeyIds = new Set(entityKeyIds);
+
+  entityIds.forEach((entityId :string, index :number) => {
+    const entityKeyId = entityKeyIds[index];
+    const current = currentData[entityKeyId];
+    if (!current) {
+      report.added.push({ entityId, entityKeyId });
+      writes[entityKeyId] = edmIndex.toPropertyTypeIdKeys(entities[entityId]);
+      return;
+    }
+    const properties = getChangedProperties(entities[entityId], toFQNData(current), theUpdateType);
+    if (properties.length > 0) {
+      report.changed.push({ entityId, entityKeyId, properties });
+      writes[entityKeyId] = edmIndex.toPropertyTypeIdKeys(entities[entityId]);
+    }
+    else {
+      report.unchangedCount += 1;
+    }
+  });
+  report.removed = Object.keys(currentData).filter((entityKeyId :UUID) => !desiredEntityKeyIds.has(entityKeyId));
+
+  if (planOnly) {
+    return report;
+  }
+
+  // the writes are sent one chunk at a time, and a failed chunk does not stop the chunks after it
+  const toFailures = (
+    operation :'delete' | 'update',
+    entityKeyIdsToWrite :UUID[],
+    chunkResults :ChunkResult<mixed>[],
+  ) :SyncFailure[] => chunkResults
+    .filter((chunkResult) => chunkResult.error !== undefined)
+    .map(({ end, error, start }) => ({ entityKeyIds: entityKeyIdsToWrite.slice(start, end), error, operation }));
+
+  const updatedEntityKeyIds = Object.keys(writes);
+  const updateResults = await runInChunks(
+    updatedEntityKeyIds,
+    (chunk :UUID[]) => {
+      const entityData = {};
+      chunk.forEach((entityKeyId :UUID) => {
+        entityData[entityKeyId] = writes[entityKeyId];
+      });
+      return api.updateEntityData(entitySetId, entityData, theUpdateType, requestOptions);
+    },
+    { chunkSize, concurrency: 1 },
+  );
+  const deleteResults = await runInChunks(
+    report.removed,
+    (chunk :UUID[]) => api.deleteEntityData(entitySetId, chunk, DeleteTypes[deleteType], true, requestOptions),
+    { chunkSize, concurrency: 1 },
+  );
+  report.failures = [
+    ...toFailures('update', updatedEntityKeyIds, updateResults),
+    ...toFailures('delete', report.removed, deleteResults),
+  ];
+
+  report.applied = report.failures.length === 0;
+  return report;
+}
+
+/**
+ * Brings the data of the given entity set in line with the given entities, which are keyed by entity id and map FQNs
+ * to arrays of values. The entity ids are resolved to entity key ids via DataIntegrationApi.getEntityKeyIds(), and
+ * compared against the current data of the entity set:
+ * - an entity that does not exist yet is added
+ * - an entity whose values differ is changed. with "PartialReplace", only the properties of the given entity are
+ *   compared and replaced. with "Replace", the whole entity is replaced, so any other property it has is removed
+ * - an entity of the entity set that is not among the given entities is removed, with the given DeleteType
+ *
+ * Values are compared as sets of strings. The whole entity set is read to find the entities to remove. With
+ * "planOnly", nothing is written, and the report describes the changes that would have been made. The entity key ids
+ * are still resolved, since they are needed to compare the entities.
+ *
+ * The changes are written in chunks, each of which is a separate request. A failed chunk does not stop the remaining
+ * chunks. Instead, the report lists it among the "failures", along with the entity key ids it held, and "applied" is
+ * false, since only some of the changes were made.
+ *
+ * @memberof lattice.Integration
+ * @param {UUID | string} entitySetIdOrName
+ * @param {Object} entities - an object mapping entity ids to objects mapping FQNs to arrays of values
+ * @param {Object} syncOptions - any of the request options, in addition to the options below (optional)
+ * @param {UpdateType} syncOptions.updateType - "PartialReplace" or "Replace" (default "PartialReplace")
+ * @param {DeleteType} syncOptions.deleteType - how the removed entities are deleted (default "Soft")
+ * @param {boolean} syncOptions.planOnly - computes the changes without making them (default false)
+ * @param {number} syncOptions.chunkSize - the maximum number of entities per request (default 1000)
+ * @returns {Promise<Object>} - a Promise that resolves with the report of the entities that were added, changed, and
+ *   removed, the count of the unchanged entities, whether every change was applied, and the failed chunks
+ *
+ * @example
+ * const report = await Integration.syncEntitySet(
+ *   "MyPeople",
+ *   { "person-1": { "general.fullname": ["Jane Doe"] } },
+ *   { planOnly: true },
+ * );
+ */
+function syncEntitySet(
+  entitySetIdOrName :UUID | string,
+  entities :{ [entityId :string] :Object },
+  syncOptions ?:SyncOptions,
+) :Promise<SyncReport> {
+
+  const api :SyncApi = bindAllToClientContext(SYNC_API);
+  return sync(api, entitySetIdOrName, entities, syncOptions || {});
+}
+
+export {
+  syncEntitySet,
+};
+
+export type {
+  SyncChange,
+  SyncFailure,
+  SyncOptions,
+  SyncReport,
+};
@@ -0,0 +1,174 @@
+import * as Sync from './SyncUtils';
+
+import { clearIndex } from '../fqn/FQNDataUtils';
+import { LatticeValidationError } from '../errors';
+import { DATA_API, DATA_INTEGRATION_API, EDM_API } from '../constants/ApiNames';
+import { OPENLATTICE_ID_FQN, OPENLATTICE_LAST_WRITE_FQN } from '../constants/GlobalConstants';
+import { DeleteTypes, UpdateTypes } from '../constants/types';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const MOCK_ESID = genRandomUUID();
+
+const FULL_NAME_PT = { id: genRandomUUID(), type: { name: 'fullname', namespace: 'general' } };
+const NICKNAME_PT = { id: genRandomUUID(), type: { name: 'nickname', namespace: 'general' } };
+
+const ENTITY_KEY_IDS = {
+  added: genRandomUUID(),
+  changed: genRandomUUID(),
+  removed: genRandomUUID(),
+  unchanged: genRandomUUID(),
+};
+
+const CURRENT_ENTITIES = [
+  {
+    [OPENLATTICE_ID_FQN]: [ENTITY_KEY_IDS.changed],
+    [FULL_NAME_PT.id]: ['Jane Doe'],
+    [NICKNAME_PT.id]: ['JD'],
+  },
+  {
+    [OPENLATTICE_ID_FQN]: [ENTITY_KEY_IDS.unchanged],
+    [OPENLATTICE_LAST_WRITE_FQN]: ['2020-02-02T00:00:00.000Z'],
+    [FULL_NAME_PT.id]: ['John Doe', 'Johnny'],
+    [NICKNAME_PT.id]: [42],
+  },
+  {
+    [OPENLATTICE_ID_FQN]: [ENTITY_KEY_IDS.removed],
+    [FULL_NAME_PT.id]: ['Nobody'],
+  },
+];
+
+const DESIRED_ENTITIES = {
+  added: { 'general.fullname': ['New Person'] },
+  changed: { 'general.fullname': ['Jane Doe', 'Janie'] },
+  unchanged: { 'general.fullname': ['Johnny', 'John Doe'], 'general.nickname': ['42'] },
+};
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([DATA_API, DATA_INTEGRATION_API, EDM_API]);
+  mockAxiosInstances[DATA_API].delete.mockImplementation(() => Promise.resolve({ data: 1 }));
+  mockAxiosInstances[DATA_API].post.mockImplementation(() => Promise.resolve({ data: CURRENT_ENTITIES }));
+  mockAxiosInstances[DATA_API].put.mockImplementation(() => Promise.resolve({ data: 1 }));
+  mockAxiosInstances[DATA_INTEGRATION_API].post.mockImplementation((url, entityKeys) => Promise.resolve({
+    data: entityKeys.map(({ entityId }) => ENTITY_KEY_IDS[entityId]),
+  }));
+  mockAxiosInstances[EDM_API].get.mockImplementation(() => Promise.resolve({ data: [FULL_NAME_PT, NICKNAME_PT] }));
+}
+
+describe('Integration', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+    clearIndex();
+  });
+
+  describe('syncEntitySet()', () => {
+
+    test('should add, change, and remove entities to match the given entities', async () => {
+
+      const report = await Sync.syncEntitySet(MOCK_ESID, DESIRED_ENTITIES);
+      expect(report).toEqual({
+        added: [{ entityId: 'added', entityKeyId: ENTITY_KEY_IDS.added }],
+        applied: true,
+        changed: [{ entityId: 'changed', entityKeyId: ENTITY_KEY_IDS.changed, properties: ['general.fullname'] }],
+        failures: [],
+        removed: [ENTITY_KEY_IDS.removed],
+        unchangedCount: 1,
+      });
+
+      expect(mockAxiosInstances[DATA_INTEGRATION_API].post).toHaveBeenCalledWith(
+        '/entityKeyIds',
+        ['added', 'changed', 'unchanged'].map((entityId) => ({ entityId, entitySetId: MOCK_ESID })),
+        {},
+      );
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledWith(
+        `/set/${MOCK_ESID}?type=${UpdateTypes.PARTIAL_REPLACE}`,
+        {
+          [ENTITY_KEY_IDS.added]: { [FULL_NAME_PT.id]: ['New Person'] },
+          [ENTITY_KEY_IDS.changed]: { [FULL_NAME_PT.id]: ['Jane Doe', 'Janie'] },
+        },
+        {},
+      );
+      expect(mockAxiosInstances[DATA_API].delete).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[DATA_API].delete).toHaveBeenCalledWith(
+        `/set/${MOCK_ESID}?type=${DeleteTypes.SOFT}&block=true`,
+        { data: [ENTITY_KEY_IDS.removed] },
+      );
+    });
+
+    test('should compare every property with "Replace", and send the requests in chunks', async () => {
+
+      const report = await Sync.syncEntitySet(MOCK_ESID, DESIRED_ENTITIES, {
+        chunkSize: 1,
+        deleteType: DeleteTypes.HARD,
+        updateType: UpdateTypes.REPLACE,
+      });
+      expect(report.changed).toEqual([{
+        entityId: 'changed',
+        entityKeyId: ENTITY_KEY_IDS.changed,
+        properties: ['general.fullname', 'general.nickname'],
+      }]);
+      expect(report.unchangedCount).toEqual(1);
+      expect(mockAxiosInstances[DATA_INTEGRATION_API].post).toHaveBeenCalledTimes(3);
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[DATA_API].put.mock.calls[1][0]).toContain(`type=${UpdateTypes.REPLACE}`);
+      expect(mockAxiosInstances[DATA_API].delete.mock.calls[0][0]).toContain(`type=${DeleteTypes.HARD}`);
+    });
+
+    test('should report the chunks that failed, and keep writing the chunks after them', async () => {
+
+      const error = new Error('failure');
+      mockAxiosInstances[DATA_API].put
+        .mockImplementationOnce(() => Promise.reject(error))
+        .mockImplementationOnce(() => Promise.resolve({ data: 1 }));
+
+      const report = await Sync.syncEntitySet(MOCK_ESID, DESIRED_ENTITIES, { chunkSize: 1 });
+      expect(report.applied).toEqual(false);
+      expect(report.failures).toEqual([{ entityKeyIds: [ENTITY_KEY_IDS.added], error, operation: 'update' }]);
+      expect(report.added).toHaveLength(1);
+      expect(report.changed).toHaveLength(1);
+      expect(mockAxiosInstances[DATA_API].put).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[DATA_API].put.mock.calls[1][1]).toHaveProperty(ENTITY_KEY_IDS.changed);
+      expect(mockAxiosInstances[DATA_API].delete).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only compute the changes with "planOnly"', async () => {
+
+      const report = await Sync.syncEntitySet(MOCK_ESID, DESIRED_ENTITIES, { planOnly: true });
+      expect(report.applied).toEqual(false);
+      expect(report.added).toHaveLength(1);
+      expect(report.removed).toEqual([ENTITY_KEY_IDS.removed]);
+      expect(mockAxiosInstances[DATA_API].put).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[DATA_API].delete).not.toHaveBeenCalled();
+    });
+
+    test('should reject with a LatticeValidationError, without writing, when given invalid parameters', async () => {
+
+      const invalid = [
+        ['', DESIRED_ENTITIES],
+        [MOCK_ESID, []],
+        [MOCK_ESID, { added: ['New Person'] }],
+        [MOCK_ESID, { added: { 'general.unknown': ['value'] } }],
+        [MOCK_ESID, DESIRED_ENTITIES, { chunkSize: 0 }],
+        [MOCK_ESID, DESIRED_ENTITIES, { deleteType: 'invalid' }],
+        [MOCK_ESID, DESIRED_ENTITIES, { planOnly: 'true' }],
+        [MOCK_ESID, DESIRED_ENTITIES, { updateType: UpdateTypes.MERGE }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(Sync.syncEntitySet(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[DATA_API].put).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[DATA_API].delete).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
@@ -0,0 +1,35 @@
+/*
+ * @flow
+ */
+
+import { runIntegration } from './IntegrationUtils';
+import { syncEntitySet } from './SyncUtils';
+import { parseCSV } from '../utils/CSVUtils';
+
+export type {
+  IntegrationFailure,
+  IntegrationOptions,
+  IntegrationResult,
+  IntegrationWrites,
+} from './IntegrationUtils';
+
+export type {
+  AssociationDefinition,
+  EntityDefinition,
+  IntegrationMapping,
+  PropertyDefinition,
+  Transform,
+} from './MappingUtils';
+
+export type {
+  SyncChange,
+  SyncFailure,
+  SyncOptions,
+  SyncReport,
+} from './SyncUtils';
+
+export {
+  parseCSV,
+  runIntegration,
+  syncEntitySet,
+};
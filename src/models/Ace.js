@@ -16,29 +16,37 @@ import type { PrincipalObject } from './Principal';
 
 import Logger from '../utils/Logger';
 import { PermissionTypes } from '../constants/types';
-import { isDefined } from '../utils/LangUtils';
+import { isDefined, isEmptyString, isNonEmptyString } from '../utils/LangUtils';
 import { isValidModel } from '../utils/ValidationUtils';
 import type { PermissionType } from '../constants/types/PermissionTypes';
 
 const LOG = new Logger('Ace');
 
 type AceObject = {|
+  expirationDate ?:string;
   principal :PrincipalObject;
   permissions :PermissionType[];
 |};
 
 class Ace {
 
+  expirationDate :?string;
   permissions :PermissionType[];
   principal :Principal;
 
   constructor(ace :{
+    expirationDate :?string;
     permissions :PermissionType[];
     principal :Principal;
   }) {
 
     this.principal = ace.principal;
     this.permissions = ace.permissions;
+
+    // optional properties
+    if (isDefined(ace.expirationDate)) {
+      this.expirationDate = ace.expirationDate;
+    }
   }
 
   toImmutable() :Map<*, *> {
@@ -53,6 +61,11 @@ class Ace {
       principal: this.principal.toObject(),
     };
 
+    // optional properties
+    if (isDefined(this.expirationDate)) {
+      aceObj.expirationDate = this.expirationDate;
+    }
+
     return aceObj;
   }
 
@@ -64,21 +77,38 @@ class Ace {
 
 class AceBuilder {
 
+  expirationDate :?string;
   permissions :PermissionType[];
   principal :Principal;
 
   constructor(value :any) {
 
     if (isImmutable(value)) {
+      this.setExpirationDate(value.get('expirationDate'));
       this.setPermissions(value.get('permissions'));
       this.setPrincipal(value.get('principal'));
     }
     else if (isDefined(value)) {
+      this.setExpirationDate(value.expirationDate);
       this.setPermissions(value.permissions);
       this.setPrincipal(value.principal);
     }
   }
 
+  setExpirationDate(expirationDate :?string) :AceBuilder {
+
+    if (!isDefined(expirationDate) || isEmptyString(expirationDate)) {
+      return this;
+    }
+
+    if (!isNonEmptyString(expirationDate)) {
+      throw new Error('invalid parameter: "expirationDate" must be a non-empty string');
+    }
+
+    this.expirationDate = expirationDate;
+    return this;
+  }
+
   setPermissions(permissions :$ReadOnlyArray<PermissionType>) :AceBuilder {
 
     if (!isDefined(permissions)) {
@@ -117,6 +147,7 @@ class AceBuilder {
     }
 
     return new Ace({
+      expirationDate: this.expirationDate,
       permissions: this.permissions,
       principal: this.principal,
     });
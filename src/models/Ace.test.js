@@ -21,6 +21,11 @@ runTestSuite(
   isValidAce,
   genRandomAce,
   {
+    setExpirationDate: {
+      field: 'expirationDate',
+      isOptional: true,
+      validParams: [ACE_MOCK.expirationDate],
+    },
     setPermissions: {
       field: 'permissions',
       isOptional: true,
@@ -0,0 +1,279 @@
+/*
+ * @flow
+ */
+
+import {
+  Map,
+  fromJS,
+  isCollection,
+  isImmutable,
+} from 'immutable';
+
+import Logger from '../utils/Logger';
+import { isDefined, isEmptyString } from '../utils/LangUtils';
+import { isValidModel, isValidOrEmptyMultimap, isValidUUID } from '../utils/ValidationUtils';
+import type { UUID } from '../types';
+
+const LOG = new Logger('DataAssociation');
+
+/*
+ * an association in a DataGraph. each end is either an entity in the same DataGraph, given by its index in the list of
+ * entities of its entity set, or an existing entity, given by its entity key id.
+ */
+type DataAssociationObject = {|
+  data :Object;
+  dstEntityIndex ?:number;
+  dstEntityKeyId ?:UUID;
+  dstEntitySetId :UUID;
+  srcEntityIndex ?:number;
+  srcEntityKeyId ?:UUID;
+  srcEntitySetId :UUID;
+|};
+
+function isValidEntityIndex(value :any) :boolean {
+
+  return Number.isInteger(value) && value >= 0;
+}
+
+class DataAssociation {
+
+  data :Object;
+  dstEntityIndex :?number;
+  dstEntityKeyId :?UUID;
+  dstEntitySetId :UUID;
+  srcEntityIndex :?number;
+  srcEntityKeyId :?UUID;
+  srcEntitySetId :UUID;
+
+  constructor(dataAssociation :{
+    data :Object;
+    dstEntityIndex ?:?number;
+    dstEntityKeyId ?:?UUID;
+    dstEntitySetId :UUID;
+    srcEntityIndex ?:?number;
+    srcEntityKeyId ?:?UUID;
+    srcEntitySetId :UUID;
+  }) {
+
+    this.data = dataAssociation.data;
+    this.dstEntityIndex = dataAssociation.dstEntityIndex;
+    this.dstEntityKeyId = dataAssociation.dstEntityKeyId;
+    this.dstEntitySetId = dataAssociation.dstEntitySetId;
+    this.srcEntityIndex = dataAssociation.srcEntityIndex;
+    this.srcEntityKeyId = dataAssociation.srcEntityKeyId;
+    this.srcEntitySetId = dataAssociation.srcEntitySetId;
+  }
+
+  toImmutable() :Map<*, *> {
+
+    return fromJS(this.toObject());
+  }
+
+  toObject() :DataAssociationObject {
+
+    // required properties
+    const dataAssociationObj :DataAssociationObject = {
+      data: this.data,
+      dstEntitySetId: this.dstEntitySetId,
+      srcEntitySetId: this.srcEntitySetId,
+    };
+
+    // optional properties
+    if (isDefined(this.dstEntityIndex)) {
+      dataAssociationObj.dstEntityIndex = this.dstEntityIndex;
+    }
+
+    if (isDefined(this.dstEntityKeyId)) {
+      dataAssociationObj.dstEntityKeyId = this.dstEntityKeyId;
+    }
+
+    if (isDefined(this.srcEntityIndex)) {
+      dataAssociationObj.srcEntityIndex = this.srcEntityIndex;
+    }
+
+    if (isDefined(this.srcEntityKeyId)) {
+      dataAssociationObj.srcEntityKeyId = this.srcEntityKeyId;
+    }
+
+    return dataAssociationObj;
+  }
+
+  valueOf() :number {
+
+    return this.toImmutable().hashCode();
+  }
+}
+
+class DataAssociationBuilder {
+
+  data :Object;
+  dstEntityIndex :?number;
+  dstEntityKeyId :?UUID;
+  dstEntitySetId :UUID;
+  srcEntityIndex :?number;
+  srcEntityKeyId :?UUID;
+  srcEntitySetId :UUID;
+
+  constructor(value :any) {
+
+    if (isImmutable(value)) {
+      this.setData(value.get('data'));
+      this.setDstEntityIndex(value.get('dstEntityIndex'));
+      this.setDstEntityKeyId(value.get('dstEntityKeyId'));
+      this.setDstEntitySetId(value.get('dstEntitySetId'));
+      this.setSrcEntityIndex(value.get('srcEntityIndex'));
+      this.setSrcEntityKeyId(value.get('srcEntityKeyId'));
+      this.setSrcEntitySetId(value.get('srcEntitySetId'));
+    }
+    else if (isDefined(value)) {
+      this.setData(value.data);
+      this.setDstEntityIndex(value.dstEntityIndex);
+      this.setDstEntityKeyId(value.dstEntityKeyId);
+      this.setDstEntitySetId(value.dstEntitySetId);
+      this.setSrcEntityIndex(value.srcEntityIndex);
+      this.setSrcEntityKeyId(value.srcEntityKeyId);
+      this.setSrcEntitySetId(value.srcEntitySetId);
+    }
+  }
+
+  setData(data :?Object) :DataAssociationBuilder {
+
+    if (!isDefined(data)) {
+      return this;
+    }
+
+    let theData = data;
+    if (isCollection(data)) {
+      // $FlowFixMe
+      theData = data.toJS();
+    }
+
+    if (!isValidOrEmptyMultimap(theData, isValidUUID)) {
+      throw new Error('invalid parameter: "data" must be an object mapping PropertyType ids to arrays of values');
+    }
+
+    this.data = theData;
+    return this;
+  }
+
+  setDstEntityIndex(dstEntityIndex :?number) :DataAssociationBuilder {
+
+    if (!isDefined(dstEntityIndex)) {
+      return this;
+    }
+
+    if (!isValidEntityIndex(dstEntityIndex)) {
+      throw new Error('invalid parameter: "dstEntityIndex" must be a non-negative integer');
+    }
+
+    this.dstEntityIndex = dstEntityIndex;
+    return this;
+  }
+
+  setDstEntityKeyId(dstEntityKeyId :?UUID) :DataAssociationBuilder {
+
+    if (!isDefined(dstEntityKeyId) || isEmptyString(dstEntityKeyId)) {
+      return this;
+    }
+
+    if (!isValidUUID(dstEntityKeyId)) {
+      throw new Error('invalid parameter: "dstEntityKeyId" must be a valid UUID');
+    }
+
+    this.dstEntityKeyId = dstEntityKeyId;
+    return this;
+  }
+
+  setDstEntitySetId(dstEntitySetId :UUID) :DataAssociationBuilder {
+
+    if (!isValidUUID(dstEntitySetId)) {
+      throw new Error('invalid parameter: "dstEntitySetId" must be a valid UUID');
+    }
+
+    this.dstEntitySetId = dstEntitySetId;
+    return this;
+  }
+
+  setSrcEntityIndex(srcEntityIndex :?number) :DataAssociationBuilder {
+
+    if (!isDefined(srcEntityIndex)) {
+      return this;
+    }
+
+    if (!isValidEntityIndex(srcEntityIndex)) {
+      throw new Error('invalid parameter: "srcEntityIndex" must be a non-negative integer');
+    }
+
+    this.srcEntityIndex = srcEntityIndex;
+    return this;
+  }
+
+  setSrcEntityKeyId(srcEntityKeyId :?UUID) :DataAssociationBuilder {
+
+    if (!isDefined(srcEntityKeyId) || isEmptyString(srcEntityKeyId)) {
+      return this;
+    }
+
+    if (!isValidUUID(srcEntityKeyId)) {
+      throw new Error('invalid parameter: "srcEntityKeyId" must be a valid UUID');
+    }
+
+    this.srcEntityKeyId = srcEntityKeyId;
+    return this;
+  }
+
+  setSrcEntitySetId(srcEntitySetId :UUID) :DataAssociationBuilder {
+
+    if (!isValidUUID(srcEntitySetId)) {
+      throw new Error('invalid parameter: "srcEntitySetId" must be a valid UUID');
+    }
+
+    this.srcEntitySetId = srcEntitySetId;
+    return this;
+  }
+
+  build() :DataAssociation {
+
+    if (!this.data) {
+      this.data = {};
+    }
+
+    if (!this.dstEntitySetId) {
+      throw new Error('missing property: "dstEntitySetId" is a required property');
+    }
+
+    if (!isDefined(this.dstEntityIndex) && !isDefined(this.dstEntityKeyId)) {
+      throw new Error('missing property: either "dstEntityIndex" or "dstEntityKeyId" is required');
+    }
+
+    if (!this.srcEntitySetId) {
+      throw new Error('missing property: "srcEntitySetId" is a required property');
+    }
+
+    if (!isDefined(this.srcEntityIndex) && !isDefined(this.srcEntityKeyId)) {
+      throw new Error('missing property: either "srcEntityIndex" or "srcEntityKeyId" is required');
+    }
+
+    return new DataAssociation({
+      data: this.data,
+      dstEntityIndex: this.dstEntityIndex,
+      dstEntityKeyId: this.dstEntityKeyId,
+      dstEntitySetId: this.dstEntitySetId,
+      srcEntityIndex: this.srcEntityIndex,
+      srcEntityKeyId: this.srcEntityKeyId,
+      srcEntitySetId: this.srcEntitySetId,
+    });
+  }
+}
+
+const isValidDataAssociation = (value :any) :boolean => isValidModel(value, DataAssociationBuilder, LOG);
+
+export {
+  DataAssociation,
+  DataAssociationBuilder,
+  isValidDataAssociation,
+};
+
+export type {
+  DataAssociationObject,
+};
@@ -0,0 +1,87 @@
+/*
+ * @flow
+ */
+
+import {
+  DataAssociation,
+  DataAssociationBuilder,
+  isValidDataAssociation,
+} from './DataAssociation';
+
+import { DATA_ASSOCIATION_MOCK, genRandomDataAssociation } from '../utils/testing/MockData';
+import { runTestSuite } from '../utils/testing/ModelTestSuite';
+
+runTestSuite(
+  DataAssociation,
+  DataAssociationBuilder,
+  DATA_ASSOCIATION_MOCK,
+  isValidDataAssociation,
+  genRandomDataAssociation,
+  {
+    setData: {
+      field: 'data',
+      isOptional: true,
+      validParams: [DATA_ASSOCIATION_MOCK.data],
+    },
+    setDstEntityIndex: {
+      field: 'dstEntityIndex',
+      isOptional: true,
+      validParams: [DATA_ASSOCIATION_MOCK.dstEntityIndex],
+    },
+    setDstEntityKeyId: {
+      field: 'dstEntityKeyId',
+      isOptional: true,
+      validParams: [DATA_ASSOCIATION_MOCK.dstEntityKeyId],
+    },
+    setDstEntitySetId: {
+      field: 'dstEntitySetId',
+      validParams: [DATA_ASSOCIATION_MOCK.dstEntitySetId],
+    },
+    setSrcEntityIndex: {
+      field: 'srcEntityIndex',
+      isOptional: true,
+      validParams: [DATA_ASSOCIATION_MOCK.srcEntityIndex],
+    },
+    setSrcEntityKeyId: {
+      field: 'srcEntityKeyId',
+      isOptional: true,
+      validParams: [DATA_ASSOCIATION_MOCK.srcEntityKeyId],
+    },
+    setSrcEntitySetId: {
+      field: 'srcEntitySetId',
+      validParams: [DATA_ASSOCIATION_MOCK.srcEntitySetId],
+    },
+  }
+);
+
+describe('DataAssociation', () => {
+
+  test('should require an entity index or an entity key id for each end', () => {
+    const { dstEntitySetId, srcEntitySetId } = DATA_ASSOCIATION_MOCK;
+    expect(isValidDataAssociation({ dstEntitySetId, srcEntitySetId, srcEntityIndex: 0 })).toEqual(false);
+    expect(isValidDataAssociation({ dstEntitySetId, srcEntitySetId, dstEntityIndex: 0 })).toEqual(false);
+    expect(isValidDataAssociation({
+      dstEntityKeyId: DATA_ASSOCIATION_MOCK.dstEntityKeyId,
+      dstEntitySetId,
+      srcEntityIndex: 0,
+      srcEntitySetId,
+    })).toEqual(true);
+  });
+
+  test('should only serialize the ends that are set', () => {
+    const dataAssociation = (new DataAssociationBuilder())
+      .setDstEntityIndex(0)
+      .setDstEntitySetId(DATA_ASSOCIATION_MOCK.dstEntitySetId)
+      .setSrcEntityKeyId(DATA_ASSOCIATION_MOCK.srcEntityKeyId)
+      .setSrcEntitySetId(DATA_ASSOCIATION_MOCK.srcEntitySetId)
+      .build();
+    expect(dataAssociation.toObject()).toEqual({
+      data: {},
+      dstEntityIndex: 0,
+      dstEntitySetId: DATA_ASSOCIATION_MOCK.dstEntitySetId,
+      srcEntityKeyId: DATA_ASSOCIATION_MOCK.srcEntityKeyId,
+      srcEntitySetId: DATA_ASSOCIATION_MOCK.srcEntitySetId,
+    });
+  });
+
+});
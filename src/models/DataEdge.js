@@ -0,0 +1,150 @@
+/*
+ * @flow
+ */
+
+import {
+  Map,
+  fromJS,
+  isCollection,
+  isImmutable,
+} from 'immutable';
+
+import { EntityDataKey, EntityDataKeyBuilder } from './EntityDataKey';
+import type { EntityDataKeyObject } from './EntityDataKey';
+
+import Logger from '../utils/Logger';
+import { isDefined } from '../utils/LangUtils';
+import { isValidModel, isValidOrEmptyMultimap, isValidUUID } from '../utils/ValidationUtils';
+
+const LOG = new Logger('DataEdge');
+
+type DataEdgeObject = {|
+  data :Object;
+  dst :EntityDataKeyObject;
+  src :EntityDataKeyObject;
+|};
+
+class DataEdge {
+
+  data :Object;
+  dst :EntityDataKey;
+  src :EntityDataKey;
+
+  constructor(dataEdge :{
+    data :Object;
+    dst :EntityDataKey;
+    src :EntityDataKey;
+  }) {
+
+    this.data = dataEdge.data;
+    this.dst = dataEdge.dst;
+    this.src = dataEdge.src;
+  }
+
+  toImmutable() :Map<*, *> {
+
+    return fromJS(this.toObject());
+  }
+
+  toObject() :DataEdgeObject {
+
+    const dataEdgeObj :DataEdgeObject = {
+      data: this.data,
+      dst: this.dst.toObject(),
+      src: this.src.toObject(),
+    };
+
+    return dataEdgeObj;
+  }
+
+  valueOf() :number {
+
+    return this.toImmutable().hashCode();
+  }
+}
+
+class DataEdgeBuilder {
+
+  data :Object;
+  dst :EntityDataKey;
+  src :EntityDataKey;
+
+  constructor(value :any) {
+
+    if (isImmutable(value)) {
+      this.setData(value.get('data'));
+      this.setDst(value.get('dst'));
+      this.setSrc(value.get('src'));
+    }
+    else if (isDefined(value)) {
+      this.setData(value.data);
+      this.setDst(value.dst);
+      this.setSrc(value.src);
+    }
+  }
+
+  setData(data :?Object) :DataEdgeBuilder {
+
+    if (!isDefined(data)) {
+      return this;
+    }
+
+    let theData = data;
+    if (isCollection(data)) {
+      // $FlowFixMe
+      theData = data.toJS();
+    }
+
+    if (!isValidOrEmptyMultimap(theData, isValidUUID)) {
+      throw new Error('invalid parameter: "data" must be an object mapping PropertyType ids to arrays of values');
+    }
+
+    this.data = theData;
+    return this;
+  }
+
+  setDst(dst :EntityDataKey | EntityDataKeyObject) :DataEdgeBuilder {
+
+    this.dst = (new EntityDataKeyBuilder(dst)).build();
+    return this;
+  }
+
+  setSrc(src :EntityDataKey | EntityDataKeyObject) :DataEdgeBuilder {
+
+    this.src = (new EntityDataKeyBuilder(src)).build();
+    return this;
+  }
+
+  build() :DataEdge {
+
+    if (!this.data) {
+      this.data = {};
+    }
+
+    if (!this.dst) {
+      throw new Error('missing property: "dst" is a required property');
+    }
+
+    if (!this.src) {
+      throw new Error('missing property: "src" is a required property');
+    }
+
+    return new DataEdge({
+      data: this.data,
+      dst: this.dst,
+      src: this.src,
+    });
+  }
+}
+
+const isValidDataEdge = (value :any) :boolean => isValidModel(value, DataEdgeBuilder, LOG);
+
+export {
+  DataEdge,
+  DataEdgeBuilder,
+  isValidDataEdge,
+};
+
+export type {
+  DataEdgeObject,
+};
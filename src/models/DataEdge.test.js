@@ -0,0 +1,35 @@
+/*
+ * @flow
+ */
+
+import {
+  DataEdge,
+  DataEdgeBuilder,
+  isValidDataEdge,
+} from './DataEdge';
+
+import { DATA_EDGE_MOCK, genRandomDataEdge } from '../utils/testing/MockData';
+import { runTestSuite } from '../utils/testing/ModelTestSuite';
+
+runTestSuite(
+  DataEdge,
+  DataEdgeBuilder,
+  DATA_EDGE_MOCK,
+  isValidDataEdge,
+  genRandomDataEdge,
+  {
+    setData: {
+      field: 'data',
+      isOptional: true,
+      validParams: [DATA_EDGE_MOCK.data],
+    },
+    setDst: {
+      field: 'dst',
+      validParams: [DATA_EDGE_MOCK.dst, DATA_EDGE_MOCK.dst.toObject()],
+    },
+    setSrc: {
+      field: 'src',
+      validParams: [DATA_EDGE_MOCK.src, DATA_EDGE_MOCK.src.toObject()],
+    },
+  }
+);
@@ -10,6 +10,7 @@ import {
 } from 'immutable';
 
 import Logger from '../utils/Logger';
+import { DataAssociationBuilder } from './DataAssociation';
 import { isDefined } from '../utils/LangUtils';
 import {
   isValidModel,
@@ -17,6 +18,7 @@ import {
   isValidOrEmptyMultimap,
   isValidUUID,
 } from '../utils/ValidationUtils';
+import type { UUID } from '../types';
 
 const LOG = new Logger('DataGraph');
 
@@ -83,8 +85,6 @@ class DataGraphBuilder {
       return this;
     }
 
-    // TODO: still need to validate that associations are valid DataAssociation objects
-
     let theAssociations = associations;
     if (isCollection(associations)) {
       // $FlowFixMe
@@ -95,7 +95,19 @@ class DataGraphBuilder {
       throw new Error('invalid parameter: "associations" must be a non-empty object where all values are multimaps');
     }
 
-    this.associations = theAssociations;
+    const validatedAssociations = {};
+    Object.keys(theAssociations).forEach((entitySetId :UUID) => {
+      try {
+        validatedAssociations[entitySetId] = theAssociations[entitySetId].map(
+          (association) => (new DataAssociationBuilder(association)).build().toObject()
+        );
+      }
+      catch (e) {
+        throw new Error('invalid parameter: "associations" must map entity set ids to arrays of DataAssociations');
+      }
+    });
+
+    this.associations = validatedAssociations;
     return this;
   }
 
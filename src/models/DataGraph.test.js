@@ -29,3 +29,28 @@ runTestSuite(
     },
   }
 );
+
+describe('DataGraphBuilder', () => {
+
+  describe('setAssociations()', () => {
+
+    const [entitySetId] = Object.keys(DATA_GRAPH_MOCK.associations);
+    const [association] = DATA_GRAPH_MOCK.associations[entitySetId];
+
+    test('should throw when an association is not a valid DataAssociation', () => {
+      const { srcEntityIndex, ...noSrcEntity } = association;
+      [
+        noSrcEntity,
+        { ...association, dstEntitySetId: 'invalid' },
+        { ...association, srcEntityIndex: -1 },
+        { ...association, data: [] },
+      ].forEach((invalidAssociation) => {
+        expect(() => {
+          (new DataGraphBuilder()).setAssociations({ [entitySetId]: [invalidAssociation] });
+        }).toThrow();
+      });
+    });
+
+  });
+
+});
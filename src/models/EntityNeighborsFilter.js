@@ -0,0 +1,235 @@
+/*
+ * @flow
+ */
+
+import isArray from 'lodash/isArray';
+import {
+  Map,
+  OrderedSet,
+  fromJS,
+  isCollection,
+  isImmutable,
+} from 'immutable';
+
+import Logger from '../utils/Logger';
+import {
+  DESTINATION,
+  EDGE,
+  ENTITY_KEY_IDS,
+  SOURCE,
+} from '../constants/SerializationConstants';
+import { isDefined } from '../utils/LangUtils';
+import { isValidModel, isValidUUID } from '../utils/ValidationUtils';
+import type { UUID } from '../types';
+
+const LOG = new Logger('EntityNeighborsFilter');
+
+type EntityNeighborsFilterObject = {|
+  destinationEntitySetIds ?:UUID[];
+  edgeEntitySetIds ?:UUID[];
+  entityKeyIds :UUID[];
+  sourceEntitySetIds ?:UUID[];
+|};
+
+// the filter as the backend expects it, where the optional entity set ids are keyed by "dst", "edge", and "src"
+type EntityNeighborsFilterRequest = {|
+  dst ?:UUID[];
+  edge ?:UUID[];
+  entityKeyIds :UUID[];
+  src ?:UUID[];
+|};
+
+function toUUIDSet(name :string, value :$ReadOnlyArray<UUID>, allowEmpty :boolean) :UUID[] {
+
+  if (!isArray(value) && !isCollection(value)) {
+    throw new Error(`invalid parameter: "${name}" must be an array`);
+  }
+
+  const set = OrderedSet(value);
+  if (!allowEmpty && set.isEmpty()) {
+    throw new Error(`invalid parameter: "${name}" must be a non-empty array of UUIDs`);
+  }
+
+  if (!set.every(isValidUUID)) {
+    throw new Error(`invalid parameter: "${name}" must be an array of UUIDs`);
+  }
+
+  return set.toJS();
+}
+
+/**
+ * Selects the neighbors of the given entities, optionally only those that are connected through an association
+ * (edge) from one of the given entity sets, or that are the source or destination of such an association.
+ */
+class EntityNeighborsFilter {
+
+  destinationEntitySetIds :?UUID[];
+  edgeEntitySetIds :?UUID[];
+  entityKeyIds :UUID[];
+  sourceEntitySetIds :?UUID[];
+
+  constructor(entityNeighborsFilter :{
+    destinationEntitySetIds :?UUID[];
+    edgeEntitySetIds :?UUID[];
+    entityKeyIds :UUID[];
+    sourceEntitySetIds :?UUID[];
+  }) {
+
+    // required properties
+    this.entityKeyIds = entityNeighborsFilter.entityKeyIds;
+
+    // optional properties
+    if (isDefined(entityNeighborsFilter.destinationEntitySetIds)) {
+      this.destinationEntitySetIds = entityNeighborsFilter.destinationEntitySetIds;
+    }
+
+    if (isDefined(entityNeighborsFilter.edgeEntitySetIds)) {
+      this.edgeEntitySetIds = entityNeighborsFilter.edgeEntitySetIds;
+    }
+
+    if (isDefined(entityNeighborsFilter.sourceEntitySetIds)) {
+      this.sourceEntitySetIds = entityNeighborsFilter.sourceEntitySetIds;
+    }
+  }
+
+  toImmutable() :Map<*, *> {
+
+    return fromJS(this.toObject());
+  }
+
+  toObject() :EntityNeighborsFilterObject {
+
+    // required properties
+    const entityNeighborsFilterObj :EntityNeighborsFilterObject = {
+      entityKeyIds: this.entityKeyIds,
+    };
+
+    // optional properties
+    if (isDefined(this.destinationEntitySetIds)) {
+      entityNeighborsFilterObj.destinationEntitySetIds = this.destinationEntitySetIds;
+    }
+
+    if (isDefined(this.edgeEntitySetIds)) {
+      entityNeighborsFilterObj.edgeEntitySetIds = this.edgeEntitySetIds;
+    }
+
+    if (isDefined(this.sourceEntitySetIds)) {
+      entityNeighborsFilterObj.sourceEntitySetIds = this.sourceEntitySetIds;
+    }
+
+    return entityNeighborsFilterObj;
+  }
+
+  toRequestObject() :EntityNeighborsFilterRequest {
+
+    const request :EntityNeighborsFilterRequest = {
+      [ENTITY_KEY_IDS]: this.entityKeyIds,
+    };
+
+    if (isDefined(this.destinationEntitySetIds)) {
+      request[DESTINATION] = this.destinationEntitySetIds;
+    }
+
+    if (isDefined(this.edgeEntitySetIds)) {
+      request[EDGE] = this.edgeEntitySetIds;
+    }
+
+    if (isDefined(this.sourceEntitySetIds)) {
+      request[SOURCE] = this.sourceEntitySetIds;
+    }
+
+    return request;
+  }
+
+  valueOf() :number {
+
+    return this.toImmutable().hashCode();
+  }
+}
+
+class EntityNeighborsFilterBuilder {
+
+  destinationEntitySetIds :?UUID[];
+  edgeEntitySetIds :?UUID[];
+  entityKeyIds :UUID[];
+  sourceEntitySetIds :?UUID[];
+
+  constructor(value :any) {
+
+    if (isImmutable(value)) {
+      this.setDestinationEntitySetIds(value.get('destinationEntitySetIds'));
+      this.setEdgeEntitySetIds(value.get('edgeEntitySetIds'));
+      this.setEntityKeyIds(value.get('entityKeyIds'));
+      this.setSourceEntitySetIds(value.get('sourceEntitySetIds'));
+    }
+    else if (isDefined(value)) {
+      this.setDestinationEntitySetIds(value.destinationEntitySetIds);
+      this.setEdgeEntitySetIds(value.edgeEntitySetIds);
+      this.setEntityKeyIds(value.entityKeyIds);
+      this.setSourceEntitySetIds(value.sourceEntitySetIds);
+    }
+  }
+
+  setDestinationEntitySetIds(destinationEntitySetIds :?$ReadOnlyArray<UUID>) :EntityNeighborsFilterBuilder {
+
+    if (!isDefined(destinationEntitySetIds)) {
+      return this;
+    }
+
+    this.destinationEntitySetIds = toUUIDSet('destinationEntitySetIds', destinationEntitySetIds, true);
+    return this;
+  }
+
+  setEdgeEntitySetIds(edgeEntitySetIds :?$ReadOnlyArray<UUID>) :EntityNeighborsFilterBuilder {
+
+    if (!isDefined(edgeEntitySetIds)) {
+      return this;
+    }
+
+    this.edgeEntitySetIds = toUUIDSet('edgeEntitySetIds', edgeEntitySetIds, true);
+    return this;
+  }
+
+  setEntityKeyIds(entityKeyIds :$ReadOnlyArray<UUID>) :EntityNeighborsFilterBuilder {
+
+    this.entityKeyIds = toUUIDSet('entityKeyIds', entityKeyIds, false);
+    return this;
+  }
+
+  setSourceEntitySetIds(sourceEntitySetIds :?$ReadOnlyArray<UUID>) :EntityNeighborsFilterBuilder {
+
+    if (!isDefined(sourceEntitySetIds)) {
+      return this;
+    }
+
+    this.sourceEntitySetIds = toUUIDSet('sourceEntitySetIds', sourceEntitySetIds, true);
+    return this;
+  }
+
+  build() :EntityNeighborsFilter {
+
+    if (!this.entityKeyIds) {
+      throw new Error('missing property: "entityKeyIds" is a required property');
+    }
+
+    return new EntityNeighborsFilter({
+      destinationEntitySetIds: this.destinationEntitySetIds,
+      edgeEntitySetIds: this.edgeEntitySetIds,
+      entityKeyIds: this.entityKeyIds,
+      sourceEntitySetIds: this.sourceEntitySetIds,
+    });
+  }
+}
+
+const isValidEntityNeighborsFilter = (value :any) :boolean => isValidModel(value, EntityNeighborsFilterBuilder, LOG);
+
+export {
+  EntityNeighborsFilter,
+  EntityNeighborsFilterBuilder,
+  isValidEntityNeighborsFilter,
+};
+
+export type {
+  EntityNeighborsFilterObject,
+  EntityNeighborsFilterRequest,
+};
@@ -0,0 +1,79 @@
+/*
+ * @flow
+ */
+
+import {
+  EntityNeighborsFilter,
+  EntityNeighborsFilterBuilder,
+  isValidEntityNeighborsFilter,
+} from './EntityNeighborsFilter';
+
+import { ENTITY_NEIGHBORS_FILTER_MOCK, genRandomEntityNeighborsFilter } from '../utils/testing/MockData';
+import { runTestSuite } from '../utils/testing/ModelTestSuite';
+
+runTestSuite(
+  EntityNeighborsFilter,
+  EntityNeighborsFilterBuilder,
+  ENTITY_NEIGHBORS_FILTER_MOCK,
+  isValidEntityNeighborsFilter,
+  genRandomEntityNeighborsFilter,
+  {
+    setDestinationEntitySetIds: {
+      field: 'destinationEntitySetIds',
+      isOptional: true,
+      validParams: [ENTITY_NEIGHBORS_FILTER_MOCK.destinationEntitySetIds],
+    },
+    setEdgeEntitySetIds: {
+      field: 'edgeEntitySetIds',
+      isOptional: true,
+      validParams: [ENTITY_NEIGHBORS_FILTER_MOCK.edgeEntitySetIds],
+    },
+    setEntityKeyIds: {
+      field: 'entityKeyIds',
+      validParams: [ENTITY_NEIGHBORS_FILTER_MOCK.entityKeyIds],
+    },
+    setSourceEntitySetIds: {
+      field: 'sourceEntitySetIds',
+      isOptional: true,
+      validParams: [ENTITY_NEIGHBORS_FILTER_MOCK.sourceEntitySetIds],
+    },
+  }
+);
+
+describe('EntityNeighborsFilter', () => {
+
+  describe('toRequestObject()', () => {
+
+    test('should key the entity set ids by "dst", "edge", and "src"', () => {
+      expect(ENTITY_NEIGHBORS_FILTER_MOCK.toRequestObject()).toEqual({
+        dst: ENTITY_NEIGHBORS_FILTER_MOCK.destinationEntitySetIds,
+        edge: ENTITY_NEIGHBORS_FILTER_MOCK.edgeEntitySetIds,
+        entityKeyIds: ENTITY_NEIGHBORS_FILTER_MOCK.entityKeyIds,
+        src: ENTITY_NEIGHBORS_FILTER_MOCK.sourceEntitySetIds,
+      });
+    });
+
+    test('should only include the entity set ids that have been set', () => {
+      const filter = (new EntityNeighborsFilterBuilder())
+        .setEntityKeyIds(ENTITY_NEIGHBORS_FILTER_MOCK.entityKeyIds)
+        .setSourceEntitySetIds([])
+        .build();
+      expect(filter.toRequestObject()).toEqual({
+        entityKeyIds: ENTITY_NEIGHBORS_FILTER_MOCK.entityKeyIds,
+        src: [],
+      });
+    });
+
+    test('should remove duplicate ids', () => {
+      const [entityKeyId1, entityKeyId2] = ENTITY_NEIGHBORS_FILTER_MOCK.entityKeyIds;
+      const filter = (new EntityNeighborsFilterBuilder())
+        .setEntityKeyIds([entityKeyId1, entityKeyId2, entityKeyId1])
+        .build();
+      expect(filter.toRequestObject()).toEqual({
+        entityKeyIds: [entityKeyId1, entityKeyId2],
+      });
+    });
+
+  });
+
+});
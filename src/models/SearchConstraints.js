@@ -0,0 +1,578 @@
+/*
+ * @flow
+ */
+
+import isArray from 'lodash/isArray';
+import isBoolean from 'lodash/isBoolean';
+import isFinite from 'lodash/isFinite';
+import isPlainObject from 'lodash/isPlainObject';
+import {
+  Map,
+  OrderedSet,
+  fromJS,
+  isCollection,
+  isImmutable,
+} from 'immutable';
+
+import Logger from '../utils/Logger';
+import { SearchConstraintTypes, SortTypes } from '../constants/types';
+import { isDefined, isNonEmptyString, isPositiveInteger } from '../utils/LangUtils';
+import { isValidModel, isValidUUID } from '../utils/ValidationUtils';
+import type { SortType } from '../constants/types';
+import type { UUID } from '../types';
+
+const LOG = new Logger('SearchConstraints');
+
+// the units that the backend accepts for the radius of a geo-distance constraint
+const DISTANCE_UNITS = Object.freeze([
+  'CENTIMETERS',
+  'FEET',
+  'INCH',
+  'KILOMETERS',
+  'METERS',
+  'MILES',
+  'MILLIMETERS',
+  'NAUTICALMILES',
+  'YARDS',
+]);
+
+type AdvancedSearchField = {|
+  exact ?:boolean;
+  property :UUID;
+  searchTerm :string;
+|};
+
+type AdvancedConstraint = {|
+  searchFields :AdvancedSearchField[];
+  type :'advanced';
+|};
+
+type GeoDistanceConstraint = {|
+  latitude :number;
+  longitude :number;
+  propertyTypeId :UUID;
+  radius :number;
+  type :'geoDistance';
+  unit :string;
+|};
+
+// a zone is a polygon, given as a closed ring of [longitude, latitude] points
+type GeoPolygonConstraint = {|
+  propertyTypeId :UUID;
+  type :'geoPolygon';
+  zones :Array<Array<[number, number]>>;
+|};
+
+type SimpleConstraint = {|
+  fuzzy :boolean;
+  searchTerm :string;
+  type :'simple';
+|};
+
+type WriteDateTimeConstraint = {|
+  endTime ?:string;
+  startTime ?:string;
+  type :'writeDateTimeFilter';
+|};
+
+type Constraint =
+  | AdvancedConstraint
+  | GeoDistanceConstraint
+  | GeoPolygonConstraint
+  | SimpleConstraint
+  | WriteDateTimeConstraint;
+
+// "min" is the minimum number of constraints in the group that a hit has to match
+type ConstraintGroup = {|
+  constraints :Constraint[];
+  min :number;
+|};
+
+type SortDefinition = {|
+  isDescending :boolean;
+  latitude ?:number;
+  longitude ?:number;
+  propertyTypeId ?:UUID;
+  sortType :SortType;
+|};
+
+type SearchConstraintsObject = {|
+  constraints :ConstraintGroup[];
+  entitySetIds :UUID[];
+  maxHits :number;
+  sort ?:SortDefinition;
+  start :number;
+|};
+
+function toPlainValue(value :any) :any {
+
+  return isCollection(value) ? value.toJS() : value;
+}
+
+function isValidLatitude(value :any) :boolean {
+
+  return isFinite(value) && value >= -90 && value <= 90;
+}
+
+function isValidLongitude(value :any) :boolean {
+
+  return isFinite(value) && value >= -180 && value <= 180;
+}
+
+function isValidDateTime(value :any) :boolean {
+
+  return isNonEmptyString(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isValidAdvancedSearchField(value :any) :boolean {
+
+  return isPlainObject(value)
+    && isNonEmptyString(value.searchTerm)
+    && isValidUUID(value.property)
+    && (!isDefined(value.exact) || isBoolean(value.exact));
+}
+
+function isValidZone(value :any) :boolean {
+
+  return isArray(value)
+    && value.length >= 3
+    && value.every((point) => (
+      isArray(point) && point.length === 2 && isValidLongitude(point[0]) && isValidLatitude(point[1])
+    ));
+}
+
+function isValidConstraint(value :any) :boolean {
+
+  if (!isPlainObject(value)) {
+    return false;
+  }
+
+  switch (value.type) {
+    case SearchConstraintTypes.ADVANCED:
+      return isArray(value.searchFields)
+        && value.searchFields.length > 0
+        && value.searchFields.every(isValidAdvancedSearchField);
+    case SearchConstraintTypes.GEO_DISTANCE:
+      return isValidUUID(value.propertyTypeId)
+        && isValidLatitude(value.latitude)
+        && isValidLongitude(value.longitude)
+        && isFinite(value.radius)
+        && value.radius > 0
+        && DISTANCE_UNITS.includes(value.unit);
+    case SearchConstraintTypes.GEO_POLYGON:
+      return isValidUUID(value.propertyTypeId)
+        && isArray(value.zones)
+        && value.zones.length > 0
+        && value.zones.every(isValidZone);
+    case SearchConstraintTypes.SIMPLE:
+      return isNonEmptyString(value.searchTerm) && isBoolean(value.fuzzy);
+    case SearchConstraintTypes.WRITE_DATE_TIME_FILTER:
+      return (isDefined(value.startTime) || isDefined(value.endTime))
+        && (!isDefined(value.startTime) || isValidDateTime(value.startTime))
+        && (!isDefined(value.endTime) || isValidDateTime(value.endTime));
+    default:
+      return false;
+  }
+}
+
+function isValidConstraintGroup(value :any) :boolean {
+
+  return isPlainObject(value)
+    && isArray(value.constraints)
+    && value.constraints.length > 0
+    && value.constraints.every(isValidConstraint)
+    && isPositiveInteger(value.min)
+    && value.min <= value.constraints.length;
+}
+
+function isValidSortDefinition(value :any) :boolean {
+
+  if (!isPlainObject(value) || !isBoolean(value.isDescending)) {
+    return false;
+  }
+
+  switch (value.sortType) {
+    case SortTypes.FIELD:
+      return isValidUUID(value.propertyTypeId);
+    case SortTypes.GEO_DISTANCE:
+      return isValidUUID(value.propertyTypeId) && isValidLatitude(value.latitude) && isValidLongitude(value.longitude);
+    case SortTypes.SCORE:
+      return true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * The payload of `SearchApi.searchEntitySetData()`, and of the "constraints" of a persistent search. Every constraint
+ * group has to match, and a constraint group matches when at least "min" of its constraints match.
+ *
+ * @example
+ * const searchConstraints = (new SearchConstraintsBuilder())
+ *   .setEntitySetIds(["8975812d-0325-4934-83a9-5b41bebd4c67"])
+ *   .setMaxHits(100)
+ *   .addConstraintGroup([
+ *     SearchConstraintsBuilder.simpleConstraint("43a6df96-1cb8-4daa-9a82-f9361b8777c7:\"7RMF622\""),
+ *     SearchConstraintsBuilder.simpleConstraint("43a6df96-1cb8-4daa-9a82-f9361b8777c7:\"7RMF623\""),
+ *   ])
+ *   .setSort(SearchConstraintsBuilder.fieldSort("43a6df96-1cb8-4daa-9a82-f9361b8777c7", true))
+ *   .build();
+ *
+ * SearchApi.searchEntitySetData(searchConstraints.toObject());
+ */
+class SearchConstraints {
+
+  constraints :ConstraintGroup[];
+  entitySetIds :UUID[];
+  maxHits :number;
+  sort :?SortDefinition;
+  start :number;
+
+  constructor(searchConstraints :{
+    constraints :ConstraintGroup[];
+    entitySetIds :UUID[];
+    maxHits :number;
+    sort :?SortDefinition;
+    start :number;
+  }) {
+
+    // required properties
+    this.constraints = searchConstraints.constraints;
+    this.entitySetIds = searchConstraints.entitySetIds;
+    this.maxHits = searchConstraints.maxHits;
+    this.start = searchConstraints.start;
+
+    // optional properties
+    if (isDefined(searchConstraints.sort)) {
+      this.sort = searchConstraints.sort;
+    }
+  }
+
+  toImmutable() :Map<*, *> {
+
+    return fromJS(this.toObject());
+  }
+
+  toObject() :SearchConstraintsObject {
+
+    // required properties
+    const searchConstraintsObj :SearchConstraintsObject = {
+      constraints: this.constraints,
+      entitySetIds: this.entitySetIds,
+      maxHits: this.maxHits,
+      start: this.start,
+    };
+
+    // optional properties
+    if (isDefined(this.sort)) {
+      searchConstraintsObj.sort = this.sort;
+    }
+
+    return searchConstraintsObj;
+  }
+
+  valueOf() :number {
+
+    return this.toImmutable().hashCode();
+  }
+}
+
+class SearchConstraintsBuilder {
+
+  constraints :ConstraintGroup[];
+  entitySetIds :UUID[];
+  maxHits :number;
+  sort :?SortDefinition;
+  start :number;
+
+  static advancedConstraint(searchFields :AdvancedSearchField[]) :AdvancedConstraint {
+
+    const constraint = { searchFields: toPlainValue(searchFields), type: SearchConstraintTypes.ADVANCED };
+    if (!isValidConstraint(constraint)) {
+      throw new Error(
+        'invalid parameter: "searchFields" must be a non-empty array of { property, searchTerm, exact } objects'
+      );
+    }
+
+    return constraint;
+  }
+
+  static geoDistanceConstraint(geoDistance :{
+    latitude :number;
+    longitude :number;
+    propertyTypeId :UUID;
+    radius :number;
+    unit :string;
+  }) :GeoDistanceConstraint {
+
+    const {
+      latitude,
+      longitude,
+      propertyTypeId,
+      radius,
+      unit,
+    } = geoDistance || {};
+
+    const constraint = {
+      latitude,
+      longitude,
+      propertyTypeId,
+      radius,
+      type: SearchConstraintTypes.GEO_DISTANCE,
+      unit,
+    };
+    if (!isValidConstraint(constraint)) {
+      throw new Error(
+        'invalid parameter: a geo-distance constraint needs a valid "propertyTypeId", "latitude", "longitude", a '
+        + `positive "radius", and one of ${DISTANCE_UNITS.join(', ')} as its "unit"`
+      );
+    }
+
+    return constraint;
+  }
+
+  static geoPolygonConstraint(
+    propertyTypeId :UUID,
+    zones :Array<Array<[number, number]>>,
+  ) :GeoPolygonConstraint {
+
+    const constraint = { propertyTypeId, type: SearchConstraintTypes.GEO_POLYGON, zones: toPlainValue(zones) };
+    if (!isValidConstraint(constraint)) {
+      throw new Error(
+        'invalid parameter: a geo-polygon constraint needs a valid "propertyTypeId", and a non-empty array of "zones", '
+        + 'each made of at least 3 [longitude, latitude] points'
+      );
+    }
+
+    return constraint;
+  }
+
+  static simpleConstraint(searchTerm :string, fuzzy :boolean = false) :SimpleConstraint {
+
+    const constraint = { fuzzy, searchTerm, type: SearchConstraintTypes.SIMPLE };
+    if (!isValidConstraint(constraint)) {
+      throw new Error('invalid parameter: "searchTerm" must be a non-empty string, and "fuzzy" must be a boolean');
+    }
+
+    return constraint;
+  }
+
+  static writeDateTimeConstraint(writeDateTime :{ endTime ?:string; startTime ?:string }) :WriteDateTimeConstraint {
+
+    const { endTime, startTime } = writeDateTime || {};
+
+    const constraint :WriteDateTimeConstraint = { type: SearchConstraintTypes.WRITE_DATE_TIME_FILTER };
+    if (isDefined(endTime)) {
+      constraint.endTime = endTime;
+    }
+    if (isDefined(startTime)) {
+      constraint.startTime = startTime;
+    }
+    if (!isValidConstraint(constraint)) {
+      throw new Error('invalid parameter: "startTime" and/or "endTime" must be given as valid date time strings');
+    }
+
+    return constraint;
+  }
+
+  static fieldSort(propertyTypeId :UUID, isDescending :boolean = false) :SortDefinition {
+
+    const sort = { isDescending, propertyTypeId, sortType: SortTypes.FIELD };
+    if (!isValidSortDefinition(sort)) {
+      throw new Error('invalid parameter: "propertyTypeId" must be a valid UUID, and "isDescending" a boolean');
+    }
+
+    return sort;
+  }
+
+  static geoDistanceSort(geoDistance :{
+    isDescending ?:boolean;
+    latitude :number;
+    longitude :number;
+    propertyTypeId :UUID;
+  }) :SortDefinition {
+
+    const {
+      isDescending = false,
+      latitude,
+      longitude,
+      propertyTypeId,
+    } = geoDistance || {};
+
+    const sort = {
+      isDescending,
+      latitude,
+      longitude,
+      propertyTypeId,
+      sortType: SortTypes.GEO_DISTANCE,
+    };
+    if (!isValidSortDefinition(sort)) {
+      throw new Error(
+        'invalid parameter: a geo-distance sort needs a valid "propertyTypeId", "latitude", and "longitude"'
+      );
+    }
+
+    return sort;
+  }
+
+  static scoreSort(isDescending :boolean = false) :SortDefinition {
+
+    const sort = { isDescending, sortType: SortTypes.SCORE };
+    if (!isValidSortDefinition(sort)) {
+      throw new Error('invalid parameter: "isDescending" must be a boolean');
+    }
+
+    return sort;
+  }
+
+  constructor(value :any) {
+
+    if (isImmutable(value)) {
+      this.setConstraints(value.get('constraints'));
+      this.setEntitySetIds(value.get('entitySetIds'));
+      this.setMaxHits(value.get('maxHits'));
+      this.setSort(value.get('sort'));
+      this.setStart(value.get('start'));
+    }
+    else if (isDefined(value)) {
+      this.setConstraints(value.constraints);
+      this.setEntitySetIds(value.entitySetIds);
+      this.setMaxHits(value.maxHits);
+      this.setSort(value.sort);
+      this.setStart(value.start);
+    }
+  }
+
+  addConstraintGroup(constraints :$ReadOnlyArray<Constraint>, min :number = 1) :SearchConstraintsBuilder {
+
+    const constraintGroup = { constraints: toPlainValue(constraints), min };
+    if (!isValidConstraintGroup(constraintGroup)) {
+      throw new Error(
+        'invalid parameter: "constraints" must be a non-empty array of valid constraints, and "min" must be a '
+        + 'positive integer that is not greater than the number of constraints'
+      );
+    }
+
+    this.constraints = [...(this.constraints || []), constraintGroup];
+    return this;
+  }
+
+  setConstraints(constraints :?$ReadOnlyArray<ConstraintGroup>) :SearchConstraintsBuilder {
+
+    if (!isDefined(constraints)) {
+      return this;
+    }
+
+    if (!isArray(constraints) && !isCollection(constraints)) {
+      throw new Error('invalid parameter: "constraints" must be an array');
+    }
+
+    const constraintGroups = toPlainValue(constraints);
+    if (constraintGroups.every(isValidConstraintGroup)) {
+      this.constraints = constraintGroups;
+    }
+    else {
+      throw new Error('invalid parameter: "constraints" must be an array of valid constraint groups');
+    }
+
+    return this;
+  }
+
+  setEntitySetIds(entitySetIds :$ReadOnlyArray<UUID>) :SearchConstraintsBuilder {
+
+    if (!isArray(entitySetIds) && !isCollection(entitySetIds)) {
+      throw new Error('invalid parameter: "entitySetIds" must be an array');
+    }
+
+    const set = OrderedSet(entitySetIds);
+    if (!set.isEmpty() && set.every(isValidUUID)) {
+      this.entitySetIds = set.toJS();
+    }
+    else {
+      throw new Error('invalid parameter: "entitySetIds" must be a non-empty array of UUIDs');
+    }
+
+    return this;
+  }
+
+  setMaxHits(maxHits :number) :SearchConstraintsBuilder {
+
+    if (!isPositiveInteger(maxHits)) {
+      throw new Error('invalid parameter: "maxHits" must be a positive integer');
+    }
+
+    this.maxHits = maxHits;
+    return this;
+  }
+
+  setSort(sort :?SortDefinition) :SearchConstraintsBuilder {
+
+    if (!isDefined(sort)) {
+      return this;
+    }
+
+    const sortDefinition = toPlainValue(sort);
+    if (!isValidSortDefinition(sortDefinition)) {
+      throw new Error('invalid parameter: "sort" must be a valid sort definition');
+    }
+
+    this.sort = sortDefinition;
+    return this;
+  }
+
+  setStart(start :?number) :SearchConstraintsBuilder {
+
+    if (!isDefined(start)) {
+      return this;
+    }
+
+    if (!Number.isInteger(start) || start < 0) {
+      throw new Error('invalid parameter: "start" must be a non-negative integer');
+    }
+
+    this.start = start;
+    return this;
+  }
+
+  build() :SearchConstraints {
+
+    if (!this.entitySetIds) {
+      throw new Error('missing property: "entitySetIds" is a required property');
+    }
+
+    if (!this.maxHits) {
+      throw new Error('missing property: "maxHits" is a required property');
+    }
+
+    if (!this.constraints) {
+      this.constraints = [];
+    }
+
+    if (!isDefined(this.start)) {
+      this.start = 0;
+    }
+
+    return new SearchConstraints({
+      constraints: this.constraints,
+      entitySetIds: this.entitySetIds,
+      maxHits: this.maxHits,
+      sort: this.sort,
+      start: this.start,
+    });
+  }
+}
+
+const isValidSearchConstraints = (value :any) :boolean => isValidModel(value, SearchConstraintsBuilder, LOG);
+
+export {
+  SearchConstraints,
+  SearchConstraintsBuilder,
+  isValidSearchConstraints,
+};
+
+export type {
+  Constraint,
+  ConstraintGroup,
+  SearchConstraintsObject,
+  SortDefinition,
+};
@@ -0,0 +1,198 @@
+/*
+ * @flow
+ */
+
+import {
+  SearchConstraints,
+  SearchConstraintsBuilder,
+  isValidSearchConstraints,
+} from './SearchConstraints';
+
+import { SearchConstraintTypes, SortTypes } from '../constants/types';
+import { SEARCH_CONSTRAINTS_MOCK, genRandomSearchConstraints } from '../utils/testing/MockData';
+import { runTestSuite } from '../utils/testing/ModelTestSuite';
+
+const MOCK_ESID = '8975812d-0325-4934-83a9-5b41bebd4c67';
+const MOCK_PTID = '43a6df96-1cb8-4daa-9a82-f9361b8777c7';
+const MOCK_ZONE = [[-122.5, 37.7], [-122.3, 37.7], [-122.3, 37.8], [-122.5, 37.7]];
+
+runTestSuite(
+  SearchConstraints,
+  SearchConstraintsBuilder,
+  SEARCH_CONSTRAINTS_MOCK,
+  isValidSearchConstraints,
+  genRandomSearchConstraints,
+  {
+    setConstraints: {
+      field: 'constraints',
+      isOptional: true,
+      validParams: [SEARCH_CONSTRAINTS_MOCK.constraints],
+    },
+    setEntitySetIds: {
+      field: 'entitySetIds',
+      validParams: [SEARCH_CONSTRAINTS_MOCK.entitySetIds],
+    },
+    setMaxHits: {
+      field: 'maxHits',
+      validParams: [SEARCH_CONSTRAINTS_MOCK.maxHits],
+    },
+    setSort: {
+      field: 'sort',
+      isOptional: true,
+      validParams: [
+        SEARCH_CONSTRAINTS_MOCK.sort,
+        { isDescending: false, sortType: SortTypes.SCORE },
+        {
+          isDescending: false,
+          latitude: 37.7749,
+          longitude: -122.4194,
+          propertyTypeId: MOCK_PTID,
+          sortType: SortTypes.GEO_DISTANCE,
+        },
+      ],
+    },
+    setStart: {
+      field: 'start',
+      isOptional: true,
+      validParams: [SEARCH_CONSTRAINTS_MOCK.start, 0],
+    },
+  }
+);
+
+describe('SearchConstraintsBuilder', () => {
+
+  describe('addConstraintGroup()', () => {
+
+    test('should add a constraint group for each call', () => {
+
+      const simple = SearchConstraintsBuilder.simpleConstraint('term');
+      const writeDateTime = SearchConstraintsBuilder.writeDateTimeConstraint({ endTime: '2020-01-01' });
+      const searchConstraints = (new SearchConstraintsBuilder())
+        .setEntitySetIds([MOCK_ESID])
+        .setMaxHits(10)
+        .addConstraintGroup([simple])
+        .addConstraintGroup([simple, writeDateTime], 2)
+        .build();
+
+      expect(searchConstraints.constraints).toEqual([
+        { constraints: [simple], min: 1 },
+        { constraints: [simple, writeDateTime], min: 2 },
+      ]);
+      expect(searchConstraints.start).toEqual(0);
+    });
+
+    test('should throw when given an invalid constraint group', () => {
+
+      const simple = SearchConstraintsBuilder.simpleConstraint('term');
+      const invalid :any = { searchTerm: 'term', type: 'invalid' };
+      const builder = new SearchConstraintsBuilder();
+      expect(() => builder.addConstraintGroup([])).toThrow();
+      expect(() => builder.addConstraintGroup([simple], 0)).toThrow();
+      expect(() => builder.addConstraintGroup([simple], 2)).toThrow();
+      expect(() => builder.addConstraintGroup([invalid])).toThrow();
+    });
+
+  });
+
+  describe('constraints', () => {
+
+    test('advancedConstraint()', () => {
+
+      const searchFields = [{ exact: true, property: MOCK_PTID, searchTerm: 'term' }];
+      expect(SearchConstraintsBuilder.advancedConstraint(searchFields)).toEqual({
+        searchFields,
+        type: SearchConstraintTypes.ADVANCED,
+      });
+      expect(() => SearchConstraintsBuilder.advancedConstraint([])).toThrow();
+      expect(() => SearchConstraintsBuilder.advancedConstraint([{ property: 'invalid', searchTerm: 'term' }]))
+        .toThrow();
+    });
+
+    test('geoDistanceConstraint()', () => {
+
+      const geoDistance = {
+        latitude: 37.7749,
+        longitude: -122.4194,
+        propertyTypeId: MOCK_PTID,
+        radius: 2.5,
+        unit: 'KILOMETERS',
+      };
+      expect(SearchConstraintsBuilder.geoDistanceConstraint(geoDistance)).toEqual({
+        ...geoDistance,
+        type: SearchConstraintTypes.GEO_DISTANCE,
+      });
+      expect(() => SearchConstraintsBuilder.geoDistanceConstraint({ ...geoDistance, latitude: 91 })).toThrow();
+      expect(() => SearchConstraintsBuilder.geoDistanceConstraint({ ...geoDistance, radius: 0 })).toThrow();
+      expect(() => SearchConstraintsBuilder.geoDistanceConstraint({ ...geoDistance, unit: 'LEAGUES' })).toThrow();
+    });
+
+    test('geoPolygonConstraint()', () => {
+
+      expect(SearchConstraintsBuilder.geoPolygonConstraint(MOCK_PTID, [MOCK_ZONE])).toEqual({
+        propertyTypeId: MOCK_PTID,
+        type: SearchConstraintTypes.GEO_POLYGON,
+        zones: [MOCK_ZONE],
+      });
+      expect(() => SearchConstraintsBuilder.geoPolygonConstraint(MOCK_PTID, [])).toThrow();
+      expect(() => SearchConstraintsBuilder.geoPolygonConstraint(MOCK_PTID, [MOCK_ZONE.slice(0, 2)])).toThrow();
+      expect(() => SearchConstraintsBuilder.geoPolygonConstraint(MOCK_PTID, [[[0, 0], [0, 1], [200, 0]]])).toThrow();
+    });
+
+    test('simpleConstraint()', () => {
+
+      expect(SearchConstraintsBuilder.simpleConstraint('term')).toEqual({
+        fuzzy: false,
+        searchTerm: 'term',
+        type: SearchConstraintTypes.SIMPLE,
+      });
+      expect(SearchConstraintsBuilder.simpleConstraint('term', true).fuzzy).toEqual(true);
+      expect(() => SearchConstraintsBuilder.simpleConstraint('')).toThrow();
+    });
+
+    test('writeDateTimeConstraint()', () => {
+
+      expect(SearchConstraintsBuilder.writeDateTimeConstraint({ startTime: '2020-01-01T00:00:00.000Z' })).toEqual({
+        startTime: '2020-01-01T00:00:00.000Z',
+        type: SearchConstraintTypes.WRITE_DATE_TIME_FILTER,
+      });
+      expect(() => SearchConstraintsBuilder.writeDateTimeConstraint({})).toThrow();
+      expect(() => SearchConstraintsBuilder.writeDateTimeConstraint({ endTime: 'invalid' })).toThrow();
+    });
+
+  });
+
+  describe('sort', () => {
+
+    test('fieldSort()', () => {
+
+      expect(SearchConstraintsBuilder.fieldSort(MOCK_PTID)).toEqual({
+        isDescending: false,
+        propertyTypeId: MOCK_PTID,
+        sortType: SortTypes.FIELD,
+      });
+      expect(() => SearchConstraintsBuilder.fieldSort('invalid')).toThrow();
+    });
+
+    test('geoDistanceSort()', () => {
+
+      const geoDistance = { latitude: 37.7749, longitude: -122.4194, propertyTypeId: MOCK_PTID };
+      expect(SearchConstraintsBuilder.geoDistanceSort({ ...geoDistance, isDescending: true })).toEqual({
+        ...geoDistance,
+        isDescending: true,
+        sortType: SortTypes.GEO_DISTANCE,
+      });
+      expect(() => SearchConstraintsBuilder.geoDistanceSort({ ...geoDistance, longitude: 181 })).toThrow();
+    });
+
+    test('scoreSort()', () => {
+
+      expect(SearchConstraintsBuilder.scoreSort(true)).toEqual({ isDescending: true, sortType: SortTypes.SCORE });
+      const invalid :any = { isDescending: true, sortType: 'invalid' };
+      expect(() => (new SearchConstraintsBuilder()).setSort(invalid)).toThrow();
+      expect(() => (new SearchConstraintsBuilder()).setSort({ isDescending: true, sortType: SortTypes.FIELD }))
+        .toThrow();
+    });
+
+  });
+
+});
@@ -10,8 +10,11 @@ import { AclData, AclDataBuilder } from './AclData';
 import { App, AppBuilder } from './App';
 import { AppType, AppTypeBuilder } from './AppType';
 import { AssociationType, AssociationTypeBuilder } from './AssociationType';
+import { DataAssociation, DataAssociationBuilder } from './DataAssociation';
+import { DataEdge, DataEdgeBuilder } from './DataEdge';
 import { DataGraph, DataGraphBuilder } from './DataGraph';
 import { EntityDataKey, EntityDataKeyBuilder } from './EntityDataKey';
+import { EntityNeighborsFilter, EntityNeighborsFilterBuilder } from './EntityNeighborsFilter';
 import { EntitySet, EntitySetBuilder } from './EntitySet';
 import { EntityType, EntityTypeBuilder } from './EntityType';
 import { Grant, GrantBuilder } from './Grant';
@@ -20,6 +23,7 @@ import { Principal, PrincipalBuilder } from './Principal';
 import { PropertyType, PropertyTypeBuilder } from './PropertyType';
 import { Role, RoleBuilder } from './Role';
 import { Schema, SchemaBuilder } from './Schema';
+import { SearchConstraints, SearchConstraintsBuilder } from './SearchConstraints';
 
 export type { AccessCheckObject } from './AccessCheck';
 export type { AceObject } from './Ace';
@@ -28,8 +32,11 @@ export type { AclDataObject } from './AclData';
 export type { AppObject } from './App';
 export type { AppTypeObject } from './AppType';
 export type { AssociationTypeObject } from './AssociationType';
+export type { DataAssociationObject } from './DataAssociation';
+export type { DataEdgeObject } from './DataEdge';
 export type { DataGraphObject } from './DataGraph';
 export type { EntityDataKeyObject } from './EntityDataKey';
+export type { EntityNeighborsFilterObject, EntityNeighborsFilterRequest } from './EntityNeighborsFilter';
 export type { EntitySetObject } from './EntitySet';
 export type { EntityTypeObject } from './EntityType';
 export type { FQNObject } from './FQN';
@@ -39,6 +46,12 @@ export type { PrincipalObject } from './Principal';
 export type { PropertyTypeObject } from './PropertyType';
 export type { RoleObject } from './Role';
 export type { SchemaObject } from './Schema';
+export type {
+  Constraint,
+  ConstraintGroup,
+  SearchConstraintsObject,
+  SortDefinition,
+} from './SearchConstraints';
 
 export type {
   AccessCheck,
@@ -48,8 +61,11 @@ export type {
   App,
   AppType,
   AssociationType,
+  DataAssociation,
+  DataEdge,
   DataGraph,
   EntityDataKey,
+  EntityNeighborsFilter,
   EntitySet,
   EntityType,
   Grant,
@@ -58,6 +74,7 @@ export type {
   PropertyType,
   Role,
   Schema,
+  SearchConstraints,
 };
 
 export {
@@ -68,8 +85,11 @@ export {
   AppBuilder,
   AppTypeBuilder,
   AssociationTypeBuilder,
+  DataAssociationBuilder,
+  DataEdgeBuilder,
   DataGraphBuilder,
   EntityDataKeyBuilder,
+  EntityNeighborsFilterBuilder,
   EntitySetBuilder,
   EntityTypeBuilder,
   FQN,
@@ -79,4 +99,5 @@ export {
   PropertyTypeBuilder,
   RoleBuilder,
   SchemaBuilder,
+  SearchConstraintsBuilder,
 };
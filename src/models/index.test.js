@@ -10,8 +10,11 @@ const EXPECTED_MODELS = Set([
   'AppBuilder',
   'AppTypeBuilder',
   'AssociationTypeBuilder',
+  'DataAssociationBuilder',
+  'DataEdgeBuilder',
   'DataGraphBuilder',
   'EntityDataKeyBuilder',
+  'EntityNeighborsFilterBuilder',
   'EntitySetBuilder',
   'EntityTypeBuilder',
   'FQN',
@@ -21,6 +24,7 @@ const EXPECTED_MODELS = Set([
   'PropertyTypeBuilder',
   'RoleBuilder',
   'SchemaBuilder',
+  'SearchConstraintsBuilder',
 ]);
 
 describe('Lattice.Models', () => {
@@ -0,0 +1,261 @@
+/*
+ * @flow
+ */
+
+import isBoolean from 'lodash/isBoolean';
+
+import * as PermissionsApi from '../api/PermissionsApi';
+
+import ActionTypes from '../constants/types/ActionTypes';
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { Ace, AceBuilder } from '../models/Ace';
+import { Acl, AclBuilder } from '../models/Acl';
+import { AclData, AclDataBuilder } from '../models/AclData';
+import { isNonEmptyArray } from '../utils/LangUtils';
+import { isValidUUID } from '../utils/ValidationUtils';
+import type { AceObject } from '../models/Ace';
+import type { AclObject } from '../models/Acl';
+import type { Principal } from '../models/Principal';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('Permissions');
+
+type EditAclOptions = {
+  ...RequestOptions;
+  dryRun ?:boolean;
+};
+
+type EditAclResult = {|
+  aclData :AclData[];
+  applied :boolean;
+|};
+
+// an ACE with "expirationDate: null" clears the expiration date of the current ACE
+type EditAceObject = {|
+  ...AceObject;
+  expirationDate ?:?string;
+|};
+
+const EDIT_ACL_API = {
+  getAcl: PermissionsApi.getAcl,
+  updateAcls: PermissionsApi.updateAcls,
+};
+
+type EditAclApi = typeof EDIT_ACL_API;
+
+function getPrincipalKey(principal :Principal) :string {
+
+  return `${principal.type}/${principal.id}`;
+}
+
+// merges the ACEs of the same principal, keeping the last expiration date
+function getAcesByPrincipal(aces :$ReadOnlyArray<Ace>) :{ [key :string] :Ace } {
+
+  const acesByPrincipal = {};
+  aces.forEach((ace :Ace) => {
+    const key = getPrincipalKey(ace.principal);
+    const other :?Ace = acesByPrincipal[key];
+    acesByPrincipal[key] = !other ? ace : (new AceBuilder(other))
+      .setExpirationDate(ace.expirationDate)
+      .setPermissions([...other.permissions, ...ace.permissions])
+      .build();
+  });
+  return acesByPrincipal;
+}
+
+// returns the given ACEs as Ace models, or null if any of them is invalid
+function toAces(aces :any) :?Ace[] {
+
+  try {
+    return aces.map((ace :any) => (new AceBuilder(ace)).build());
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+/*
+ * returns the ADD and REMOVE AclData that bring the ACL in line with the given ACEs. only the principals of the given
+ * ACEs are touched. a new expiration date is applied to every desired permission of the principal, otherwise the
+ * added permissions keep the expiration date of the current ACE. "expirationDate: null" clears the expiration date,
+ * which the Ace model can't express, so it's read from the given ACEs before they are turned into Ace models.
+ */
+function diffAces(
+  aclKey :UUID[],
+  currentAces :$ReadOnlyArray<Ace>,
+  aces :$ReadOnlyArray<Ace | EditAceObject>,
+) :AclData[] {
+
+  const current = getAcesByPrincipal(currentAces);
+  const acesToAdd = [];
+  const acesToRemove = [];
+
+  const desiredAces :Ace[] = (toAces(aces) :any);
+  desiredAces.forEach((ace :Ace, index :number) => {
+    const currentAce :?Ace = current[getPrincipalKey(ace.principal)];
+    const currentPermissions = currentAce ? currentAce.permissions : [];
+    const isClearedExpirationDate = (aces[index] :any).expirationDate === null;
+    const expirationDate = isClearedExpirationDate
+      ? undefined
+      : ace.expirationDate || (currentAce && currentAce.expirationDate);
+    const isNewExpirationDate = !!currentAce && (
+      isClearedExpirationDate
+        ? !!currentAce.expirationDate
+        : !!ace.expirationDate && ace.expirationDate !== currentAce.expirationDate
+    );
+
+    const permissionsToAdd = isNewExpirationDate
+      ? ace.permissions
+      : ace.permissions.filter((permission) => !currentPermissions.includes(permission));
+    const permissionsToRemove = currentPermissions.filter((permission) => !ace.permissions.includes(permission));
+
+    if (permissionsToAdd.length) {
+      acesToAdd.push((new AceBuilder())
+        .setExpirationDate(expirationDate)
+        .setPermissions(permissionsToAdd)
+        .setPrincipal(ace.principal)
+        .build());
+    }
+    if (permissionsToRemove.length) {
+      acesToRemove.push((new AceBuilder())
+        .setPermissions(permissionsToRemove)
+        .setPrincipal(ace.principal)
+        .build());
+    }
+  });
+
+  const toAclData = (action, aclAces) => (new AclDataBuilder())
+    .setAcl((new AclBuilder()).setAclKey(aclKey).setAces(aclAces).build())
+    .setAction(action)
+    .build();
+
+  const aclData = [];
+  if (acesToAdd.length) {
+    aclData.push(toAclData(ActionTypes.ADD, acesToAdd));
+  }
+  if (acesToRemove.length) {
+    aclData.push(toAclData(ActionTypes.REMOVE, acesToRemove));
+  }
+  return aclData;
+}
+
+function validateAces(aces :any) :void {
+
+  const errorMsg = 'invalid parameter: "aces" must be a non-empty array of valid Ace objects, one per principal';
+  const theAces = isNonEmptyArray(aces) ? toAces(aces) : null;
+  if (!theAces || new Set(theAces.map((ace) => getPrincipalKey(ace.principal))).size !== theAces.length) {
+    LOG.error(errorMsg, aces);
+    throw new LatticeValidationError(errorMsg, 'aces', aces);
+  }
+}
+
+/**
+ * Returns the AclData that bring the given ACL in line with the given ACEs, as an ADD for the missing permissions and a
+ * REMOVE for the extra permissions. Only the principals of the given ACEs are touched, and an ACE without permissions
+ * removes every permission of its principal. Added permissions keep the expiration date of the current ACE, unless the
+ * given ACE has its own expiration date, in which case every desired permission is added again with the new date. An
+ * ACE with "expirationDate: null" clears the expiration date the same way. When the current ACL has several ACEs for
+ * the same principal, the expiration date of the last one is the current expiration date.
+ *
+ * @memberof lattice.Permissions
+ * @param {AclObject} acl - the current ACL, as returned by PermissionsApi.getAcl()
+ * @param {Ace[]} aces - the desired ACEs
+ * @returns {AclData[]}
+ *
+ * @example
+ * Permissions.diffAcl(acl, [{ permissions: ["READ"], principal: { id: "openlatticeRole", type: "ROLE" } }]);
+ */
+function diffAcl(acl :Acl | AclObject, aces :$ReadOnlyArray<Ace | EditAceObject>) :AclData[] {
+
+  validateAces(aces);
+
+  let theAcl;
+  try {
+    theAcl = (new AclBuilder(acl)).build();
+  }
+  catch (e) {
+    const errorMsg = 'invalid parameter: "acl" must be a valid Acl object';
+    LOG.error(errorMsg, acl);
+    throw new LatticeValidationError(errorMsg, 'acl', acl);
+  }
+
+  return diffAces(theAcl.aclKey, theAcl.aces, aces);
+}
+
+async function edit(
+  api :EditAclApi,
+  aclKey :UUID[],
+  aces :$ReadOnlyArray<Ace | EditAceObject>,
+  editOptions :EditAclOptions,
+) :Promise<EditAclResult> {
+
+  const { dryRun = false, ...requestOptions } = editOptions;
+
+  if (!isNonEmptyArray(aclKey) || !aclKey.every(isValidUUID)) {
+    const errorMsg = 'invalid parameter: "aclKey" must be a non-empty array of valid UUIDs';
+    LOG.error(errorMsg, aclKey);
+    throw new LatticeValidationError(errorMsg, 'aclKey', aclKey);
+  }
+  validateAces(aces);
+  if (!isBoolean(dryRun)) {
+    const errorMsg = 'invalid parameter: "dryRun" must be a boolean';
+    LOG.error(errorMsg, dryRun);
+    throw new LatticeValidationError(errorMsg, 'dryRun', dryRun);
+  }
+
+  const acl :AclObject = await api.getAcl(aclKey, requestOptions);
+  const currentAces = (acl && acl.aces) || [];
+  const aclData = diffAces(aclKey, currentAces.map((ace) => (new AceBuilder(ace)).build()), aces);
+
+  if (dryRun || !aclData.length) {
+    return { aclData, applied: false };
+  }
+
+  await api.updateAcls(aclData, requestOptions);
+  return { aclData, applied: true };
+}
+
+/**
+ * Reads the ACL of the given ACL key, and sends only the changes that bring it in line with the given ACEs, instead of
+ * replacing the whole ACL. See diffAcl() for how the changes are computed. With "dryRun", the changes are returned
+ * without being sent. Resolves with the AclData, and whether they were sent.
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID[]} aclKey
+ * @param {Ace[]} aces - the desired ACEs
+ * @param {Object} editOptions - "dryRun", and RequestOptions (optional)
+ * @returns {Promise<Object>} - a Promise that resolves with "aclData" and "applied"
+ *
+ * @example
+ * Permissions.editAcl(
+ *   ["ec6865e6-e60e-424b-a071-6a9c1603d735"],
+ *   [
+ *     { permissions: ["READ", "WRITE"], principal: { id: "openlatticeRole", type: "ROLE" } },
+ *     { permissions: [], principal: { id: "openlatticeUser", type: "USER" } },
+ *   ],
+ *   { dryRun: true },
+ * );
+ */
+function editAcl(
+  aclKey :UUID[],
+  aces :$ReadOnlyArray<Ace | EditAceObject>,
+  editOptions ?:EditAclOptions,
+) :Promise<EditAclResult> {
+
+  const api :EditAclApi = bindAllToClientContext(EDIT_ACL_API);
+  return edit(api, aclKey, aces, editOptions || {});
+}
+
+export {
+  diffAcl,
+  editAcl,
+  toAces,
+};
+
+export type {
+  EditAceObject,
+  EditAclOptions,
+  EditAclResult,
+};
@@ -0,0 +1,188 @@
+import * as AxiosUtils from '../utils/axios';
+import * as AclUtils from './AclUtils';
+
+import { LatticeValidationError } from '../errors';
+import { PERMISSIONS_API } from '../constants/ApiNames';
+import { UPDATE_PATH } from '../constants/UrlConstants';
+import { ActionTypes, PermissionTypes, PrincipalTypes } from '../constants/types';
+import { genRandomUUID, getMockAxiosInstance } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const { OWNER, READ, WRITE } = PermissionTypes;
+
+const MOCK_ACL_KEY = [genRandomUUID(), genRandomUUID()];
+const EXPIRATION_DATE = '2030-01-01T00:00:00.000Z';
+
+const ROLE = { id: 'role', type: PrincipalTypes.ROLE };
+const USER = { id: 'user', type: PrincipalTypes.USER };
+const OTHER_USER = { id: 'other', type: PrincipalTypes.USER };
+
+const MOCK_ACL = {
+  aclKey: MOCK_ACL_KEY,
+  aces: [
+    { expirationDate: EXPIRATION_DATE, permissions: [READ], principal: ROLE },
+    { permissions: [OWNER, READ, WRITE], principal: USER },
+    { permissions: [READ], principal: OTHER_USER },
+  ],
+};
+
+let mockAxiosInstance;
+
+function mockResponses() {
+
+  mockAxiosInstance = getMockAxiosInstance();
+  mockAxiosInstance.post.mockImplementation(() => Promise.resolve({ data: MOCK_ACL }));
+  mockAxiosInstance.patch.mockImplementation(() => Promise.resolve({ data: undefined }));
+  AxiosUtils.getApiAxiosInstance.mockImplementation((apiName) => (
+    apiName === PERMISSIONS_API ? mockAxiosInstance : getMockAxiosInstance()
+  ));
+}
+
+describe('Permissions', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+  });
+
+  describe('diffAcl()', () => {
+
+    test('should return an ADD for the missing permissions and a REMOVE for the extra permissions', () => {
+
+      const aclData = AclUtils.diffAcl(MOCK_ACL, [
+        { permissions: [READ, WRITE], principal: ROLE },
+        { permissions: [READ], principal: USER },
+      ]);
+      expect(aclData.map((data) => data.toObject())).toEqual([
+        {
+          acl: {
+            aclKey: MOCK_ACL_KEY,
+            aces: [{ expirationDate: EXPIRATION_DATE, permissions: [WRITE], principal: ROLE }],
+          },
+          action: ActionTypes.ADD,
+        },
+        {
+          acl: {
+            aclKey: MOCK_ACL_KEY,
+            aces: [{ permissions: [OWNER, WRITE], principal: USER }],
+          },
+          action: ActionTypes.REMOVE,
+        },
+      ]);
+    });
+
+    test('should add every desired permission again when the expiration date changes', () => {
+
+      const expirationDate = '2031-01-01T00:00:00.000Z';
+      const aclData = AclUtils.diffAcl(MOCK_ACL, [
+        { expirationDate, permissions: [READ], principal: ROLE },
+        { permissions: [], principal: OTHER_USER },
+        { expirationDate, permissions: [READ], principal: { id: 'new', type: PrincipalTypes.ROLE } },
+      ]);
+      expect(aclData.map((data) => data.toObject())).toEqual([
+        {
+          acl: {
+            aclKey: MOCK_ACL_KEY,
+            aces: [
+              { expirationDate, permissions: [READ], principal: ROLE },
+              { expirationDate, permissions: [READ], principal: { id: 'new', type: PrincipalTypes.ROLE } },
+            ],
+          },
+          action: ActionTypes.ADD,
+        },
+        {
+          acl: { aclKey: MOCK_ACL_KEY, aces: [{ permissions: [READ], principal: OTHER_USER }] },
+          action: ActionTypes.REMOVE,
+        },
+      ]);
+    });
+
+    test('should add every desired permission again without an expiration date when it is null', () => {
+
+      const aclData = AclUtils.diffAcl(MOCK_ACL, [
+        { expirationDate: null, permissions: [READ], principal: ROLE },
+        { expirationDate: null, permissions: [READ], principal: OTHER_USER },
+      ]);
+      expect(aclData.map((data) => data.toObject())).toEqual([
+        {
+          acl: { aclKey: MOCK_ACL_KEY, aces: [{ permissions: [READ], principal: ROLE }] },
+          action: ActionTypes.ADD,
+        },
+      ]);
+    });
+
+    test('should keep the last expiration date of the ACEs of the same principal', () => {
+
+      const expirationDate = '2031-01-01T00:00:00.000Z';
+      const acl = {
+        aclKey: MOCK_ACL_KEY,
+        aces: [
+          { expirationDate: EXPIRATION_DATE, permissions: [READ], principal: ROLE },
+          { expirationDate, permissions: [WRITE], principal: ROLE },
+        ],
+      };
+      expect(AclUtils.diffAcl(acl, [{ expirationDate, permissions: [READ, WRITE], principal: ROLE }])).toEqual([]);
+      expect(AclUtils.diffAcl(acl, [{ permissions: [OWNER, READ, WRITE], principal: ROLE }])
+        .map((data) => data.toObject())).toEqual([
+        {
+          acl: { aclKey: MOCK_ACL_KEY, aces: [{ expirationDate, permissions: [OWNER], principal: ROLE }] },
+          action: ActionTypes.ADD,
+        },
+      ]);
+    });
+
+    test('should return nothing when the ACL already matches', () => {
+
+      expect(AclUtils.diffAcl(MOCK_ACL, MOCK_ACL.aces)).toEqual([]);
+    });
+
+  });
+
+  describe('editAcl()', () => {
+
+    test('should read the ACL, and send only the changes with PermissionsApi.updateAcls()', async () => {
+
+      const result = await AclUtils.editAcl(MOCK_ACL_KEY, [{ permissions: [OWNER], principal: OTHER_USER }]);
+      expect(result.applied).toEqual(true);
+      expect(result.aclData).toHaveLength(2);
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/', MOCK_ACL_KEY, {});
+      expect(mockAxiosInstance.patch).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstance.patch).toHaveBeenCalledWith(`/${UPDATE_PATH}`, result.aclData, {});
+    });
+
+    test('should not send the changes with "dryRun", or when there are no changes', async () => {
+
+      const result = await AclUtils.editAcl(MOCK_ACL_KEY, [{ permissions: [], principal: USER }], { dryRun: true });
+      expect(result.applied).toEqual(false);
+      expect(result.aclData.map((data) => data.action)).toEqual([ActionTypes.REMOVE]);
+
+      const noChanges = await AclUtils.editAcl(MOCK_ACL_KEY, MOCK_ACL.aces);
+      expect(noChanges).toEqual({ aclData: [], applied: false });
+      expect(mockAxiosInstance.patch).not.toHaveBeenCalled();
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const ace = { permissions: [READ], principal: USER };
+      const invalid = [
+        [[], [ace]],
+        [['invalid'], [ace]],
+        [MOCK_ACL_KEY, []],
+        [MOCK_ACL_KEY, [{ permissions: ['invalid'], principal: USER }]],
+        [MOCK_ACL_KEY, [{ permissions: [READ] }]],
+        [MOCK_ACL_KEY, [ace, { ...ace, permissions: [WRITE] }]],
+        [MOCK_ACL_KEY, [ace], { dryRun: 'true' }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(AclUtils.editAcl(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(() => AclUtils.diffAcl({ aclKey: 'invalid' }, [ace])).toThrow(LatticeValidationError);
+      expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
@@ -0,0 +1,367 @@
+/*
+ * @flow
+ */
+
+import isPlainObject from 'lodash/isPlainObject';
+
+import * as EntityDataModelApi from '../api/EntityDataModelApi';
+import * as EntitySetsApi from '../api/EntitySetsApi';
+import * as OrganizationsApi from '../api/OrganizationsApi';
+import * as PermissionsApi from '../api/PermissionsApi';
+
+import FQN from '../models/FQN';
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { PermissionTypes, PrincipalTypes, ReportFormatTypes } from '../constants/types';
+import { isPositiveInteger } from '../utils/LangUtils';
+import { toCSVLine } from '../utils/CSVUtils';
+import { isValidUUID } from '../utils/ValidationUtils';
+import type { PermissionType, PrincipalType, ReportFormatType } from '../constants/types';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('Permissions');
+
+const DEFAULT_CHUNK_SIZE = 100;
+
+const AUDIT_FORMAT_TYPES = [ReportFormatTypes.CSV, ReportFormatTypes.JSON, ReportFormatTypes.OBJECT];
+
+// the permission columns, in the order of PermissionTypes
+const PERMISSION_TYPES :PermissionType[] = (Object.values(PermissionTypes) :any);
+
+type AuditOptions = {
+  ...RequestOptions;
+  chunkSize ?:number;
+  format ?:ReportFormatType;
+};
+
+/*
+ * the permissions of a principal on an entity set, or on one of its properties when "propertyTypeId" is set.
+ * "grantedBy" holds the titles of the principals whose ACEs grant the permissions, which is the principal itself for
+ * its own ACE, or the role or the organization the principal is a member of, directly or through other roles and
+ * organizations.
+ */
+type AuditRow = {|
+  entitySetId :UUID;
+  entitySetName :string;
+  grantedBy :string[];
+  permissions :PermissionType[];
+  pii :boolean;
+  principalId :string;
+  principalTitle :string;
+  principalType :PrincipalType;
+  propertyTypeFQN :?string;
+  propertyTypeId :?UUID;
+|};
+
+type AuditReport = {|
+  organizationId :UUID;
+  rows :AuditRow[];
+|};
+
+const AUDIT_API = {
+  getAcls: PermissionsApi.getAcls,
+  getAllPropertyTypes: EntityDataModelApi.getAllPropertyTypes,
+  getEntitySets: EntitySetsApi.getEntitySets,
+  getEntityType: EntityDataModelApi.getEntityType,
+  getOrganization: OrganizationsApi.getOrganization,
+  getOrganizationEntitySets: OrganizationsApi.getOrganizationEntitySets,
+  getOrganizationMembers: OrganizationsApi.getOrganizationMembers,
+  getOrganizationRoles: OrganizationsApi.getOrganizationRoles,
+  getUsersWithRole: OrganizationsApi.getUsersWithRole,
+};
+
+type AuditApi = typeof AUDIT_API;
+
+type AuditPrincipal = {|
+  id :string;
+  title :string;
+  type :PrincipalType;
+|};
+
+function getPrincipalKey(principal :Object) :string {
+
+  return `${principal.type}/${principal.id}`;
+}
+
+/*
+ * members come back as principals, as securable principals, or as organization members wrapping a securable principal,
+ * depending on the API, and users with a role come back as user profiles. returns null for anything else.
+ */
+function toAuditPrincipal(member :Object) :?AuditPrincipal {
+
+  if (!isPlainObject(member)) {
+    return null;
+  }
+
+  if (member.user_id) {
+    return {
+      id: member.user_id,
+      title: member.name || member.email || member.user_id,
+      type: PrincipalTypes.USER,
+    };
+  }
+
+  let principal = member;
+  const titles = [];
+  while (isPlainObject(principal.principal)) {
+    titles.push(principal.title, principal.profile && (principal.profile.name || principal.profile.email));
+    principal = principal.principal;
+  }
+  if (!principal.id || !PrincipalTypes[principal.type]) {
+    return null;
+  }
+
+  return {
+    id: principal.id,
+    title: titles.find(Boolean) || principal.title || principal.id,
+    type: principal.type,
+  };
+}
+
+function toCSV(report :AuditReport) :string {
+
+  const header = [
+    'principalType',
+    'principalId',
+    'principalTitle',
+    'entitySetId',
+    'entitySetName',
+    'propertyTypeId',
+    'propertyTypeFQN',
+    'pii',
+    ...PERMISSION_TYPES,
+    'grantedBy',
+  ];
+  const lines = report.rows.map((row :AuditRow) => toCSVLine([
+    row.principalType,
+    row.principalId,
+    row.principalTitle,
+    row.entitySetId,
+    row.entitySetName,
+    row.propertyTypeId || '',
+    row.propertyTypeFQN || '',
+    // PII columns are flagged, so that they stand out when the CSV is opened in a spreadsheet
+    row.pii ? 'PII' : '',
+    ...PERMISSION_TYPES.map((permission) => (row.permissions.includes(permission) ? 'X' : '')),
+    row.grantedBy.join('; '),
+  ]));
+  return [toCSVLine(header), ...lines].join('');
+}
+
+function validateParameters(organizationId :any, auditOptions :Object) :void {
+
+  const { chunkSize, format } = auditOptions;
+
+  if (!isValidUUID(organizationId)) {
+    const errorMsg = 'invalid parameter: "organizationId" must be a valid UUID';
+    LOG.error(errorMsg, organizationId);
+    throw new LatticeValidationError(errorMsg, 'organizationId', organizationId);
+  }
+
+  if (chunkSize !== undefined && !isPositiveInteger(chunkSize)) {
+    const errorMsg = 'invalid parameter: "chunkSize" must be a positive integer';
+    LOG.error(errorMsg, chunkSize);
+    throw new LatticeValidationError(errorMsg, 'chunkSize', chunkSize);
+  }
+
+  if (format !== undefined && !AUDIT_FORMAT_TYPES.includes(format)) {
+    const errorMsg = `invalid parameter: "format" must be one of ${AUDIT_FORMAT_TYPES.join(', ')}`;
+    LOG.error(errorMsg, format);
+    throw new LatticeValidationError(errorMsg, 'format', format);
+  }
+}
+
+async function audit(api :AuditApi, organizationId :UUID, auditOptions :AuditOptions) :Promise<AuditReport | string> {
+
+  validateParameters(organizationId, auditOptions);
+
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    format = ReportFormatTypes.OBJECT,
+    ...requestOptions
+  } = auditOptions;
+
+  const [organization, organizationEntitySets, members, roles, propertyTypes] = await Promise.all([
+    api.getOrganization(organizationId, requestOptions),
+    api.getOrganizationEntitySets(organizationId, requestOptions),
+    api.getOrganizationMembers(organizationId, requestOptions),
+    api.getOrganizationRoles(organizationId, requestOptions),
+    api.getAllPropertyTypes(requestOptions),
+  ]);
+
+  // the principals whose ACEs extend to other principals, mapped to the principals they are granted to
+  const principals :{ [key :string] :AuditPrincipal } = {};
+  const inheritingPrincipals :{ [key :string] :Set<AuditPrincipal> } = {};
+  const addPrincipal = (member :Object) :?AuditPrincipal => {
+    const principal = toAuditPrincipal(member);
+    if (principal && !principals[getPrincipalKey(principal)]) {
+      principals[getPrincipalKey(principal)] = principal;
+    }
+    return principal ? principals[getPrincipalKey(principal)] : null;
+  };
+  const addMember = (principal :?AuditPrincipal, member :?AuditPrincipal) => {
+    if (principal && member && principal !== member) {
+      const key = getPrincipalKey(principal);
+      inheritingPrincipals[key] = inheritingPrincipals[key] || new Set();
+      inheritingPrincipals[key].add(member);
+    }
+  };
+
+  // organization members come with the roles they have been granted
+  const organizationPrincipal = addPrincipal(organization);
+  (members || []).forEach((member :Object) => {
+    const memberPrincipal = addPrincipal(member);
+    addMember(organizationPrincipal, memberPrincipal);
+    ((isPlainObject(member) && member.roles) || []).forEach((role :Object) => {
+      addMember(addPrincipal(role), memberPrincipal);
+    });
+  });
+
+  // the members of a role can be users, other roles, or organizations
+  const theRoles = (roles || []).filter((role :Object) => isValidUUID(role.id));
+  const roleMembers = await Promise.all(theRoles.map((role :Object) => (
+    api.getUsersWithRole(organizationId, role.id, requestOptions)
+  )));
+  theRoles.forEach((role :Object, index :number) => {
+    const rolePrincipal = addPrincipal(role);
+    (roleMembers[index] || []).forEach((member :Object) => addMember(rolePrincipal, addPrincipal(member)));
+  });
+
+  // every principal a principal is granted to, directly or through other roles and organizations
+  const getInheritingPrincipals = (principal :AuditPrincipal) :AuditPrincipal[] => {
+    const visited = new Set([principal]);
+    const queue = [principal];
+    while (queue.length) {
+      const next = queue.shift();
+      (inheritingPrincipals[getPrincipalKey(next)] || new Set()).forEach((member :AuditPrincipal) => {
+        if (!visited.has(member)) {
+          visited.add(member);
+          queue.push(member);
+        }
+      });
+    }
+    visited.delete(principal);
+    return Array.from(visited);
+  };
+
+  // the securables are every entity set of the organization, and every property of each entity set
+  const entitySetIds = Object.keys(organizationEntitySets || {}).filter(isValidUUID);
+  const entitySets :Object[] = entitySetIds.length
+    ? Object.values(await api.getEntitySets(entitySetIds, requestOptions) || {})
+    : [];
+  const entityTypeIds = Array.from(new Set(entitySets.map(({ entityTypeId }) => entityTypeId)));
+  const entityTypes = await Promise.all(entityTypeIds.map((id :UUID) => api.getEntityType(id, requestOptions)));
+  const propertyTypeIdsByEntityType = {};
+  entityTypes.forEach((entityType :Object, index :number) => {
+    propertyTypeIdsByEntityType[entityTypeIds[index]] = entityType.properties || [];
+  });
+  const propertyTypesById = {};
+  (propertyTypes || []).forEach((propertyType :Object) => {
+    propertyTypesById[propertyType.id] = propertyType;
+  });
+
+  const securables = [];
+  entitySets.forEach((entitySet :Object) => {
+    securables.push({ aclKey: [entitySet.id], entitySet, propertyType: null });
+    (propertyTypeIdsByEntityType[entitySet.entityTypeId] || []).forEach((propertyTypeId :UUID) => {
+      const propertyType = propertyTypesById[propertyTypeId] || { id: propertyTypeId };
+      securables.push({ aclKey: [entitySet.id, propertyTypeId], entitySet, propertyType });
+    });
+  });
+
+  // a failed chunk fails the audit, since an audit with missing ACLs would understate who can see what
+  const aclKeys = securables.map(({ aclKey }) => aclKey);
+  const acesByAclKey = {};
+  for (let start = 0; start < aclKeys.length; start += chunkSize) {
+    // eslint-disable-next-line no-await-in-loop
+    const acls = await api.getAcls(aclKeys.slice(start, start + chunkSize), requestOptions);
+    (acls || []).forEach((acl :Object) => {
+      acesByAclKey[(acl.aclKey || []).join('/')] = acl.aces || [];
+    });
+  }
+
+  const rows = [];
+  securables.forEach(({ aclKey, entitySet, propertyType }) => {
+    const grants :{ [key :string] :{ grantedBy :Set<string>; permissions :Set<PermissionType> } } = {};
+    const grant = (principal :AuditPrincipal, permissions :PermissionType[], grantedBy :string) => {
+      const key = getPrincipalKey(principal);
+      grants[key] = grants[key] || { grantedBy: new Set(), permissions: new Set() };
+      permissions.forEach((permission) => grants[key].permissions.add(permission));
+      grants[key].grantedBy.add(grantedBy);
+    };
+
+    (acesByAclKey[aclKey.join('/')] || []).forEach((ace :Object) => {
+      const principal = addPrincipal(ace.principal);
+      const permissions = ace.permissions || [];
+      if (!principal || !permissions.length) {
+        return;
+      }
+      grant(principal, permissions, principal.title);
+      getInheritingPrincipals(principal).forEach((member :AuditPrincipal) => {
+        grant(member, permissions, principal.title);
+      });
+    });
+
+    Object.keys(grants).forEach((key :string) => {
+      const principal = principals[key];
+      rows.push({
+        entitySetId: entitySet.id,
+        entitySetName: entitySet.name,
+        grantedBy: Array.from(grants[key].grantedBy),
+        permissions: PERMISSION_TYPES.filter((permission) => grants[key].permissions.has(permission)),
+        pii: !!propertyType && propertyType.pii === true,
+        principalId: principal.id,
+        principalTitle: principal.title,
+        principalType: principal.type,
+        propertyTypeFQN: propertyType && propertyType.type ? FQN.toString(propertyType.type) : null,
+        propertyTypeId: propertyType ? propertyType.id : null,
+      });
+    });
+  });
+
+  const report = { organizationId, rows };
+  if (format === ReportFormatTypes.CSV) {
+    return toCSV(report);
+  }
+  if (format === ReportFormatTypes.JSON) {
+    return JSON.stringify(report, null, 2);
+  }
+  return report;
+}
+
+/**
+ * Audits who can see what in the given organization. Reads the ACL of every entity set of the organization, and of
+ * every property of each entity set, and resolves with a row per principal and securable, with the permissions of the
+ * principal on the securable. The members of a role, and of the organization, are given the permissions of the role,
+ * and of the organization, transitively, so the members of a role that is granted another role, or of an organization
+ * that is granted a role, are given the permissions of that role as well. Only the members of the roles of the given
+ * organization are read. The rows of PII properties are flagged. The report is either an object, or rendered as CSV
+ * or JSON. Requires ownership of every entity set and property of the organization.
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID} organizationId
+ * @param {Object} auditOptions - any of the request options, in addition to the options below (optional)
+ * @param {number} auditOptions.chunkSize - the maximum number of ACL keys per PermissionsApi.getAcls() request
+ *   (default 100)
+ * @param {ReportFormatType} auditOptions.format - "OBJECT", "CSV", or "JSON" (default "OBJECT")
+ * @returns {Promise<Object | string>} - a Promise that resolves with the report
+ *
+ * @example
+ * const csv = await Permissions.auditOrganization("ec6865e6-e60e-424b-a071-6a9c1603d735", { format: "CSV" });
+ */
+function auditOrganization(organizationId :UUID, auditOptions ?:AuditOptions) :Promise<AuditReport | string> {
+
+  const api :AuditApi = bindAllToClientContext(AUDIT_API);
+  return audit(api, organizationId, auditOptions || {});
+}
+
+export {
+  auditOrganization,
+};
+
+export type {
+  AuditOptions,
+  AuditReport,
+  AuditRow,
+};
@@ -0,0 +1,236 @@
+import * as Audit from './AuditUtils';
+
+import { LatticeValidationError } from '../errors';
+import {
+  EDM_API,
+  ENTITY_SETS_API,
+  ORGANIZATIONS_API,
+  PERMISSIONS_API,
+} from '../constants/ApiNames';
+import { PermissionTypes, PrincipalTypes, ReportFormatTypes } from '../constants/types';
+import { BULK_PATH } from '../constants/UrlConstants';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+import { parseCSV } from '../utils/CSVUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const { OWNER, READ, WRITE } = PermissionTypes;
+
+const ORGANIZATION_ID = genRandomUUID();
+const ROLE_ID = genRandomUUID();
+
+const ORGANIZATION = {
+  id: ORGANIZATION_ID,
+  principal: { id: 'acme', type: PrincipalTypes.ORGANIZATION },
+  title: 'Acme',
+};
+const ROLE = { id: ROLE_ID, principal: { id: 'analysts', type: PrincipalTypes.ROLE }, title: 'Analysts' };
+
+const JANE = { id: 'auth0|jane', type: PrincipalTypes.USER };
+const JOHN = { id: 'auth0|john', type: PrincipalTypes.USER };
+const MEMBERS = [
+  { principal: { principal: JANE, title: 'jane' }, profile: { email: 'jane@example.com', name: 'Jane Doe' } },
+  { principal: { principal: JOHN, title: 'john' }, profile: { email: 'john@example.com', name: 'John Doe' } },
+];
+
+const NAME_PT = { id: genRandomUUID(), pii: false, type: { name: 'name', namespace: 'general' } };
+const SSN_PT = { id: genRandomUUID(), pii: true, type: { name: 'ssn', namespace: 'general' } };
+const ENTITY_TYPE = { id: genRandomUUID(), properties: [NAME_PT.id, SSN_PT.id] };
+const ENTITY_SET = { entityTypeId: ENTITY_TYPE.id, id: genRandomUUID(), name: 'People' };
+
+const ACLS = [
+  { aces: [{ permissions: [OWNER, READ], principal: JANE }], aclKey: [ENTITY_SET.id] },
+  { aces: [{ permissions: [READ], principal: ROLE.principal }], aclKey: [ENTITY_SET.id, NAME_PT.id] },
+  { aces: [{ permissions: [READ, WRITE], principal: ORGANIZATION.principal }], aclKey: [ENTITY_SET.id, SSN_PT.id] },
+];
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([EDM_API, ENTITY_SETS_API, ORGANIZATIONS_API, PERMISSIONS_API]);
+  mockAxiosInstances[EDM_API].get.mockImplementation((url) => Promise.resolve({
+    data: url.endsWith(ENTITY_TYPE.id) ? ENTITY_TYPE : [NAME_PT, SSN_PT],
+  }));
+  mockAxiosInstances[ENTITY_SETS_API].post.mockImplementation(() => Promise.resolve({
+    data: { [ENTITY_SET.id]: ENTITY_SET },
+  }));
+  mockAxiosInstances[ORGANIZATIONS_API].get.mockImplementation((url) => {
+    if (url.endsWith('/entity-sets')) {
+      return Promise.resolve({ data: { [ENTITY_SET.id]: ['EXTERNAL'] } });
+    }
+    if (url.endsWith(`/${ROLE_ID}/members`)) {
+      return Promise.resolve({ data: [{ email: 'jane@example.com', name: 'Jane Doe', user_id: JANE.id }] });
+    }
+    if (url.endsWith('/members')) {
+      return Promise.resolve({ data: MEMBERS });
+    }
+    if (url.endsWith('/roles')) {
+      return Promise.resolve({ data: [ROLE] });
+    }
+    return Promise.resolve({ data: ORGANIZATION });
+  });
+  mockAxiosInstances[PERMISSIONS_API].post.mockImplementation((url, aclKeys) => Promise.resolve({
+    data: ACLS.filter(({ aclKey }) => aclKeys.some((key) => key.join() === aclKey.join())),
+  }));
+}
+
+function toRow(principal, title, propertyType, permissions, grantedBy) {
+
+  return {
+    entitySetId: ENTITY_SET.id,
+    entitySetName: ENTITY_SET.name,
+    grantedBy,
+    permissions,
+    pii: !!propertyType && propertyType.pii,
+    principalId: principal.id,
+    principalTitle: title,
+    principalType: principal.type,
+    propertyTypeFQN: propertyType ? `${propertyType.type.namespace}.${propertyType.type.name}` : null,
+    propertyTypeId: propertyType ? propertyType.id : null,
+  };
+}
+
+describe('Permissions', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+  });
+
+  describe('auditOrganization()', () => {
+
+    test('should resolve with the permissions of every principal on every entity set and property', async () => {
+
+      const report = await Audit.auditOrganization(ORGANIZATION_ID, { chunkSize: 2 });
+      expect(report.organizationId).toEqual(ORGANIZATION_ID);
+      expect(report.rows).toEqual([
+        toRow(JANE, 'Jane Doe', null, [OWNER, READ], ['Jane Doe']),
+        // the members of a role are given the permissions of the role
+        toRow(ROLE.principal, 'Analysts', NAME_PT, [READ], ['Analysts']),
+        toRow(JANE, 'Jane Doe', NAME_PT, [READ], ['Analysts']),
+        // the members of the organization are given the permissions of the organization
+        toRow(ORGANIZATION.principal, 'Acme', SSN_PT, [READ, WRITE], ['Acme']),
+        toRow(JANE, 'Jane Doe', SSN_PT, [READ, WRITE], ['Acme']),
+        toRow(JOHN, 'John Doe', SSN_PT, [READ, WRITE], ['Acme']),
+      ]);
+
+      // the ACL keys are read in chunks
+      expect(mockAxiosInstances[PERMISSIONS_API].post).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[PERMISSIONS_API].post).toHaveBeenNthCalledWith(
+        1,
+        `/${BULK_PATH}`,
+        [[ENTITY_SET.id], [ENTITY_SET.id, NAME_PT.id]],
+        {},
+      );
+      expect(mockAxiosInstances[PERMISSIONS_API].post).toHaveBeenNthCalledWith(
+        2,
+        `/${BULK_PATH}`,
+        [[ENTITY_SET.id, SSN_PT.id]],
+        {},
+      );
+    });
+
+    test('should give the permissions of a role to every principal it is granted to, transitively', async () => {
+
+      // "Seniors" is granted "Analysts", and the organization is granted "Seniors", which is granted "Analysts" back
+      const seniors = {
+        id: genRandomUUID(),
+        principal: { id: 'seniors', type: PrincipalTypes.ROLE },
+        title: 'Seniors',
+      };
+      const mockGet = mockAxiosInstances[ORGANIZATIONS_API].get.getMockImplementation();
+      mockAxiosInstances[ORGANIZATIONS_API].get.mockImplementation((url) => {
+        if (url.endsWith(`/${ROLE_ID}/members`)) {
+          return Promise.resolve({ data: [{ name: 'Jane Doe', user_id: JANE.id }, seniors] });
+        }
+        if (url.endsWith(`/${seniors.id}/members`)) {
+          return Promise.resolve({ data: [ROLE, ORGANIZATION] });
+        }
+        if (url.endsWith('/roles')) {
+          return Promise.resolve({ data: [ROLE, seniors] });
+        }
+        return mockGet(url);
+      });
+
+      const report = await Audit.auditOrganization(ORGANIZATION_ID);
+      expect(report.rows.filter(({ propertyTypeId }) => propertyTypeId === NAME_PT.id)).toEqual([
+        toRow(ROLE.principal, 'Analysts', NAME_PT, [READ], ['Analysts']),
+        toRow(JANE, 'Jane Doe', NAME_PT, [READ], ['Analysts']),
+        toRow(seniors.principal, 'Seniors', NAME_PT, [READ], ['Analysts']),
+        toRow(ORGANIZATION.principal, 'Acme', NAME_PT, [READ], ['Analysts']),
+        toRow(JOHN, 'John Doe', NAME_PT, [READ], ['Analysts']),
+      ]);
+    });
+
+    test('should render the report as CSV, with the PII columns flagged', async () => {
+
+      const csv = await Audit.auditOrganization(ORGANIZATION_ID, { format: ReportFormatTypes.CSV });
+      const lines = parseCSV(csv);
+      expect(lines).toHaveLength(6);
+      expect(lines[0]).toEqual({
+        DISCOVER: '',
+        LINK: '',
+        MATERIALIZE: '',
+        OWNER: 'X',
+        READ: 'X',
+        WRITE: '',
+        entitySetId: ENTITY_SET.id,
+        entitySetName: ENTITY_SET.name,
+        grantedBy: 'Jane Doe',
+        pii: '',
+        principalId: JANE.id,
+        principalTitle: 'Jane Doe',
+        principalType: PrincipalTypes.USER,
+        propertyTypeFQN: '',
+        propertyTypeId: '',
+      });
+      expect(lines.map(({ pii }) => pii)).toEqual(['', '', '', 'PII', 'PII', 'PII']);
+      expect(lines[1].propertyTypeFQN).toEqual('general.name');
+    });
+
+    test('should render the report as JSON', async () => {
+
+      const report = await Audit.auditOrganization(ORGANIZATION_ID);
+      const json = await Audit.auditOrganization(ORGANIZATION_ID, { format: ReportFormatTypes.JSON });
+      expect(JSON.parse(json)).toEqual(report);
+    });
+
+    test('should reject if any ACLs cannot be read', async () => {
+
+      const error = new Error('forbidden');
+      mockAxiosInstances[PERMISSIONS_API].post.mockImplementation(() => Promise.reject(error));
+      await expect(Audit.auditOrganization(ORGANIZATION_ID)).rejects.toBe(error);
+    });
+
+    test('should resolve with no rows for an organization without entity sets', async () => {
+
+      const mockGet = mockAxiosInstances[ORGANIZATIONS_API].get.getMockImplementation();
+      mockAxiosInstances[ORGANIZATIONS_API].get.mockImplementation((url) => (
+        url.endsWith('/entity-sets') ? Promise.resolve({ data: {} }) : mockGet(url)
+      ));
+      const report = await Audit.auditOrganization(ORGANIZATION_ID);
+      expect(report.rows).toEqual([]);
+      expect(mockAxiosInstances[ENTITY_SETS_API].post).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[PERMISSIONS_API].post).not.toHaveBeenCalled();
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const invalid = [
+        [undefined],
+        ['organization'],
+        [ORGANIZATION_ID, { chunkSize: 0 }],
+        [ORGANIZATION_ID, { format: ReportFormatTypes.TEXT }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(Audit.auditOrganization(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[ORGANIZATIONS_API].get).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
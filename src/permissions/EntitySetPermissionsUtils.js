@@ -0,0 +1,270 @@
+/*
+ * @flow
+ */
+
+import isBoolean from 'lodash/isBoolean';
+
+import * as EntityDataModelApi from '../api/EntityDataModelApi';
+import * as EntitySetsApi from '../api/EntitySetsApi';
+import * as PermissionsApi from '../api/PermissionsApi';
+
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { toAces } from './AclUtils';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { ActionTypes } from '../constants/types';
+import { resolveEntitySetId } from '../fqn/EdmIndexUtils';
+import { Ace } from '../models/Ace';
+import { AclBuilder } from '../models/Acl';
+import { AclData, AclDataBuilder } from '../models/AclData';
+import { runInChunks } from '../utils/BulkUtils';
+import { isNonEmptyArray, isNonEmptyString, isPositiveInteger } from '../utils/LangUtils';
+import type { ActionType } from '../constants/types';
+import type { AceObject } from '../models/Ace';
+import type { RequestOptions, UUID } from '../types';
+import type { BulkProgress } from '../utils/BulkUtils';
+
+const LOG = new Logger('Permissions');
+
+const DEFAULT_CHUNK_SIZE = 100;
+
+// REPLACE would drop every other ACE of every ACL key, and REQUEST is not an update
+const ENTITY_SET_ACTION_TYPES :ActionType[] = [ActionTypes.ADD, ActionTypes.REMOVE, ActionTypes.SET];
+
+type EntitySetPermissionsOptions = {
+  ...RequestOptions;
+  action ?:ActionType;
+  chunkSize ?:number;
+  concurrency ?:number;
+  dryRun ?:boolean;
+  includeLinkedEntitySets ?:boolean;
+  includePii ?:boolean;
+  onProgress ?:(progress :BulkProgress) => void;
+};
+
+// "start" and "end" are the indices of the AclData that were sent in the failed request
+type EntitySetPermissionsFailure = {|
+  end :number;
+  error :any;
+  start :number;
+|};
+
+type EntitySetPermissionsResult = {|
+  aclData :AclData[];
+  applied :boolean;
+  failures :EntitySetPermissionsFailure[];
+|};
+
+const ENTITY_SET_PERMISSIONS_API = {
+  getAllPropertyTypes: EntityDataModelApi.getAllPropertyTypes,
+  getEntitySet: EntitySetsApi.getEntitySet,
+  getEntitySets: EntitySetsApi.getEntitySets,
+  getEntityType: EntityDataModelApi.getEntityType,
+  resolveEntitySetId,
+  updateAcls: PermissionsApi.updateAcls,
+};
+
+type EntitySetPermissionsApi = typeof ENTITY_SET_PERMISSIONS_API;
+
+function validateParameters(entitySetIdOrName :any, aces :any, permissionsOptions :Object) :void {
+
+  const {
+    action,
+    chunkSize,
+    concurrency,
+    dryRun,
+    includeLinkedEntitySets,
+    includePii,
+    onProgress,
+  } = permissionsOptions;
+
+  if (!isNonEmptyString(entitySetIdOrName)) {
+    const errorMsg = 'invalid parameter: "entitySetIdOrName" must be a valid UUID or a non-empty string';
+    LOG.error(errorMsg, entitySetIdOrName);
+    throw new LatticeValidationError(errorMsg, 'entitySetIdOrName', entitySetIdOrName);
+  }
+
+  if (!isNonEmptyArray(aces) || !toAces(aces)) {
+    const errorMsg = 'invalid parameter: "aces" must be a non-empty array of valid Ace objects';
+    LOG.error(errorMsg, aces);
+    throw new LatticeValidationError(errorMsg, 'aces', aces);
+  }
+
+  if (action !== undefined && !ENTITY_SET_ACTION_TYPES.includes(action)) {
+    const errorMsg = `invalid parameter: "action" must be one of ${ENTITY_SET_ACTION_TYPES.join(', ')}`;
+    LOG.error(errorMsg, action);
+    throw new LatticeValidationError(errorMsg, 'action', action);
+  }
+
+  if (chunkSize !== undefined && !isPositiveInteger(chunkSize)) {
+    const errorMsg = 'invalid parameter: "chunkSize" must be a positive integer';
+    LOG.error(errorMsg, chunkSize);
+    throw new LatticeValidationError(errorMsg, 'chunkSize', chunkSize);
+  }
+
+  if (concurrency !== undefined && !isPositiveInteger(concurrency)) {
+    const errorMsg = 'invalid parameter: "concurrency" must be a positive integer';
+    LOG.error(errorMsg, concurrency);
+    throw new LatticeValidationError(errorMsg, 'concurrency', concurrency);
+  }
+
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    const errorMsg = 'invalid parameter: "onProgress" must be a function';
+    LOG.error(errorMsg, onProgress);
+    throw new LatticeValidationError(errorMsg, 'onProgress', onProgress);
+  }
+
+  const flags = { dryRun, includeLinkedEntitySets, includePii };
+  const invalidFlag = Object.keys(flags).find((flag) => flags[flag] !== undefined && !isBoolean(flags[flag]));
+  if (invalidFlag) {
+    const errorMsg = `invalid parameter: "${invalidFlag}" must be a boolean`;
+    LOG.error(errorMsg, flags[invalidFlag]);
+    throw new LatticeValidationError(errorMsg, invalidFlag, flags[invalidFlag]);
+  }
+
+  // leaving out the PII properties when removing or replacing permissions would silently leave access to them
+  if (includePii === false && action !== undefined && action !== ActionTypes.ADD) {
+    const errorMsg = 'invalid parameter: "includePii" can only be false when "action" is ADD';
+    LOG.error(errorMsg, includePii);
+    throw new LatticeValidationError(errorMsg, 'includePii', includePii);
+  }
+}
+
+/*
+ * returns the ACL key of every entity set, followed by the ACL keys of its properties. the components of a linking
+ * entity set are included when "includeLinkedEntitySets" is set.
+ */
+async function getAclKeys(
+  api :EntitySetPermissionsApi,
+  entitySetId :UUID,
+  permissionsOptions :Object,
+  requestOptions :RequestOptions,
+) :Promise<Array<UUID[]>> {
+
+  const { includeLinkedEntitySets, includePii } = permissionsOptions;
+
+  const entitySet = await api.getEntitySet(entitySetId, requestOptions);
+  const entitySets :Object[] = [entitySet];
+  if (includeLinkedEntitySets && isNonEmptyArray(entitySet.linkedEntitySets)) {
+    // the entity sets come back keyed by id
+    const linkedEntitySets :Object = await api.getEntitySets(entitySet.linkedEntitySets, requestOptions);
+    entitySets.push(...Object.values(linkedEntitySets || {}));
+  }
+
+  const entityTypeIds = Array.from(new Set(entitySets.map(({ entityTypeId }) => entityTypeId)));
+  const entityTypes = await Promise.all(entityTypeIds.map((id) => api.getEntityType(id, requestOptions)));
+  const propertyTypeIdsByEntityType = {};
+  entityTypes.forEach((entityType :Object, index :number) => {
+    propertyTypeIdsByEntityType[entityTypeIds[index]] = entityType.properties || [];
+  });
+
+  let isPii :(propertyTypeId :UUID) => boolean = () => false;
+  if (!includePii) {
+    const propertyTypes = await api.getAllPropertyTypes(requestOptions);
+    const piiPropertyTypeIds = new Set(propertyTypes.filter(({ pii }) => pii === true).map(({ id }) => id));
+    isPii = (propertyTypeId :UUID) => piiPropertyTypeIds.has(propertyTypeId);
+  }
+
+  const aclKeys = [];
+  entitySets.forEach(({ entityTypeId, id } :Object) => {
+    aclKeys.push([id]);
+    propertyTypeIdsByEntityType[entityTypeId]
+      .filter((propertyTypeId :UUID) => !isPii(propertyTypeId))
+      .forEach((propertyTypeId :UUID) => aclKeys.push([id, propertyTypeId]));
+  });
+  return aclKeys;
+}
+
+async function updatePermissions(
+  api :EntitySetPermissionsApi,
+  entitySetIdOrName :UUID | string,
+  aces :$ReadOnlyArray<Ace | AceObject>,
+  permissionsOptions :EntitySetPermissionsOptions,
+) :Promise<EntitySetPermissionsResult> {
+
+  validateParameters(entitySetIdOrName, aces, permissionsOptions);
+
+  const {
+    action = ActionTypes.ADD,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    concurrency = 1,
+    dryRun = false,
+    includeLinkedEntitySets = true,
+    includePii = true,
+    onProgress,
+    ...requestOptions
+  } = permissionsOptions;
+
+  const entitySetId = await api.resolveEntitySetId(entitySetIdOrName, requestOptions);
+  const aclKeys = await getAclKeys(api, entitySetId, { includeLinkedEntitySets, includePii }, requestOptions);
+
+  const theAces :Ace[] = (toAces(aces) :any);
+  const aclData = aclKeys.map((aclKey :UUID[]) => (new AclDataBuilder())
+    .setAcl((new AclBuilder()).setAclKey(aclKey).setAces(theAces).build())
+    .setAction(action)
+    .build());
+
+  if (dryRun) {
+    return { aclData, applied: false, failures: [] };
+  }
+
+  const chunkResults = await runInChunks(
+    aclData,
+    (chunk :AclData[]) => api.updateAcls(chunk, requestOptions),
+    { chunkSize, concurrency, onProgress },
+  );
+  const failures = chunkResults
+    .filter((chunkResult) => chunkResult.error !== undefined)
+    .map(({ end, error, start }) => ({ end, error, start }));
+  return { aclData, applied: failures.length === 0, failures };
+}
+
+/**
+ * Applies the given ACEs to an entity set and to every one of its properties, and, for a linking entity set, to every
+ * one of its component entity sets and their properties. The AclData are sent in chunks, each of which is a separate
+ * PermissionsApi.updateAcls() request. A failed chunk does not stop the remaining chunks, but it is listed among the
+ * "failures", and "applied" is false.
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID | string} entitySetIdOrName
+ * @param {Ace[]} aces
+ * @param {Object} permissionsOptions - any of the request options, in addition to the options below (optional)
+ * @param {ActionType} permissionsOptions.action - ADD, REMOVE, or SET (default ADD)
+ * @param {number} permissionsOptions.chunkSize - the maximum number of AclData per request (default 100)
+ * @param {number} permissionsOptions.concurrency - the maximum number of requests to send in parallel (default 1)
+ * @param {boolean} permissionsOptions.dryRun - builds the AclData without sending them (default false)
+ * @param {boolean} permissionsOptions.includeLinkedEntitySets - includes the component entity sets (default true)
+ * @param {boolean} permissionsOptions.includePii - includes the PropertyTypes flagged as PII (default true). can
+ *   only be false when "action" is ADD, since a REMOVE or SET that leaves them out would leave their permissions as
+ *   they are
+ * @param {Function} permissionsOptions.onProgress - called with the number of completed, failed, and total AclData
+ *   after each chunk (optional)
+ * @returns {Promise<Object>} - a Promise that resolves with the AclData, whether all of them were sent, and the failed
+ *   chunks
+ *
+ * @example
+ * Permissions.updateEntitySetPermissions(
+ *   "ec6865e6-e60e-424b-a071-6a9c1603d735",
+ *   [{ permissions: ["READ"], principal: { id: "openlatticeRole", type: "ROLE" } }],
+ *   { includePii: false },
+ * );
+ */
+function updateEntitySetPermissions(
+  entitySetIdOrName :UUID | string,
+  aces :$ReadOnlyArray<Ace | AceObject>,
+  permissionsOptions ?:EntitySetPermissionsOptions,
+) :Promise<EntitySetPermissionsResult> {
+
+  const api :EntitySetPermissionsApi = bindAllToClientContext(ENTITY_SET_PERMISSIONS_API);
+  return updatePermissions(api, entitySetIdOrName, aces, permissionsOptions || {});
+}
+
+export {
+  updateEntitySetPermissions,
+};
+
+export type {
+  EntitySetPermissionsFailure,
+  EntitySetPermissionsOptions,
+  EntitySetPermissionsResult,
+};
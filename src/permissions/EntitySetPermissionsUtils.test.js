@@ -0,0 +1,166 @@
+import * as EntitySetPermissions from './EntitySetPermissionsUtils';
+
+import { LatticeValidationError } from '../errors';
+import {
+  EDM_API,
+  ENTITY_SETS_API,
+  PERMISSIONS_API,
+} from '../constants/ApiNames';
+import { ActionTypes, PermissionTypes, PrincipalTypes } from '../constants/types';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const ACE = { permissions: [PermissionTypes.READ], principal: { id: 'role', type: PrincipalTypes.ROLE } };
+
+const ENTITY_TYPE = { id: genRandomUUID(), properties: [genRandomUUID(), genRandomUUID()] };
+const [NAME_PTID, SSN_PTID] = ENTITY_TYPE.properties;
+
+const COMPONENT_ENTITY_SETS = [1, 2].map(() => ({ entityTypeId: ENTITY_TYPE.id, id: genRandomUUID() }));
+const LINKING_ENTITY_SET = {
+  entityTypeId: ENTITY_TYPE.id,
+  id: genRandomUUID(),
+  linkedEntitySets: COMPONENT_ENTITY_SETS.map(({ id }) => id),
+};
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([EDM_API, ENTITY_SETS_API, PERMISSIONS_API]);
+  mockAxiosInstances[EDM_API].get.mockImplementation((url) => Promise.resolve({
+    data: url.endsWith(ENTITY_TYPE.id)
+      ? ENTITY_TYPE
+      : [{ id: NAME_PTID, pii: false }, { id: SSN_PTID, pii: true }],
+  }));
+  mockAxiosInstances[ENTITY_SETS_API].get.mockImplementation(() => Promise.resolve({ data: LINKING_ENTITY_SET }));
+  mockAxiosInstances[ENTITY_SETS_API].post.mockImplementation(() => Promise.resolve({
+    data: COMPONENT_ENTITY_SETS.reduce((entitySets, entitySet) => ({ ...entitySets, [entitySet.id]: entitySet }), {}),
+  }));
+  mockAxiosInstances[PERMISSIONS_API].patch.mockImplementation(() => Promise.resolve({ data: undefined }));
+}
+
+const getAclKeys = (aclData) => aclData.map((data) => data.acl.aclKey);
+
+describe('Permissions', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+  });
+
+  describe('updateEntitySetPermissions()', () => {
+
+    test('should send the ACEs for the entity set, its component entity sets, and their properties', async () => {
+
+      const onProgress = jest.fn();
+      const result = await EntitySetPermissions.updateEntitySetPermissions(
+        LINKING_ENTITY_SET.id,
+        [ACE],
+        { chunkSize: 4, onProgress },
+      );
+      expect(result.applied).toEqual(true);
+      expect(result.failures).toEqual([]);
+      expect(getAclKeys(result.aclData)).toEqual(
+        [LINKING_ENTITY_SET, ...COMPONENT_ENTITY_SETS].reduce((aclKeys, { id }) => [
+          ...aclKeys,
+          [id],
+          [id, NAME_PTID],
+          [id, SSN_PTID],
+        ], []),
+      );
+      result.aclData.forEach((aclData) => {
+        expect(aclData.action).toEqual(ActionTypes.ADD);
+        expect(aclData.acl.aces.map((ace) => ace.toObject())).toEqual([ACE]);
+      });
+
+      // the entity type is shared by the entity sets, so it is only read once
+      expect(mockAxiosInstances[EDM_API].get).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[PERMISSIONS_API].patch).toHaveBeenCalledTimes(3);
+      expect(onProgress).toHaveBeenLastCalledWith({ completed: 9, failed: 0, total: 9 });
+    });
+
+    test('should leave out the PII properties and the component entity sets when asked to', async () => {
+
+      const result = await EntitySetPermissions.updateEntitySetPermissions(
+        LINKING_ENTITY_SET.id,
+        [ACE],
+        {
+          action: ActionTypes.ADD,
+          dryRun: true,
+          includeLinkedEntitySets: false,
+          includePii: false,
+        },
+      );
+      expect(result.applied).toEqual(false);
+      expect(getAclKeys(result.aclData)).toEqual([[LINKING_ENTITY_SET.id], [LINKING_ENTITY_SET.id, NAME_PTID]]);
+      expect(result.aclData[0].action).toEqual(ActionTypes.ADD);
+      expect(mockAxiosInstances[ENTITY_SETS_API].post).not.toHaveBeenCalled();
+      expect(mockAxiosInstances[PERMISSIONS_API].patch).not.toHaveBeenCalled();
+    });
+
+    test('should not leave out the PII properties when removing or setting permissions', async () => {
+
+      await Promise.all([ActionTypes.REMOVE, ActionTypes.SET].map(async (action) => {
+        const error = await EntitySetPermissions.updateEntitySetPermissions(
+          LINKING_ENTITY_SET.id,
+          [ACE],
+          { action, includePii: false },
+        ).catch((e) => e);
+        expect(error).toBeInstanceOf(LatticeValidationError);
+        expect(error.parameter).toEqual('includePii');
+      }));
+
+      const result = await EntitySetPermissions.updateEntitySetPermissions(
+        LINKING_ENTITY_SET.id,
+        [ACE],
+        { action: ActionTypes.REMOVE, dryRun: true, includeLinkedEntitySets: false },
+      );
+      expect(getAclKeys(result.aclData)).toEqual([
+        [LINKING_ENTITY_SET.id],
+        [LINKING_ENTITY_SET.id, NAME_PTID],
+        [LINKING_ENTITY_SET.id, SSN_PTID],
+      ]);
+      expect(result.aclData[0].action).toEqual(ActionTypes.REMOVE);
+      expect(mockAxiosInstances[PERMISSIONS_API].patch).not.toHaveBeenCalled();
+    });
+
+    test('should report the failed chunks without stopping the remaining chunks', async () => {
+
+      const error = new Error('failure');
+      mockAxiosInstances[PERMISSIONS_API].patch.mockImplementationOnce(() => Promise.reject(error));
+      const result = await EntitySetPermissions.updateEntitySetPermissions(
+        LINKING_ENTITY_SET.id,
+        [ACE],
+        { chunkSize: 5 },
+      );
+      expect(result.applied).toEqual(false);
+      expect(result.failures).toEqual([{ end: 5, error, start: 0 }]);
+      expect(mockAxiosInstances[PERMISSIONS_API].patch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject with a LatticeValidationError, without sending, when given invalid parameters', async () => {
+
+      const invalid = [
+        ['', [ACE]],
+        [LINKING_ENTITY_SET.id, []],
+        [LINKING_ENTITY_SET.id, [{ permissions: ['invalid'] }]],
+        [LINKING_ENTITY_SET.id, [ACE], { action: ActionTypes.REPLACE }],
+        [LINKING_ENTITY_SET.id, [ACE], { chunkSize: 0 }],
+        [LINKING_ENTITY_SET.id, [ACE], { concurrency: -1 }],
+        [LINKING_ENTITY_SET.id, [ACE], { includePii: 'false' }],
+        [LINKING_ENTITY_SET.id, [ACE], { action: ActionTypes.SET, includePii: false }],
+        [LINKING_ENTITY_SET.id, [ACE], { onProgress: 'invalid' }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(EntitySetPermissions.updateEntitySetPermissions(...params))
+          .rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[PERMISSIONS_API].patch).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
@@ -0,0 +1,280 @@
+/*
+ * @flow
+ */
+
+import * as OrganizationsApi from '../api/OrganizationsApi';
+import * as PermissionsApi from '../api/PermissionsApi';
+import * as PrincipalsApi from '../api/PrincipalsApi';
+
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { bindAllToClientContext } from '../client/ClientContext';
+import { PrincipalTypes, ReportFormatTypes } from '../constants/types';
+import { isNonEmptyArray } from '../utils/LangUtils';
+import { isValidUUID } from '../utils/ValidationUtils';
+import type { PermissionType, PrincipalType, ReportFormatType } from '../constants/types';
+import type { RequestOptions, UUID } from '../types';
+
+const LOG = new Logger('Permissions');
+
+const EXPLANATION_FORMAT_TYPES = [ReportFormatTypes.MARKDOWN, ReportFormatTypes.OBJECT, ReportFormatTypes.TEXT];
+
+type ExplainAclOptions = {
+  ...RequestOptions;
+  format ?:ReportFormatType;
+};
+
+// a principal, with the principals it inherits its permissions from as its children
+type AclExplanationNode = {|
+  children :AclExplanationNode[];
+  id :string;
+  permissions :PermissionType[];
+  title :string;
+  type :PrincipalType;
+|};
+
+type AclExplanationReport = {|
+  aclKey :UUID[];
+  principals :AclExplanationNode[];
+|};
+
+const EXPLAIN_ACL_API = {
+  getAclExplanation: PermissionsApi.getAclExplanation,
+  getOrganization: OrganizationsApi.getOrganization,
+  getRole: OrganizationsApi.getRole,
+  getSecurablePrincipal: PrincipalsApi.getSecurablePrincipal,
+  getUsers: PrincipalsApi.getUsers,
+};
+
+type ExplainAclApi = typeof EXPLAIN_ACL_API;
+
+function getPrincipalKey(principal :Object) :string {
+
+  return `${principal.type}/${principal.id}`;
+}
+
+/*
+ * returns the title of every given principal, by principal key. users are named after their profile, roles after the
+ * role and its organization, and organizations after the organization. a principal whose title cannot be looked up is
+ * named after its id, so that the report does not fail because of a principal that no longer exists.
+ */
+async function getTitles(
+  api :ExplainAclApi,
+  principals :Object[],
+  requestOptions :RequestOptions,
+) :Promise<{ [key :string] :string }> {
+
+  const titles = {};
+  principals.forEach((principal) => {
+    titles[getPrincipalKey(principal)] = principal.id;
+  });
+
+  const userIds = principals.filter(({ type }) => type === PrincipalTypes.USER).map(({ id }) => id);
+  const usersLookup = !userIds.length ? Promise.resolve() : api.getUsers(userIds, requestOptions)
+    .then((users :Object) => {
+      userIds.forEach((userId :string) => {
+        const user = (users || {})[userId] || {};
+        const title = user.name || user.nickname || user.email;
+        if (title) {
+          titles[getPrincipalKey({ id: userId, type: PrincipalTypes.USER })] = title;
+        }
+      });
+    })
+    .catch((error) => LOG.warn('unable to look up the users of the ACL explanation', error));
+
+  const organizationTitles = {};
+  const getOrganizationTitle = (organizationId :UUID) :Promise<string> => {
+    if (!organizationTitles[organizationId]) {
+      organizationTitles[organizationId] = api.getOrganization(organizationId, requestOptions)
+        .then((organization :Object) => organization.title);
+    }
+    return organizationTitles[organizationId];
+  };
+
+  const securablePrincipalsLookup = principals
+    .filter(({ type }) => type !== PrincipalTypes.USER)
+    .map(async (principal :Object) => {
+      try {
+        const { aclKey = [], title } = await api.getSecurablePrincipal(principal, requestOptions) || {};
+        const [organizationId, roleId] = aclKey;
+        if (principal.type === PrincipalTypes.ROLE && roleId) {
+          const [role, organizationTitle] = await Promise.all([
+            api.getRole(organizationId, roleId, requestOptions),
+            getOrganizationTitle(organizationId),
+          ]);
+          titles[getPrincipalKey(principal)] = `${role.title} (${organizationTitle})`;
+        }
+        else if (principal.type === PrincipalTypes.ORGANIZATION && organizationId) {
+          titles[getPrincipalKey(principal)] = await getOrganizationTitle(organizationId);
+        }
+        else if (title) {
+          titles[getPrincipalKey(principal)] = title;
+        }
+      }
+      catch (error) {
+        LOG.warn('unable to look up a principal of the ACL explanation', principal, error);
+      }
+    });
+
+  await Promise.all([usersLookup, ...securablePrincipalsLookup]);
+  return titles;
+}
+
+/*
+ * the paths of an explanation lead from the principal with the permissions to the principal the permissions were
+ * granted to. a path is reversed if it ends at the principal instead, and the principal itself is left out.
+ */
+function getInheritedPath(principal :Object, path :Object[]) :Object[] {
+
+  const key = getPrincipalKey(principal);
+  const isEndingAtPrincipal = path.length > 1 && getPrincipalKey(path[path.length - 1]) === key;
+  const orderedPath = isEndingAtPrincipal ? [...path].reverse() : path;
+  return orderedPath.filter((pathPrincipal) => getPrincipalKey(pathPrincipal) !== key);
+}
+
+function buildReport(aclKey :UUID[], explanations :Object[], titles :{ [key :string] :string }) :AclExplanationReport {
+
+  const permissionsByPrincipal = {};
+  explanations.forEach(({ permissions, principal }) => {
+    permissionsByPrincipal[getPrincipalKey(principal)] = permissions || [];
+  });
+
+  const toNode = (principal :Object) => ({
+    children: [],
+    id: principal.id,
+    permissions: permissionsByPrincipal[getPrincipalKey(principal)] || [],
+    title: titles[getPrincipalKey(principal)] || principal.id,
+    type: principal.type,
+  });
+
+  const principals = explanations.map(({ paths, principal }) => {
+    const root = toNode(principal);
+    (paths || []).forEach((path :Object[]) => {
+      let node = root;
+      getInheritedPath(principal, path).forEach((pathPrincipal :Object) => {
+        let child = node.children.find(({ id, type }) => id === pathPrincipal.id && type === pathPrincipal.type);
+        if (!child) {
+          child = toNode(pathPrincipal);
+          node.children.push(child);
+        }
+        node = child;
+      });
+    });
+    return root;
+  });
+
+  return { aclKey, principals };
+}
+
+function getPermissionsText(node :AclExplanationNode) :string {
+
+  return node.permissions.length ? node.permissions.join(', ') : 'no permissions';
+}
+
+function toText(report :AclExplanationReport) :string {
+
+  const lines = [`Permissions on ${report.aclKey.join(' / ')}`];
+  const addLines = (nodes :AclExplanationNode[], indent :string) => {
+    nodes.forEach((node :AclExplanationNode, index :number) => {
+      const isLast = index === nodes.length - 1;
+      lines.push(`${indent}${isLast ? '└── ' : '├── '}${node.title} (${node.type}): ${getPermissionsText(node)}`);
+      addLines(node.children, `${indent}${isLast ? '    ' : '│   '}`);
+    });
+  };
+  report.principals.forEach((node :AclExplanationNode) => {
+    lines.push(`${node.title} (${node.type}): ${getPermissionsText(node)}`);
+    addLines(node.children, '');
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeMarkdown(text :string) :string {
+
+  return text.replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+function toMarkdown(report :AclExplanationReport) :string {
+
+  const lines = [`Permissions on \`${report.aclKey.join(' / ')}\``, ''];
+  const addLines = (nodes :AclExplanationNode[], indent :string, prefix :string) => {
+    nodes.forEach((node :AclExplanationNode) => {
+      lines.push(`${indent}- ${prefix}**${escapeMarkdown(node.title)}** (${node.type}): ${getPermissionsText(node)}`);
+      addLines(node.children, `${indent}  `, 'inherited from ');
+    });
+  };
+  addLines(report.principals, '', '');
+  return `${lines.join('\n')}\n`;
+}
+
+async function explain(
+  api :ExplainAclApi,
+  aclKey :UUID[],
+  explainOptions :ExplainAclOptions,
+) :Promise<AclExplanationReport | string> {
+
+  const { format = ReportFormatTypes.OBJECT, ...requestOptions } = explainOptions;
+
+  if (!isNonEmptyArray(aclKey) || !aclKey.every(isValidUUID)) {
+    const errorMsg = 'invalid parameter: "aclKey" must be a non-empty array of valid UUIDs';
+    LOG.error(errorMsg, aclKey);
+    throw new LatticeValidationError(errorMsg, 'aclKey', aclKey);
+  }
+  if (!EXPLANATION_FORMAT_TYPES.includes(format)) {
+    const errorMsg = `invalid parameter: "format" must be one of ${EXPLANATION_FORMAT_TYPES.join(', ')}`;
+    LOG.error(errorMsg, format);
+    throw new LatticeValidationError(errorMsg, 'format', format);
+  }
+
+  const explanations :Object[] = Object.values(await api.getAclExplanation(aclKey, requestOptions) || {});
+
+  const principals = {};
+  explanations.forEach(({ paths, principal }) => {
+    [[principal], ...(paths || [])].forEach((path :Object[]) => path.forEach((pathPrincipal :Object) => {
+      principals[getPrincipalKey(pathPrincipal)] = pathPrincipal;
+    }));
+  });
+  const titles = await getTitles(api, (Object.values(principals) :any), requestOptions);
+
+  const report = buildReport(aclKey, explanations, titles);
+  if (format === ReportFormatTypes.MARKDOWN) {
+    return toMarkdown(report);
+  }
+  if (format === ReportFormatTypes.TEXT) {
+    return toText(report);
+  }
+  return report;
+}
+
+/**
+ * Explains where the permissions on the given ACL key come from, naming every principal after its user, role, or
+ * organization. Resolves with a tree per principal, whose children are the principals it inherits permissions from,
+ * either as an object, or rendered as plain text or Markdown. Requires the permissions of
+ * PermissionsApi.getAclExplanation().
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID[]} aclKey
+ * @param {Object} explainOptions - "format", and RequestOptions (optional)
+ * @param {ReportFormatType} explainOptions.format - "OBJECT", "TEXT", or "MARKDOWN" (default "OBJECT")
+ * @returns {Promise<Object | string>} - a Promise that resolves with the report
+ *
+ * @example
+ * Permissions.explainAcl(["ec6865e6-e60e-424b-a071-6a9c1603d735"], { format: "TEXT" });
+ * // Permissions on ec6865e6-e60e-424b-a071-6a9c1603d735
+ * // Jane Doe (USER): OWNER, READ
+ * // └── Analysts (Acme) (ROLE): READ
+ */
+function explainAcl(aclKey :UUID[], explainOptions ?:ExplainAclOptions) :Promise<AclExplanationReport | string> {
+
+  const api :ExplainAclApi = bindAllToClientContext(EXPLAIN_ACL_API);
+  return explain(api, aclKey, explainOptions || {});
+}
+
+export {
+  explainAcl,
+};
+
+export type {
+  AclExplanationNode,
+  AclExplanationReport,
+  ExplainAclOptions,
+};
@@ -0,0 +1,138 @@
+import * as Explanation from './ExplanationUtils';
+
+import { LatticeValidationError } from '../errors';
+import { ORGANIZATIONS_API, PERMISSIONS_API, PRINCIPALS_API } from '../constants/ApiNames';
+import { EXPLAIN_PATH } from '../constants/UrlConstants';
+import { PermissionTypes, PrincipalTypes, ReportFormatTypes } from '../constants/types';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const { OWNER, READ } = PermissionTypes;
+
+const MOCK_ACL_KEY = [genRandomUUID()];
+const ORGANIZATION_ID = genRandomUUID();
+const ROLE_ID = genRandomUUID();
+
+const USER = { id: 'auth0|jane', type: PrincipalTypes.USER };
+const ROLE = { id: 'role', type: PrincipalTypes.ROLE };
+const ORGANIZATION = { id: 'organization', type: PrincipalTypes.ORGANIZATION };
+const UNKNOWN_ROLE = { id: 'unknown', type: PrincipalTypes.ROLE };
+
+const EXPLANATION = [
+  { paths: [[USER], [USER, ROLE, ORGANIZATION]], permissions: [OWNER, READ], principal: USER },
+  { paths: [[ORGANIZATION, ROLE]], permissions: [READ], principal: ROLE },
+  { paths: [[ORGANIZATION]], permissions: [READ], principal: ORGANIZATION },
+  { paths: [[UNKNOWN_ROLE]], permissions: [], principal: UNKNOWN_ROLE },
+];
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([ORGANIZATIONS_API, PERMISSIONS_API, PRINCIPALS_API]);
+  mockAxiosInstances[ORGANIZATIONS_API].get.mockImplementation((url) => Promise.resolve({
+    data: url.endsWith(ROLE_ID) ? { title: 'Analysts' } : { title: 'Acme' },
+  }));
+  mockAxiosInstances[PERMISSIONS_API].post.mockImplementation(() => Promise.resolve({ data: EXPLANATION }));
+  mockAxiosInstances[PRINCIPALS_API].post.mockImplementation((url, body) => {
+    if (url === '/users') {
+      return Promise.resolve({ data: { [USER.id]: { email: 'jane@example.com', name: 'Jane Doe' } } });
+    }
+    if (body.id === ROLE.id) {
+      return Promise.resolve({ data: { aclKey: [ORGANIZATION_ID, ROLE_ID], principal: ROLE, title: 'role' } });
+    }
+    if (body.id === ORGANIZATION.id) {
+      return Promise.resolve({ data: { aclKey: [ORGANIZATION_ID], principal: ORGANIZATION } });
+    }
+    return Promise.reject(new Error('not found'));
+  });
+}
+
+describe('Permissions', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+  });
+
+  describe('explainAcl()', () => {
+
+    test('should resolve with a tree of titled principals per principal', async () => {
+
+      const report = await Explanation.explainAcl(MOCK_ACL_KEY);
+      expect(mockAxiosInstances[PERMISSIONS_API].post).toHaveBeenCalledWith(`/${EXPLAIN_PATH}`, MOCK_ACL_KEY, {});
+      expect(report.aclKey).toEqual(MOCK_ACL_KEY);
+
+      const toNode = (principal, title, permissions, children = []) => ({
+        ...principal,
+        children,
+        permissions,
+        title,
+      });
+      const organizationNode = toNode(ORGANIZATION, 'Acme', [READ]);
+      const roleNode = toNode(ROLE, 'Analysts (Acme)', [READ], [organizationNode]);
+      expect(report.principals).toEqual([
+        toNode(USER, 'Jane Doe', [OWNER, READ], [roleNode]),
+        roleNode,
+        organizationNode,
+        // a principal that cannot be looked up is named after its id
+        toNode(UNKNOWN_ROLE, 'unknown', []),
+      ]);
+
+      // the organization is only looked up once
+      expect(mockAxiosInstances[ORGANIZATIONS_API].get).toHaveBeenCalledTimes(2);
+    });
+
+    test('should render the report as plain text', async () => {
+
+      const text = await Explanation.explainAcl(MOCK_ACL_KEY, { format: ReportFormatTypes.TEXT });
+      expect(text).toEqual([
+        `Permissions on ${MOCK_ACL_KEY[0]}`,
+        'Jane Doe (USER): OWNER, READ',
+        '└── Analysts (Acme) (ROLE): READ',
+        '    └── Acme (ORGANIZATION): READ',
+        'Analysts (Acme) (ROLE): READ',
+        '└── Acme (ORGANIZATION): READ',
+        'Acme (ORGANIZATION): READ',
+        'unknown (ROLE): no permissions',
+        '',
+      ].join('\n'));
+    });
+
+    test('should render the report as Markdown', async () => {
+
+      const markdown = await Explanation.explainAcl(MOCK_ACL_KEY, { format: ReportFormatTypes.MARKDOWN });
+      expect(markdown).toEqual([
+        `Permissions on \`${MOCK_ACL_KEY[0]}\``,
+        '',
+        '- **Jane Doe** (USER): OWNER, READ',
+        '  - inherited from **Analysts (Acme)** (ROLE): READ',
+        '    - inherited from **Acme** (ORGANIZATION): READ',
+        '- **Analysts (Acme)** (ROLE): READ',
+        '  - inherited from **Acme** (ORGANIZATION): READ',
+        '- **Acme** (ORGANIZATION): READ',
+        '- **unknown** (ROLE): no permissions',
+        '',
+      ].join('\n'));
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const invalid = [
+        [[]],
+        [['invalid']],
+        [MOCK_ACL_KEY, { format: 'HTML' }],
+        [MOCK_ACL_KEY, { format: ReportFormatTypes.CSV }],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(Explanation.explainAcl(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[PERMISSIONS_API].post).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
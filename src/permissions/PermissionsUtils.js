@@ -0,0 +1,374 @@
+/*
+ * @flow
+ */
+
+/**
+ * Permissions answers "can the current user ...?" questions, such as whether the current user can WRITE an entity set,
+ * or READ some of its properties. The checks of every caller are batched into a single
+ * AuthorizationsApi.getAuthorizations() request per tick, and the results are cached until they expire, or until
+ * they are invalidated, either by PermissionsApi.updateAcl() and PermissionsApi.updateAcls(), or by
+ * Permissions.invalidate(). Only the ACL changes made through this client invalidate the cache, so a change made by
+ * someone else is not seen until the cached result expires, which is one minute after the check by default. The
+ * "permissionsCache" option of configure() and createClient() sets how long the results stay cached.
+ *
+ * A target is either an ACL key, or an object with an entity set id and, optionally, PropertyType ids. An entity set
+ * target stands for the entity set itself, and an entity set target with PropertyType ids stands for only those
+ * properties of the entity set.
+ *
+ * Permissions also edits ACLs: editAcl() sends only the ADD and REMOVE changes that bring an ACL in line with the
+ * desired ACEs of some principals, instead of replacing the whole ACL, and updateEntitySetPermissions() applies ACEs to
+ * an entity set along with all of its properties. explainAcl() reports where the permissions on an ACL key come from,
+ * and auditOrganization() reports who can access the entity sets of an organization.
+ *
+ * @module Permissions
+ * @memberof lattice
+ *
+ * @example
+ * import { Permissions, Types } from 'lattice';
+ * const canWrite = await Permissions.can({ entitySetId }, [Types.PermissionTypes.WRITE]);
+ */
+
+import { Map, is } from 'immutable';
+
+import * as AuthorizationsApi from '../api/AuthorizationsApi';
+
+import LatticeValidationError from '../errors/LatticeValidationError';
+import Logger from '../utils/Logger';
+import { ResponseCache } from '../cache/ResponseCache';
+import { bindToClientContext, getClientContext } from '../client/ClientContext';
+import { getConfig } from '../config/Configuration';
+import { PermissionTypes } from '../constants/types';
+import { isNonEmptyArray } from '../utils/LangUtils';
+import { isValidUUID } from '../utils/ValidationUtils';
+import type { PermissionType } from '../constants/types';
+import type { UUID } from '../types';
+
+const LOG = new Logger('Permissions');
+
+const DEFAULT_PERMISSIONS_CACHE_POLICY = {
+  maxEntries: 10000,
+  ttl: 60 * 1000,
+};
+
+type PermissionsTarget = UUID[] | {
+  entitySetId :UUID;
+  propertyTypeIds ?:UUID[];
+};
+
+type PermissionsMatrixRow = {|
+  aclKey :UUID[];
+  permissions :{ [permission :PermissionType] :boolean };
+|};
+
+type PendingResult = {|
+  promise :Promise<boolean>;
+  reject :(error :any) => void;
+  resolve :(value :boolean) => void;
+|};
+
+// the checks that are collected during the current tick, by ACL key, and the callbacks of their results
+type PendingChecks = {
+  [key :string] :{
+    aclKey :UUID[];
+    permissions :{ [permission :string] :PendingResult };
+  };
+};
+
+type PermissionsCache = {
+  configuration :Map<*, *>;
+  pendingChecks :?PendingChecks;
+  // every permission of every ACL key that has been checked, or is being checked, keyed by ACL key and permission
+  results :ResponseCache;
+};
+
+let defaultPermissionsCache :?PermissionsCache = null;
+
+/*
+ * just like the response cache, every client keeps its own cache, and the cache is dropped when the configuration
+ * changes, since a different user or a different stack has different permissions
+ */
+function getPermissionsCache() :PermissionsCache {
+
+  const configuration = getConfig();
+  const clientContext = getClientContext();
+  let permissionsCache :?PermissionsCache = clientContext ? clientContext.permissionsCache : defaultPermissionsCache;
+  if (!permissionsCache || !is(permissionsCache.configuration, configuration)) {
+    const cachePolicy = configuration && configuration.get('permissionsCache');
+    permissionsCache = {
+      configuration,
+      pendingChecks: null,
+      results: new ResponseCache({ ...DEFAULT_PERMISSIONS_CACHE_POLICY, ...(cachePolicy ? cachePolicy.toJS() : {}) }),
+    };
+    if (clientContext) {
+      clientContext.permissionsCache = permissionsCache;
+    }
+    else {
+      defaultPermissionsCache = permissionsCache;
+    }
+  }
+
+  return permissionsCache;
+}
+
+function getAclKeyString(aclKey :$ReadOnlyArray<UUID>) :string {
+
+  return aclKey.join('/');
+}
+
+function getResultKey(aclKey :$ReadOnlyArray<UUID>, permission :string) :string {
+
+  return `${getAclKeyString(aclKey)}/${permission}`;
+}
+
+function getAclKeys(target :any) :?Array<UUID[]> {
+
+  if (Array.isArray(target)) {
+    return isNonEmptyArray(target) && target.every(isValidUUID) ? [target] : null;
+  }
+
+  if (!target || !isValidUUID(target.entitySetId)) {
+    return null;
+  }
+
+  const { entitySetId, propertyTypeIds } = target;
+  if (propertyTypeIds === undefined) {
+    return [[entitySetId]];
+  }
+
+  if (!isNonEmptyArray(propertyTypeIds) || !propertyTypeIds.every(isValidUUID)) {
+    return null;
+  }
+
+  return propertyTypeIds.map((propertyTypeId :UUID) => [entitySetId, propertyTypeId]);
+}
+
+/*
+ * sends the checks that have been collected, as a single request, and settles the result of each permission. a
+ * permission that is missing from the response is not granted. failed checks are not cached.
+ */
+function sendPendingChecks(
+  permissionsCache :PermissionsCache,
+  getAuthorizations :typeof AuthorizationsApi.getAuthorizations,
+) :void {
+
+  const pendingChecks = permissionsCache.pendingChecks || {};
+  permissionsCache.pendingChecks = null; // eslint-disable-line no-param-reassign
+
+  const keys = Object.keys(pendingChecks);
+  const checks = keys.map((key :string) => ({
+    aclKey: pendingChecks[key].aclKey,
+    permissions: Object.keys(pendingChecks[key].permissions),
+  }));
+
+  getAuthorizations((checks :any))
+    .then((authorizations :Object[]) => {
+      const granted = {};
+      (authorizations || []).forEach((authorization :Object) => {
+        granted[getAclKeyString(authorization.aclKey || [])] = authorization.permissions || {};
+      });
+      keys.forEach((key :string) => {
+        const { permissions } = pendingChecks[key];
+        Object.keys(permissions).forEach((permission :string) => {
+          permissions[permission].resolve((granted[key] || {})[permission] === true);
+        });
+      });
+    })
+    .catch((error :any) => {
+      keys.forEach((key :string) => {
+        const { permissions } = pendingChecks[key];
+        Object.keys(permissions).forEach((permission :string) => {
+          // the result might have been invalidated, and checked again, while the request was in flight
+          const resultKey = getResultKey(pendingChecks[key].aclKey, permission);
+          if (permissionsCache.results.get(resultKey) === permissions[permission].promise) {
+            permissionsCache.results.invalidate(resultKey);
+          }
+          permissions[permission].reject(error);
+        });
+      });
+    });
+}
+
+/*
+ * resolves with whether each of the given permissions is granted on the given ACL key, from the cache if possible.
+ */
+function checkPermissions(
+  aclKey :UUID[],
+  permissions :$ReadOnlyArray<PermissionType>,
+) :Promise<{ [permission :PermissionType] :boolean }> {
+
+  const permissionsCache = getPermissionsCache();
+  const key = getAclKeyString(aclKey);
+  const results :{ [permission :string] :Promise<boolean> } = {};
+
+  permissions.forEach((permission :PermissionType) => {
+    const cachedResult = results[permission] || permissionsCache.results.get(getResultKey(aclKey, permission));
+    if (cachedResult) {
+      results[permission] = cachedResult;
+      return;
+    }
+    let { pendingChecks } = permissionsCache;
+    if (!pendingChecks) {
+      pendingChecks = {};
+      permissionsCache.pendingChecks = pendingChecks;
+      // every check made before the next tick goes into the same request
+      const getAuthorizations = bindToClientContext(AuthorizationsApi.getAuthorizations);
+      Promise.resolve().then(() => sendPendingChecks(permissionsCache, getAuthorizations));
+    }
+    pendingChecks[key] = pendingChecks[key] || { aclKey, permissions: {} };
+    const settle :Object = {};
+    const promise = new Promise((resolve, reject) => {
+      Object.assign(settle, { reject, resolve });
+    });
+    pendingChecks[key].permissions[permission] = { promise, reject: settle.reject, resolve: settle.resolve };
+    permissionsCache.results.set(getResultKey(aclKey, permission), promise);
+    results[permission] = promise;
+  });
+
+  const uniquePermissions = Array.from(new Set(permissions));
+  return Promise.all(uniquePermissions.map((permission :PermissionType) => results[permission]))
+    .then((granted :boolean[]) => {
+      const permissionsMap = {};
+      uniquePermissions.forEach((permission :PermissionType, index :number) => {
+        permissionsMap[permission] = granted[index];
+      });
+      return permissionsMap;
+    });
+}
+
+function validateParameters(target :any, permissions :any) :?LatticeValidationError {
+
+  let errorMsg = '';
+  let parameter = '';
+  let value;
+
+  if (!getAclKeys(target)) {
+    errorMsg = 'invalid parameter: "target" must be an ACL key, or an object with "entitySetId" and "propertyTypeIds"';
+    [parameter, value] = ['target', target];
+  }
+  else if (!isNonEmptyArray(permissions) || !permissions.every((permission) => PermissionTypes[permission])) {
+    errorMsg = 'invalid parameter: "permissions" must be a non-empty array of PermissionTypes';
+    [parameter, value] = ['permissions', permissions];
+  }
+
+  if (errorMsg) {
+    LOG.error(errorMsg, value);
+    return new LatticeValidationError(errorMsg, parameter, value);
+  }
+
+  return null;
+}
+
+/**
+ * Resolves with a row for every ACL key of the given target, in order, mapping each of the given permissions to whether
+ * the current user has it.
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID[] | Object} target - an ACL key, or an object with "entitySetId" and "propertyTypeIds" (optional)
+ * @param {PermissionType[]} permissions
+ * @returns {Promise<Object[]>} - a Promise that resolves with an array of objects with "aclKey" and "permissions"
+ *
+ * @example
+ * Permissions.getPermissionsMatrix(
+ *   {
+ *     entitySetId: "ec6865e6-e60e-424b-a071-6a9c1603d735",
+ *     propertyTypeIds: ["0c8be4b7-0bd5-4dd1-a623-da78871c9d0e", "4b08e1f9-4a00-4169-92ea-10e377070220"],
+ *   },
+ *   ["READ", "WRITE"],
+ * );
+ * // [{ aclKey: [...], permissions: { READ: true, WRITE: false } }, ...]
+ */
+function getPermissionsMatrix(
+  target :PermissionsTarget,
+  permissions :PermissionType[],
+) :Promise<PermissionsMatrixRow[]> {
+
+  const error = validateParameters(target, permissions);
+  if (error) {
+    return Promise.reject(error);
+  }
+
+  const aclKeys :Array<UUID[]> = (getAclKeys(target) :any);
+  return Promise.all(aclKeys.map((aclKey :UUID[]) => checkPermissions(aclKey, permissions)))
+    .then((rows) => rows.map((row, index :number) => ({ aclKey: aclKeys[index], permissions: row })));
+}
+
+/**
+ * Resolves with true if the current user has every one of the given permissions on every ACL key of the given target.
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID[] | Object} target - an ACL key, or an object with "entitySetId" and "propertyTypeIds" (optional)
+ * @param {PermissionType[]} permissions
+ * @returns {Promise<boolean>}
+ *
+ * @example
+ * const [canWrite, canRead] = await Promise.all([
+ *   Permissions.can({ entitySetId }, ["WRITE"]),
+ *   Permissions.can({ entitySetId, propertyTypeIds: [propertyTypeId] }, ["READ"]),
+ * ]);
+ */
+function can(target :PermissionsTarget, permissions :PermissionType[]) :Promise<boolean> {
+
+  return getPermissionsMatrix(target, permissions)
+    .then((rows :PermissionsMatrixRow[]) => rows.every((row) => Object.values(row.permissions).every(Boolean)));
+}
+
+function invalidateCache(permissionsCache :PermissionsCache, aclKeys :?$ReadOnlyArray<$ReadOnlyArray<UUID>>) :void {
+
+  if (!aclKeys) {
+    permissionsCache.results.clear();
+    return;
+  }
+
+  aclKeys.forEach((aclKey :$ReadOnlyArray<UUID>) => permissionsCache.results.invalidate(getAclKeyString(aclKey)));
+}
+
+/*
+ * sends the given ACL update and invalidates the cached permissions of the given ACL keys once it settles. the
+ * permissions are invalidated even when the update fails, since the server might have applied it anyway.
+ */
+function invalidatePermissions<T>(
+  aclKeys :$ReadOnlyArray<$ReadOnlyArray<UUID>>,
+  sendRequest :() => Promise<T>,
+) :Promise<T> {
+
+  const permissionsCache = getPermissionsCache();
+  const invalidateAclKeys = () => invalidateCache(permissionsCache, aclKeys);
+  return sendRequest().then(
+    (value :T) => {
+      invalidateAclKeys();
+      return value;
+    },
+    (error :Error) => {
+      invalidateAclKeys();
+      return Promise.reject(error);
+    },
+  );
+}
+
+/**
+ * Removes the cached permissions of the given ACL keys, along with the permissions of every ACL key nested under them.
+ * Without ACL keys, every cached permission is removed.
+ *
+ * @memberof lattice.Permissions
+ * @param {UUID[][]} aclKeys - (optional)
+ *
+ * @example
+ * Permissions.invalidate([["ec6865e6-e60e-424b-a071-6a9c1603d735"]]);
+ */
+function invalidate(aclKeys ?:$ReadOnlyArray<$ReadOnlyArray<UUID>>) :void {
+
+  invalidateCache(getPermissionsCache(), aclKeys);
+}
+
+export {
+  can,
+  getPermissionsMatrix,
+  invalidate,
+  invalidatePermissions,
+};
+
+export type {
+  PermissionsCache,
+  PermissionsMatrixRow,
+  PermissionsTarget,
+};
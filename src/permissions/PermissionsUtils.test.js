@@ -0,0 +1,189 @@
+import { fromJS } from 'immutable';
+
+import * as Config from '../config/Configuration';
+import * as Permissions from './PermissionsUtils';
+import * as PermissionsApi from '../api/PermissionsApi';
+
+import { LatticeValidationError } from '../errors';
+import { AUTHORIZATIONS_API, PERMISSIONS_API } from '../constants/ApiNames';
+import { PermissionTypes } from '../constants/types';
+import { ACL_DATA_MOCK } from '../utils/testing/MockData';
+import { genRandomUUID, mockApiAxiosInstances } from '../utils/testing/MockUtils';
+
+jest.mock('../utils/axios');
+jest.mock('../config/Configuration');
+
+const { OWNER, READ, WRITE } = PermissionTypes;
+
+const [MOCK_ESID, MOCK_PTID] = ACL_DATA_MOCK.acl.aclKey;
+const MOCK_OTHER_PTID = genRandomUUID();
+
+// READ on everything, and WRITE only on the entity set itself
+const GRANTED = {
+  [MOCK_ESID]: { READ: true, WRITE: true },
+  [MOCK_PTID]: { READ: true, WRITE: false },
+  [MOCK_OTHER_PTID]: { READ: true },
+};
+
+let mockAxiosInstances;
+
+function mockResponses() {
+
+  mockAxiosInstances = mockApiAxiosInstances([AUTHORIZATIONS_API, PERMISSIONS_API]);
+  mockAxiosInstances[AUTHORIZATIONS_API].post.mockImplementation((url, checks) => Promise.resolve({
+    data: checks.map(({ aclKey, permissions }) => ({
+      aclKey,
+      permissions: permissions.reduce((granted, permission) => ({
+        ...granted,
+        [permission]: GRANTED[aclKey[aclKey.length - 1]][permission] === true,
+      }), {}),
+    })),
+  }));
+  mockAxiosInstances[PERMISSIONS_API].patch.mockImplementation(() => Promise.resolve({ data: undefined }));
+}
+
+describe('Permissions', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResponses();
+    Permissions.invalidate();
+  });
+
+  describe('can()', () => {
+
+    test('should batch the checks of every caller into a single request', async () => {
+
+      const results = await Promise.all([
+        Permissions.can({ entitySetId: MOCK_ESID }, [WRITE]),
+        Permissions.can({ entitySetId: MOCK_ESID, propertyTypeIds: [MOCK_PTID, MOCK_OTHER_PTID] }, [READ]),
+        Permissions.can({ entitySetId: MOCK_ESID, propertyTypeIds: [MOCK_PTID] }, [READ, WRITE]),
+        Permissions.can([MOCK_ESID], [OWNER]),
+      ]);
+      expect(results).toEqual([true, true, false, false]);
+
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(1);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledWith(
+        '/',
+        [
+          { aclKey: [MOCK_ESID], permissions: [WRITE, OWNER] },
+          { aclKey: [MOCK_ESID, MOCK_PTID], permissions: [READ, WRITE] },
+          { aclKey: [MOCK_ESID, MOCK_OTHER_PTID], permissions: [READ] },
+        ],
+        {},
+      );
+    });
+
+    test('should resolve with the cached results without sending another request', async () => {
+
+      await Permissions.can({ entitySetId: MOCK_ESID, propertyTypeIds: [MOCK_PTID] }, [READ, WRITE]);
+      const canRead = await Permissions.can([MOCK_ESID, MOCK_PTID], [READ]);
+      expect(canRead).toEqual(true);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(1);
+
+      // only the permission that has not been checked yet is requested
+      await Permissions.can([MOCK_ESID, MOCK_PTID], [READ, OWNER]);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post.mock.calls[1][1]).toEqual([
+        { aclKey: [MOCK_ESID, MOCK_PTID], permissions: [OWNER] },
+      ]);
+    });
+
+    test('should check again once the cached results expire', async () => {
+
+      Config.getConfig.mockReturnValue(fromJS({ permissionsCache: { ttl: 50 } }));
+      try {
+        await Permissions.can([MOCK_ESID], [READ]);
+        await Permissions.can([MOCK_ESID], [READ]);
+        expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(1);
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+        await Permissions.can([MOCK_ESID], [READ]);
+        expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(2);
+      }
+      finally {
+        Config.getConfig.mockReset();
+      }
+    });
+
+    test('should not cache the results of a failed request', async () => {
+
+      const error = new Error('failure');
+      mockAxiosInstances[AUTHORIZATIONS_API].post.mockImplementationOnce(() => Promise.reject(error));
+      await expect(Permissions.can([MOCK_ESID], [READ])).rejects.toEqual(error);
+      await expect(Permissions.can([MOCK_ESID], [READ])).resolves.toEqual(true);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject with a LatticeValidationError when given invalid parameters', async () => {
+
+      const invalid = [
+        [[], [READ]],
+        [['invalid'], [READ]],
+        [{ entitySetId: 'invalid' }, [READ]],
+        [{ entitySetId: MOCK_ESID, propertyTypeIds: [] }, [READ]],
+        [{ entitySetId: MOCK_ESID, propertyTypeIds: ['invalid'] }, [READ]],
+        [[MOCK_ESID], []],
+        [[MOCK_ESID], ['invalid']],
+        [[MOCK_ESID]],
+      ];
+
+      await Promise.all(invalid.map(async (params) => {
+        await expect(Permissions.can(...params)).rejects.toBeInstanceOf(LatticeValidationError);
+      }));
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('getPermissionsMatrix()', () => {
+
+    test('should resolve with a row for every ACL key of the target', async () => {
+
+      const matrix = await Permissions.getPermissionsMatrix(
+        { entitySetId: MOCK_ESID, propertyTypeIds: [MOCK_PTID, MOCK_OTHER_PTID] },
+        [READ, WRITE],
+      );
+      expect(matrix).toEqual([
+        { aclKey: [MOCK_ESID, MOCK_PTID], permissions: { READ: true, WRITE: false } },
+        { aclKey: [MOCK_ESID, MOCK_OTHER_PTID], permissions: { READ: true, WRITE: false } },
+      ]);
+    });
+
+  });
+
+  describe('invalidate()', () => {
+
+    test('should remove the cached results of the ACL keys, and of every ACL key nested under them', async () => {
+
+      const targets = [[MOCK_ESID], [MOCK_ESID, MOCK_PTID]];
+      await Promise.all(targets.map((aclKey) => Permissions.can(aclKey, [READ])));
+      Permissions.invalidate([[MOCK_ESID, MOCK_PTID]]);
+      await Promise.all(targets.map((aclKey) => Permissions.can(aclKey, [READ])));
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(2);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post.mock.calls[1][1]).toEqual([
+        { aclKey: [MOCK_ESID, MOCK_PTID], permissions: [READ] },
+      ]);
+
+      Permissions.invalidate([[MOCK_ESID]]);
+      await Promise.all(targets.map((aclKey) => Permissions.can(aclKey, [READ])));
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(3);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post.mock.calls[2][1]).toHaveLength(2);
+    });
+
+    test('should be called by PermissionsApi.updateAcl() and PermissionsApi.updateAcls()', async () => {
+
+      const target = { entitySetId: MOCK_ESID, propertyTypeIds: [MOCK_PTID] };
+      await Permissions.can(target, [WRITE]);
+      await PermissionsApi.updateAcl(ACL_DATA_MOCK);
+      await Permissions.can(target, [WRITE]);
+      await PermissionsApi.updateAcls([ACL_DATA_MOCK]);
+      await Permissions.can(target, [WRITE]);
+      await Permissions.can({ entitySetId: MOCK_ESID }, [WRITE]);
+      await Permissions.can({ entitySetId: MOCK_ESID }, [WRITE]);
+      expect(mockAxiosInstances[AUTHORIZATIONS_API].post).toHaveBeenCalledTimes(4);
+    });
+
+  });
+
+});
@@ -0,0 +1,49 @@
+/*
+ * @flow
+ */
+
+import { diffAcl, editAcl } from './AclUtils';
+import { auditOrganization } from './AuditUtils';
+import { updateEntitySetPermissions } from './EntitySetPermissionsUtils';
+import { explainAcl } from './ExplanationUtils';
+import { can, getPermissionsMatrix, invalidate } from './PermissionsUtils';
+
+export type {
+  EditAceObject,
+  EditAclOptions,
+  EditAclResult,
+} from './AclUtils';
+
+export type {
+  AuditOptions,
+  AuditReport,
+  AuditRow,
+} from './AuditUtils';
+
+export type {
+  EntitySetPermissionsFailure,
+  EntitySetPermissionsOptions,
+  EntitySetPermissionsResult,
+} from './EntitySetPermissionsUtils';
+
+export type {
+  AclExplanationNode,
+  AclExplanationReport,
+  ExplainAclOptions,
+} from './ExplanationUtils';
+
+export type {
+  PermissionsMatrixRow,
+  PermissionsTarget,
+} from './PermissionsUtils';
+
+export {
+  auditOrganization,
+  can,
+  diffAcl,
+  editAcl,
+  explainAcl,
+  getPermissionsMatrix,
+  invalidate,
+  updateEntitySetPermissions,
+};
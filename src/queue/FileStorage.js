@@ -0,0 +1,72 @@
+/*
+ * @flow
+ */
+
+import isFunction from 'lodash/isFunction';
+
+import { isNonEmptyString } from '../utils/LangUtils';
+import type { QueuedWrite } from './WriteQueue';
+
+// the subset of the Node.js "fs.promises" API that is needed, which keeps "fs" out of the browser build
+type FileSystem = {
+  +readFile :(path :string, encoding :string) => Promise<string>;
+  +rename ?:(oldPath :string, newPath :string) => Promise<void>;
+  +writeFile :(path :string, data :string, encoding :string) => Promise<void>;
+};
+
+/**
+ * A WriteQueueStorage that keeps the queued writes in a JSON file, for Node.js and Electron. The file system is passed
+ * in rather than imported, so the library does not depend on "fs" in the browser. When the file system supports
+ * rename(), the file is replaced atomically, so a crash while saving never leaves a truncated file behind.
+ *
+ * @memberof lattice.Queue
+ *
+ * @example
+ * const queue = new WriteQueue({ storage: new FileStorage('/var/lib/app/writes.json', require('fs').promises) });
+ */
+export default class FileStorage {
+
+  fs :FileSystem;
+  path :string;
+
+  constructor(path :string, fs :FileSystem) {
+
+    if (!isNonEmptyString(path)) {
+      throw new Error('invalid parameter: "path" must be a non-empty string');
+    }
+
+    if (!fs || !isFunction(fs.readFile) || !isFunction(fs.writeFile)) {
+      throw new Error('invalid parameter: "fs" must implement readFile() and writeFile()');
+    }
+
+    this.fs = fs;
+    this.path = path;
+  }
+
+  load() :Promise<QueuedWrite[]> {
+
+    return this.fs.readFile(this.path, 'utf8')
+      .then((contents :string) => JSON.parse(contents))
+      .catch((error :Object) => {
+        // nothing has been saved yet
+        if (error && error.code === 'ENOENT') {
+          return [];
+        }
+        return Promise.reject(error);
+      });
+  }
+
+  save(queuedWrites :QueuedWrite[]) :Promise<void> {
+
+    const { fs, path } = this;
+    const { rename } = fs;
+    const contents = JSON.stringify(queuedWrites);
+    if (!rename) {
+      return fs.writeFile(path, contents, 'utf8');
+    }
+
+    const tempPath = `${path}.tmp`;
+    return fs.writeFile(tempPath, contents, 'utf8')
+      .then(() => rename.call(fs, tempPath, path));
+  }
+}
@@ -0,0 +1,83 @@
+import FileStorage from './FileStorage';
+
+import { WriteStatusTypes } from '../constants/types';
+
+const MOCK_PATH = '/tmp/writes.json';
+
+const MOCK_QUEUED_WRITES = [{
+  args: [],
+  attempts: 0,
+  id: 'id',
+  operation: 'createOrMergeEntityData',
+  queuedAt: new Date().toISOString(),
+  status: WriteStatusTypes.QUEUED,
+}];
+
+// an in-memory file system that implements the subset of "fs.promises" used by FileStorage
+function newMockFileSystem() {
+
+  const files = {};
+  return {
+    files,
+    readFile: jest.fn((path) => {
+      if (files[path] === undefined) {
+        const error = new Error(`ENOENT: no such file or directory, open '${path}'`);
+        error.code = 'ENOENT';
+        return Promise.reject(error);
+      }
+      return Promise.resolve(files[path]);
+    }),
+    rename: jest.fn((oldPath, newPath) => {
+      files[newPath] = files[oldPath];
+      delete files[oldPath];
+      return Promise.resolve();
+    }),
+    writeFile: jest.fn((path, data) => {
+      files[path] = data;
+      return Promise.resolve();
+    }),
+  };
+}
+
+describe('FileStorage', () => {
+
+  test('should throw if the parameters are invalid', () => {
+    expect(() => new FileStorage()).toThrow();
+    expect(() => new FileStorage('', newMockFileSystem())).toThrow();
+    expect(() => new FileStorage(MOCK_PATH)).toThrow();
+    expect(() => new FileStorage(MOCK_PATH, { readFile: () => {} })).toThrow();
+  });
+
+  test('should load nothing if nothing has been saved yet', async () => {
+    const storage = new FileStorage(MOCK_PATH, newMockFileSystem());
+    expect(await storage.load()).toEqual([]);
+  });
+
+  test('should load what has been saved', async () => {
+    const fs = newMockFileSystem();
+    await new FileStorage(MOCK_PATH, fs).save(MOCK_QUEUED_WRITES);
+    expect(await new FileStorage(MOCK_PATH, fs).load()).toEqual(MOCK_QUEUED_WRITES);
+  });
+
+  test('should write to a temporary file and rename it, when the file system supports it', async () => {
+    const fs = newMockFileSystem();
+    await new FileStorage(MOCK_PATH, fs).save(MOCK_QUEUED_WRITES);
+    expect(fs.writeFile).toHaveBeenCalledWith(`${MOCK_PATH}.tmp`, JSON.stringify(MOCK_QUEUED_WRITES), 'utf8');
+    expect(fs.rename).toHaveBeenCalledWith(`${MOCK_PATH}.tmp`, MOCK_PATH);
+    expect(Object.keys(fs.files)).toEqual([MOCK_PATH]);
+  });
+
+  test('should write to the file directly when the file system does not support rename()', async () => {
+    const { files, readFile, writeFile } = newMockFileSystem();
+    await new FileStorage(MOCK_PATH, { readFile, writeFile }).save(MOCK_QUEUED_WRITES);
+    expect(writeFile).toHaveBeenCalledWith(MOCK_PATH, JSON.stringify(MOCK_QUEUED_WRITES), 'utf8');
+    expect(Object.keys(files)).toEqual([MOCK_PATH]);
+  });
+
+  test('should reject if the file can not be read', async () => {
+    const fs = newMockFileSystem();
+    fs.readFile.mockImplementation(() => Promise.reject(new Error('EACCES')));
+    await expect(new FileStorage(MOCK_PATH, fs).load()).rejects.toThrow('EACCES');
+  });
+
+});
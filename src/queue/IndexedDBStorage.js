@@ -0,0 +1,88 @@
+/*
+ * @flow
+ */
+
+import { isNonEmptyString } from '../utils/LangUtils';
+import type { QueuedWrite } from './WriteQueue';
+
+const DATABASE_VERSION = 1;
+const QUEUED_WRITES_KEY = 'queuedWrites';
+const STORE_NAME = 'writeQueue';
+
+function toPromise(request :Object) :Promise<any> {
+
+  return new Promise((resolve, reject) => {
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+}
+
+/**
+ * A WriteQueueStorage that keeps the queued writes in IndexedDB, for browsers. Every queued write is stored under a
+ * single key, in an object store of its own, in the given database.
+ *
+ * @memberof lattice.Queue
+ *
+ * @example
+ * const queue = new WriteQueue({ storage: new IndexedDBStorage('my-app') });
+ */
+export default class IndexedDBStorage {
+
+  database :?Promise<Object>;
+  databaseName :string;
+  indexedDB :Object;
+
+  constructor(databaseName :string = 'lattice', indexedDB :?Object) {
+
+    if (!isNonEmptyString(databaseName)) {
+      throw new Error('invalid parameter: "databaseName" must be a non-empty string');
+    }
+
+    const factory = indexedDB || (typeof window !== 'undefined' ? window.indexedDB : null);
+    if (!factory) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+
+    this.database = null;
+    this.databaseName = databaseName;
+    this.indexedDB = factory;
+  }
+
+  openDatabase() :Promise<Object> {
+
+    if (!this.database) {
+      const request = this.indexedDB.open(this.databaseName, DATABASE_VERSION);
+      request.addEventListener('upgradeneeded', () => {
+        request.result.createObjectStore(STORE_NAME);
+      });
+      this.database = toPromise(request).catch((error :Error) => {
+        // the next call will try again
+        this.database = null;
+        return Promise.reject(error);
+      });
+    }
+
+    return this.database;
+  }
+
+  load() :Promise<QueuedWrite[]> {
+
+    return this.openDatabase()
+      .then((database :Object) => {
+        const store = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        return toPromise(store.get(QUEUED_WRITES_KEY));
+      })
+      .then((queuedWrites :?QueuedWrite[]) => queuedWrites || []);
+  }
+
+  save(queuedWrites :QueuedWrite[]) :Promise<void> {
+
+    return this.openDatabase().then((database :Object) => new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, 'readwrite');
+      transaction.addEventListener('complete', () => resolve());
+      transaction.addEventListener('abort', () => reject(transaction.error));
+      transaction.addEventListener('error', () => reject(transaction.error));
+      transaction.objectStore(STORE_NAME).put(queuedWrites, QUEUED_WRITES_KEY);
+    }));
+  }
+}
@@ -0,0 +1,98 @@
+import IndexedDBStorage from './IndexedDBStorage';
+
+import { WriteStatusTypes } from '../constants/types';
+
+const MOCK_QUEUED_WRITES = [{
+  args: [],
+  attempts: 0,
+  id: 'id',
+  operation: 'createOrMergeEntityData',
+  queuedAt: new Date().toISOString(),
+  status: WriteStatusTypes.QUEUED,
+}];
+
+// a request, or a transaction, that fires its events asynchronously, the way IndexedDB does
+function newMockEventTarget() {
+
+  const listeners = {};
+  return {
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    dispatch: (type) => setTimeout(() => listeners[type] && listeners[type]()),
+  };
+}
+
+// an in-memory IndexedDB that only implements what IndexedDBStorage uses
+function newMockIndexedDB() {
+
+  const databases = {};
+  return {
+    databases,
+    open: jest.fn((name) => {
+      const request = newMockEventTarget();
+      if (!databases[name]) {
+        databases[name] = {};
+        request.result = {
+          createObjectStore: (storeName) => {
+            databases[name][storeName] = {};
+          },
+        };
+        request.dispatch('upgradeneeded');
+      }
+      const stores = databases[name];
+      setTimeout(() => {
+        request.result = {
+          transaction: (storeName) => {
+            const transaction = newMockEventTarget();
+            transaction.objectStore = () => ({
+              get: (key) => {
+                const getRequest = newMockEventTarget();
+                getRequest.result = stores[storeName][key];
+                getRequest.dispatch('success');
+                return getRequest;
+              },
+              put: (value, key) => {
+                stores[storeName][key] = value;
+                transaction.dispatch('complete');
+              },
+            });
+            return transaction;
+          },
+        };
+        request.dispatch('success');
+      });
+      return request;
+    }),
+  };
+}
+
+describe('IndexedDBStorage', () => {
+
+  test('should throw if IndexedDB is not available', () => {
+    expect(() => new IndexedDBStorage()).toThrow();
+    expect(() => new IndexedDBStorage('', newMockIndexedDB())).toThrow();
+  });
+
+  test('should load nothing if nothing has been saved yet', async () => {
+    const storage = new IndexedDBStorage('lattice', newMockIndexedDB());
+    expect(await storage.load()).toEqual([]);
+  });
+
+  test('should load what has been saved', async () => {
+    const indexedDB = newMockIndexedDB();
+    await new IndexedDBStorage('lattice', indexedDB).save(MOCK_QUEUED_WRITES);
+    expect(await new IndexedDBStorage('lattice', indexedDB).load()).toEqual(MOCK_QUEUED_WRITES);
+    expect(indexedDB.databases.lattice.writeQueue.queuedWrites).toEqual(MOCK_QUEUED_WRITES);
+  });
+
+  test('should open the database only once', async () => {
+    const indexedDB = newMockIndexedDB();
+    const storage = new IndexedDBStorage('my-app', indexedDB);
+    await storage.save(MOCK_QUEUED_WRITES);
+    await storage.load();
+    expect(indexedDB.open).toHaveBeenCalledTimes(1);
+    expect(indexedDB.open).toHaveBeenCalledWith('my-app', 1);
+  });
+
+});
@@ -0,0 +1,35 @@
+/*
+ * @flow
+ */
+
+import type { QueuedWrite } from './WriteQueue';
+
+/**
+ * A WriteQueueStorage that keeps the queued writes in memory, so they do not survive a reload of the page or a restart
+ * of the process. Mostly useful for tests, and for environments that have no persistent storage.
+ *
+ * @memberof lattice.Queue
+ *
+ * @example
+ * const queue = new WriteQueue({ storage: new MemoryStorage() });
+ */
+export default class MemoryStorage {
+
+  queuedWrites :QueuedWrite[];
+
+  constructor() {
+
+    this.queuedWrites = [];
+  }
+
+  load() :Promise<QueuedWrite[]> {
+
+    return Promise.resolve(this.queuedWrites.map((queuedWrite) => ({ ...queuedWrite })));
+  }
+
+  save(queuedWrites :QueuedWrite[]) :Promise<void> {
+
+    this.queuedWrites = queuedWrites.map((queuedWrite) => ({ ...queuedWrite }));
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,460 @@
+/*
+ * @flow
+ */
+
+import isFunction from 'lodash/isFunction';
+
+import * as DataApi from '../api/DataApi';
+import LatticeCancellationError from '../errors/LatticeCancellationError';
+import LatticeHttpError from '../errors/LatticeHttpError';
+import LatticeNetworkError from '../errors/LatticeNetworkError';
+import Logger from '../utils/Logger';
+import { bindToClientContext } from '../client/ClientContext';
+import { isValidWriteQueueStorage } from './WriteQueueStorage';
+import { UpdateTypes, WriteStatusTypes } from '../constants/types';
+import type { UpdateType, WriteStatusType } from '../constants/types';
+import type { DataGraph } from '../models/DataGraph';
+import type { UUID } from '../types';
+import type { WriteQueueStorage } from './WriteQueueStorage';
+
+const LOG = new Logger('WriteQueue');
+
+// the server responds with these statuses when the data was changed by someone else in the meantime
+const CONFLICT_STATUSES = [409, 412];
+
+type WriteOperation =
+  | 'createEntityAndAssociationData'
+  | 'createOrMergeEntityData'
+  | 'updateEntityData';
+
+type QueuedWrite = {|
+  args :any[];
+  attempts :number;
+  error ?:{| message :string; status ?:number |};
+  force ?:boolean;
+  id :string;
+  operation :WriteOperation;
+  queuedAt :string;
+  status :WriteStatusType;
+|};
+
+type WriteQueueDataApi = {
+  +createEntityAndAssociationData :(data :DataGraph) => Promise<any>;
+  +createOrMergeEntityData :(entitySetId :UUID, entities :Object[]) => Promise<any>;
+  +updateEntityData :(entitySetId :UUID, entityData :Object, updateType ?:UpdateType) => Promise<any>;
+};
+
+type WriteQueueEvent = {|
+  error ?:any;
+  queuedWrite :QueuedWrite;
+  result ?:any;
+|};
+
+type WriteQueueListener = (event :WriteQueueEvent) => void;
+
+type WriteQueueOptions = {
+  checkConflict ?:(queuedWrite :QueuedWrite) => boolean | Promise<boolean>;
+  dataApi ?:WriteQueueDataApi;
+  isOnline ?:() => boolean;
+  storage :WriteQueueStorage;
+};
+
+type WriteQueueState = {|
+  flushing :boolean;
+  queuedWrites :QueuedWrite[];
+|};
+
+let idCounter = 0;
+
+function newQueuedWriteId() :string {
+
+  idCounter += 1;
+  return `${Date.now().toString(36)}-${idCounter.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isNavigatorOnline() :boolean {
+
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function isOfflineError(error :any) :boolean {
+
+  return error instanceof LatticeNetworkError || error instanceof LatticeCancellationError;
+}
+
+function isConflictError(error :any) :boolean {
+
+  return error instanceof LatticeHttpError && CONFLICT_STATUSES.includes(error.status);
+}
+
+/**
+ * A persistent queue for DataApi writes, so that data entered while offline is not lost. Every write is saved to the
+ * given storage before it is sent, and writes are sent one at a time, in the order they were queued. A write that
+ * fails because the server could not be reached stays queued, and the queue tries again when connectivity returns,
+ * i.e. when the browser fires an "online" event, when flush() is invoked, when the next write is queued, or when the
+ * queue is created again, for example after a reload.
+ *
+ * A write that conflicts with a change someone else made in the meantime is never overwritten. Instead, it is set
+ * aside with status CONFLICT, as is a write the server rejected, with status FAILED, and the writes queued after it
+ * are sent anyway. It's up to the app to retry() or discard() such a write. A conflict is detected when the server
+ * responds with 409 or 412, or when the "checkConflict" callback, which is invoked before every write is sent, returns
+ * true. The callback is skipped for a write that is being retried.
+ *
+ * Every status change is reported to the listeners added with subscribe().
+ *
+ * @memberof lattice.Queue
+ *
+ * @example
+ * const queue = new WriteQueue({ storage: new IndexedDBStorage() });
+ * queue.subscribe(({ queuedWrite, result, error }) => {
+ *   // queuedWrite.status is one of WriteStatusTypes
+ * });
+ * queue.createOrMergeEntityData("ec6865e6-e60e-424b-a071-6a9c1603d735", [entity]);
+ */
+export default class WriteQueue {
+
+  checkConflict :?(queuedWrite :QueuedWrite) => boolean | Promise<boolean>;
+  dataApi :WriteQueueDataApi;
+  flushing :?Promise<void>;
+  isOnline :() => boolean;
+  listeners :WriteQueueListener[];
+  onOnline :() => void;
+  queuedWrites :QueuedWrite[];
+  ready :Promise<void>;
+  storage :WriteQueueStorage;
+
+  constructor(options :WriteQueueOptions) {
+
+    if (!options || !isValidWriteQueueStorage(options.storage)) {
+      throw new Error('invalid parameter: "storage" must implement load() and save()');
+    }
+
+    const { checkConflict, dataApi, isOnline } = options;
+    if (checkConflict !== undefined && !isFunction(checkConflict)) {
+      throw new Error('invalid parameter: "checkConflict" must be a function');
+    }
+
+    if (isOnline !== undefined && !isFunction(isOnline)) {
+      throw new Error('invalid parameter: "isOnline" must be a function');
+    }
+
+    this.checkConflict = checkConflict;
+    // the writes are sent long after the queue is created, so the DataApi functions have to remember the client
+    this.dataApi = dataApi || {
+      createEntityAndAssociationData: bindToClientContext(DataApi.createEntityAndAssociationData),
+      createOrMergeEntityData: bindToClientContext(DataApi.createOrMergeEntityData),
+      updateEntityData: bindToClientContext(DataApi.updateEntityData),
+    };
+    this.flushing = null;
+    this.isOnline = isOnline || isNavigatorOnline;
+    this.listeners = [];
+    this.queuedWrites = [];
+    this.storage = options.storage;
+
+    // a write that was being sent when the page was closed might not have reached the server, so it's sent again.
+    // if the saved writes can't be loaded, the queue starts out empty, so that new writes can still be queued
+    this.ready = this.storage.load()
+      .then((queuedWrites :QueuedWrite[]) => {
+        this.queuedWrites = queuedWrites.map((queuedWrite :QueuedWrite) => (
+          queuedWrite.status === WriteStatusTypes.SENDING
+            ? { ...queuedWrite, status: WriteStatusTypes.QUEUED }
+            : queuedWrite
+        ));
+      })
+      .catch((error :Error) => {
+        LOG.error('failed to load the saved writes, starting with an empty write queue', error);
+      });
+
+    this.onOnline = () => {
+      this.flush();
+    };
+    if (typeof window !== 'undefined' && isFunction(window.addEventListener)) {
+      window.addEventListener('online', this.onOnline);
+    }
+
+    this.flush();
+  }
+
+  /**
+   * Queues a write to DataApi.createEntityAndAssociationData().
+   *
+   * @param {DataGraph} data
+   * @returns {Promise<QueuedWrite>} - a Promise that resolves with the queued write once it has been saved
+   */
+  createEntityAndAssociationData(data :DataGraph) :Promise<QueuedWrite> {
+
+    return this.enqueue('createEntityAndAssociationData', [data]);
+  }
+
+  /**
+   * Queues a write to DataApi.createOrMergeEntityData().
+   *
+   * @param {UUID} entitySetId
+   * @param {Object[]} entities
+   * @returns {Promise<QueuedWrite>} - a Promise that resolves with the queued write once it has been saved
+   */
+  createOrMergeEntityData(entitySetId :UUID, entities :Object[]) :Promise<QueuedWrite> {
+
+    return this.enqueue('createOrMergeEntityData', [entitySetId, entities]);
+  }
+
+  /**
+   * Queues a write to DataApi.updateEntityData().
+   *
+   * @param {UUID} entitySetId
+   * @param {Object} entityData
+   * @param {UpdateType} updateType
+   * @returns {Promise<QueuedWrite>} - a Promise that resolves with the queued write once it has been saved
+   */
+  updateEntityData(
+    entitySetId :UUID,
+    entityData :Object,
+    updateType ?:UpdateType = UpdateTypes.PARTIAL_REPLACE,
+  ) :Promise<QueuedWrite> {
+
+    return this.enqueue('updateEntityData', [entitySetId, entityData, updateType]);
+  }
+
+  /**
+   * Sends every queued write, in order, until the queue is empty or the server can't be reached.
+   *
+   * @returns {Promise<void>} - a Promise that resolves once the queue has been flushed
+   */
+  flush() :Promise<void> {
+
+    // a write might have been queued after the flush in progress looked for the next one, so flush again afterwards
+    if (this.flushing) {
+      return this.flushing.then(() => this.flush());
+    }
+
+    const flushing = this.ready
+      .then(() => this.sendQueuedWrites())
+      .catch((error :Error) => {
+        LOG.error('failed to flush the write queue', error);
+      })
+      .then(() => {
+        this.flushing = null;
+      });
+
+    this.flushing = flushing;
+    return flushing;
+  }
+
+  /**
+   * Queues a write with status CONFLICT or FAILED again, this time without checking for conflicts, and flushes the
+   * queue. The write keeps its place in the queue.
+   *
+   * @param {string} id - the queued write id
+   * @returns {Promise<void>} - a Promise that resolves once the queue has been flushed
+   */
+  retry(id :string) :Promise<void> {
+
+    return this.ready
+      .then(() => {
+        const queuedWrite = this.getQueuedWrite(id);
+        if (queuedWrite.status !== WriteStatusTypes.CONFLICT && queuedWrite.status !== WriteStatusTypes.FAILED) {
+          throw new Error('only a write with status CONFLICT or FAILED can be retried');
+        }
+        return this.setStatus(queuedWrite, WriteStatusTypes.QUEUED, { error: undefined, force: true });
+      })
+      .then(() => this.flush());
+  }
+
+  /**
+   * Removes a write from the queue without sending it. A write that is being sent can't be discarded.
+   *
+   * @param {string} id - the queued write id
+   * @returns {Promise<void>} - a Promise that resolves once the queue has been saved
+   */
+  discard(id :string) :Promise<void> {
+
+    return this.ready.then(() => {
+      const queuedWrite = this.getQueuedWrite(id);
+      if (queuedWrite.status === WriteStatusTypes.SENDING) {
+        throw new Error('a write that is being sent can not be discarded');
+      }
+      this.queuedWrites = this.queuedWrites.filter((other :QueuedWrite) => other.id !== id);
+      return this.save();
+    });
+  }
+
+  /**
+   * Returns a snapshot of the queue.
+   *
+   * @returns {Object} - whether the queue is being flushed, and every queued write in order
+   */
+  getState() :WriteQueueState {
+
+    return {
+      flushing: !!this.flushing,
+      queuedWrites: this.queuedWrites.map((queuedWrite :QueuedWrite) => ({ ...queuedWrite })),
+    };
+  }
+
+  /**
+   * Adds a listener that is invoked every time a write changes status. A write that has been sent successfully is
+   * reported with status SUCCEEDED, along with the result, and is removed from the queue.
+   *
+   * @param {Function} listener
+   * @returns {Function} - a function that removes the listener
+   */
+  subscribe(listener :WriteQueueListener) :() => void {
+
+    if (!isFunction(listener)) {
+      throw new Error('invalid parameter: "listener" must be a function');
+    }
+
+    this.listeners = [...this.listeners, listener];
+    return () => {
+      this.listeners = this.listeners.filter((other :WriteQueueListener) => other !== listener);
+    };
+  }
+
+  /**
+   * Stops listening for "online" events, and removes every listener. Writes that are still queued stay saved.
+   */
+  dispose() :void {
+
+    if (typeof window !== 'undefined' && isFunction(window.removeEventListener)) {
+      window.removeEventListener('online', this.onOnline);
+    }
+    this.listeners = [];
+  }
+
+  enqueue(operation :WriteOperation, args :any[]) :Promise<QueuedWrite> {
+
+    return this.ready
+      .then(() => {
+        const queuedWrite :QueuedWrite = {
+          args,
+          attempts: 0,
+          id: newQueuedWriteId(),
+          operation,
+          queuedAt: new Date().toISOString(),
+          status: WriteStatusTypes.QUEUED,
+        };
+        this.queuedWrites = [...this.queuedWrites, queuedWrite];
+        return this.save().then(() => {
+          this.notify({ queuedWrite });
+          this.flush();
+          return { ...queuedWrite };
+        });
+      });
+  }
+
+  getQueuedWrite(id :string) :QueuedWrite {
+
+    const queuedWrite = this.queuedWrites.find((other :QueuedWrite) => other.id === id);
+    if (!queuedWrite) {
+      throw new Error(`there is no queued write with id "${id}"`);
+    }
+    return queuedWrite;
+  }
+
+  notify(event :WriteQueueEvent) :void {
+
+    const eventCopy = { ...event, queuedWrite: { ...event.queuedWrite } };
+    this.listeners.forEach((listener :WriteQueueListener) => {
+      try {
+        listener(eventCopy);
+      }
+      catch (error) {
+        LOG.error('a write queue listener threw an error', error);
+      }
+    });
+  }
+
+  save() :Promise<void> {
+
+    return this.storage.save(this.queuedWrites);
+  }
+
+  setStatus(
+    queuedWrite :QueuedWrite,
+    status :WriteStatusType,
+    changes :Object = {},
+    event :Object = {},
+  ) :Promise<QueuedWrite> {
+
+    const updatedWrite :QueuedWrite = { ...queuedWrite, ...changes, status };
+    this.queuedWrites = this.queuedWrites.map((other :QueuedWrite) => (
+      other.id === queuedWrite.id ? updatedWrite : other
+    ));
+    return this.save()
+      .then(() => this.notify({ ...event, queuedWrite: updatedWrite }))
+      .then(() => updatedWrite);
+  }
+
+  async sendQueuedWrites() :Promise<void> {
+
+    let queuedWrite = this.queuedWrites.find((other :QueuedWrite) => other.status === WriteStatusTypes.QUEUED);
+    while (queuedWrite && this.isOnline()) {
+      // eslint-disable-next-line no-await-in-loop
+      const isSent = await this.sendQueuedWrite(queuedWrite);
+      if (!isSent) {
+        return;
+      }
+      queuedWrite = this.queuedWrites.find((other :QueuedWrite) => other.status === WriteStatusTypes.QUEUED);
+    }
+  }
+
+  /*
+   * resolves with false when the server could not be reached, in which case the write stays queued
+   */
+  async sendQueuedWrite(queuedWrite :QueuedWrite) :Promise<boolean> {
+
+    const { checkConflict } = this;
+    if (checkConflict && !queuedWrite.force && await checkConflict({ ...queuedWrite })) {
+      const error = { message: 'the data was changed since the write was queued' };
+      await this.setStatus(queuedWrite, WriteStatusTypes.CONFLICT, { error });
+      return true;
+    }
+
+    // the write might have been discarded while checking for conflicts
+    const currentWrite = this.queuedWrites.find((other :QueuedWrite) => other.id === queuedWrite.id);
+    if (!currentWrite) {
+      return true;
+    }
+
+    // "force" only skips the conflict check of a single attempt, unless the server can not be reached
+    const attempts = currentWrite.attempts + 1;
+    const sendingWrite = await this.setStatus(currentWrite, WriteStatusTypes.SENDING, { attempts, force: undefined });
+
+    let result;
+    try {
+      result = await this.dataApi[sendingWrite.operation](...sendingWrite.args);
+    }
+    catch (error) {
+      const changes = {
+        attempts,
+        error: { message: error.message, status: error.status },
+      };
+      if (isOfflineError(error)) {
+        const { force } = currentWrite;
+        await this.setStatus(sendingWrite, WriteStatusTypes.QUEUED, { ...changes, force }, { error });
+        return false;
+      }
+      const status = isConflictError(error) ? WriteStatusTypes.CONFLICT : WriteStatusTypes.FAILED;
+      await this.setStatus(sendingWrite, status, changes, { error });
+      return true;
+    }
+
+    this.queuedWrites = this.queuedWrites.filter((other :QueuedWrite) => other.id !== queuedWrite.id);
+    await this.save();
+    this.notify({
+      queuedWrite: { ...sendingWrite, status: WriteStatusTypes.SUCCEEDED },
+      result,
+    });
+    return true;
+  }
+}
+
+export type {
+  QueuedWrite,
+  WriteOperation,
+  WriteQueueDataApi,
+  WriteQueueEvent,
+  WriteQueueListener,
+  WriteQueueOptions,
+  WriteQueueState,
+};
@@ -0,0 +1,304 @@
+import MemoryStorage from './MemoryStorage';
+import WriteQueue from './WriteQueue';
+
+import LatticeHttpError from '../errors/LatticeHttpError';
+import LatticeNetworkError from '../errors/LatticeNetworkError';
+import { UpdateTypes, WriteStatusTypes } from '../constants/types';
+import { genRandomUUID } from '../utils/testing/MockUtils';
+
+const MOCK_ESID = genRandomUUID();
+const MOCK_EKID = genRandomUUID();
+const MOCK_PTID = genRandomUUID();
+
+const MOCK_ENTITIES = [{ [MOCK_PTID]: ['value'] }];
+const MOCK_ENTITY_DATA = { [MOCK_EKID]: { [MOCK_PTID]: ['value'] } };
+
+const ERROR_DETAILS = { apiName: 'DataApi', endpoint: '/data/set', method: 'POST' };
+
+function newNetworkError() {
+
+  return new LatticeNetworkError('Network Error', ERROR_DETAILS);
+}
+
+function newHttpError(status) {
+
+  return new LatticeHttpError(`Request failed with status code ${status}`, { ...ERROR_DETAILS, status });
+}
+
+function newMockDataApi() {
+
+  return {
+    createEntityAndAssociationData: jest.fn(() => Promise.resolve({})),
+    createOrMergeEntityData: jest.fn(() => Promise.resolve([MOCK_EKID])),
+    updateEntityData: jest.fn(() => Promise.resolve(1)),
+  };
+}
+
+function newWriteQueue(options = {}) {
+
+  const dataApi = newMockDataApi();
+  const events = [];
+  const storage = options.storage || new MemoryStorage();
+  const writeQueue = new WriteQueue({ dataApi, storage, ...options });
+  writeQueue.subscribe((event) => events.push(event));
+  return {
+    dataApi,
+    events,
+    storage,
+    writeQueue,
+  };
+}
+
+describe('WriteQueue', () => {
+
+  test('should throw if the options are invalid', () => {
+    expect(() => new WriteQueue()).toThrow();
+    expect(() => new WriteQueue({})).toThrow();
+    expect(() => new WriteQueue({ storage: {} })).toThrow();
+    expect(() => new WriteQueue({ isOnline: true, storage: new MemoryStorage() })).toThrow();
+    expect(() => new WriteQueue({ checkConflict: true, storage: new MemoryStorage() })).toThrow();
+  });
+
+  test('should send each queued write and report every status', async () => {
+
+    const { dataApi, events, writeQueue } = newWriteQueue();
+    const queuedWrite = await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.flush();
+
+    expect(dataApi.createOrMergeEntityData).toHaveBeenCalledWith(MOCK_ESID, MOCK_ENTITIES);
+    expect(events.map(({ queuedWrite: { status } }) => status)).toEqual([
+      WriteStatusTypes.QUEUED,
+      WriteStatusTypes.SENDING,
+      WriteStatusTypes.SUCCEEDED,
+    ]);
+    expect(events.every((event) => event.queuedWrite.id === queuedWrite.id)).toEqual(true);
+    expect(events[2].result).toEqual([MOCK_EKID]);
+    expect(events[2].queuedWrite.attempts).toEqual(1);
+    expect(writeQueue.getState()).toEqual({ flushing: false, queuedWrites: [] });
+  });
+
+  test('should send the writes in the order they were queued', async () => {
+
+    const { dataApi, writeQueue } = newWriteQueue();
+    const calls = [];
+    Object.keys(dataApi).forEach((operation) => {
+      dataApi[operation].mockImplementation(() => {
+        calls.push(operation);
+        return Promise.resolve();
+      });
+    });
+
+    writeQueue.updateEntityData(MOCK_ESID, MOCK_ENTITY_DATA);
+    writeQueue.createEntityAndAssociationData({ associations: {}, entities: {} });
+    writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.flush();
+
+    expect(calls).toEqual(['updateEntityData', 'createEntityAndAssociationData', 'createOrMergeEntityData']);
+    expect(dataApi.updateEntityData).toHaveBeenCalledWith(MOCK_ESID, MOCK_ENTITY_DATA, UpdateTypes.PARTIAL_REPLACE);
+  });
+
+  test('should keep the writes queued while offline, and send them once back online', async () => {
+
+    let isOnline = false;
+    const { dataApi, storage, writeQueue } = newWriteQueue({ isOnline: () => isOnline });
+    await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.updateEntityData(MOCK_ESID, MOCK_ENTITY_DATA);
+    await writeQueue.flush();
+
+    expect(dataApi.createOrMergeEntityData).not.toHaveBeenCalled();
+    expect((await storage.load()).map(({ operation }) => operation)).toEqual([
+      'createOrMergeEntityData',
+      'updateEntityData',
+    ]);
+
+    isOnline = true;
+    await writeQueue.flush();
+    expect(dataApi.createOrMergeEntityData).toHaveBeenCalledTimes(1);
+    expect(dataApi.updateEntityData).toHaveBeenCalledTimes(1);
+    expect(await storage.load()).toEqual([]);
+  });
+
+  test('should stop flushing when the server can not be reached', async () => {
+
+    let isOnline = false;
+    const { dataApi, events, writeQueue } = newWriteQueue({ isOnline: () => isOnline });
+    dataApi.createOrMergeEntityData.mockImplementationOnce(() => Promise.reject(newNetworkError()));
+    await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.updateEntityData(MOCK_ESID, MOCK_ENTITY_DATA);
+    await writeQueue.flush();
+    isOnline = true;
+    await writeQueue.flush();
+
+    const { queuedWrites } = writeQueue.getState();
+    expect(dataApi.updateEntityData).not.toHaveBeenCalled();
+    expect(queuedWrites.map(({ status }) => status)).toEqual([WriteStatusTypes.QUEUED, WriteStatusTypes.QUEUED]);
+    expect(queuedWrites[0].attempts).toEqual(1);
+    expect(events.find(({ error }) => error).error).toBeInstanceOf(LatticeNetworkError);
+
+    await writeQueue.flush();
+    expect(dataApi.createOrMergeEntityData).toHaveBeenCalledTimes(2);
+    expect(dataApi.updateEntityData).toHaveBeenCalledTimes(1);
+    expect(writeQueue.getState().queuedWrites).toEqual([]);
+  });
+
+  test('should set aside a write that conflicts, or that the server rejects, and send the ones after it', async () => {
+
+    const { dataApi, writeQueue } = newWriteQueue();
+    dataApi.createOrMergeEntityData
+      .mockImplementationOnce(() => Promise.reject(newHttpError(409)))
+      .mockImplementationOnce(() => Promise.reject(newHttpError(400)));
+    await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.updateEntityData(MOCK_ESID, MOCK_ENTITY_DATA);
+    await writeQueue.flush();
+
+    const { queuedWrites } = writeQueue.getState();
+    expect(dataApi.updateEntityData).toHaveBeenCalledTimes(1);
+    expect(queuedWrites.map(({ status }) => status)).toEqual([WriteStatusTypes.CONFLICT, WriteStatusTypes.FAILED]);
+    expect(queuedWrites[0].error).toEqual({ message: 'Request failed with status code 409', status: 409 });
+  });
+
+  test('should report a conflict detected by "checkConflict" instead of sending the write', async () => {
+
+    const checkConflict = jest.fn(() => Promise.resolve(true));
+    const { dataApi, events, writeQueue } = newWriteQueue({ checkConflict });
+    const { id } = await writeQueue.updateEntityData(MOCK_ESID, MOCK_ENTITY_DATA);
+    await writeQueue.flush();
+
+    expect(checkConflict).toHaveBeenCalledWith(expect.objectContaining({ id, operation: 'updateEntityData' }));
+    expect(dataApi.updateEntityData).not.toHaveBeenCalled();
+    expect(events[events.length - 1].queuedWrite.status).toEqual(WriteStatusTypes.CONFLICT);
+
+    // retrying a conflict overwrites the data, so "checkConflict" is skipped
+    await writeQueue.retry(id);
+    expect(checkConflict).toHaveBeenCalledTimes(1);
+    expect(dataApi.updateEntityData).toHaveBeenCalledTimes(1);
+    expect(writeQueue.getState().queuedWrites).toEqual([]);
+  });
+
+  test('should check for conflicts again after a retried write conflicts', async () => {
+
+    const checkConflict = jest.fn(() => Promise.resolve(true));
+    const { dataApi, storage, writeQueue } = newWriteQueue({ checkConflict });
+    dataApi.updateEntityData.mockImplementationOnce(() => Promise.reject(newHttpError(409)));
+    const { id } = await writeQueue.updateEntityData(MOCK_ESID, MOCK_ENTITY_DATA);
+    await writeQueue.flush();
+    await writeQueue.retry(id);
+
+    expect(dataApi.updateEntityData).toHaveBeenCalledTimes(1);
+    const [queuedWrite] = writeQueue.getState().queuedWrites;
+    expect(queuedWrite).toEqual(expect.objectContaining({ attempts: 1, status: WriteStatusTypes.CONFLICT }));
+    expect(queuedWrite.force).toBeUndefined();
+    expect((await storage.load())[0].force).toBeUndefined();
+  });
+
+  describe('retry()', () => {
+
+    test('should only retry a write that has conflicted or failed', async () => {
+
+      const { writeQueue } = newWriteQueue({ isOnline: () => false });
+      const { id } = await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+      await expect(writeQueue.retry(id)).rejects.toThrow();
+      await expect(writeQueue.retry('invalid')).rejects.toThrow();
+    });
+
+  });
+
+  describe('discard()', () => {
+
+    test('should remove the write without sending it', async () => {
+
+      const { dataApi, storage, writeQueue } = newWriteQueue({ isOnline: () => false });
+      const { id } = await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+      await writeQueue.discard(id);
+      expect(writeQueue.getState().queuedWrites).toEqual([]);
+      expect(await storage.load()).toEqual([]);
+      expect(dataApi.createOrMergeEntityData).not.toHaveBeenCalled();
+      await expect(writeQueue.discard(id)).rejects.toThrow();
+    });
+
+  });
+
+  test('should send the writes saved by a previous queue', async () => {
+
+    const storage = new MemoryStorage();
+    const offline = newWriteQueue({ isOnline: () => false, storage });
+    await offline.writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await storage.save(storage.queuedWrites.map((queuedWrite) => ({
+      ...queuedWrite,
+      status: WriteStatusTypes.SENDING,
+    })));
+
+    const { dataApi, writeQueue } = newWriteQueue({ storage });
+    await writeQueue.flush();
+    expect(dataApi.createOrMergeEntityData).toHaveBeenCalledWith(MOCK_ESID, MOCK_ENTITIES);
+    expect(await storage.load()).toEqual([]);
+  });
+
+  test('should start with an empty queue if the saved writes can not be loaded', async () => {
+
+    const storage = new MemoryStorage();
+    jest.spyOn(storage, 'load').mockImplementation(() => Promise.reject(new Error('load failed')));
+
+    const { dataApi, events, writeQueue } = newWriteQueue({ storage });
+    await writeQueue.flush();
+    expect(writeQueue.getState()).toEqual({ flushing: false, queuedWrites: [] });
+
+    await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await writeQueue.flush();
+    expect(dataApi.createOrMergeEntityData).toHaveBeenCalledWith(MOCK_ESID, MOCK_ENTITIES);
+    expect(events[events.length - 1].queuedWrite.status).toEqual(WriteStatusTypes.SUCCEEDED);
+  });
+
+  test('should send a write queued while flushing', async () => {
+
+    const { dataApi, writeQueue } = newWriteQueue();
+    const flushing = writeQueue.flush();
+    writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    await flushing;
+    await writeQueue.flush();
+    expect(dataApi.createOrMergeEntityData).toHaveBeenCalledTimes(1);
+  });
+
+  test('should flush when the browser goes back online', async () => {
+
+    const listeners = {};
+    global.window = {
+      addEventListener: jest.fn((type, listener) => {
+        listeners[type] = listener;
+      }),
+      removeEventListener: jest.fn(),
+    };
+
+    try {
+      let isOnline = false;
+      const { dataApi, writeQueue } = newWriteQueue({ isOnline: () => isOnline });
+      await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+      await writeQueue.flush();
+      expect(dataApi.createOrMergeEntityData).not.toHaveBeenCalled();
+
+      isOnline = true;
+      listeners.online();
+      await writeQueue.flush();
+      expect(dataApi.createOrMergeEntityData).toHaveBeenCalledTimes(1);
+
+      writeQueue.dispose();
+      expect(global.window.removeEventListener).toHaveBeenCalledWith('online', listeners.online);
+    }
+    finally {
+      delete global.window;
+    }
+  });
+
+  test('should remove a listener', async () => {
+
+    const { writeQueue } = newWriteQueue({ isOnline: () => false });
+    const listener = jest.fn();
+    const unsubscribe = writeQueue.subscribe(listener);
+    unsubscribe();
+    await writeQueue.createOrMergeEntityData(MOCK_ESID, MOCK_ENTITIES);
+    expect(listener).not.toHaveBeenCalled();
+    expect(() => writeQueue.subscribe('invalid')).toThrow();
+  });
+
+});
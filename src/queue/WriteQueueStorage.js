@@ -0,0 +1,30 @@
+/*
+ * @flow
+ */
+
+import isFunction from 'lodash/isFunction';
+
+import type { QueuedWrite } from './WriteQueue';
+
+/*
+ * a WriteQueueStorage persists the queued writes, so that they survive a reload of the page or a restart of the
+ * process. load() is invoked once, when the queue is created, and save() is invoked with every queued write whenever
+ * the queue changes.
+ */
+type WriteQueueStorage = {
+  +load :() => Promise<QueuedWrite[]>;
+  +save :(queuedWrites :QueuedWrite[]) => Promise<void>;
+};
+
+function isValidWriteQueueStorage(value :any) :boolean {
+
+  return !!value && isFunction(value.load) && isFunction(value.save);
+}
+
+export {
+  isValidWriteQueueStorage,
+};
+
+export type {
+  WriteQueueStorage,
+};
@@ -0,0 +1,23 @@
+/*
+ * @flow
+ */
+
+import FileStorage from './FileStorage';
+import IndexedDBStorage from './IndexedDBStorage';
+import MemoryStorage from './MemoryStorage';
+import WriteQueue from './WriteQueue';
+
+export type {
+  QueuedWrite,
+  WriteQueueEvent,
+  WriteQueueOptions,
+  WriteQueueState,
+} from './WriteQueue';
+export type { WriteQueueStorage } from './WriteQueueStorage';
+
+export {
+  FileStorage,
+  IndexedDBStorage,
+  MemoryStorage,
+  WriteQueue,
+};
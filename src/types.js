@@ -9,7 +9,31 @@ type EntityKey = {|
   entitySetId :UUID;
 |};
 
+type CachePolicy = {
+  maxEntries ?:number;
+  ttl ?:number;
+};
+
+type RetryPolicy = {
+  baseDelay ?:number;
+  maxAttempts ?:number;
+  maxDelay ?:number;
+  retryMethods ?:string[];
+  retryOnNetworkError ?:boolean;
+  retryOnStatus ?:number[];
+};
+
+type RequestOptions = {
+  dedupe ?:boolean;
+  retry ?:RetryPolicy | false;
+  signal ?:AbortSignal;
+  timeout ?:number;
+};
+
 export type {
+  CachePolicy,
   UUID,
   EntityKey,
+  RequestOptions,
+  RetryPolicy,
 };
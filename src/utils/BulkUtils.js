@@ -0,0 +1,98 @@
+/*
+ * @flow
+ */
+
+import Logger from './Logger';
+
+const LOG = new Logger('BulkUtils');
+
+type BulkProgress = {|
+  completed :number;
+  failed :number;
+  total :number;
+|};
+
+type BulkOptions = {|
+  chunkSize :number;
+  concurrency :number;
+  onProgress ?:(progress :BulkProgress) => void;
+|};
+
+type ChunkResult<R> = {|
+  end :number;
+  error ?:any;
+  result ?:R;
+  start :number;
+|};
+
+/*
+ * splits the given items into chunks of at most "chunkSize" items, and runs "runChunk" on each chunk, with at most
+ * "concurrency" chunks running at the same time. the returned promise never rejects. instead, it resolves with the
+ * result or the error of every chunk, in the same order as the items. "onProgress" is called after each chunk.
+ */
+function runInChunks<T, R>(
+  items :$ReadOnlyArray<T>,
+  runChunk :(chunk :T[]) => Promise<R>,
+  bulkOptions :BulkOptions,
+) :Promise<ChunkResult<R>[]> {
+
+  const { chunkSize, concurrency, onProgress } = bulkOptions;
+
+  const chunkResults :ChunkResult<R>[] = [];
+  for (let start = 0; start < items.length; start += chunkSize) {
+    chunkResults.push({ end: Math.min(start + chunkSize, items.length), start });
+  }
+
+  const progress = { completed: 0, failed: 0, total: items.length };
+  const reportProgress = () => {
+    if (onProgress) {
+      try {
+        onProgress({ ...progress });
+      }
+      catch (e) {
+        LOG.error('onProgress() threw an error', e);
+      }
+    }
+  };
+
+  let nextChunkIndex = 0;
+  const runNextChunk = () :Promise<void> => {
+    if (nextChunkIndex >= chunkResults.length) {
+      return Promise.resolve();
+    }
+    const chunkResult = chunkResults[nextChunkIndex];
+    nextChunkIndex += 1;
+    const size = chunkResult.end - chunkResult.start;
+    return Promise.resolve()
+      .then(() => runChunk(items.slice(chunkResult.start, chunkResult.end)))
+      .then((result :R) => {
+        chunkResult.result = result;
+        progress.completed += size;
+      })
+      .catch((error) => {
+        chunkResult.error = error;
+        progress.failed += size;
+      })
+      .then(() => {
+        reportProgress();
+        return runNextChunk();
+      });
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, chunkResults.length); i += 1) {
+    workers.push(runNextChunk());
+  }
+
+  return Promise.all(workers).then(() => chunkResults);
+}
+
+export {
+  runInChunks,
+};
+
+export type {
+  BulkOptions,
+  BulkProgress,
+  ChunkResult,
+};
@@ -0,0 +1,97 @@
+/*
+ * @flow
+ */
+
+const CSV_LINE_SEPARATOR = '\r\n';
+
+// quotes a CSV field as described by RFC 4180, if it has to be quoted
+function toCSVField(value :string) :string {
+
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toCSVLine(fields :string[]) :string {
+
+  return `${fields.map(toCSVField).join(',')}${CSV_LINE_SEPARATOR}`;
+}
+
+/*
+ * parses CSV text as described by RFC 4180 into a list of rows, one object per line after the header line, mapping the
+ * column names of the header to the fields of the line. quoted fields may span lines, and "\r\n", "\n", and "\r" are
+ * all accepted as line separators. blank lines are skipped, and missing trailing fields are empty strings.
+ */
+function parseCSV(text :string) :Object[] {
+
+  const lines :string[][] = [];
+  let fields :string[] = [];
+  let field = '';
+  let isQuoted = false;
+  let isBlank = true;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+
+  const endLine = () => {
+    endField();
+    if (!isBlank) {
+      lines.push(fields);
+    }
+    fields = [];
+    isBlank = true;
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (isQuoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      }
+      else if (char === '"') {
+        isQuoted = false;
+      }
+      else {
+        field += char;
+      }
+    }
+    else if (char === '"') {
+      isQuoted = true;
+      isBlank = false;
+    }
+    else if (char === ',') {
+      endField();
+      isBlank = false;
+    }
+    else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endLine();
+    }
+    else {
+      field += char;
+      isBlank = false;
+    }
+  }
+
+  if (isQuoted) {
+    throw new Error('invalid CSV: a quoted field is not closed');
+  }
+  endLine();
+
+  const [header = [], ...rows] = lines;
+  return rows.map((values :string[]) => {
+    const row = {};
+    header.forEach((column :string, index :number) => {
+      row[column] = index < values.length ? values[index] : '';
+    });
+    return row;
+  });
+}
+
+export {
+  parseCSV,
+  toCSVLine,
+};
@@ -0,0 +1,48 @@
+import { parseCSV, toCSVLine } from './CSVUtils';
+
+describe('CSVUtils', () => {
+
+  describe('parseCSV()', () => {
+
+    test('should map the fields of each line to the columns of the header', () => {
+      expect(parseCSV('id,name\r\n1,Jane\r\n2,John\r\n')).toEqual([
+        { id: '1', name: 'Jane' },
+        { id: '2', name: 'John' },
+      ]);
+      expect(parseCSV('id,name\n1,Jane\r2,John')).toEqual([
+        { id: '1', name: 'Jane' },
+        { id: '2', name: 'John' },
+      ]);
+    });
+
+    test('should parse quoted fields with commas, quotes, and line breaks', () => {
+      expect(parseCSV('name,note\r\n"Doe, ""John""","line 1\r\nline 2"\r\n')).toEqual([
+        { name: 'Doe, "John"', note: 'line 1\r\nline 2' },
+      ]);
+    });
+
+    test('should skip blank lines, and fill in missing trailing fields', () => {
+      expect(parseCSV('id,name,age\r\n\r\n1,Jane\r\n,,\r\n\r\n')).toEqual([
+        { age: '', id: '1', name: 'Jane' },
+        { age: '', id: '', name: '' },
+      ]);
+      expect(parseCSV('')).toEqual([]);
+      expect(parseCSV('id,name')).toEqual([]);
+    });
+
+    test('should throw when a quoted field is not closed', () => {
+      expect(() => parseCSV('id,name\r\n1,"Jane\r\n')).toThrow();
+    });
+
+  });
+
+  describe('toCSVLine()', () => {
+
+    test('should quote only the fields that have to be quoted', () => {
+      expect(toCSVLine(['Jane', 'Doe, "John"', 'a\nb', ''])).toEqual('Jane,"Doe, ""John""","a\nb",\r\n');
+      expect(parseCSV(`a,b\r\n${toCSVLine(['Doe, "John"', 'a\r\nb'])}`)).toEqual([{ a: 'Doe, "John"', b: 'a\r\nb' }]);
+    });
+
+  });
+
+});
@@ -60,6 +60,11 @@ function isNonEmptyStringArray(value :any) :boolean {
   return true;
 }
 
+function isPositiveInteger(value :any) :boolean %checks {
+
+  return Number.isInteger(value) && value > 0;
+}
+
 export {
   isDefined,
   isEmptyArray,
@@ -69,4 +74,5 @@ export {
   isNonEmptyObject,
   isNonEmptyString,
   isNonEmptyStringArray,
+  isPositiveInteger,
 };
@@ -0,0 +1,154 @@
+/*
+ * @flow
+ */
+
+import isBoolean from 'lodash/isBoolean';
+import isString from 'lodash/isString';
+
+import { isNonEmptyArray } from './LangUtils';
+import { isValidUUID } from './ValidationUtils';
+import type { SchemaValidationReport } from '../errors/LatticeSchemaValidationError';
+
+type SchemaEntityType = {
+  +properties :$ReadOnlyArray<string>;
+};
+
+type SchemaPropertyType = {
+  +datatype :string;
+  +enumValues ?:?$ReadOnlyArray<string>;
+  +id ?:?string;
+  +multiValued ?:?boolean;
+};
+
+const DATE_PATTERN :RegExp = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_OFFSET_PATTERN :RegExp = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const GEOGRAPHY_POINT_PATTERN :RegExp = /^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/;
+const INTEGER_STRING_PATTERN :RegExp = /^-?\d+$/;
+const TIME_OF_DAY_PATTERN :RegExp = /^\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+function isIntegerInRange(min :number, max :number) :(value :any) => boolean {
+
+  return (value :any) => Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isFiniteNumber(value :any) :boolean {
+
+  return Number.isFinite(value);
+}
+
+function isValidDate(value :any) :boolean {
+
+  return isString(value) && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isValidDateTimeOffset(value :any) :boolean {
+
+  return isString(value) && DATE_TIME_OFFSET_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// an Int64 may not fit in a JavaScript number, so it can also be given as a string of digits
+function isValidInt64(value :any) :boolean {
+
+  return Number.isSafeInteger(value) || (isString(value) && INTEGER_STRING_PATTERN.test(value));
+}
+
+/*
+ * the checks for every EDM primitive type the server supports. a datatype that is not listed here, for example Binary,
+ * is not checked.
+ */
+const DATATYPE_VALIDATORS :{ [datatype :string] :(value :any) => boolean } = {
+  Boolean: isBoolean,
+  Byte: isIntegerInRange(0, 255),
+  Date: isValidDate,
+  DateTimeOffset: isValidDateTimeOffset,
+  Decimal: isFiniteNumber,
+  Double: isFiniteNumber,
+  GeographyPoint: (value :any) => isString(value) && GEOGRAPHY_POINT_PATTERN.test(value),
+  Guid: isValidUUID,
+  Int16: isIntegerInRange(-32768, 32767),
+  Int32: isIntegerInRange(-2147483648, 2147483647),
+  Int64: isValidInt64,
+  SByte: isIntegerInRange(-128, 127),
+  Single: isFiniteNumber,
+  String: isString,
+  TimeOfDay: (value :any) => isString(value) && TIME_OF_DAY_PATTERN.test(value),
+};
+
+// the server accepts both "Int32" and "Edm.Int32"
+function getDatatype(propertyType :SchemaPropertyType) :string {
+
+  return propertyType.datatype.replace(/^Edm\./, '');
+}
+
+/*
+ * returns the problems with the given values of a single property, or an empty list if there are none
+ */
+function validatePropertyValues(propertyType :SchemaPropertyType, values :any) :string[] {
+
+  if (!Array.isArray(values)) {
+    return ['expected a list of values'];
+  }
+
+  const problems = [];
+  if (propertyType.multiValued === false && values.length > 1) {
+    problems.push(`expected at most one value, got ${values.length}`);
+  }
+
+  const datatype = getDatatype(propertyType);
+  const isValidValue = DATATYPE_VALIDATORS[datatype];
+  const { enumValues } = propertyType;
+  values.forEach((value :any) => {
+    if (value === null || value === undefined) {
+      problems.push('expected a value, got null');
+    }
+    else if (isValidValue && !isValidValue(value)) {
+      problems.push(`expected a value of type ${datatype}, got ${JSON.stringify(value)}`);
+    }
+    else if (isNonEmptyArray(enumValues) && !enumValues.includes(value)) {
+      problems.push(`expected one of ${enumValues.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  return problems;
+}
+
+/*
+ * checks the entities against the given EntityType and its PropertyTypes, and returns every problem, grouped by entity
+ * and property. the entities are either a list, in which case the report is keyed by index, or an object keyed by
+ * entity key id. returns null if there are no problems.
+ */
+function getSchemaValidationReport(
+  entities :Object,
+  entityType :SchemaEntityType,
+  propertyTypes :$ReadOnlyArray<SchemaPropertyType>,
+) :?SchemaValidationReport {
+
+  const propertyTypesById :Map<string, SchemaPropertyType> = new Map();
+  propertyTypes.forEach((propertyType :SchemaPropertyType) => {
+    if (propertyType.id && entityType.properties.includes(propertyType.id)) {
+      propertyTypesById.set(propertyType.id, propertyType);
+    }
+  });
+
+  const report :SchemaValidationReport = {};
+  Object.keys(entities).forEach((entityKey :string) => {
+    const entity = entities[(entityKey :any)];
+    Object.keys(entity).forEach((propertyTypeId :string) => {
+      const propertyType = propertyTypesById.get(propertyTypeId);
+      const problems = propertyType
+        ? validatePropertyValues(propertyType, entity[propertyTypeId])
+        : ['the property type is not a property of the entity type'];
+      if (problems.length > 0) {
+        report[entityKey] = report[entityKey] || {};
+        report[entityKey][propertyTypeId] = problems;
+      }
+    });
+  });
+
+  return Object.keys(report).length > 0 ? report : null;
+}
+
+export {
+  getSchemaValidationReport,
+  validatePropertyValues,
+};
@@ -0,0 +1,85 @@
+import { getSchemaValidationReport, validatePropertyValues } from './SchemaValidationUtils';
+
+import { genRandomUUID } from './testing/MockUtils';
+
+const VALID_AND_INVALID_VALUES = {
+  Boolean: [[true, false], ['true', 0]],
+  Byte: [[0, 255], [-1, 256, '1']],
+  Date: [['2020-02-29'], ['2020-02-30T00:00:00Z', '02/29/2020', 20200229]],
+  DateTimeOffset: [['2020-02-29T12:30:00Z', '2020-02-29T12:30:00.123-08:00'], ['2020-02-29', 'invalid']],
+  Double: [[1, 1.5, -0.25], ['1.5', NaN, Infinity]],
+  GeographyPoint: [['47.6062,-122.3321', '-33.9, 18.4'], ['47.6062', '47.6062,west']],
+  Guid: [[genRandomUUID()], ['invalid', 1]],
+  Int16: [[-32768, 32767], [32768, 1.5]],
+  Int32: [[-2147483648, 2147483647], [2147483648, '42']],
+  Int64: [[Number.MAX_SAFE_INTEGER, '9223372036854775807'], [1.5, '1.5', 2 ** 64]],
+  SByte: [[-128, 127], [128]],
+  String: [['', 'value'], [1, true, {}]],
+  TimeOfDay: [['12:30', '12:30:59.999'], ['12:30 PM', 1230]],
+};
+
+describe('SchemaValidationUtils', () => {
+
+  describe('validatePropertyValues()', () => {
+
+    Object.keys(VALID_AND_INVALID_VALUES).forEach((datatype) => {
+      const [validValues, invalidValues] = VALID_AND_INVALID_VALUES[datatype];
+      test(`should check the values against datatype ${datatype}`, () => {
+        expect(validatePropertyValues({ datatype }, validValues)).toEqual([]);
+        expect(validatePropertyValues({ datatype: `Edm.${datatype}` }, validValues)).toEqual([]);
+        invalidValues.forEach((value) => {
+          expect(validatePropertyValues({ datatype }, [value])).toEqual([
+            `expected a value of type ${datatype}, got ${JSON.stringify(value)}`,
+          ]);
+        });
+      });
+    });
+
+    test('should not check the values of an unknown datatype', () => {
+      expect(validatePropertyValues({ datatype: 'Binary' }, [{ data: 'base64' }, 'base64'])).toEqual([]);
+    });
+
+    test('should reject null values and values that are not in a list', () => {
+      expect(validatePropertyValues({ datatype: 'Binary' }, [null])).toEqual(['expected a value, got null']);
+      expect(validatePropertyValues({ datatype: 'String' }, 'value')).toEqual(['expected a list of values']);
+    });
+
+    test('should only allow multiple values if the property type is multi-valued', () => {
+      expect(validatePropertyValues({ datatype: 'String' }, ['1', '2'])).toEqual([]);
+      expect(validatePropertyValues({ datatype: 'String', multiValued: true }, ['1', '2'])).toEqual([]);
+      expect(validatePropertyValues({ datatype: 'String', multiValued: false }, ['1', '2'])).toEqual([
+        'expected at most one value, got 2',
+      ]);
+    });
+
+    test('should only allow the enum values, if there are any', () => {
+      expect(validatePropertyValues({ datatype: 'String', enumValues: [] }, ['C'])).toEqual([]);
+      expect(validatePropertyValues({ datatype: 'String', enumValues: ['A', 'B'] }, ['A', 'C'])).toEqual([
+        'expected one of A, B, got "C"',
+      ]);
+    });
+
+  });
+
+  describe('getSchemaValidationReport()', () => {
+
+    const PTID = genRandomUUID();
+    const ENTITY_TYPE = { properties: [PTID] };
+    const PROPERTY_TYPES = [{ datatype: 'Int32', id: PTID }, { datatype: 'Int32', id: genRandomUUID() }];
+
+    test('should return null if there are no problems', () => {
+      expect(getSchemaValidationReport([{ [PTID]: [1] }, {}], ENTITY_TYPE, PROPERTY_TYPES)).toBeNull();
+    });
+
+    test('should only include the entities and properties that have problems', () => {
+      const otherPropertyTypeId = PROPERTY_TYPES[1].id;
+      const entities = [{ [PTID]: [1] }, { [PTID]: [1, 'x'] }, { [otherPropertyTypeId]: [1] }];
+      expect(getSchemaValidationReport(entities, ENTITY_TYPE, PROPERTY_TYPES)).toEqual({
+        1: { [PTID]: ['expected a value of type Int32, got "x"'] },
+        2: { [otherPropertyTypeId]: ['the property type is not a property of the entity type'] },
+      });
+    });
+
+  });
+
+});
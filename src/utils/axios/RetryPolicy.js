@@ -0,0 +1,112 @@
+/*
+ * @flow
+ */
+
+import isFinite from 'lodash/isFinite';
+import isPlainObject from 'lodash/isPlainObject';
+
+import type { RetryPolicy } from '../../types';
+
+// only idempotent methods are retried unless the caller explicitly opts in, since retrying a POST or a PATCH that
+// did reach the server might write the same data twice
+const DEFAULT_RETRY_POLICY = {
+  baseDelay: 300,
+  maxAttempts: 3,
+  maxDelay: 10000,
+  retryMethods: ['delete', 'get', 'head', 'options', 'put'],
+  retryOnNetworkError: true,
+  retryOnStatus: [429, 502, 503, 504],
+};
+
+function isNonNegativeNumber(value :any) :boolean {
+
+  return isFinite(value) && value >= 0;
+}
+
+function isValidRetryPolicy(value :any) :boolean {
+
+  if (!isPlainObject(value)) {
+    return false;
+  }
+
+  const {
+    baseDelay,
+    maxAttempts,
+    maxDelay,
+    retryMethods,
+    retryOnNetworkError,
+    retryOnStatus,
+  } = value;
+
+  return (baseDelay === undefined || isNonNegativeNumber(baseDelay))
+    && (maxAttempts === undefined || (Number.isInteger(maxAttempts) && maxAttempts >= 1))
+    && (maxDelay === undefined || isNonNegativeNumber(maxDelay))
+    && (retryMethods === undefined || (
+      Array.isArray(retryMethods) && retryMethods.every((method) => typeof method === 'string')
+    ))
+    && (retryOnNetworkError === undefined || typeof retryOnNetworkError === 'boolean')
+    && (retryOnStatus === undefined || (
+      Array.isArray(retryOnStatus) && retryOnStatus.every((status) => Number.isInteger(status))
+    ));
+}
+
+/*
+ * fills in every option not set on the given policy with its default, and lowercases the methods so they can be
+ * compared against axios request configs
+ */
+function toRetryPolicy(policy :RetryPolicy) :Object {
+
+  const retryPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+  return {
+    ...retryPolicy,
+    retryMethods: retryPolicy.retryMethods.map((method) => method.toLowerCase()),
+  };
+}
+
+/*
+ * "Retry-After" is either a number of seconds or an HTTP date
+ */
+function parseRetryAfter(retryAfter :any) :?number {
+
+  if (retryAfter === null || retryAfter === undefined || retryAfter === '') {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  if (isFinite(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/*
+ * returns the number of milliseconds to wait before sending the given attempt, which starts at 2 for the first retry.
+ * a "Retry-After" header on the response takes precedence, otherwise the delay grows exponentially with "full jitter",
+ * i.e. a random delay between 0 and the exponential backoff, so that many clients do not retry in lockstep. either way,
+ * the delay never exceeds "maxDelay".
+ */
+function getRetryDelay(retryPolicy :Object, attempt :number, response :?Object) :number {
+
+  const { baseDelay, maxDelay } = retryPolicy;
+
+  const retryAfter = parseRetryAfter(response && response.headers && response.headers['retry-after']);
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return Math.min(retryAfter, maxDelay);
+  }
+
+  const backoff = Math.min(maxDelay, baseDelay * (2 ** (attempt - 2)));
+  return Math.floor(Math.random() * backoff);
+}
+
+export {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+  isValidRetryPolicy,
+  toRetryPolicy,
+};
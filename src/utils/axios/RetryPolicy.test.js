@@ -0,0 +1,99 @@
+import {
+  DEFAULT_RETRY_POLICY,
+  getRetryDelay,
+  isValidRetryPolicy,
+  toRetryPolicy,
+} from './RetryPolicy';
+
+import { INVALID_PARAMS_OPTIONAL_OBJECT } from '../testing/InvalidParams';
+
+describe('AxiosUtils : RetryPolicy', () => {
+
+  describe('isValidRetryPolicy()', () => {
+
+    test('should return true for a valid retry policy', () => {
+      expect(isValidRetryPolicy({})).toEqual(true);
+      expect(isValidRetryPolicy(DEFAULT_RETRY_POLICY)).toEqual(true);
+      expect(isValidRetryPolicy({ maxAttempts: 1 })).toEqual(true);
+      expect(isValidRetryPolicy({ baseDelay: 0, maxDelay: 0 })).toEqual(true);
+    });
+
+    test('should return false for an invalid retry policy', () => {
+      [...INVALID_PARAMS_OPTIONAL_OBJECT, undefined, null].forEach((invalid) => {
+        expect(isValidRetryPolicy(invalid)).toEqual(false);
+      });
+      expect(isValidRetryPolicy({ maxAttempts: 0 })).toEqual(false);
+      expect(isValidRetryPolicy({ maxAttempts: 1.5 })).toEqual(false);
+      expect(isValidRetryPolicy({ baseDelay: -1 })).toEqual(false);
+      expect(isValidRetryPolicy({ maxDelay: Infinity })).toEqual(false);
+      expect(isValidRetryPolicy({ retryMethods: 'get' })).toEqual(false);
+      expect(isValidRetryPolicy({ retryMethods: [1] })).toEqual(false);
+      expect(isValidRetryPolicy({ retryOnNetworkError: 'true' })).toEqual(false);
+      expect(isValidRetryPolicy({ retryOnStatus: 503 })).toEqual(false);
+      expect(isValidRetryPolicy({ retryOnStatus: ['503'] })).toEqual(false);
+    });
+
+  });
+
+  describe('toRetryPolicy()', () => {
+
+    test('should fill in the defaults', () => {
+      expect(toRetryPolicy({})).toEqual(DEFAULT_RETRY_POLICY);
+      expect(toRetryPolicy({ maxAttempts: 5 })).toEqual({ ...DEFAULT_RETRY_POLICY, maxAttempts: 5 });
+    });
+
+    test('should lowercase the retry methods', () => {
+      expect(toRetryPolicy({ retryMethods: ['GET', 'Post'] }).retryMethods).toEqual(['get', 'post']);
+    });
+
+  });
+
+  describe('getRetryDelay()', () => {
+
+    const retryPolicy = toRetryPolicy({ baseDelay: 100, maxDelay: 1000 });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should back off exponentially', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+      expect(getRetryDelay(retryPolicy, 2)).toEqual(99);
+      expect(getRetryDelay(retryPolicy, 3)).toEqual(199);
+      expect(getRetryDelay(retryPolicy, 4)).toEqual(399);
+      expect(getRetryDelay(retryPolicy, 5)).toEqual(799);
+      expect(getRetryDelay(retryPolicy, 6)).toEqual(999);
+    });
+
+    test('should add full jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect(getRetryDelay(retryPolicy, 4)).toEqual(0);
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      expect(getRetryDelay(retryPolicy, 4)).toEqual(200);
+    });
+
+    test('should honor "Retry-After" in seconds', () => {
+      const response = { headers: { 'retry-after': '0.5' } };
+      expect(getRetryDelay(retryPolicy, 2, response)).toEqual(500);
+    });
+
+    test('should honor "Retry-After" as an HTTP date', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+      const response = { headers: { 'retry-after': 'Wed, 21 Oct 2015 07:28:00 GMT' } };
+      expect(getRetryDelay(retryPolicy, 2, response)).toEqual(0);
+    });
+
+    test('should not wait longer than "maxDelay" for "Retry-After"', () => {
+      const response = { headers: { 'retry-after': '120' } };
+      expect(getRetryDelay(retryPolicy, 2, response)).toEqual(1000);
+    });
+
+    test('should ignore an invalid "Retry-After"', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const response = { headers: { 'retry-after': 'soon' } };
+      expect(getRetryDelay(retryPolicy, 2, response)).toEqual(50);
+    });
+
+  });
+
+});
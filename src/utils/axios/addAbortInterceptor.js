@@ -0,0 +1,32 @@
+/*
+ * @flow
+ */
+
+import type { Axios } from 'axios';
+
+function removeAbortListener(requestConfig :?Object) :void {
+
+  if (requestConfig && typeof requestConfig.removeAbortListener === 'function') {
+    requestConfig.removeAbortListener();
+  }
+}
+
+/*
+ * a request sent with an AbortSignal stops listening to the signal once it settles, see getRequestConfig(). it has to
+ * be added after the retry interceptor, since a request that is waiting to be retried can still be aborted.
+ */
+export default function addAbortInterceptor(axiosInstance :Axios) :Axios {
+
+  axiosInstance.interceptors.response.use(
+    (response :Object) => {
+      removeAbortListener(response.config);
+      return response;
+    },
+    (error :Object) => {
+      removeAbortListener(error.config);
+      return Promise.reject(error);
+    },
+  );
+
+  return axiosInstance;
+}
@@ -0,0 +1,96 @@
+import axios from 'axios';
+
+import addAbortInterceptor from './addAbortInterceptor';
+import addRetryInterceptor from './addRetryInterceptor';
+import getRequestConfig from './getRequestConfig';
+
+import { genMockBaseUrl } from '../testing/MockUtils';
+
+// the adapter responds to each request with the next status in the given list
+function newMockAxiosInstance(statuses) {
+
+  const requests = [];
+  const axiosInstance = axios.create({
+    adapter: (config) => {
+      requests.push(config);
+      const status = statuses[requests.length - 1];
+      const response = {
+        config,
+        data: {},
+        headers: {},
+        status,
+      };
+      if (status >= 200 && status < 300) {
+        return Promise.resolve(response);
+      }
+      const error = new Error(`Request failed with status code ${status}`);
+      return Promise.reject(Object.assign(error, { config, response }));
+    },
+    baseURL: genMockBaseUrl(),
+  });
+
+  return { axiosInstance, requests };
+}
+
+describe('AxiosUtils : addAbortInterceptor()', () => {
+
+  test('should stop listening to the signal once the request succeeds', async () => {
+
+    const { axiosInstance } = newMockAxiosInstance([200]);
+    addAbortInterceptor(axiosInstance);
+
+    const controller = new AbortController();
+    const removeEventListenerSpy = jest.spyOn(controller.signal, 'removeEventListener');
+    const requestConfig = getRequestConfig({ signal: controller.signal });
+    await axiosInstance.get('/', requestConfig);
+    expect(removeEventListenerSpy).toHaveBeenCalledTimes(1);
+
+    // aborting a signal that is reused for later requests no longer cancels the settled request
+    controller.abort();
+    expect(requestConfig.cancelToken.reason).toBeUndefined();
+  });
+
+  test('should stop listening to the signal once the request fails', async () => {
+
+    const { axiosInstance } = newMockAxiosInstance([500]);
+    addAbortInterceptor(axiosInstance);
+
+    const controller = new AbortController();
+    const removeEventListenerSpy = jest.spyOn(controller.signal, 'removeEventListener');
+    await expect(axiosInstance.get('/', getRequestConfig({ signal: controller.signal })))
+      .rejects.toHaveProperty('response.status', 500);
+    expect(removeEventListenerSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep listening to the signal while the request is being retried', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, { baseDelay: 0, maxAttempts: 2 });
+    addAbortInterceptor(axiosInstance);
+
+    const controller = new AbortController();
+    const removeEventListenerSpy = jest.spyOn(controller.signal, 'removeEventListener');
+    const requestConfig = getRequestConfig({ signal: controller.signal });
+    axiosInstance.interceptors.request.use((config) => {
+      if (requests.length === 1) {
+        // the first attempt failed, the retry is about to be sent
+        expect(removeEventListenerSpy).not.toHaveBeenCalled();
+      }
+      return config;
+    });
+
+    await axiosInstance.get('/', requestConfig);
+    expect(requests).toHaveLength(2);
+    expect(removeEventListenerSpy).toHaveBeenCalled();
+  });
+
+  test('should ignore requests sent without a signal', async () => {
+
+    const { axiosInstance } = newMockAxiosInstance([200, 500]);
+    addAbortInterceptor(axiosInstance);
+
+    await expect(axiosInstance.get('/')).resolves.toHaveProperty('status', 200);
+    await expect(axiosInstance.get('/')).rejects.toHaveProperty('response.status', 500);
+  });
+
+});
@@ -0,0 +1,66 @@
+/*
+ * @flow
+ */
+
+import type { Axios } from 'axios';
+
+import { isNonEmptyString } from '../LangUtils';
+import type { AuthProvider } from '../../auth/AuthProvider';
+
+const AUTH_REPLAYED = '__latticeAuthReplayed';
+
+function toAuthHeader(token :?string) :?string {
+
+  return isNonEmptyString(token) ? `Bearer ${(token :any)}` : undefined;
+}
+
+/*
+ * the AuthProvider is consulted for the auth token before every request is sent. when a request is rejected with a
+ * 401, the AuthProvider is asked once to refresh the token, and the request is replayed with the refreshed token only
+ * if that produced a new token. a replayed request is never replayed again.
+ */
+export default function addAuthInterceptors(axiosInstance :Axios, authProvider :AuthProvider) :Axios {
+
+  axiosInstance.interceptors.request.use((requestConfig :Object) => {
+
+    // a replayed request already carries the refreshed token
+    if (requestConfig[AUTH_REPLAYED] === true) {
+      return requestConfig;
+    }
+
+    return Promise.resolve()
+      .then(() => authProvider.getToken())
+      .then((token :?string) => {
+        const authHeader = toAuthHeader(token);
+        if (authHeader) {
+          // eslint-disable-next-line no-param-reassign
+          requestConfig.headers.Authorization = authHeader;
+        }
+        return requestConfig;
+      });
+  });
+
+  axiosInstance.interceptors.response.use(undefined, (error :Object) => {
+
+    const { config: requestConfig, response } = error;
+    if (!requestConfig || !response || response.status !== 401 || requestConfig[AUTH_REPLAYED] === true) {
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve()
+      .then(() => authProvider.refreshToken())
+      .then((token :?string) => {
+        const authHeader = toAuthHeader(token);
+        if (!authHeader || authHeader === requestConfig.headers.Authorization) {
+          return Promise.reject(error);
+        }
+        return axiosInstance.request({
+          ...requestConfig,
+          headers: { ...requestConfig.headers, Authorization: authHeader },
+          [AUTH_REPLAYED]: true,
+        });
+      }, () => Promise.reject(error));
+  });
+
+  return axiosInstance;
+}
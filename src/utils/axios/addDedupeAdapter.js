@@ -0,0 +1,122 @@
+/*
+ * @flow
+ */
+
+import axios from 'axios';
+import type { Axios } from 'axios';
+
+// only requests without side effects are safe to share
+const DEDUPE_METHODS = ['get', 'head', 'options'];
+
+type InFlightRequest = {
+  cancel :(message :string) => void;
+  callers :number;
+  promise :Promise<Object>;
+};
+
+/*
+ * by the time the adapter is called, the request data has already been serialized
+ */
+function getRequestKey(requestConfig :Object) :string {
+
+  const {
+    baseURL,
+    data,
+    method,
+    params,
+    url,
+  } = requestConfig;
+
+  return JSON.stringify([method, baseURL, url, params, data]);
+}
+
+/*
+ * every caller gets its own copy of the response or the error, with its own request config, so that the interceptors
+ * that run afterwards, for example the retry interceptor, act on behalf of that caller
+ */
+function toCallerError(error :Object, requestConfig :Object) :Object {
+
+  if (axios.isCancel(error)) {
+    return error;
+  }
+
+  const callerError :Object = new Error(error.message);
+  Object.assign(callerError, error, { config: requestConfig });
+  return callerError;
+}
+
+/*
+ * identical GET, HEAD, and OPTIONS requests that are sent while the first one is still in flight share its response,
+ * instead of each one going over the wire. a request sent with the "dedupe" option set to false is never shared.
+ *
+ * a caller that cancels its request is rejected right away, but the shared request is only cancelled once every caller
+ * has cancelled, so that one caller can't cancel the request out from under the others.
+ */
+export default function addDedupeAdapter(axiosInstance :Axios) :Axios {
+
+  const inFlightRequests :Map<string, InFlightRequest> = new Map();
+  const adapter :Function = axiosInstance.defaults.adapter || axios.defaults.adapter;
+
+  function sendRequest(key :string, requestConfig :Object) :InFlightRequest {
+
+    const { cancel, token } = axios.CancelToken.source();
+
+    let inFlightRequest :?InFlightRequest = null;
+    const removeInFlightRequest = () => {
+      if (inFlightRequests.get(key) === inFlightRequest) {
+        inFlightRequests.delete(key);
+      }
+    };
+
+    inFlightRequest = {
+      cancel: (message :string) => {
+        removeInFlightRequest();
+        cancel(message);
+      },
+      callers: 0,
+      promise: adapter({ ...requestConfig, cancelToken: token }).then(
+        (response :Object) => {
+          removeInFlightRequest();
+          return response;
+        },
+        (error :Object) => {
+          removeInFlightRequest();
+          return Promise.reject(error);
+        },
+      ),
+    };
+
+    inFlightRequests.set(key, inFlightRequest);
+    return inFlightRequest;
+  }
+
+  // eslint-disable-next-line no-param-reassign
+  axiosInstance.defaults.adapter = (requestConfig :Object) :Promise<Object> => {
+
+    if (requestConfig.dedupe === false || !DEDUPE_METHODS.includes(requestConfig.method)) {
+      return adapter(requestConfig);
+    }
+
+    const key = getRequestKey(requestConfig);
+    const inFlightRequest = inFlightRequests.get(key) || sendRequest(key, requestConfig);
+    inFlightRequest.callers += 1;
+
+    return new Promise((resolve, reject) => {
+      inFlightRequest.promise.then(
+        (response :Object) => resolve({ ...response, config: requestConfig }),
+        (error :Object) => reject(toCallerError(error, requestConfig)),
+      );
+      if (requestConfig.cancelToken) {
+        requestConfig.cancelToken.promise.then((reason :Object) => {
+          inFlightRequest.callers -= 1;
+          if (inFlightRequest.callers === 0) {
+            inFlightRequest.cancel(reason.message);
+          }
+          reject(reason);
+        });
+      }
+    });
+  };
+
+  return axiosInstance;
+}
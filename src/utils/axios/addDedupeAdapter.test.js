@@ -0,0 +1,197 @@
+import axios from 'axios';
+
+import addDedupeAdapter from './addDedupeAdapter';
+import addRetryInterceptor from './addRetryInterceptor';
+
+import { genMockBaseUrl } from '../testing/MockUtils';
+
+// the adapter holds on to every request until it is resolved or rejected by the test
+function newMockAxiosInstance() {
+
+  const requests = [];
+  const axiosInstance = axios.create({
+    adapter: (config) => new Promise((resolve, reject) => {
+      const request = {
+        config,
+        reject: (status) => {
+          const error = new Error(`Request failed with status code ${status}`);
+          error.config = config;
+          error.response = {
+            config,
+            data: {},
+            headers: {},
+            status,
+          };
+          reject(error);
+        },
+        resolve: (data) => resolve({
+          config,
+          data,
+          headers: {},
+          status: 200,
+        }),
+      };
+      requests.push(request);
+      if (config.cancelToken) {
+        config.cancelToken.promise.then((reason) => {
+          request.cancelled = true;
+          reject(reason);
+        });
+      }
+    }),
+    baseURL: genMockBaseUrl(),
+  });
+
+  return { axiosInstance: addDedupeAdapter(axiosInstance), requests };
+}
+
+// lets the axios request interceptors run, which happens asynchronously, before the adapter is called
+function flushPromises() {
+
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('AxiosUtils : addDedupeAdapter()', () => {
+
+  test('should share the response of identical requests that are in flight', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    const promise1 = axiosInstance.get('/path', { params: { id: 1 } });
+    const promise2 = axiosInstance.get('/path', { params: { id: 1 } });
+    await flushPromises();
+
+    expect(requests).toHaveLength(1);
+    requests[0].resolve({ id: 1 });
+
+    const [response1, response2] = await Promise.all([promise1, promise2]);
+    expect(response1.data).toEqual({ id: 1 });
+    expect(response2.data).toBe(response1.data);
+    expect(response1.config).not.toBe(response2.config);
+  });
+
+  test('should send the request again once the previous one has completed', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    const promise1 = axiosInstance.get('/path');
+    await flushPromises();
+    requests[0].resolve(1);
+    await promise1;
+
+    const promise2 = axiosInstance.get('/path');
+    await flushPromises();
+    expect(requests).toHaveLength(2);
+    requests[1].resolve(2);
+    expect((await promise2).data).toEqual(2);
+  });
+
+  test('should not share requests that differ by url, params, or data', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    axiosInstance.get('/path1');
+    axiosInstance.get('/path2');
+    axiosInstance.get('/path1', { params: { id: 1 } });
+    axiosInstance.get('/path1', { params: { id: 2 } });
+    axiosInstance.request({ data: { id: 1 }, method: 'get', url: '/path1' });
+    axiosInstance.request({ data: { id: 2 }, method: 'get', url: '/path1' });
+    await flushPromises();
+
+    expect(requests).toHaveLength(6);
+  });
+
+  test('should not share requests that are not GET, HEAD, or OPTIONS', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    axiosInstance.post('/path', { id: 1 });
+    axiosInstance.post('/path', { id: 1 });
+    axiosInstance.put('/path', { id: 1 });
+    axiosInstance.put('/path', { id: 1 });
+    axiosInstance.delete('/path');
+    axiosInstance.delete('/path');
+    await flushPromises();
+
+    expect(requests).toHaveLength(6);
+  });
+
+  test('should not share a request when the "dedupe" option is false', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    axiosInstance.get('/path');
+    axiosInstance.get('/path', { dedupe: false });
+    axiosInstance.get('/path');
+    await flushPromises();
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].config.dedupe).toEqual(false);
+  });
+
+  test('should reject every caller when the shared request fails', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    const promise1 = axiosInstance.get('/path');
+    const promise2 = axiosInstance.get('/path');
+    await flushPromises();
+    requests[0].reject(500);
+
+    const [result1, result2] = await Promise.allSettled([promise1, promise2]);
+    expect(result1.reason.response.status).toEqual(500);
+    expect(result2.reason.response.status).toEqual(500);
+    expect(result1.reason).not.toBe(result2.reason);
+  });
+
+  test('should only cancel the shared request once every caller has cancelled', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    const source1 = axios.CancelToken.source();
+    const source2 = axios.CancelToken.source();
+    const promise1 = axiosInstance.get('/path', { cancelToken: source1.token });
+    const promise2 = axiosInstance.get('/path', { cancelToken: source2.token });
+    await flushPromises();
+
+    source1.cancel('cancelled');
+    await expect(promise1).rejects.toHaveProperty('message', 'cancelled');
+    expect(requests[0].cancelled).toBeUndefined();
+
+    source2.cancel('cancelled');
+    await expect(promise2).rejects.toHaveProperty('message', 'cancelled');
+    expect(requests[0].cancelled).toEqual(true);
+
+    // a cancelled request is never shared with later callers
+    axiosInstance.get('/path');
+    await flushPromises();
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should not cancel the shared request for a caller that can not cancel', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    const source = axios.CancelToken.source();
+    const promise1 = axiosInstance.get('/path', { cancelToken: source.token });
+    const promise2 = axiosInstance.get('/path');
+    await flushPromises();
+
+    source.cancel('cancelled');
+    await expect(promise1).rejects.toHaveProperty('message', 'cancelled');
+    requests[0].resolve(1);
+    expect((await promise2).data).toEqual(1);
+    expect(requests[0].cancelled).toBeUndefined();
+  });
+
+  test('should retry a shared request on behalf of each caller', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance();
+    addRetryInterceptor(axiosInstance, { baseDelay: 0, maxAttempts: 2 });
+    const promise1 = axiosInstance.get('/path');
+    const promise2 = axiosInstance.get('/path');
+    await flushPromises();
+    requests[0].reject(503);
+    await flushPromises();
+    await flushPromises();
+
+    // both retries are identical, so they are shared as well
+    expect(requests).toHaveLength(2);
+    requests[1].resolve(1);
+    expect((await promise1).data).toEqual(1);
+    expect((await promise2).data).toEqual(1);
+  });
+
+});
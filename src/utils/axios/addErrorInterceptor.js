@@ -0,0 +1,95 @@
+/*
+ * @flow
+ */
+
+import axios from 'axios';
+import type { Axios } from 'axios';
+
+import LatticeAuthError from '../../errors/LatticeAuthError';
+import LatticeCancellationError from '../../errors/LatticeCancellationError';
+import LatticeHttpError from '../../errors/LatticeHttpError';
+import LatticeNetworkError from '../../errors/LatticeNetworkError';
+import { isNonEmptyArray, isNonEmptyString } from '../LangUtils';
+
+function getEndpoint(requestConfig :Object) :string {
+
+  const { baseURL = '', url = '' } = requestConfig;
+  if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) {
+    return url;
+  }
+
+  return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+// the server responds with either a plain message, or an object with a message or a list of errors
+function getServerMessage(data :any) :?string {
+
+  if (isNonEmptyString(data)) {
+    return data;
+  }
+
+  if (data && isNonEmptyString(data.message)) {
+    return data.message;
+  }
+
+  if (data && isNonEmptyArray(data.errors)) {
+    const messages = data.errors
+      .map((error) => (error && error.message))
+      .filter(isNonEmptyString);
+    if (messages.length > 0) {
+      return messages.join('; ');
+    }
+  }
+
+  return undefined;
+}
+
+/*
+ * turns a failed request into a LatticeHttpError, a LatticeAuthError, or a LatticeNetworkError, and a cancelled request
+ * into a LatticeCancellationError. this interceptor must be added last, after any interceptor that handles failed
+ * requests itself, such as retrying them.
+ */
+export default function addErrorInterceptor(axiosInstance :Axios, apiName :string) :Axios {
+
+  axiosInstance.interceptors.response.use(undefined, (error :Object) => {
+
+    if (axios.isCancel(error)) {
+      return Promise.reject(new LatticeCancellationError(error.message || 'the request was cancelled', apiName));
+    }
+
+    const { config: requestConfig, response } = error;
+    if (!requestConfig) {
+      return Promise.reject(error);
+    }
+
+    const endpoint = getEndpoint(requestConfig);
+    const method = (requestConfig.method || 'get').toUpperCase();
+
+    if (!response) {
+      return Promise.reject(new LatticeNetworkError(`${method} ${endpoint} failed: ${error.message}`, {
+        apiName,
+        cause: error,
+        endpoint,
+        method,
+      }));
+    }
+
+    const { status } = response;
+    const serverMessage = getServerMessage(response.data);
+    const message = `${method} ${endpoint} failed with status ${status}`;
+    const details = {
+      apiName,
+      cause: error,
+      endpoint,
+      method,
+      response,
+      serverMessage,
+      status,
+    };
+
+    const HttpError = (status === 401 || status === 403) ? LatticeAuthError : LatticeHttpError;
+    return Promise.reject(new HttpError(serverMessage ? `${message}: ${serverMessage}` : message, details));
+  });
+
+  return axiosInstance;
+}
@@ -0,0 +1,119 @@
+import axios from 'axios';
+
+import addErrorInterceptor from './addErrorInterceptor';
+
+import {
+  LatticeAuthError,
+  LatticeCancellationError,
+  LatticeHttpError,
+  LatticeNetworkError,
+} from '../../errors';
+
+const MOCK_API_NAME = 'DataApi';
+const MOCK_BASE_URL = 'https://api.openlattice.com/datastore/data';
+
+function newMockAxiosInstance(adapter) {
+
+  return addErrorInterceptor(axios.create({ adapter, baseURL: MOCK_BASE_URL }), MOCK_API_NAME);
+}
+
+function mockResponse(status, data) {
+
+  return (config) => {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.config = config;
+    error.response = {
+      config,
+      data,
+      headers: {},
+      status,
+    };
+    return Promise.reject(error);
+  };
+}
+
+describe('AxiosUtils : addErrorInterceptor()', () => {
+
+  test('should reject with a LatticeHttpError when the server responds with an error status', async () => {
+
+    const axiosInstance = newMockAxiosInstance(mockResponse(500, { message: 'mock server message' }));
+
+    expect.assertions(9);
+    await axiosInstance.post('/set', {}).catch((error) => {
+      expect(error).toBeInstanceOf(LatticeHttpError);
+      expect(error).not.toBeInstanceOf(LatticeAuthError);
+      expect(error.apiName).toEqual(MOCK_API_NAME);
+      expect(error.endpoint).toEqual(`${MOCK_BASE_URL}/set`);
+      expect(error.method).toEqual('POST');
+      expect(error.serverMessage).toEqual('mock server message');
+      expect(error.status).toEqual(500);
+      expect(error.response.status).toEqual(500);
+      expect(error.message).toEqual(`POST ${MOCK_BASE_URL}/set failed with status 500: mock server message`);
+    });
+  });
+
+  test('should get the server message from a plain text response, or from a list of errors', async () => {
+
+    expect.assertions(2);
+
+    await newMockAxiosInstance(mockResponse(400, 'mock server message'))
+      .get('/')
+      .catch((error) => {
+        expect(error.serverMessage).toEqual('mock server message');
+      });
+
+    await newMockAxiosInstance(mockResponse(400, { errors: [{ message: 'mock 1' }, { message: 'mock 2' }] }))
+      .get('/')
+      .catch((error) => {
+        expect(error.serverMessage).toEqual('mock 1; mock 2');
+      });
+  });
+
+  test('should reject with a LatticeAuthError when the server responds with 401 or 403', async () => {
+
+    expect.assertions(4);
+    await Promise.all([401, 403].map((status) => newMockAxiosInstance(mockResponse(status))
+      .get('/')
+      .catch((error) => {
+        expect(error).toBeInstanceOf(LatticeAuthError);
+        expect(error.status).toEqual(status);
+      })));
+  });
+
+  test('should reject with a LatticeNetworkError when there is no response', async () => {
+
+    const axiosInstance = newMockAxiosInstance((config) => {
+      const error = new Error('Network Error');
+      error.config = config;
+      error.request = {};
+      return Promise.reject(error);
+    });
+
+    expect.assertions(5);
+    await axiosInstance.delete('/set').catch((error) => {
+      expect(error).toBeInstanceOf(LatticeNetworkError);
+      expect(error.apiName).toEqual(MOCK_API_NAME);
+      expect(error.endpoint).toEqual(`${MOCK_BASE_URL}/set`);
+      expect(error.method).toEqual('DELETE');
+      expect(error.cause.message).toEqual('Network Error');
+    });
+  });
+
+  test('should reject with a LatticeCancellationError when the request was cancelled', async () => {
+
+    const { cancel, token } = axios.CancelToken.source();
+    cancel('cancelled');
+
+    const adapter = jest.fn();
+    const axiosInstance = newMockAxiosInstance(adapter);
+
+    expect.assertions(4);
+    await axiosInstance.get('/', { cancelToken: token }).catch((error) => {
+      expect(error).toBeInstanceOf(LatticeCancellationError);
+      expect(error.apiName).toEqual(MOCK_API_NAME);
+      expect(error.message).toEqual('cancelled');
+    });
+    expect(adapter).not.toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,89 @@
+/*
+ * @flow
+ */
+
+import axios from 'axios';
+import type { Axios } from 'axios';
+
+import { getRetryDelay, toRetryPolicy } from './RetryPolicy';
+import type { RetryPolicy } from '../../types';
+
+const RETRY_ATTEMPT = '__latticeRetryAttempt';
+
+/*
+ * the policy given in the request config, i.e. the "retry" option passed to an API function, takes precedence over
+ * the configured policy. "false" turns off retries for that request. when neither is given, nothing is retried.
+ */
+function getRequestRetryPolicy(retryPolicy :?RetryPolicy, requestConfig :Object) :?Object {
+
+  const { retry } = requestConfig;
+  if (retry === false) {
+    return null;
+  }
+
+  if (retry) {
+    return toRetryPolicy({ ...retryPolicy, ...retry });
+  }
+
+  return retryPolicy ? toRetryPolicy(retryPolicy) : null;
+}
+
+function shouldRetry(retryPolicy :Object, requestConfig :Object, error :Object, attempt :number) :boolean {
+
+  if (attempt >= retryPolicy.maxAttempts) {
+    return false;
+  }
+
+  const method = (requestConfig.method || 'get').toLowerCase();
+  if (!retryPolicy.retryMethods.includes(method)) {
+    return false;
+  }
+
+  const { response } = error;
+  if (response) {
+    return retryPolicy.retryOnStatus.includes(response.status);
+  }
+
+  // no response means the request never completed, for example because the server could not be reached
+  return retryPolicy.retryOnNetworkError;
+}
+
+/*
+ * a request that failed with a retryable status, or that failed to reach the server, is sent again after a delay until
+ * it succeeds or "maxAttempts" is reached, in which case the last error is rejected as is. cancelled requests are never
+ * retried.
+ */
+export default function addRetryInterceptor(axiosInstance :Axios, retryPolicy :?RetryPolicy) :Axios {
+
+  axiosInstance.interceptors.response.use(undefined, (error :Object) => {
+
+    const { config: requestConfig, response } = error;
+    if (!requestConfig || axios.isCancel(error)) {
+      return Promise.reject(error);
+    }
+
+    const requestRetryPolicy = getRequestRetryPolicy(retryPolicy, requestConfig);
+    const attempt = requestConfig[RETRY_ATTEMPT] || 1;
+    if (!requestRetryPolicy || !shouldRetry(requestRetryPolicy, requestConfig, error, attempt)) {
+      return Promise.reject(error);
+    }
+
+    // a request that is cancelled while waiting to be retried is sent right away, which rejects it as cancelled
+    const delay = getRetryDelay(requestRetryPolicy, attempt + 1, response);
+    return new Promise((resolve) => {
+      const timeoutId = setTimeout(resolve, delay);
+      if (requestConfig.cancelToken) {
+        requestConfig.cancelToken.promise.then(() => {
+          clearTimeout(timeoutId);
+          resolve();
+        });
+      }
+    })
+      .then(() => axiosInstance.request({
+        ...requestConfig,
+        [RETRY_ATTEMPT]: attempt + 1,
+      }));
+  });
+
+  return axiosInstance;
+}
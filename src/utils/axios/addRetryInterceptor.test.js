@@ -0,0 +1,184 @@
+import axios from 'axios';
+
+import addRetryInterceptor from './addRetryInterceptor';
+
+import { genMockBaseUrl } from '../testing/MockUtils';
+
+function newMockError(config, status) {
+
+  const error = new Error(status ? `Request failed with status code ${status}` : 'Network Error');
+  error.config = config;
+  error.request = {};
+  if (status) {
+    error.response = {
+      config,
+      data: {},
+      headers: {},
+      status,
+    };
+  }
+  return error;
+}
+
+// the adapter responds to each request with the next status in the given list, 0 meaning a network error
+function newMockAxiosInstance(statuses) {
+
+  const requests = [];
+  const axiosInstance = axios.create({
+    adapter: (config) => {
+      requests.push(config);
+      const status = statuses[requests.length - 1];
+      if (status >= 200 && status < 300) {
+        return Promise.resolve({
+          config,
+          data: { status },
+          headers: {},
+          status,
+        });
+      }
+      return Promise.reject(newMockError(config, status));
+    },
+    baseURL: genMockBaseUrl(),
+  });
+
+  return { axiosInstance, requests };
+}
+
+const MOCK_RETRY_POLICY = {
+  baseDelay: 0,
+  maxAttempts: 3,
+};
+
+describe('AxiosUtils : addRetryInterceptor()', () => {
+
+  test('should not retry when no retry policy is given', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, null);
+
+    await expect(axiosInstance.get('/')).rejects.toHaveProperty('response.status', 503);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should retry a retryable status until the request succeeds', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 502, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    const response = await axiosInstance.get('/');
+    expect(response.data).toEqual({ status: 200 });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should retry a network error', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([0, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    const response = await axiosInstance.get('/');
+    expect(response.data).toEqual({ status: 200 });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should not retry a network error when "retryOnNetworkError" is false', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([0, 200]);
+    addRetryInterceptor(axiosInstance, { ...MOCK_RETRY_POLICY, retryOnNetworkError: false });
+
+    await expect(axiosInstance.get('/')).rejects.toThrow('Network Error');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should reject with the last error once "maxAttempts" is reached', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 502, 504, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    await expect(axiosInstance.get('/')).rejects.toHaveProperty('response.status', 504);
+    expect(requests).toHaveLength(3);
+  });
+
+  test('should not retry a status that is not retryable', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([500, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    await expect(axiosInstance.get('/')).rejects.toHaveProperty('response.status', 500);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should not retry a method that is not in "retryMethods"', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    await expect(axiosInstance.post('/', { id: 1 })).rejects.toHaveProperty('response.status', 503);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should retry a method that is in "retryMethods", sending the same data', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, { ...MOCK_RETRY_POLICY, retryMethods: ['POST'] });
+
+    await axiosInstance.post('/', { id: 1 });
+    expect(requests).toHaveLength(2);
+    expect(requests[0].method).toEqual('post');
+    expect(requests[1].method).toEqual('post');
+    expect(JSON.parse(requests[1].data)).toEqual({ id: 1 });
+  });
+
+  test('should use the retry policy of the request over the given retry policy', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 503, 503, 503, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    const response = await axiosInstance.get('/', { retry: { maxAttempts: 5 } });
+    expect(response.data).toEqual({ status: 200 });
+    expect(requests).toHaveLength(5);
+  });
+
+  test('should retry when only the request has a retry policy', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, null);
+
+    await axiosInstance.post('/', {}, { retry: { ...MOCK_RETRY_POLICY, retryMethods: ['post'] } });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('should not retry when the request turns off retries', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    await expect(axiosInstance.get('/', { retry: false })).rejects.toHaveProperty('response.status', 503);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('should not retry a cancelled request', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([200]);
+    addRetryInterceptor(axiosInstance, MOCK_RETRY_POLICY);
+
+    const { cancel, token } = axios.CancelToken.source();
+    cancel('cancelled');
+
+    await expect(axiosInstance.get('/', { cancelToken: token })).rejects.toEqual(expect.any(axios.Cancel));
+    expect(requests).toHaveLength(0);
+  });
+
+  test('should stop waiting to retry when the request is cancelled', async () => {
+
+    const { axiosInstance, requests } = newMockAxiosInstance([503, 200]);
+    addRetryInterceptor(axiosInstance, { baseDelay: 60000, maxDelay: 60000 });
+
+    const { cancel, token } = axios.CancelToken.source();
+    const request = axiosInstance.get('/', { cancelToken: token });
+    setTimeout(() => cancel('cancelled'), 10);
+
+    await expect(request).rejects.toEqual(expect.any(axios.Cancel));
+    expect(requests).toHaveLength(1);
+  });
+
+});
@@ -2,39 +2,55 @@
  * @flow
  */
 
-import { Map } from 'immutable';
+import { Map, is } from 'immutable';
 import type { Axios } from 'axios';
 
+import addErrorInterceptor from './addErrorInterceptor';
 import getApiBaseUrl from './getApiBaseUrl';
 import newAxiosInstance from './newAxiosInstance';
+import { getClientContext } from '../../client/ClientContext';
 import { getConfig } from '../../config/Configuration';
-import { isNonEmptyString } from '../LangUtils';
 
 let baseUrlToAxiosInstanceMap :Map<string, Axios> = Map();
 
-export default function getApiAxiosInstance(api :string) :Axios {
+// the configuration each Axios instance was created with
+const axiosInstanceToConfigMap :WeakMap<Axios, Map<*, *>> = new WeakMap();
 
-  let axiosInstance :Axios;
-  const baseUrl = getApiBaseUrl(api);
-  if (!baseUrlToAxiosInstanceMap.has(baseUrl)) {
-    axiosInstance = newAxiosInstance(baseUrl);
-    baseUrlToAxiosInstanceMap = baseUrlToAxiosInstanceMap.set(baseUrl, axiosInstance);
+function getAxiosInstances() :Map<string, Axios> {
+
+  // clients created by createClient() keep their own Axios instances, separate from the default ones
+  const clientContext = getClientContext();
+  if (clientContext) {
+    return clientContext.axiosInstances;
   }
 
-  axiosInstance = baseUrlToAxiosInstanceMap.get(baseUrl);
-  const axiosInstanceAuthHeader :string = axiosInstance.defaults.headers.common.Authorization;
-  const configAuthToken :string = getConfig().get('authToken', '');
-
-  // the Axios instance Authorization header must equal "Bearer {auth_token}", where "auth_token" must equal the
-  // configured auth token. if that's not the case, we need a new Axios instance because the configured auth token
-  // has changed.
-  if (
-    axiosInstanceAuthHeader !== `Bearer ${configAuthToken}`
-    && (isNonEmptyString(configAuthToken) || isNonEmptyString(axiosInstanceAuthHeader))
-  ) {
-    axiosInstance = newAxiosInstance(baseUrl);
+  return baseUrlToAxiosInstanceMap;
+}
+
+function setAxiosInstance(baseUrl :string, axiosInstance :Axios) :void {
+
+  const clientContext = getClientContext();
+  if (clientContext) {
+    clientContext.axiosInstances = clientContext.axiosInstances.set(baseUrl, axiosInstance);
+  }
+  else {
     baseUrlToAxiosInstanceMap = baseUrlToAxiosInstanceMap.set(baseUrl, axiosInstance);
   }
+}
+
+export default function getApiAxiosInstance(api :string) :Axios {
+
+  const baseUrl = getApiBaseUrl(api);
+  const config = getConfig();
+
+  // the Axios instance must have been created with the current configuration. if that's not the case, we need a new
+  // Axios instance because the configuration has changed, for example a new auth token or auth provider.
+  let axiosInstance :?Axios = getAxiosInstances().get(baseUrl);
+  if (!axiosInstance || !is(axiosInstanceToConfigMap.get(axiosInstance), config)) {
+    axiosInstance = addErrorInterceptor(newAxiosInstance(baseUrl), api);
+    axiosInstanceToConfigMap.set(axiosInstance, config);
+    setAxiosInstance(baseUrl, axiosInstance);
+  }
 
-  return baseUrlToAxiosInstanceMap.get(baseUrl);
+  return axiosInstance;
 }
@@ -3,8 +3,16 @@ import { Map, fromJS } from 'immutable';
 
 import getApiAxiosInstance from './getApiAxiosInstance';
 import getApiBaseUrl from './getApiBaseUrl';
+import getRequestConfig from './getRequestConfig';
+import StaticTokenAuthProvider from '../../auth/StaticTokenAuthProvider';
+import LatticeCancellationError from '../../errors/LatticeCancellationError';
 import * as Config from '../../config/Configuration';
-import { genMockAuthToken, genMockBaseUrl, genRandomString } from '../testing/MockUtils';
+import {
+  genMockAuthToken,
+  genMockBaseUrl,
+  genRandomString,
+  getMockRequestConfig,
+} from '../testing/MockUtils';
 
 const axiosCreateSpy = jest.spyOn(axios, 'create');
 
@@ -28,7 +36,7 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     axiosCreateSpy.mockClear();
   });
 
-  test('should create a new Axios instance for each distinct API', () => {
+  test('should create a new Axios instance for each distinct API', async () => {
 
     const mockApi1 = genRandomString();
     const mockApi2 = genRandomString();
@@ -48,13 +56,13 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     expect(axiosCreateSpy).toHaveBeenCalledTimes(2);
     expect(axiosInstance1.defaults.baseURL).toEqual(mockApiBaseUrl1);
     expect(axiosInstance2.defaults.baseURL).toEqual(mockApiBaseUrl2);
-    expect(axiosInstance1.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
-    expect(axiosInstance2.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect((await getMockRequestConfig(axiosInstance1)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect((await getMockRequestConfig(axiosInstance2)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
     expect(axiosInstance1).not.toBe(axiosInstance2);
     expect(axiosInstance1).not.toEqual(axiosInstance2);
   });
 
-  test('should reuse the existing Axios instance for the same API', () => {
+  test('should reuse the existing Axios instance for the same API', async () => {
 
     const mockApi = genRandomString();
     const mockBaseUrl = genMockBaseUrl();
@@ -70,7 +78,7 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
 
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance1.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance1.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect((await getMockRequestConfig(axiosInstance1)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
 
     axiosCreateSpy.mockClear();
 
@@ -78,12 +86,12 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
 
     expect(axiosCreateSpy).toHaveBeenCalledTimes(0);
     expect(axiosInstance2.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance2.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect((await getMockRequestConfig(axiosInstance2)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
     expect(axiosInstance1).toBe(axiosInstance2);
     expect(axiosInstance1).toEqual(axiosInstance2);
   });
 
-  test('should create a new Axios instance for the same API if the authToken changes', () => {
+  test('should create a new Axios instance for the same API if the authToken changes', async () => {
 
     const mockApi = genRandomString();
     const mockBaseUrl = genMockBaseUrl();
@@ -99,7 +107,7 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     const axiosInstance1 = getApiAxiosInstance(mockApi);
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance1.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance1.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken1}`);
+    expect((await getMockRequestConfig(axiosInstance1)).headers.Authorization).toEqual(`Bearer ${mockAuthToken1}`);
 
     axiosCreateSpy.mockClear();
     Config.getConfig.mockImplementation(() => fromJS({
@@ -110,12 +118,12 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
 
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance2.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance2.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken2}`);
+    expect((await getMockRequestConfig(axiosInstance2)).headers.Authorization).toEqual(`Bearer ${mockAuthToken2}`);
     expect(axiosInstance1).not.toBe(axiosInstance2);
     expect(axiosInstance1).not.toEqual(axiosInstance2);
   });
 
-  test('should not set the Authorization header if authToken is not set', () => {
+  test('should not set the Authorization header if authToken is not set', async () => {
 
     const mockApi = genRandomString();
     const mockBaseUrl = genMockBaseUrl();
@@ -127,10 +135,10 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     const axiosInstance = getApiAxiosInstance(mockApi);
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance.defaults.headers.common.Authorization).toBeUndefined();
+    expect((await getMockRequestConfig(axiosInstance)).headers.Authorization).toBeUndefined();
   });
 
-  test('should not set the Authorization header if the authToken changes to undefined', () => {
+  test('should not set the Authorization header if the authToken changes to undefined', async () => {
 
     const mockApi = genRandomString();
     const mockBaseUrl = genMockBaseUrl();
@@ -145,7 +153,7 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     const axiosInstance1 = getApiAxiosInstance(mockApi);
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance1.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance1.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect((await getMockRequestConfig(axiosInstance1)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
 
     axiosCreateSpy.mockClear();
     Config.getConfig.mockImplementation(() => Map());
@@ -153,13 +161,13 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     const axiosInstance2 = getApiAxiosInstance(mockApi);
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance2.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance2.defaults.headers.common.Authorization).toBeUndefined();
+    expect((await getMockRequestConfig(axiosInstance2)).headers.Authorization).toBeUndefined();
 
     expect(axiosInstance1).not.toBe(axiosInstance2);
     expect(axiosInstance1).not.toEqual(axiosInstance2);
   });
 
-  test('should set the Authorization header if the authToken changes and was previously undefined', () => {
+  test('should set the Authorization header if the authToken changes and was previously undefined', async () => {
 
     const mockApi = genRandomString();
     const mockBaseUrl = genMockBaseUrl();
@@ -172,7 +180,7 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     const axiosInstance1 = getApiAxiosInstance(mockApi);
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance1.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance1.defaults.headers.common.Authorization).toBeUndefined();
+    expect((await getMockRequestConfig(axiosInstance1)).headers.Authorization).toBeUndefined();
 
     axiosCreateSpy.mockClear();
     Config.getConfig.mockImplementation(() => fromJS({
@@ -182,9 +190,58 @@ describe('AxiosUtils : getApiAxiosInstance()', () => {
     const axiosInstance2 = getApiAxiosInstance(mockApi);
     expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
     expect(axiosInstance2.defaults.baseURL).toEqual(mockApiBaseUrl);
-    expect(axiosInstance2.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect((await getMockRequestConfig(axiosInstance2)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
     expect(axiosInstance1).not.toBe(axiosInstance2);
     expect(axiosInstance1).not.toEqual(axiosInstance2);
   });
 
+  test('should create a new Axios instance for the same API if the authProvider changes', async () => {
+
+    const mockApi = genRandomString();
+    const mockBaseUrl = genMockBaseUrl();
+    const mockAuthToken = genMockAuthToken();
+    const mockAuthProvider1 = new StaticTokenAuthProvider(mockAuthToken);
+    const mockAuthProvider2 = new StaticTokenAuthProvider(mockAuthToken);
+
+    getApiBaseUrl.mockImplementation((api) => `${mockBaseUrl}/${api}`);
+    Config.getConfig.mockImplementation(() => Map({ authProvider: mockAuthProvider1 }));
+
+    const axiosInstance1 = getApiAxiosInstance(mockApi);
+    const axiosInstance2 = getApiAxiosInstance(mockApi);
+    expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
+    expect(axiosInstance1).toBe(axiosInstance2);
+
+    axiosCreateSpy.mockClear();
+    Config.getConfig.mockImplementation(() => Map({ authProvider: mockAuthProvider2 }));
+
+    const axiosInstance3 = getApiAxiosInstance(mockApi);
+    expect(axiosCreateSpy).toHaveBeenCalledTimes(1);
+    expect(axiosInstance1).not.toBe(axiosInstance3);
+    expect((await getMockRequestConfig(axiosInstance3)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+  });
+
+  test('should reject a request cancelled with an AbortSignal with a LatticeCancellationError', async () => {
+
+    const mockApi = genRandomString();
+    const mockBaseUrl = genMockBaseUrl();
+
+    getApiBaseUrl.mockImplementation((api) => `${mockBaseUrl}/${api}`);
+    Config.getConfig.mockImplementation(() => fromJS({ authToken: genMockAuthToken() }));
+
+    const controller = new AbortController();
+    const adapter = jest.fn();
+    const request = getApiAxiosInstance(mockApi).get('/', {
+      ...getRequestConfig({ signal: controller.signal }),
+      adapter,
+    });
+    controller.abort();
+
+    expect.assertions(3);
+    await request.catch((error) => {
+      expect(error).toBeInstanceOf(LatticeCancellationError);
+      expect(error.apiName).toEqual(mockApi);
+    });
+    expect(adapter).not.toHaveBeenCalled();
+  });
+
 });
@@ -0,0 +1,89 @@
+/*
+ * @flow
+ */
+
+import axios from 'axios';
+
+import Logger from '../Logger';
+import { isValidRetryPolicy } from './RetryPolicy';
+import type { RequestOptions } from '../../types';
+
+const LOG = new Logger('AxiosUtils');
+
+const ABORTED_MESSAGE = 'the request was aborted';
+
+function isAbortSignal(value :any) :boolean %checks {
+
+  return !!value && typeof value.aborted === 'boolean' && typeof value.addEventListener === 'function';
+}
+
+/*
+ * axios does not support AbortSignal, so the signal is translated into a CancelToken. the listener is removed by
+ * addAbortInterceptor() once the request settles, so that a signal reused across requests does not hold on to them.
+ */
+function toCancelToken(signal :AbortSignal) :{ cancelToken :Object; removeAbortListener :() => void } {
+
+  const { cancel, token } = axios.CancelToken.source();
+  const onAbort = () => cancel(ABORTED_MESSAGE);
+  if (signal.aborted) {
+    onAbort();
+  }
+  else {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  return {
+    cancelToken: token,
+    removeAbortListener: () => signal.removeEventListener('abort', onAbort),
+  };
+}
+
+/*
+ * translates the options given to an API function into the axios request config for that call. invalid options are
+ * ignored, they never cause the call itself to fail.
+ */
+export default function getRequestConfig(options :?RequestOptions) :Object {
+
+  const requestConfig = {};
+  if (!options) {
+    return requestConfig;
+  }
+
+  const {
+    dedupe,
+    retry,
+    signal,
+    timeout,
+  } = options;
+
+  if (typeof dedupe === 'boolean') {
+    requestConfig.dedupe = dedupe;
+  }
+  else if (dedupe !== undefined) {
+    LOG.warn('invalid option - dedupe must be a boolean, it will be ignored', dedupe);
+  }
+
+  if (retry === false || isValidRetryPolicy(retry)) {
+    requestConfig.retry = retry;
+  }
+  else if (retry !== undefined) {
+    LOG.warn('invalid option - retry must be a valid retry policy or false, it will be ignored', retry);
+  }
+
+  if (isAbortSignal(signal)) {
+    const { cancelToken, removeAbortListener } = toCancelToken((signal :any));
+    requestConfig.cancelToken = cancelToken;
+    requestConfig.removeAbortListener = removeAbortListener;
+  }
+  else if (signal !== undefined) {
+    LOG.warn('invalid option - signal must be an AbortSignal, it will be ignored', signal);
+  }
+
+  if (Number.isInteger(timeout) && (timeout :any) >= 0) {
+    requestConfig.timeout = timeout;
+  }
+  else if (timeout !== undefined) {
+    LOG.warn('invalid option - timeout must be a non-negative number of milliseconds, it will be ignored', timeout);
+  }
+
+  return requestConfig;
+}
@@ -0,0 +1,106 @@
+import axios from 'axios';
+
+import getRequestConfig from './getRequestConfig';
+
+import {
+  INVALID_PARAMS_OPTIONAL_BOOLEAN,
+  INVALID_PARAMS_OPTIONAL_NUMBER,
+  INVALID_PARAMS_OPTIONAL_OBJECT,
+} from '../testing/InvalidParams';
+
+describe('AxiosUtils : getRequestConfig()', () => {
+
+  test('should return an empty request config when no options are given', () => {
+    expect(getRequestConfig()).toEqual({});
+    expect(getRequestConfig(null)).toEqual({});
+    expect(getRequestConfig({})).toEqual({});
+  });
+
+  describe('dedupe', () => {
+
+    test('should set the dedupe option', () => {
+      expect(getRequestConfig({ dedupe: false })).toEqual({ dedupe: false });
+      expect(getRequestConfig({ dedupe: true })).toEqual({ dedupe: true });
+    });
+
+    test('should ignore an invalid dedupe option', () => {
+      INVALID_PARAMS_OPTIONAL_BOOLEAN.forEach((invalid) => {
+        expect(getRequestConfig({ dedupe: invalid })).toEqual({});
+      });
+    });
+
+  });
+
+  describe('retry', () => {
+
+    test('should set the retry policy', () => {
+      expect(getRequestConfig({ retry: { maxAttempts: 5 } })).toEqual({ retry: { maxAttempts: 5 } });
+      expect(getRequestConfig({ retry: false })).toEqual({ retry: false });
+    });
+
+    test('should ignore an invalid retry policy', () => {
+      // "false" turns off retries
+      [...INVALID_PARAMS_OPTIONAL_OBJECT, { maxAttempts: 0 }]
+        .filter((invalid) => invalid !== false)
+        .forEach((invalid) => {
+          expect(getRequestConfig({ retry: invalid })).toEqual({});
+        });
+    });
+
+  });
+
+  describe('signal', () => {
+
+    test('should cancel the request when the signal is aborted', async () => {
+
+      const controller = new AbortController();
+      const { cancelToken } = getRequestConfig({ signal: controller.signal });
+      expect(cancelToken).toBeInstanceOf(axios.CancelToken);
+      expect(cancelToken.reason).toBeUndefined();
+
+      controller.abort();
+      const reason = await cancelToken.promise;
+      expect(axios.isCancel(reason)).toEqual(true);
+    });
+
+    test('should cancel the request right away when the signal is already aborted', () => {
+
+      const controller = new AbortController();
+      controller.abort();
+      const { cancelToken } = getRequestConfig({ signal: controller.signal });
+      expect(axios.isCancel(cancelToken.reason)).toEqual(true);
+    });
+
+    test('should stop cancelling the request once the abort listener is removed', () => {
+
+      const controller = new AbortController();
+      const { cancelToken, removeAbortListener } = getRequestConfig({ signal: controller.signal });
+      removeAbortListener();
+      controller.abort();
+      expect(cancelToken.reason).toBeUndefined();
+    });
+
+    test('should ignore an invalid signal', () => {
+      [...INVALID_PARAMS_OPTIONAL_OBJECT, { aborted: false }].forEach((invalid) => {
+        expect(getRequestConfig({ signal: invalid })).toEqual({});
+      });
+    });
+
+  });
+
+  describe('timeout', () => {
+
+    test('should set the timeout', () => {
+      expect(getRequestConfig({ timeout: 0 })).toEqual({ timeout: 0 });
+      expect(getRequestConfig({ timeout: 5000 })).toEqual({ timeout: 5000 });
+    });
+
+    test('should ignore an invalid timeout', () => {
+      [...INVALID_PARAMS_OPTIONAL_NUMBER, -1, 1.5].forEach((invalid) => {
+        expect(getRequestConfig({ timeout: invalid })).toEqual({});
+      });
+    });
+
+  });
+
+});
@@ -4,11 +4,32 @@
 
 import axios from 'axios';
 import isURL from 'validator/lib/isURL';
+import { Map } from 'immutable';
 
 import type { Axios } from 'axios';
 
+import addAbortInterceptor from './addAbortInterceptor';
+import addAuthInterceptors from './addAuthInterceptors';
+import addDedupeAdapter from './addDedupeAdapter';
+import addRetryInterceptor from './addRetryInterceptor';
+import StaticTokenAuthProvider from '../../auth/StaticTokenAuthProvider';
 import { getConfig } from '../../config/Configuration';
 import { isNonEmptyString } from '../LangUtils';
+import type { AuthProvider } from '../../auth/AuthProvider';
+
+function getAuthProvider(config :Map<string, any>) :?AuthProvider {
+
+  if (config.has('authProvider')) {
+    return config.get('authProvider');
+  }
+
+  const authToken :string = config.get('authToken', '');
+  if (isNonEmptyString(authToken)) {
+    return new StaticTokenAuthProvider(authToken);
+  }
+
+  return null;
+}
 
 export default function newAxiosInstance(baseUrl :string) :Axios {
 
@@ -26,10 +47,18 @@ export default function newAxiosInstance(baseUrl :string) :Axios {
     },
   };
 
-  const authToken :string = getConfig().get('authToken', '');
-  if (isNonEmptyString(authToken)) {
-    axiosConfigObj.headers.common.Authorization = `Bearer ${authToken}`;
+  const axiosInstance = axios.create(axiosConfigObj);
+  addDedupeAdapter(axiosInstance);
+
+  const config = getConfig();
+  const authProvider = getAuthProvider(config);
+  if (authProvider) {
+    addAuthInterceptors(axiosInstance, authProvider);
   }
 
-  return axios.create(axiosConfigObj);
+  const retryPolicy = config.get('retry');
+  addRetryInterceptor(axiosInstance, retryPolicy ? retryPolicy.toJS() : null);
+  addAbortInterceptor(axiosInstance);
+
+  return axiosInstance;
 }
@@ -5,7 +5,8 @@ import newAxiosInstance from './newAxiosInstance';
 
 import * as Config from '../../config/Configuration';
 import { INVALID_PARAMS } from '../testing/InvalidParams';
-import { genMockAuthToken, genMockBaseUrl } from '../testing/MockUtils';
+import CallbackAuthProvider from '../../auth/CallbackAuthProvider';
+import { genMockAuthToken, genMockBaseUrl, getMockRequestConfig } from '../testing/MockUtils';
 
 const axiosCreateSpy = jest.spyOn(axios, 'create');
 
@@ -48,7 +49,7 @@ describe('AxiosUtils : newAxiosInstance()', () => {
     }).not.toThrow();
   });
 
-  test('should create a new Axios instance with the correct Authorization header', () => {
+  test('should create a new Axios instance that sends the correct Authorization header', async () => {
 
     const mockBaseUrl = genMockBaseUrl();
     const mockAuthToken = genMockAuthToken();
@@ -64,7 +65,6 @@ describe('AxiosUtils : newAxiosInstance()', () => {
       baseURL: mockBaseUrl,
       headers: {
         common: {
-          Authorization: `Bearer ${mockAuthToken}`,
           'Content-Type': 'application/json',
         },
         patch: {
@@ -80,10 +80,11 @@ describe('AxiosUtils : newAxiosInstance()', () => {
     });
 
     expect(axiosInstance.defaults.baseURL).toEqual(mockBaseUrl);
-    expect(axiosInstance.defaults.headers.common.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    expect(axiosInstance.defaults.headers.common.Authorization).toBeUndefined();
+    expect((await getMockRequestConfig(axiosInstance)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
   });
 
-  test('should create a new Axios instance without an Authorization header when authToken is undefined', () => {
+  test('should create a new Axios instance without an Authorization header when authToken is undefined', async () => {
 
     const mockBaseUrl = genMockBaseUrl();
     const axiosInstance = newAxiosInstance(mockBaseUrl);
@@ -109,6 +110,142 @@ describe('AxiosUtils : newAxiosInstance()', () => {
 
     expect(axiosInstance.defaults.baseURL).toEqual(mockBaseUrl);
     expect(axiosInstance.defaults.headers.common.Authorization).toBeUndefined();
+    expect((await getMockRequestConfig(axiosInstance)).headers.Authorization).toBeUndefined();
+  });
+
+  describe('authProvider', () => {
+
+    const mockUnauthorized = (requestConfig) => {
+      const error = new Error('Request failed with status code 401');
+      error.config = requestConfig;
+      error.response = { config: requestConfig, status: 401 };
+      return Promise.reject(error);
+    };
+
+    test('should consult the authProvider for the token on every request', async () => {
+
+      const mockAuthToken1 = genMockAuthToken();
+      const mockAuthToken2 = genMockAuthToken();
+      const getToken = jest.fn()
+        .mockReturnValueOnce(mockAuthToken1)
+        .mockReturnValueOnce(mockAuthToken2);
+      Config.getConfig.mockImplementationOnce(() => fromJS({
+        authProvider: new CallbackAuthProvider(getToken),
+      }));
+
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+      expect((await getMockRequestConfig(axiosInstance)).headers.Authorization).toEqual(`Bearer ${mockAuthToken1}`);
+      expect((await getMockRequestConfig(axiosInstance)).headers.Authorization).toEqual(`Bearer ${mockAuthToken2}`);
+      expect(getToken).toHaveBeenCalledTimes(2);
+    });
+
+    test('should take precedence over authToken', async () => {
+
+      const mockAuthToken = genMockAuthToken();
+      Config.getConfig.mockImplementationOnce(() => fromJS({
+        authProvider: new CallbackAuthProvider(() => mockAuthToken),
+        authToken: genMockAuthToken(),
+      }));
+
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+      expect((await getMockRequestConfig(axiosInstance)).headers.Authorization).toEqual(`Bearer ${mockAuthToken}`);
+    });
+
+    test('should refresh the token once and replay the request on a 401', async () => {
+
+      const mockAuthToken1 = genMockAuthToken();
+      const mockAuthToken2 = genMockAuthToken();
+      const refreshToken = jest.fn().mockReturnValue(mockAuthToken2);
+      const authProvider = new CallbackAuthProvider(() => mockAuthToken1, refreshToken);
+      Config.getConfig.mockImplementationOnce(() => fromJS({ authProvider }));
+
+      const adapter = jest.fn()
+        .mockImplementationOnce(mockUnauthorized)
+        .mockImplementationOnce((requestConfig) => Promise.resolve({ config: requestConfig, data: 'OK', status: 200 }));
+
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+      const response = await axiosInstance.get('/', { adapter });
+
+      expect(response.data).toEqual('OK');
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(adapter.mock.calls[0][0].headers.Authorization).toEqual(`Bearer ${mockAuthToken1}`);
+      expect(adapter.mock.calls[1][0].headers.Authorization).toEqual(`Bearer ${mockAuthToken2}`);
+    });
+
+    test('should not replay the request more than once', async () => {
+
+      const refreshToken = jest.fn().mockImplementation(genMockAuthToken);
+      const authProvider = new CallbackAuthProvider(genMockAuthToken, refreshToken);
+      Config.getConfig.mockImplementationOnce(() => fromJS({ authProvider }));
+
+      const adapter = jest.fn().mockImplementation(mockUnauthorized);
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+
+      expect.assertions(3);
+      await axiosInstance.get('/', { adapter }).catch((error) => {
+        expect(error.response.status).toEqual(401);
+      });
+      expect(refreshToken).toHaveBeenCalledTimes(1);
+      expect(adapter).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not replay the request if the token was not refreshed', async () => {
+
+      const mockAuthToken = genMockAuthToken();
+      Config.getConfig.mockImplementationOnce(() => fromJS({ authToken: mockAuthToken }));
+
+      const adapter = jest.fn().mockImplementation(mockUnauthorized);
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+
+      expect.assertions(2);
+      await axiosInstance.get('/', { adapter }).catch((error) => {
+        expect(error.response.status).toEqual(401);
+      });
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+  });
+
+  describe('retry', () => {
+
+    const mockUnavailable = (requestConfig) => {
+      const error = new Error('Request failed with status code 503');
+      error.config = requestConfig;
+      error.response = { config: requestConfig, headers: {}, status: 503 };
+      return Promise.reject(error);
+    };
+
+    const mockOK = (requestConfig) => Promise.resolve({ config: requestConfig, data: 'OK', status: 200 });
+
+    test('should not retry failed requests by default', async () => {
+
+      const adapter = jest.fn().mockImplementationOnce(mockUnavailable).mockImplementationOnce(mockOK);
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+
+      expect.assertions(2);
+      await axiosInstance.get('/', { adapter }).catch((error) => {
+        expect(error.response.status).toEqual(503);
+      });
+      expect(adapter).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry failed requests according to the configured retry policy', async () => {
+
+      Config.getConfig.mockImplementationOnce(() => fromJS({
+        authToken: genMockAuthToken(),
+        retry: { baseDelay: 0, maxAttempts: 2 },
+      }));
+
+      const adapter = jest.fn().mockImplementationOnce(mockUnavailable).mockImplementationOnce(mockOK);
+      const axiosInstance = newAxiosInstance(genMockBaseUrl());
+      const response = await axiosInstance.get('/', { adapter });
+
+      expect(response.data).toEqual('OK');
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(adapter.mock.calls[1][0].headers.Authorization).toEqual(adapter.mock.calls[0][0].headers.Authorization);
+    });
+
   });
 
 });
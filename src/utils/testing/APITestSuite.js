@@ -9,6 +9,7 @@ import { List } from 'immutable';
 import {
   getInvalidParams,
   testApiShouldCatchRejectedPromise,
+  testApiShouldForwardRequestOptions,
   testApiShouldNotThrowOnInvalidParameters,
   testApiShouldRejectOnInvalidParameters,
   testApiShouldReturnPromise,
@@ -86,6 +87,9 @@ function runTestSuite(
               throw new Error(`bad axios test case, expected... ${AXIOS_TEST_CASE}`);
             }
             testApiShouldSendCorrectHttpRequest(fnToTest, params.valid, params.axios, method);
+            // the base test case lists every parameter, "options" comes after all of them
+            const optionsIndex = Math.max(tests[''].params.valid.length, params.valid.length);
+            testApiShouldForwardRequestOptions(fnToTest, params.valid, params.axios, method, optionsIndex);
             testApiShouldCatchRejectedPromise(fnToTest, params.valid);
           });
         });
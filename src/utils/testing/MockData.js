@@ -19,6 +19,7 @@ import {
   PermissionTypes,
   PrincipalTypes,
   SecurableTypes,
+  SortTypes,
 } from '../../constants/types';
 import {
   AccessCheckBuilder,
@@ -28,8 +29,11 @@ import {
   AppBuilder,
   AppTypeBuilder,
   AssociationTypeBuilder,
+  DataAssociationBuilder,
+  DataEdgeBuilder,
   DataGraphBuilder,
   EntityDataKeyBuilder,
+  EntityNeighborsFilterBuilder,
   EntitySetBuilder,
   EntityTypeBuilder,
   FQN,
@@ -39,6 +43,7 @@ import {
   PropertyTypeBuilder,
   RoleBuilder,
   SchemaBuilder,
+  SearchConstraintsBuilder,
 } from '../../models';
 import type { PrincipalType } from '../../constants/types';
 
@@ -67,6 +72,7 @@ function genRandomAccessCheck() {
 }
 
 const ACE_MOCK = (new AceBuilder())
+  .setExpirationDate('2030-01-01T00:00:00.000Z')
   .setPermissions([PermissionTypes.READ, PermissionTypes.WRITE])
   .setPrincipal(PRINCIPAL_MOCK)
   .build();
@@ -190,6 +196,42 @@ function genRandomAssociationType() {
     .build();
 }
 
+const DATA_ASSOCIATION_MOCK = (new DataAssociationBuilder())
+  .setData({ '87f38161-9c95-4166-9721-8514882dac22': ['2020-02-02'] })
+  .setDstEntityIndex(1)
+  .setDstEntityKeyId('ff0e0000-0000-0000-8000-00000000fc5e')
+  .setDstEntitySetId('ccdaba20-f6ba-401c-a63d-17c6578ffb67')
+  .setSrcEntityIndex(0)
+  .setSrcEntityKeyId('3f8bd01a-e211-4912-90d0-fbd2fefefe24')
+  .setSrcEntitySetId('d6760122-eaf7-42e6-9339-923df3f4790a')
+  .build();
+
+function genRandomDataAssociation() {
+  return (new DataAssociationBuilder())
+    .setData({ [genRandomUUID()]: [genRandomString()] })
+    .setDstEntityIndex(genRandomInt(0, 1000))
+    .setDstEntityKeyId(genRandomUUID())
+    .setDstEntitySetId(genRandomUUID())
+    .setSrcEntityIndex(genRandomInt(0, 1000))
+    .setSrcEntityKeyId(genRandomUUID())
+    .setSrcEntitySetId(genRandomUUID())
+    .build();
+}
+
+const DATA_EDGE_MOCK = (new DataEdgeBuilder())
+  .setData({ '87f38161-9c95-4166-9721-8514882dac22': ['2020-02-02'] })
+  .setDst({ entityKeyId: 'ff0e0000-0000-0000-8000-00000000fc5e', entitySetId: 'ccdaba20-f6ba-401c-a63d-17c6578ffb67' })
+  .setSrc({ entityKeyId: '3f8bd01a-e211-4912-90d0-fbd2fefefe24', entitySetId: 'd6760122-eaf7-42e6-9339-923df3f4790a' })
+  .build();
+
+function genRandomDataEdge() {
+  return (new DataEdgeBuilder())
+    .setData({ [genRandomUUID()]: [genRandomString()] })
+    .setDst({ entityKeyId: genRandomUUID(), entitySetId: genRandomUUID() })
+    .setSrc({ entityKeyId: genRandomUUID(), entitySetId: genRandomUUID() })
+    .build();
+}
+
 const DATA_GRAPH_MOCK = (new DataGraphBuilder())
   .setAssociations({
     'f914f31a-6486-4717-929d-dccecab05c47': [{
@@ -246,6 +288,22 @@ function genRandomEntityDataKey() {
     .build();
 }
 
+const ENTITY_NEIGHBORS_FILTER_MOCK = (new EntityNeighborsFilterBuilder())
+  .setDestinationEntitySetIds(['11442cb3-99dc-4842-8736-6c76e6fcc7c4'])
+  .setEdgeEntitySetIds(['f8c6c56a-ad39-4587-b216-def81615d69c'])
+  .setEntityKeyIds(['3bf2a30d-fda0-4389-a1e6-8546b230efad', 'ec6865e6-e60e-424b-a071-6a9c1603d735'])
+  .setSourceEntitySetIds(['6317fab5-905d-42f4-8d67-2b78b3c56c77', '2d2cdf8f-c0ab-4bcb-b4d1-bc3c0a6f8a8e'])
+  .build();
+
+function genRandomEntityNeighborsFilter() {
+  return (new EntityNeighborsFilterBuilder())
+    .setDestinationEntitySetIds([genRandomUUID()])
+    .setEdgeEntitySetIds([genRandomUUID(), genRandomUUID()])
+    .setEntityKeyIds([genRandomUUID(), genRandomUUID()])
+    .setSourceEntitySetIds([genRandomUUID()])
+    .build();
+}
+
 const ENTITY_SET_MOCK = (new EntitySetBuilder())
   .setContacts(['OPENLATTICE'])
   .setDescription('MockEntitySetDescription')
@@ -462,6 +520,53 @@ function genRandomSchema() {
     .build();
 }
 
+const SEARCH_CONSTRAINTS_MOCK = (new SearchConstraintsBuilder())
+  .setConstraints([
+    {
+      constraints: [
+        { fuzzy: false, searchTerm: '43a6df96-1cb8-4daa-9a82-f9361b8777c7:"7RMF622"', type: 'simple' },
+        {
+          searchFields: [{ exact: true, property: '43a6df96-1cb8-4daa-9a82-f9361b8777c7', searchTerm: '7RMF623' }],
+          type: 'advanced',
+        },
+      ],
+      min: 1,
+    },
+    {
+      constraints: [{
+        latitude: 37.7749,
+        longitude: -122.4194,
+        propertyTypeId: 'a791ca8d-b433-4a2b-be04-43d43cea14a7',
+        radius: 10,
+        type: 'geoDistance',
+        unit: 'MILES',
+      }],
+      min: 1,
+    },
+    {
+      constraints: [{ startTime: '2020-01-01T00:00:00.000Z', type: 'writeDateTimeFilter' }],
+      min: 1,
+    },
+  ])
+  .setEntitySetIds(['8975812d-0325-4934-83a9-5b41bebd4c67', 'e90e6d9c-d0ed-490b-ba3e-38b30f34a1eb'])
+  .setMaxHits(100)
+  .setSort({ isDescending: true, propertyTypeId: '43a6df96-1cb8-4daa-9a82-f9361b8777c7', sortType: SortTypes.FIELD })
+  .setStart(10)
+  .build();
+
+function genRandomSearchConstraints() {
+  return (new SearchConstraintsBuilder())
+    .addConstraintGroup([
+      SearchConstraintsBuilder.simpleConstraint(genRandomString(), genRandomBoolean()),
+      SearchConstraintsBuilder.simpleConstraint(genRandomString(), genRandomBoolean()),
+    ])
+    .setEntitySetIds([genRandomUUID()])
+    .setMaxHits(genRandomInt(1, 1000))
+    .setSort(SearchConstraintsBuilder.scoreSort(genRandomBoolean()))
+    .setStart(genRandomInt(0, 1000))
+    .build();
+}
+
 export {
   ACCESS_CHECK_MOCK,
   ACE_MOCK,
@@ -470,8 +575,11 @@ export {
   APP_MOCK,
   APP_TYPE_MOCK,
   ASSOCIATION_TYPE_MOCK,
+  DATA_ASSOCIATION_MOCK,
+  DATA_EDGE_MOCK,
   DATA_GRAPH_MOCK,
   ENTITY_DATA_KEY_MOCK,
+  ENTITY_NEIGHBORS_FILTER_MOCK,
   ENTITY_SET_MOCK,
   METADATA_UPDATE_MOCK,
   ENTITY_TYPE_MOCK,
@@ -481,6 +589,7 @@ export {
   PROPERTY_TYPE_MOCK,
   ROLE_MOCK,
   SCHEMA_MOCK,
+  SEARCH_CONSTRAINTS_MOCK,
   genRandomAccessCheck,
   genRandomAce,
   genRandomAcl,
@@ -488,8 +597,11 @@ export {
   genRandomApp,
   genRandomAppType,
   genRandomAssociationType,
+  genRandomDataAssociation,
+  genRandomDataEdge,
   genRandomDataGraph,
   genRandomEntityDataKey,
+  genRandomEntityNeighborsFilter,
   genRandomEntitySet,
   genRandomEntityType,
   genRandomGrant,
@@ -498,4 +610,5 @@ export {
   genRandomPropertyType,
   genRandomRole,
   genRandomSchema,
+  genRandomSearchConstraints,
 };
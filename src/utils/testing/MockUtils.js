@@ -4,6 +4,8 @@
 
 import { v4 as uuid } from 'uuid';
 
+import * as AxiosUtils from '../axios';
+
 function genRandomBoolean() :boolean {
 
   return Math.random() >= 0.5;
@@ -71,6 +73,38 @@ function getMockAxiosInstance(mockPromise :?Promise<*>) :Object {
   return mockAxiosInstance;
 }
 
+// gives each of the given APIs its own mock Axios instance, to be returned by the mocked getApiAxiosInstance(), which
+// requires the test to call jest.mock() on "utils/axios"
+function mockApiAxiosInstances(apiNames :string[]) :Object {
+
+  const mockAxiosInstances = {};
+  apiNames.forEach((apiName :string) => {
+    mockAxiosInstances[apiName] = getMockAxiosInstance();
+  });
+
+  // $FlowFixMe
+  AxiosUtils.getApiAxiosInstance.mockImplementation((apiName :string) => mockAxiosInstances[apiName]);
+  return mockAxiosInstances;
+}
+
+// sends a request through the given Axios instance, including its interceptors, and resolves with the request config
+// that would have been sent over the wire
+function getMockRequestConfig(axiosInstance :Object, requestConfig :Object = {}) :Promise<Object> {
+
+  return axiosInstance
+    .get('/', {
+      ...requestConfig,
+      adapter: (config) => Promise.resolve({
+        config,
+        data: {},
+        headers: {},
+        status: 200,
+        statusText: 'OK',
+      }),
+    })
+    .then((axiosResponse) => axiosResponse.config);
+}
+
 function pickRandomValue(thing :Object) :any {
 
   const keys = Object.keys(thing);
@@ -86,5 +120,7 @@ export {
   genRandomUUID,
   genRandomX,
   getMockAxiosInstance,
+  getMockRequestConfig,
+  mockApiAxiosInstances,
   pickRandomValue,
 };
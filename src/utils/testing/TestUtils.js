@@ -12,6 +12,7 @@ import _isNumber from 'lodash/isNumber';
 import _isPlainObject from 'lodash/isPlainObject';
 import _isString from 'lodash/isString';
 
+import LatticeValidationError from '../../errors/LatticeValidationError';
 import * as TheTypes from '../../constants/types';
 import {
   INVALID_PARAMS,
@@ -88,12 +89,33 @@ function getInvalidParams(validParam :any, isOptional :boolean = false) {
   return invalidParams;
 }
 
+/*
+ * every API function passes a request config, built from its "options" argument, as the last argument to axios. the
+ * expected request params in the test configs leave it out, so it is filled in here.
+ */
+function withRequestConfig(requestParams :Array<any>, axiosFunction :string, requestConfig :Object = {}) :Array<any> {
+
+  const [url, ...rest] = requestParams;
+  switch (axiosFunction.toLowerCase()) {
+    case 'delete':
+    case 'get':
+      return [url, { ...requestConfig, ...rest[0] }];
+    case 'patch':
+    case 'post':
+    case 'put':
+      return [url, rest[0], { ...rest[1], ...requestConfig }];
+    default:
+      return requestParams;
+  }
+}
+
 // AxiosUtils.getApiAxiosInstance() is expected to be mocked with jest.mock() in the test file
 function assertApiShouldSendCorrectHttpRequest(
   functionToTest :Function,
   functionParams :Array<any>,
   requestParams :Array<any>,
   axiosFunction :string,
+  requestConfig :Object = {},
 ) {
 
   const mockAxiosResponse = { data: { id: genRandomUUID() } };
@@ -110,7 +132,9 @@ function assertApiShouldSendCorrectHttpRequest(
           expect(mockAxiosInstance[fn]).not.toHaveBeenCalled();
         });
       expect(mockAxiosInstance[axiosFunction.toLowerCase()]).toHaveBeenCalledTimes(1);
-      expect(mockAxiosInstance[axiosFunction.toLowerCase()]).toHaveBeenCalledWith(...requestParams);
+      expect(mockAxiosInstance[axiosFunction.toLowerCase()]).toHaveBeenCalledWith(
+        ...withRequestConfig(requestParams, axiosFunction, requestConfig)
+      );
       expect(r).toEqual(mockAxiosResponse.data);
     });
 }
@@ -134,6 +158,28 @@ function testApiShouldSendCorrectHttpRequest(
   }
 }
 
+function testApiShouldForwardRequestOptions(
+  functionToTest :Function,
+  functionParams :Array<any>,
+  requestParams :Array<any>,
+  axiosFunction :string,
+  optionsIndex :number,
+) {
+
+  test('should pass the given request options on to axios', () => {
+    // "options" is always the last parameter, optional parameters that are left out are passed as undefined
+    const params = [...functionParams];
+    params[optionsIndex] = { retry: { maxAttempts: 5 } };
+    return assertApiShouldSendCorrectHttpRequest(
+      functionToTest,
+      params,
+      requestParams,
+      axiosFunction,
+      { retry: { maxAttempts: 5 } },
+    );
+  });
+}
+
 function testApiShouldCatchRejectedPromise(functionToTest :Function, functionParams :Array<any>) {
 
   test('should catch rejected promise on http error', () => {
@@ -312,24 +358,37 @@ function testApiShouldRejectOnInvalidParameters(
       }
     }
 
+    // a promise that is fulfilled, or that is rejected with anything other than a LatticeValidationError, fails
     let failedParams;
     const promises = [];
     invocationParams.forEach((params) => {
       promises.push(
-        functionToTest(...params).then(() => {
-          failedParams = JSON.parse(JSON.stringify(params));
-        })
+        functionToTest(...params).then(
+          () => {
+            failedParams = JSON.parse(JSON.stringify(params));
+          },
+          (error) => {
+            if (!(error instanceof LatticeValidationError)) {
+              failedParams = JSON.parse(JSON.stringify(params));
+              return;
+            }
+            throw error;
+          },
+        )
       );
     });
 
     // if any promises are fulfilled, fail
     BBPromise.any(promises)
-      .then(() => {
-        done.fail(failedParams);
-      })
-      .catch(() => {
-        done();
-      });
+      .then(
+        () => {
+          // $FlowFixMe - done() fails the test when given an error
+          done(new Error(`should have rejected with a LatticeValidationError: ${JSON.stringify(failedParams)}`));
+        },
+        () => {
+          done();
+        },
+      );
 
   });
 }
@@ -356,6 +415,7 @@ export {
   assertApiShouldSendCorrectHttpRequest,
   getInvalidParams,
   testApiShouldCatchRejectedPromise,
+  testApiShouldForwardRequestOptions,
   testApiShouldNotThrowOnInvalidParameters,
   testApiShouldRejectOnInvalidParameters,
   testApiShouldReturnNullOnInvalidParameters,